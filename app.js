@@ -0,0 +1,369 @@
+const express = require('express');
+const cors = require('cors');
+const swaggerUi = require('swagger-ui-express');
+const { loadConfig } = require('./config');
+const { createStorage } = require('./services/storage');
+const { createAuditTrail } = require('./services/audit');
+const schemas = require('./schemas');
+const { createBodyValidator } = require('./services/validation');
+const components = require('./schemas/components');
+const { responses, envelope } = require('./schemas/responses');
+const { buildOpenApiSpec, createResponseContractCheck } = require('./services/openapi');
+const { version } = require('./package.json');
+const { createLegacyApi } = require('./services/legacyApi');
+const {
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  assignRequestId,
+  notFoundHandler,
+  errorHandler
+} = require('./services/errors');
+const { AGENT_PERMISSION, seedBuiltInRoles, createAuthorization } = require('./services/permissions');
+const { seedUnderwritingRules, createUnderwriter } = require('./services/underwriting');
+const { scheduleJob } = require('./services/scheduler');
+const { createNotifier } = require('./services/notifications');
+const { createEmailTransport } = require('./services/email');
+const { createMailer } = require('./services/mailer');
+const { createCustomerEmails } = require('./services/customerEmails');
+const { createOwnershipGuard, createOwnershipResolvers } = require('./services/ownership');
+const { createPaymentCharges } = require('./services/payments');
+const { createPolicyTerms } = require('./services/policyVersions');
+const { createAgentAssigner } = require('./services/agentAssignment');
+const { createSlaChecker } = require('./services/applicationSla');
+const { createContractLifecycle } = require('./services/contracts');
+const { createClaimAccess } = require('./services/claims');
+const { createDownloadUrlSigner } = require('./services/claimDocuments');
+const { createAuthProvider } = require('./services/auth');
+const { createStore } = require('./repositories/stores');
+const { createRepositories } = require('./repositories');
+const { createUsersRouter } = require('./routes/users');
+const { createPoliciesRouter } = require('./routes/policies');
+const { createApplicationsRouter } = require('./routes/applications');
+const { createUnderwritingRouter } = require('./routes/underwriting');
+const { createSlaRouter } = require('./routes/sla');
+const { createReviewsRouter } = require('./routes/reviews');
+const { createPaymentsRouter } = require('./routes/payments');
+const { createAdminRouter } = require('./routes/admin');
+const { createBlogsRouter } = require('./routes/blogs');
+const { createAgentsRouter } = require('./routes/agents');
+const { createClaimsRouter } = require('./routes/claims');
+const { createContractsRouter } = require('./routes/contracts');
+const { createDashboardRouter } = require('./routes/dashboard');
+const { createNewsletterRouter } = require('./routes/newsletter');
+const { createNotificationsRouter } = require('./routes/notifications');
+const { createEmailsRouter } = require('./routes/emails');
+
+const API_BASE_PATH = '/api/v1';
+
+/**
+ * Build the Express app.
+ *
+ * Every dependency can be passed in - tests hand over a memory store, a local
+ * auth provider and a stub Stripe client. Anything left out is created from config.
+ *
+ * config         - see config.js (default: loadConfig())
+ * store          - data store from repositories/stores.js, with createIndexes
+ *                  (./repositories) already run on it
+ * authProvider   - { verifyToken(token) } from services/auth
+ * fileStorage    - claim attachment storage from services/storage
+ * emailTransport - outgoing email from services/email
+ * stripe         - Stripe client
+ */
+const createApp = ({
+  config = loadConfig(),
+  store = createStore(config.dataBackend, config),
+  authProvider = createAuthProvider(config.authProvider, config),
+  fileStorage = createStorage(config.storageDriver, config),
+  emailTransport = createEmailTransport(config.emailTransport, config),
+  stripe = require('stripe')(config.paymentGatewayKey)
+} = {}) => {
+  const app = express();
+  // Canonical API routes - mounted at /api/v1; the first version's routes also at the legacy unversioned paths
+  const v1 = express.Router();
+
+  // Every response carries X-Request-Id; error responses repeat it as requestId
+  app.use(assignRequestId);
+  app.use(cors());
+  // Keep the raw body around - Stripe signs the exact bytes it sends to the webhook
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+
+  // Check responses against the OpenAPI contract when OPENAPI_RESPONSE_CHECK is "warn" or "strict"
+  app.use(createResponseContractCheck({ responses, mode: config.openapiResponseCheck }));
+
+  // ==================== REPOSITORIES AND COLLECTIONS ====================
+  // Entity repositories (users, policies, applications, payments, claims, blogs,
+  // reviews, newsletter) - see ./repositories
+  const repos = createRepositories(store);
+  const stripeEventsCollection = store.collection("stripeEvents");
+  const quotesCollection = store.collection("quotes");
+  const installmentsCollection = store.collection("installments");
+  const contractsCollection = store.collection("contracts");
+  const policyVersionsCollection = store.collection("policyVersions");
+  const claimDocumentsCollection = store.collection("claimDocuments");
+  const auditLogsCollection = store.collection("auditLogs");
+  const legacyRouteUsageCollection = store.collection("legacyRouteUsage");
+  const rolesCollection = store.collection("roles");
+  const underwritingRulesCollection = store.collection("underwritingRules");
+  const assignmentSettingsCollection = store.collection("assignmentSettings");
+  const slaSettingsCollection = store.collection("slaSettings");
+  const slaEscalationsCollection = store.collection("slaEscalations");
+  const notificationsCollection = store.collection("notifications");
+  const emailsCollection = store.collection("emails");
+
+  // Middleware: Verify the bearer token with the configured auth provider.
+  // Archived accounts keep valid tokens, so they are turned away here
+  const verifyAuthToken = async (req, res, next) => {
+    const authHeader = req.headers?.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return next(new UnauthorizedError('Unauthorized access'));
+    }
+    const token = authHeader.split(' ')[1];
+    try {
+      req.decoded = await authProvider.verifyToken(token);
+    } catch (error) {
+      return next(new ForbiddenError('Forbidden access'));
+    }
+
+    const archived = await repos.users.findOne({ uid: req.decoded.uid, archivedAt: { $ne: null } });
+    if (archived) {
+      return next(new ForbiddenError('This account has been archived'));
+    }
+    next();
+  };
+
+  // ==================== AUTHORIZATION ====================
+  // Roles are permission sets stored in Mongo - make sure the built-in ones exist.
+  // Routes use authorize(...permissions); see services/permissions.js
+  const authorization = createAuthorization({ usersCollection: repos.users.collection, rolesCollection });
+  const { authorize } = authorization;
+  seedBuiltInRoles(rolesCollection).catch(error => console.error('Failed to seed built-in roles:', error));
+
+  // Applications are scored against the underwriting rule set - seed the default one
+  seedUnderwritingRules(underwritingRulesCollection)
+    .catch(error => console.error('Failed to seed underwriting rules:', error));
+
+  // requireOwnership(resolve, options) - owner, assigned agent or holder of an override permission
+  const requireOwnership = createOwnershipGuard({
+    usersCollection: repos.users.collection,
+    authorization,
+    agentPermission: AGENT_PERMISSION
+  });
+
+  // audit(entityType, options) - add to every mutating route after its auth middleware
+  const audit = createAuditTrail({ db: store, auditLogsCollection, usersCollection: repos.users.collection });
+
+  // validateBody(name) - rejects bodies that don't match the named schema in ./schemas
+  const validateBody = createBodyValidator(schemas);
+
+  // notify(event, payload) - in-app notifications; see services/notifications.js
+  const notify = createNotifier({
+    notificationsCollection,
+    usersCollection: repos.users.collection,
+    authorization
+  });
+
+  // queueEmail(template, { to, userId, data }) - transactional email through the outbox; see services/mailer.js
+  const mailer = createMailer({ emailsCollection, transport: emailTransport, from: config.emailFrom });
+
+  // ==================== DOMAIN SERVICES ====================
+  // Built once per app from the collections above - see the modules in ./services
+  const customerEmails = createCustomerEmails({
+    usersCollection: repos.users.collection,
+    paymentsCollection: repos.payments.collection,
+    policiesCollection: repos.policies.collection,
+    installmentsCollection,
+    queueEmail: mailer.queueEmail,
+    reminderDays: config.paymentReminderDays
+  });
+  const checkApplicationSlas = createSlaChecker({
+    applicationsCollection: repos.applications.collection,
+    slaSettingsCollection,
+    slaEscalationsCollection,
+    authorization,
+    notify
+  });
+  const services = {
+    ...createOwnershipResolvers({ repos }),
+    ...createPaymentCharges({ quotesCollection, installmentsCollection }),
+    ...createPolicyTerms({ policiesCollection: repos.policies.collection, policyVersionsCollection }),
+    ...createUnderwriter({
+      applicationsCollection: repos.applications.collection,
+      quotesCollection,
+      underwritingRulesCollection
+    }),
+    ...createAgentAssigner({
+      authorization,
+      applicationsCollection: repos.applications.collection,
+      policiesCollection: repos.policies.collection,
+      contractsCollection,
+      claimsCollection: repos.claims.collection,
+      assignmentSettingsCollection
+    }),
+    ...createContractLifecycle({
+      applicationsCollection: repos.applications.collection,
+      policiesCollection: repos.policies.collection,
+      contractsCollection,
+      installmentsCollection,
+      quotesCollection
+    }),
+    ...customerEmails,
+    ...createDownloadUrlSigner({ secret: config.fileUrlSecret }),
+    checkApplicationSlas,
+    findClaimForUser: createClaimAccess({
+      usersCollection: repos.users.collection,
+      claimsCollection: repos.claims.collection,
+      authorization
+    })
+  };
+
+  // Everything the route modules are built from
+  const ctx = {
+    config,
+    store,
+    repos,
+    stripe,
+    fileStorage,
+    stripeEventsCollection,
+    quotesCollection,
+    installmentsCollection,
+    contractsCollection,
+    policyVersionsCollection,
+    claimDocumentsCollection,
+    auditLogsCollection,
+    legacyRouteUsageCollection,
+    rolesCollection,
+    underwritingRulesCollection,
+    assignmentSettingsCollection,
+    slaSettingsCollection,
+    slaEscalationsCollection,
+    notificationsCollection,
+    emailsCollection,
+    authorization,
+    verifyAuthToken,
+    authorize,
+    requireOwnership,
+    validateBody,
+    audit,
+    notify,
+    queueEmail: mailer.queueEmail,
+    mailer,
+    ...services
+  };
+
+  // ==================== BACKGROUND JOBS ====================
+  // Flag applications that outstay their SLA and escalate them to the admins
+  scheduleJob({
+    name: 'application SLA check',
+    intervalMs: config.slaCheckIntervalMinutes * 60 * 1000,
+    run: () => checkApplicationSlas()
+  });
+
+  // Retry emails that failed to send
+  scheduleJob({
+    name: 'email queue',
+    intervalMs: config.emailQueueIntervalMinutes * 60 * 1000,
+    run: () => mailer.deliverDueEmails()
+  });
+  // Remind customers of premiums coming due
+  scheduleJob({
+    name: 'payment reminders',
+    intervalMs: config.paymentReminderIntervalMinutes * 60 * 1000,
+    run: () => customerEmails.sendPaymentReminders()
+  });
+
+  // Basic route
+  app.get('/', (req, res) => {
+    res.send('LifeSure Server is running successfully!');
+  });
+
+  // ==================== API DOCUMENTATION ====================
+  // OpenAPI document generated from the registered routes (built once, on first request)
+  let openApiSpec;
+
+  app.get('/openapi.json', (req, res) => {
+    openApiSpec = openApiSpec || buildOpenApiSpec({
+      router: v1,
+      basePath: API_BASE_PATH,
+      info: { title: 'LifeSure API', version },
+      bodySchemas: schemas,
+      components,
+      responses,
+      envelope,
+      authMiddlewares: [verifyAuthToken]
+    });
+    res.json(openApiSpec);
+  });
+
+  // Browsable docs for the same document
+  app.use('/docs', swaggerUi.serve, swaggerUi.setup(null, {
+    swaggerOptions: { url: '/openapi.json' }
+  }));
+
+  // ==================== REQUEST SCHEMAS ====================
+  // Same schemas the server validates request bodies with, for the frontend to reuse
+  v1.get('/schemas', (req, res) => {
+    res.json({ success: true, schemas });
+  });
+
+  v1.get('/schemas/:name', (req, res) => {
+    const schema = Object.hasOwn(schemas, req.params.name) ? schemas[req.params.name] : null;
+    if (!schema) {
+      throw new NotFoundError('Schema not found');
+    }
+    res.json({ success: true, name: req.params.name, schema });
+  });
+
+  // ==================== ROUTES ====================
+  // Each module registers full paths, so they are all mounted at the root of v1
+  v1.use(createUsersRouter(ctx));
+  v1.use(createPoliciesRouter(ctx));
+  v1.use(createApplicationsRouter(ctx));
+  v1.use(createUnderwritingRouter(ctx));
+  v1.use(createSlaRouter(ctx));
+  v1.use(createReviewsRouter(ctx));
+  v1.use(createPaymentsRouter(ctx));
+  v1.use(createAdminRouter(ctx));
+  v1.use(createBlogsRouter(ctx));
+  v1.use(createAgentsRouter(ctx));
+  v1.use(createClaimsRouter(ctx));
+  v1.use(createContractsRouter(ctx));
+  v1.use(createDashboardRouter(ctx));
+  v1.use(createNewsletterRouter(ctx));
+  v1.use(createNotificationsRouter(ctx));
+  v1.use(createEmailsRouter(ctx));
+
+  // ==================== 🔀 API VERSIONING ====================
+  app.use(API_BASE_PATH, v1);
+
+  // Legacy unversioned paths: the first version's routes, plus deprecation headers and usage counts
+  const legacyApi = createLegacyApi({
+    usageCollection: legacyRouteUsageCollection,
+    basePath: API_BASE_PATH,
+    sunset: config.legacyApiSunset
+  });
+
+  // Old duplicate routes forward to their canonical v1 route
+  app.post('/admin/policies', legacyApi.alias('/policies'));
+  app.put('/admin/policies/:id', legacyApi.alias('/policies/:id'));
+  app.delete('/admin/policies/:id', legacyApi.alias('/policies/:id'));
+  app.get('/applications', legacyApi.alias('/admin/applications'));
+  app.post('/create-payment-intent', legacyApi.alias('/customer/create-payment-intent'));
+  app.get('/admin/agents/pending', legacyApi.alias('/admin/agent-applications'));
+
+  app.use(legacyApi.router(v1));
+
+  // ==================== ERROR HANDLING ====================
+  // Handlers throw the typed errors from services/errors.js; these send them
+  // (and anything unexpected) in one envelope: { success, code, message, requestId }
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = { createApp, API_BASE_PATH };
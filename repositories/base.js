@@ -0,0 +1,61 @@
+const { ObjectId } = require('mongodb');
+
+// Shared data access for one collection. Entity repositories add their own
+// lookups on top. Reads return plain arrays rather than cursors.
+
+// Soft-deleted documents carry archivedAt; listings filter them out with this
+const NOT_ARCHIVED = { archivedAt: null };
+
+const toObjectId = (id) => (id instanceof ObjectId ? id : new ObjectId(id));
+
+const createRepository = (collection, extend = () => ({})) => {
+  const repository = {
+    // Raw collection, for the services that still take one
+    collection,
+
+    findById: (id, options) => collection.findOne({ _id: toObjectId(id) }, options),
+    findOne: (filter, options) => collection.findOne(filter, options),
+
+    find: (filter = {}, { sort, skip, limit, projection } = {}) => {
+      let cursor = collection.find(filter);
+      if (sort) cursor = cursor.sort(sort);
+      if (skip) cursor = cursor.skip(skip);
+      if (limit) cursor = cursor.limit(limit);
+      if (projection) cursor = cursor.project(projection);
+      return cursor.toArray();
+    },
+
+    count: (filter = {}) => collection.countDocuments(filter),
+    distinct: (field, filter = {}) => collection.distinct(field, filter),
+    aggregate: (pipeline) => collection.aggregate(pipeline).toArray(),
+
+    // Resolves to the stored document, _id included
+    insert: async (doc) => {
+      const { insertedId } = await collection.insertOne(doc);
+      return { ...doc, _id: insertedId };
+    },
+    insertMany: (docs) => collection.insertMany(docs),
+
+    updateOne: (filter, update, options) => collection.updateOne(filter, update, options),
+    updateById: (id, update, options) => collection.updateOne({ _id: toObjectId(id) }, update, options),
+    updateMany: (filter, update, options) => collection.updateMany(filter, update, options),
+    findOneAndUpdate: (filter, update, options) => collection.findOneAndUpdate(filter, update, options),
+
+    deleteOne: (filter) => collection.deleteOne(filter),
+    deleteById: (id) => collection.deleteOne({ _id: toObjectId(id) }),
+
+    // Soft delete - archived documents stay resolvable by ID but drop out of listings
+    archive: (filter, archivedBy) => collection.updateOne(
+      { ...filter, ...NOT_ARCHIVED },
+      { $set: { archivedAt: new Date(), archivedBy, updatedAt: new Date() } }
+    ),
+    restore: (filter, restoredBy) => collection.updateOne(
+      { ...filter, archivedAt: { $ne: null } },
+      { $set: { archivedAt: null, archivedBy: null, restoredBy, updatedAt: new Date() } }
+    )
+  };
+
+  return Object.assign(repository, extend(collection, repository));
+};
+
+module.exports = { createRepository, toObjectId, NOT_ARCHIVED };
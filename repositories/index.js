@@ -0,0 +1,73 @@
+const { createRepository, NOT_ARCHIVED } = require('./base');
+const { FIELD_WEIGHTS } = require('../services/policySearch');
+
+// Data access for every entity the routes work with. Built on a store from
+// ./stores, so the same routes run against MongoDB or the in-memory backend.
+
+const createUsersRepository = (collection) => createRepository(collection, () => ({
+  findByUid: (uid, options) => collection.findOne({ uid }, options),
+  findByEmail: (email) => collection.findOne({ email }),
+  updateByUid: (uid, update, options) => collection.updateOne({ uid }, update, options),
+  deleteByUid: (uid) => collection.deleteOne({ uid })
+}));
+
+const createPoliciesRepository = (collection) => createRepository(collection);
+
+const createApplicationsRepository = (collection) => createRepository(collection, (coll, base) => ({
+  findByUser: (userId, options) => base.find({ userId }, options),
+  findAssignedTo: (agentId, options) => base.find({ assignedAgent: agentId }, options)
+}));
+
+const createPaymentsRepository = (collection) => createRepository(collection, (coll, base) => ({
+  findByIntentId: (paymentIntentId) => collection.findOne({ paymentIntentId }),
+  findByUser: (userId, options) => base.find({ userId }, options)
+}));
+
+const createClaimsRepository = (collection) => createRepository(collection, (coll, base) => ({
+  findByUser: (userId, options) => base.find({ userId }, options)
+}));
+
+const createBlogsRepository = (collection) => createRepository(collection, (coll, base) => ({
+  findByAuthor: (authorId, options) => base.find({ authorId }, options)
+}));
+
+const createReviewsRepository = (collection) => createRepository(collection);
+
+const createNewsletterRepository = (collection) => createRepository(collection, () => ({
+  findByEmail: (email) => collection.findOne({ email })
+}));
+
+const createRepositories = (store) => ({
+  users: createUsersRepository(store.collection('users')),
+  policies: createPoliciesRepository(store.collection('policies')),
+  applications: createApplicationsRepository(store.collection('applications')),
+  payments: createPaymentsRepository(store.collection('payments')),
+  claims: createClaimsRepository(store.collection('claims')),
+  blogs: createBlogsRepository(store.collection('blogs')),
+  reviews: createReviewsRepository(store.collection('reviews')),
+  newsletter: createNewsletterRepository(store.collection('newsletter'))
+});
+
+// Indexes the data layer relies on for correctness, not just speed - index.js
+// awaits this before serving and refuses to start when it fails.
+// createIndex is a no-op when the index already exists, so this runs on every start
+const createIndexes = async (store) => {
+  // One payment record per Stripe payment intent, whoever records it first
+  try {
+    await store.collection('payments').createIndex({ paymentIntentId: 1 }, { unique: true });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    throw new Error(`payments holds more than one record for a payment intent - merge them before starting (${error.message})`);
+  }
+
+  // Policy versions are numbered per policy - concurrent edits can't share a number
+  await store.collection('policyVersions').createIndex({ policyId: 1, version: 1 }, { unique: true });
+
+  // Catalog search (services/policySearch.js) - a collection can only have one text index
+  await store.collection('policies').createIndex(
+    Object.fromEntries(Object.keys(FIELD_WEIGHTS).map(field => [field, 'text'])),
+    { name: 'policy_search', weights: FIELD_WEIGHTS }
+  );
+};
+
+module.exports = { createRepositories, createIndexes, NOT_ARCHIVED };
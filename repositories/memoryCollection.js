@@ -0,0 +1,655 @@
+const { ObjectId } = require('mongodb');
+
+// In-memory stand-in for a MongoDB collection
+//
+// Implements the part of the driver API this server uses - find/findOne with
+// cursors, inserts, updates with the common operators, deletes, distinct and a
+// small aggregation pipeline - so the API can run without a database. Documents
+// are copied on the way in and out, like a real round trip to the server.
+
+const isObjectId = (value) => value instanceof ObjectId || value?._bsontype === 'ObjectId';
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value)
+  && !(value instanceof Date) && !isObjectId(value) && !Buffer.isBuffer(value) && !(value instanceof RegExp);
+
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+};
+
+// Comparable primitive for equality and ordering
+const normalise = (value) => {
+  if (isObjectId(value)) return value.toHexString();
+  if (value instanceof Date) return value.getTime();
+  return value;
+};
+
+const equals = (a, b) => {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => equals(item, b[index]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => equals(a[key], b[key]));
+  }
+  return normalise(a) === normalise(b) && (a === null) === (b === null);
+};
+
+// Mongo sort order for mixed types: null/missing < numbers < strings < objects < ObjectIds < dates
+const typeRank = (value) => {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === 'number') return 1;
+  if (typeof value === 'string') return 2;
+  if (isPlainObject(value)) return 3;
+  if (Array.isArray(value)) return 4;
+  if (isObjectId(value)) return 6;
+  if (typeof value === 'boolean') return 7;
+  if (value instanceof Date) return 8;
+  return 5;
+};
+
+const compare = (a, b) => {
+  const rankDiff = typeRank(a) - typeRank(b);
+  if (rankDiff !== 0) return rankDiff;
+  const x = normalise(a);
+  const y = normalise(b);
+  if (x < y) return -1;
+  if (x > y) return 1;
+  return 0;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => {
+  if (value === null || value === undefined) return undefined;
+  if (Array.isArray(value) && !/^\d+$/.test(key)) {
+    const values = value.map(item => item?.[key]).filter(item => item !== undefined);
+    return values.length > 0 ? values : undefined;
+  }
+  return value[key];
+}, doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  let target = doc;
+  for (const key of keys.slice(0, -1)) {
+    if (!isPlainObject(target[key]) && !Array.isArray(target[key])) target[key] = {};
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((value, key) => value?.[key], doc);
+  if (parent && typeof parent === 'object') delete parent[keys[keys.length - 1]];
+};
+
+// ---------- Queries ----------
+
+const toRegExp = (pattern, options = '') =>
+  pattern instanceof RegExp ? pattern : new RegExp(pattern, options);
+
+const candidates = (value) => (Array.isArray(value) ? [value, ...value] : [value]);
+
+const operators = {
+  // Like Mongo, { field: null } also matches documents without the field
+  $eq: (value, operand) => (operand === null && value === undefined) || candidates(value).some(item => equals(item, operand)),
+  $ne: (value, operand) => !operators.$eq(value, operand),
+  $gt: (value, operand) => candidates(value).some(item => item !== undefined && item !== null && typeRank(item) === typeRank(operand) && compare(item, operand) > 0),
+  $gte: (value, operand) => candidates(value).some(item => item !== undefined && item !== null && typeRank(item) === typeRank(operand) && compare(item, operand) >= 0),
+  $lt: (value, operand) => candidates(value).some(item => item !== undefined && item !== null && typeRank(item) === typeRank(operand) && compare(item, operand) < 0),
+  $lte: (value, operand) => candidates(value).some(item => item !== undefined && item !== null && typeRank(item) === typeRank(operand) && compare(item, operand) <= 0),
+  $in: (value, operand) => operand.some(option => (option instanceof RegExp
+    ? candidates(value).some(item => typeof item === 'string' && option.test(item))
+    : operators.$eq(value, option))),
+  $nin: (value, operand) => !operators.$in(value, operand),
+  $exists: (value, operand) => (value !== undefined) === Boolean(operand),
+  $size: (value, operand) => Array.isArray(value) && value.length === operand,
+  $all: (value, operand) => Array.isArray(value) && operand.every(option => value.some(item => equals(item, option))),
+  $elemMatch: (value, operand) => Array.isArray(value) && value.some(item => (isPlainObject(item)
+    ? matches(item, operand)
+    : matchesCondition(item, operand))),
+  $not: (value, operand) => !matchesCondition(value, operand)
+};
+
+const isOperatorObject = (condition) =>
+  isPlainObject(condition) && Object.keys(condition).length > 0 && Object.keys(condition).every(key => key.startsWith('$'));
+
+const matchesCondition = (value, condition) => {
+  if (condition instanceof RegExp) {
+    return candidates(value).some(item => typeof item === 'string' && condition.test(item));
+  }
+
+  if (!isOperatorObject(condition)) {
+    return operators.$eq(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    if (operator === '$options') return true;
+    if (operator === '$regex') {
+      const regex = toRegExp(operand, condition.$options);
+      return candidates(value).some(item => typeof item === 'string' && regex.test(item));
+    }
+    if (!operators[operator]) {
+      throw new Error(`Unsupported query operator in memory backend: ${operator}`);
+    }
+    return operators[operator](value, operand);
+  });
+};
+
+const matches = (doc, query = {}) => Object.entries(query).every(([key, condition]) => {
+  if (key === '$or') return condition.some(part => matches(doc, part));
+  if (key === '$and') return condition.every(part => matches(doc, part));
+  if (key === '$nor') return !condition.some(part => matches(doc, part));
+  if (key === '$text') {
+    throw new Error('$text queries are only supported by find() and findOne() in the memory backend');
+  }
+  return matchesCondition(getPath(doc, key), condition);
+});
+
+// ---------- Updates ----------
+
+const applyUpdate = (doc, update, { inserting = false } = {}) => {
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [path, value] of Object.entries(fields)) {
+      switch (operator) {
+        case '$set':
+          setPath(doc, path, clone(value));
+          break;
+        case '$setOnInsert':
+          if (inserting) setPath(doc, path, clone(value));
+          break;
+        case '$unset':
+          unsetPath(doc, path);
+          break;
+        case '$inc':
+          setPath(doc, path, (getPath(doc, path) || 0) + value);
+          break;
+        case '$min':
+          if (getPath(doc, path) === undefined || compare(value, getPath(doc, path)) < 0) setPath(doc, path, clone(value));
+          break;
+        case '$max':
+          if (getPath(doc, path) === undefined || compare(value, getPath(doc, path)) > 0) setPath(doc, path, clone(value));
+          break;
+        case '$push': {
+          const list = getPath(doc, path) || [];
+          const items = isPlainObject(value) && value.$each ? value.$each : [value];
+          setPath(doc, path, [...list, ...items.map(clone)]);
+          break;
+        }
+        case '$addToSet': {
+          const list = getPath(doc, path) || [];
+          const items = isPlainObject(value) && value.$each ? value.$each : [value];
+          const added = items.filter(item => !list.some(existing => equals(existing, item)));
+          setPath(doc, path, [...list, ...added.map(clone)]);
+          break;
+        }
+        case '$pull': {
+          const list = getPath(doc, path) || [];
+          setPath(doc, path, list.filter(item => !(isPlainObject(item) && isPlainObject(value) && !isOperatorObject(value)
+            ? matches(item, value)
+            : matchesCondition(item, value))));
+          break;
+        }
+        default:
+          throw new Error(`Unsupported update operator in memory backend: ${operator}`);
+      }
+    }
+  }
+  return doc;
+};
+
+// Fields from an upsert filter that become part of the inserted document
+const seedFromFilter = (filter) => {
+  const doc = {};
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key.startsWith('$')) continue;
+    if (isOperatorObject(condition)) {
+      if ('$eq' in condition) setPath(doc, key, clone(condition.$eq));
+      continue;
+    }
+    if (!(condition instanceof RegExp)) setPath(doc, key, clone(condition));
+  }
+  return doc;
+};
+
+// ---------- Text search ----------
+//
+// A rough stand-in for a MongoDB text index: words are lower-cased and a
+// trailing plural "s" dropped; a document scores its field's weight for every
+// search word found in that field. Negations and phrases are not supported.
+
+const textWords = (text) => String(text ?? '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean)
+  .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+
+const textScore = (doc, search, { fields, weights }) => {
+  const words = [...new Set(textWords(search))];
+  return fields.reduce((score, field) => {
+    const tokens = new Set(textWords([].concat(getPath(doc, field) ?? []).join(' ')));
+    return score + (weights[field] || 1) * words.filter(word => tokens.has(word)).length;
+  }, 0);
+};
+
+const isTextScore = (value) => isPlainObject(value) && value.$meta === 'textScore';
+
+// Where aggregation keeps a document's text score for { $meta: 'textScore' } expressions
+const TEXT_SCORE = Symbol('textScore');
+
+const noScore = () => undefined;
+
+// ---------- Projection and sorting ----------
+
+// scoreOf(doc) - the document's text score, for { $meta: 'textScore' } fields
+const project = (doc, projection, scoreOf = noScore) => {
+  if (!projection || Object.keys(projection).length === 0) return doc;
+
+  const scoreFields = Object.keys(projection).filter(path => isTextScore(projection[path]));
+  if (scoreFields.length > 0) {
+    const rest = Object.fromEntries(Object.entries(projection).filter(([, value]) => !isTextScore(value)));
+    const result = clone(project(doc, rest));
+    scoreFields.forEach(path => setPath(result, path, scoreOf(doc)));
+    return result;
+  }
+
+  const fields = Object.entries(projection).filter(([key]) => key !== '_id');
+  const including = fields.some(([, value]) => value);
+
+  if (including) {
+    const result = {};
+    if (projection._id !== 0 && projection._id !== false && doc._id !== undefined) result._id = doc._id;
+    for (const [path, value] of fields) {
+      if (!value) continue;
+      const fieldValue = getPath(doc, path);
+      if (fieldValue !== undefined) setPath(result, path, fieldValue);
+    }
+    return result;
+  }
+
+  const result = clone(doc);
+  for (const [path, value] of Object.entries(projection)) {
+    if (!value) unsetPath(result, path);
+  }
+  return result;
+};
+
+const sortDocuments = (docs, sort, scoreOf = noScore) => {
+  const keys = Object.entries(sort || {});
+  if (keys.length === 0) return docs;
+  return [...docs].sort((a, b) => {
+    for (const [path, direction] of keys) {
+      // Text scores sort best first
+      const result = isTextScore(direction)
+        ? compare(scoreOf(b), scoreOf(a))
+        : compare(getPath(a, path), getPath(b, path));
+      if (result !== 0) return direction < 0 ? -result : result;
+    }
+    return 0;
+  });
+};
+
+// ---------- Aggregation ----------
+
+const evaluate = (doc, expression) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return getPath(doc, expression.slice(1));
+  }
+  if (Array.isArray(expression)) return expression.map(item => evaluate(doc, item));
+  if (isPlainObject(expression)) {
+    const [operator] = Object.keys(expression);
+    const args = expression[operator];
+    switch (operator) {
+      case '$ifNull': return evaluate(doc, args[0]) ?? evaluate(doc, args[1]);
+      case '$size': return (evaluate(doc, args) || []).length;
+      case '$toString': return String(normalise(evaluate(doc, args)));
+      case '$literal': return args;
+      case '$meta': return args === 'textScore' ? doc[TEXT_SCORE] : undefined;
+      case '$indexOfArray': {
+        const [list, value] = evaluate(doc, args);
+        return (list || []).findIndex(item => equals(item, value));
+      }
+      default:
+        return Object.fromEntries(Object.entries(expression).map(([key, value]) => [key, evaluate(doc, value)]));
+    }
+  }
+  return expression;
+};
+
+const accumulators = {
+  $sum: (docs, expression) => docs.reduce((total, doc) => {
+    const value = evaluate(doc, expression);
+    return typeof value === 'number' ? total + value : total;
+  }, 0),
+  $avg: (docs, expression) => {
+    const values = docs.map(doc => evaluate(doc, expression)).filter(value => typeof value === 'number');
+    return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+  },
+  $min: (docs, expression) => docs.map(doc => evaluate(doc, expression)).filter(v => v !== undefined && v !== null).sort(compare)[0] ?? null,
+  $max: (docs, expression) => docs.map(doc => evaluate(doc, expression)).filter(v => v !== undefined && v !== null).sort(compare).pop() ?? null,
+  $first: (docs, expression) => (docs.length ? evaluate(docs[0], expression) : null),
+  $last: (docs, expression) => (docs.length ? evaluate(docs[docs.length - 1], expression) : null),
+  $push: (docs, expression) => docs.map(doc => evaluate(doc, expression)),
+  $addToSet: (docs, expression) => docs.map(doc => evaluate(doc, expression))
+    .filter((value, index, values) => values.findIndex(other => equals(other, value)) === index)
+};
+
+const group = (docs, spec) => {
+  const groups = new Map();
+  for (const doc of docs) {
+    const id = evaluate(doc, spec._id);
+    const key = JSON.stringify(isPlainObject(id) ? Object.fromEntries(Object.entries(id).map(([k, v]) => [k, normalise(v)])) : normalise(id ?? null));
+    if (!groups.has(key)) groups.set(key, { id: id ?? null, docs: [] });
+    groups.get(key).docs.push(doc);
+  }
+
+  return [...groups.values()].map(({ id, docs: members }) => {
+    const result = { _id: id };
+    for (const [field, accumulator] of Object.entries(spec)) {
+      if (field === '_id') continue;
+      const [operator] = Object.keys(accumulator);
+      if (!accumulators[operator]) {
+        throw new Error(`Unsupported accumulator in memory backend: ${operator}`);
+      }
+      result[field] = accumulators[operator](members, accumulator[operator]);
+    }
+    return result;
+  });
+};
+
+const runPipeline = (docs, pipeline, store) => pipeline.reduce((current, stage) => {
+  const [name] = Object.keys(stage);
+  const spec = stage[name];
+
+  switch (name) {
+    case '$match':
+      return current.filter(doc => matches(doc, spec));
+    case '$sort':
+      return sortDocuments(current, spec);
+    case '$skip':
+      return current.slice(spec);
+    case '$limit':
+      return current.slice(0, spec);
+    case '$project':
+      return current.map(doc => project(doc, spec));
+    case '$addFields':
+    case '$set':
+      return current.map(doc => {
+        const result = clone(doc);
+        for (const [field, expression] of Object.entries(spec)) {
+          setPath(result, field, evaluate(doc, expression));
+        }
+        return result;
+      });
+    case '$group':
+      return group(current, spec);
+    case '$count':
+      return current.length ? [{ [spec]: current.length }] : [];
+    case '$unwind': {
+      const { path, preserveNullAndEmptyArrays = false } = typeof spec === 'string' ? { path: spec } : spec;
+      const field = path.slice(1);
+      return current.flatMap(doc => {
+        const value = getPath(doc, field);
+        if (Array.isArray(value) && value.length > 0) {
+          return value.map(item => {
+            const result = clone(doc);
+            setPath(result, field, item);
+            return result;
+          });
+        }
+        if (preserveNullAndEmptyArrays) {
+          const result = clone(doc);
+          if (Array.isArray(value)) unsetPath(result, field);
+          return [result];
+        }
+        return [];
+      });
+    }
+    case '$lookup': {
+      const foreign = store.collection(spec.from).documents();
+      return current.map(doc => {
+        const local = getPath(doc, spec.localField);
+        const joined = foreign.filter(other => candidates(local).some(value =>
+          operators.$eq(getPath(other, spec.foreignField), value)));
+        return { ...doc, [spec.as]: joined };
+      });
+    }
+    case '$facet':
+      return [Object.fromEntries(Object.entries(spec).map(([field, subPipeline]) =>
+        [field, runPipeline(current, subPipeline, store)]))];
+    default:
+      throw new Error(`Unsupported aggregation stage in memory backend: ${name}`);
+  }
+}, docs);
+
+// ---------- Cursors and the collection ----------
+
+// load() returns { found, scoreOf } - the matching documents and, for $text queries, their scores
+const createCursor = (load) => {
+  const state = { sort: null, skip: 0, limit: 0, projection: null };
+
+  const cursor = {
+    sort: (sort) => { state.sort = sort; return cursor; },
+    skip: (count) => { state.skip = count; return cursor; },
+    limit: (count) => { state.limit = count; return cursor; },
+    project: (projection) => { state.projection = projection; return cursor; },
+    toArray: async () => {
+      const { found, scoreOf } = load();
+      let docs = sortDocuments(found, state.sort, scoreOf);
+      docs = docs.slice(state.skip, state.limit ? state.skip + state.limit : undefined);
+      return docs.map(doc => clone(project(doc, state.projection, scoreOf)));
+    }
+  };
+  return cursor;
+};
+
+const duplicateKeyError = (key) => {
+  const fields = Object.entries(key).map(([field, value]) => `${field}: ${JSON.stringify(normalise(value) ?? null)}`);
+  const error = new Error(`E11000 duplicate key error dup key: { ${fields.join(', ')} }`);
+  error.code = 11000;
+  return error;
+};
+
+const createMemoryCollection = (name, store) => {
+  let docs = [];
+  // Field lists of the unique indexes - _id is always one
+  const uniqueIndexes = [{ fields: ['_id'], sparse: false }];
+  // { fields, weights } of the text index, if the collection has one
+  let textIndex = null;
+
+  const findMatching = (filter) => docs.filter(doc => matches(doc, filter));
+
+  // Documents matching a $text query and the rest of the filter, with their text scores
+  const searchText = ({ $text, ...filter }) => {
+    if (!textIndex) throw new Error('text index required for $text query');
+    const scores = new Map();
+    for (const doc of findMatching(filter)) {
+      const score = textScore(doc, $text.$search, textIndex);
+      if (score > 0) scores.set(doc, score);
+    }
+    return scores;
+  };
+
+  // find() and findOne() results, text searches included
+  const query = (filter) => {
+    if (!filter.$text) return { found: findMatching(filter), scoreOf: noScore };
+    const scores = searchText(filter);
+    return { found: [...scores.keys()], scoreOf: doc => scores.get(doc) };
+  };
+
+  // Throw like the server does when doc would share a unique key with another document
+  const checkUnique = (doc) => {
+    for (const { fields, sparse } of uniqueIndexes) {
+      const key = Object.fromEntries(fields.map(field => [field, getPath(doc, field)]));
+      if (sparse && Object.values(key).every(value => value === undefined)) continue;
+      const taken = docs.some(other => other !== doc
+        && fields.every(field => equals(getPath(other, field) ?? null, key[field] ?? null)));
+      if (taken) throw duplicateKeyError(key);
+    }
+  };
+
+  // Apply an update in place, undoing it if it breaks a unique index
+  const updateInPlace = (doc, update) => {
+    const before = clone(doc);
+    applyUpdate(doc, update);
+    try {
+      checkUnique(doc);
+    } catch (error) {
+      Object.keys(doc).forEach(key => delete doc[key]);
+      Object.assign(doc, before);
+      throw error;
+    }
+  };
+
+  const insert = (doc) => {
+    const stored = clone(doc);
+    if (stored._id === undefined) stored._id = new ObjectId();
+    checkUnique(stored);
+    docs.push(stored);
+    // The driver sets _id on the caller's document too
+    if (doc._id === undefined) doc._id = stored._id;
+    return stored._id;
+  };
+
+  const upsert = (filter, update) => {
+    const doc = applyUpdate(seedFromFilter(filter), update, { inserting: true });
+    return insert(doc);
+  };
+
+  return {
+    collectionName: name,
+
+    // Raw stored documents - used by $lookup from other collections
+    documents: () => docs,
+
+    find: (filter = {}, options = {}) => {
+      const cursor = createCursor(() => query(filter));
+      if (options.sort) cursor.sort(options.sort);
+      if (options.skip) cursor.skip(options.skip);
+      if (options.limit) cursor.limit(options.limit);
+      if (options.projection) cursor.project(options.projection);
+      return cursor;
+    },
+
+    findOne: async (filter = {}, options = {}) => {
+      const { found, scoreOf } = query(filter);
+      const [doc] = sortDocuments(found, options.sort, scoreOf);
+      return doc ? clone(project(doc, options.projection, scoreOf)) : null;
+    },
+
+    countDocuments: async (filter = {}) => findMatching(filter).length,
+
+    distinct: async (field, filter = {}) => {
+      const values = findMatching(filter).flatMap(doc => {
+        const value = getPath(doc, field);
+        return Array.isArray(value) ? value : [value];
+      });
+      return values
+        .filter(value => value !== undefined)
+        .filter((value, index) => values.findIndex(other => equals(other, value)) === index)
+        .map(clone);
+    },
+
+    insertOne: async (doc) => ({ acknowledged: true, insertedId: insert(doc) }),
+
+    insertMany: async (newDocs) => {
+      const insertedIds = {};
+      newDocs.forEach((doc, index) => { insertedIds[index] = insert(doc); });
+      return { acknowledged: true, insertedCount: newDocs.length, insertedIds };
+    },
+
+    updateOne: async (filter, update, options = {}) => {
+      const doc = docs.find(item => matches(item, filter));
+      if (!doc) {
+        if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedId: null };
+        const upsertedId = upsert(filter, update);
+        return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedId, upsertedCount: 1 };
+      }
+      const before = JSON.stringify(doc);
+      updateInPlace(doc, update);
+      return { acknowledged: true, matchedCount: 1, modifiedCount: before === JSON.stringify(doc) ? 0 : 1, upsertedId: null };
+    },
+
+    updateMany: async (filter, update, options = {}) => {
+      const matched = findMatching(filter);
+      if (matched.length === 0 && options.upsert) {
+        const upsertedId = upsert(filter, update);
+        return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedId, upsertedCount: 1 };
+      }
+      matched.forEach(doc => updateInPlace(doc, update));
+      return { acknowledged: true, matchedCount: matched.length, modifiedCount: matched.length, upsertedId: null };
+    },
+
+    findOneAndUpdate: async (filter, update, options = {}) => {
+      let doc = sortDocuments(findMatching(filter), options.sort)[0];
+      const before = doc ? clone(doc) : null;
+
+      if (!doc) {
+        if (!options.upsert) return null;
+        const id = upsert(filter, update);
+        doc = docs.find(item => equals(item._id, id));
+      } else {
+        updateInPlace(doc, update);
+      }
+
+      const result = options.returnDocument === 'after' ? doc : before;
+      return result ? clone(project(result, options.projection)) : null;
+    },
+
+    deleteOne: async (filter) => {
+      const index = docs.findIndex(doc => matches(doc, filter));
+      if (index === -1) return { acknowledged: true, deletedCount: 0 };
+      docs.splice(index, 1);
+      return { acknowledged: true, deletedCount: 1 };
+    },
+
+    deleteMany: async (filter = {}) => {
+      const before = docs.length;
+      docs = docs.filter(doc => !matches(doc, filter));
+      return { acknowledged: true, deletedCount: before - docs.length };
+    },
+
+    // Like MongoDB, a $text query can only open the pipeline, in its first $match
+    aggregate: (pipeline = []) => createCursor(() => {
+      const [first, ...rest] = pipeline;
+      if (!first?.$match?.$text) {
+        return { found: runPipeline(docs.map(clone), pipeline, store), scoreOf: noScore };
+      }
+      const scored = [...searchText(first.$match)].map(([doc, score]) => Object.assign(clone(doc), { [TEXT_SCORE]: score }));
+      return { found: runPipeline(scored, rest, store), scoreOf: noScore };
+    }),
+
+    // Only unique and text indexes change behaviour in memory - the rest are accepted so setup code runs unchanged
+    createIndex: async (keys, options = {}) => {
+      const fields = Object.keys(keys);
+      const textFields = fields.filter(field => keys[field] === 'text');
+      if (textFields.length > 0) {
+        textIndex = { fields: textFields, weights: options.weights || {} };
+      }
+      const known = uniqueIndexes.some(index => equals(index.fields, fields));
+      if (options.unique && !known) {
+        // Like MongoDB, refuse to build the index over documents that already break it
+        const index = { fields, sparse: Boolean(options.sparse) };
+        uniqueIndexes.push(index);
+        try {
+          docs.forEach(checkUnique);
+        } catch (error) {
+          uniqueIndexes.splice(uniqueIndexes.indexOf(index), 1);
+          throw error;
+        }
+      }
+      return options.name || Object.entries(keys).map(([field, direction]) => `${field}_${direction}`).join('_');
+    }
+  };
+};
+
+module.exports = {
+  createMemoryCollection,
+  matches
+};
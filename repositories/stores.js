@@ -0,0 +1,56 @@
+const { MongoClient, ServerApiVersion } = require('mongodb');
+const { createMemoryCollection } = require('./memoryCollection');
+
+// Data stores - every store exposes collection(name), returning a MongoDB
+// collection or something that behaves like one. Select with DATA_BACKEND.
+
+const createMongoStore = ({ uri, dbName }) => {
+  // Create a MongoClient with a MongoClientOptions object to set the Stable API version
+  const client = new MongoClient(uri, {
+    serverApi: {
+      version: ServerApiVersion.v1,
+      strict: true,
+      deprecationErrors: true,
+    }
+  });
+  const db = client.db(dbName);
+
+  return {
+    backend: 'mongo',
+    client,
+    collection: (name) => db.collection(name),
+    close: () => client.close()
+  };
+};
+
+// Everything lives in process memory and is gone on restart - for tests and offline dev
+const createMemoryStore = () => {
+  const collections = new Map();
+
+  const store = {
+    backend: 'memory',
+    collection: (name) => {
+      if (!collections.has(name)) {
+        collections.set(name, createMemoryCollection(name, store));
+      }
+      return collections.get(name);
+    },
+    close: async () => {}
+  };
+  return store;
+};
+
+const backends = {
+  mongo: (config) => createMongoStore(config.mongo),
+  memory: () => createMemoryStore()
+};
+
+// config - see config.js; the mongo backend reads config.mongo ({ uri, dbName })
+const createStore = (backend = 'mongo', config = {}) => {
+  if (!backends[backend]) {
+    throw new Error(`Unknown data backend: ${backend}`);
+  }
+  return backends[backend](config);
+};
+
+module.exports = { createStore, createMongoStore, createMemoryStore };
@@ -0,0 +1,306 @@
+const express = require('express');
+const { buildAuditQuery, auditLogsToCsv } = require('../services/audit');
+const { PERMISSIONS, unknownPermissions, actorFrom } = require('../services/permissions');
+const { archiveEntity, restoreEntity } = require('../services/archival');
+const { NOT_ARCHIVED } = require('../repositories');
+const {
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError
+} = require('../services/errors');
+
+// User, role and audit administration
+const createAdminRouter = ({
+  config,
+  repos,
+  auditLogsCollection,
+  legacyRouteUsageCollection,
+  rolesCollection,
+  contractsCollection,
+  authorization,
+  verifyAuthToken,
+  authorize,
+  validateBody,
+  audit
+}) => {
+  const router = express.Router();
+
+  // ADMIN ONLY - View All Users (archived users are listed at /admin/users/archived)
+  router.get('/admin/users', verifyAuthToken, authorize('users:read'), async (req, res) => {
+    const users = await repos.users.find(NOT_ARCHIVED, { sort: { createdAt: -1 } });
+
+    res.json({
+      success: true,
+      users,
+      message: 'All users fetched by admin'
+    });
+  });
+
+  // ADMIN ONLY - Role Management 
+  router.patch('/admin/users/:targetUserId/role', verifyAuthToken, authorize('users:manage'), validateBody('roleUpdate'), audit('user', { param: 'targetUserId' }), async (req, res) => {
+    const { targetUserId } = req.params;
+    const { Role } = req.body;
+
+    const role = await rolesCollection.findOne({ _id: Role });
+    if (!role) {
+      throw new ValidationError(`Invalid role. Role "${Role}" does not exist`);
+    }
+
+    const result = await repos.users.updateByUid(
+      targetUserId,
+      { 
+        $set: { 
+          role: Role, 
+          updatedAt: new Date(),
+          updatedBy: req.user.uid
+        } 
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      throw new NotFoundError('User not found');
+    }
+
+    res.json({
+      success: true,
+      message: `User role updated to ${Role} by admin`
+    });
+  });
+
+  // ADMIN ONLY - Archived Users, most recently archived first
+  router.get('/admin/users/archived', verifyAuthToken, authorize('users:read'), async (req, res) => {
+    const users = await repos.users.find({ archivedAt: { $ne: null } }, { sort: { archivedAt: -1 } });
+
+    res.json({
+      success: true,
+      users
+    });
+  });
+
+  // DELETE USER - archives the account; ?cascade=true surrenders their contracts still in force
+  router.delete('/admin/users/:userId', verifyAuthToken, authorize('users:manage'), audit('user', { param: 'userId' }), async (req, res) => {
+    const { userId } = req.params;
+
+    // Don't allow deleting yourself
+    if (userId === req.user.uid) {
+      throw new ValidationError('Cannot delete your own account');
+    }
+
+    const { entity, surrendered } = await archiveEntity({
+      repository: repos.users,
+      filter: { uid: userId },
+      label: 'User',
+      contractsCollection,
+      contractFilter: { userId },
+      cascade: req.query.cascade === 'true',
+      actor: actorFrom(req),
+      reason: 'Account closed'
+    });
+
+    res.json({
+      success: true,
+      message: 'User archived successfully',
+      user: entity,
+      surrenderedContracts: surrendered
+    });
+  });
+
+  // ADMIN ONLY - Restore an Archived User
+  router.patch('/admin/users/:userId/restore', verifyAuthToken, authorize('users:manage'), audit('user', { param: 'userId' }), async (req, res) => {
+    const user = await restoreEntity({
+      repository: repos.users,
+      filter: { uid: req.params.userId },
+      label: 'User',
+      actor: actorFrom(req)
+    });
+
+    res.json({
+      success: true,
+      message: 'User restored successfully',
+      user
+    });
+  });
+
+  // ADMIN ONLY - Query Audit Log (filter by actor, entityType, entityId, outcome, from, to)
+  router.get('/admin/audit-logs', verifyAuthToken, authorize('audit:read'), async (req, res) => {
+    const { from, to, page = 1, limit = 50 } = req.query;
+
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      throw new ValidationError('from and to must be valid dates');
+    }
+
+    const query = buildAuditQuery(req.query);
+    const pageNum = parseInt(page) || 1;
+    const limitNum = Math.min(parseInt(limit) || 50, 500);
+
+    const logs = await auditLogsCollection
+      .find(query)
+      .sort({ timestamp: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .toArray();
+
+    const total = await auditLogsCollection.countDocuments(query);
+
+    res.json({
+      success: true,
+      logs,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        total,
+        limit: limitNum
+      }
+    });
+  });
+
+  // ADMIN ONLY - Export Audit Log as CSV (same filters as above)
+  router.get('/admin/audit-logs/export', verifyAuthToken, authorize('audit:read'), async (req, res) => {
+    const { from, to } = req.query;
+
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      throw new ValidationError('from and to must be valid dates');
+    }
+
+    const query = buildAuditQuery(req.query);
+    const total = await auditLogsCollection.countDocuments(query);
+    if (total > config.auditExportLimit) {
+      throw new ValidationError(`${total} entries match - narrow the filters to export at most ${config.auditExportLimit}`);
+    }
+
+    const logs = await auditLogsCollection
+      .find(query)
+      .sort({ timestamp: -1 })
+      .limit(config.auditExportLimit)
+      .toArray();
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`
+    });
+    res.send(auditLogsToCsv(logs));
+  });
+
+  // ADMIN ONLY - Every permission a role can grant
+  router.get('/admin/permissions', verifyAuthToken, authorize('roles:manage'), (req, res) => {
+    res.json({
+      success: true,
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+    });
+  });
+
+  // ADMIN ONLY - List Roles (with how many users hold each)
+  router.get('/admin/roles', verifyAuthToken, authorize('roles:manage'), async (req, res) => {
+    const roles = await rolesCollection.find({}).sort({ builtIn: -1, name: 1 }).toArray();
+    const counts = await repos.users.aggregate([
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ]);
+    const userCounts = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+
+    res.json({
+      success: true,
+      roles: roles.map(role => ({ ...role, userCount: userCounts[role.name] || 0 }))
+    });
+  });
+
+  // ADMIN ONLY - Create Custom Role (e.g. underwriter, support)
+  router.post('/admin/roles', verifyAuthToken, authorize('roles:manage'), validateBody('customRoleCreate'), audit('role', { id: req => req.body?.name }), async (req, res) => {
+    const { name, description = '', permissions } = req.body;
+
+    const unknown = unknownPermissions(permissions);
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown permission: ${unknown.join(', ')}`);
+    }
+
+    const existing = await rolesCollection.findOne({ _id: name });
+    if (existing) {
+      throw new ConflictError(`Role "${name}" already exists`);
+    }
+
+    const role = {
+      _id: name,
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+      builtIn: false,
+      createdAt: new Date(),
+      createdBy: req.user.uid
+    };
+    await rolesCollection.insertOne(role);
+
+    res.status(201).json({ success: true, message: 'Role created successfully', role });
+  });
+
+  // ADMIN ONLY - Update Role Permissions / Description
+  router.put('/admin/roles/:name', verifyAuthToken, authorize('roles:manage'), validateBody('customRoleUpdate'), audit('role', { param: 'name' }), async (req, res) => {
+    const { name } = req.params;
+    const { description, permissions } = req.body;
+
+    // Admins must never be able to lock themselves out
+    if (name === 'admin') {
+      throw new ForbiddenError('The admin role cannot be changed');
+    }
+
+    const updateData = { updatedAt: new Date(), updatedBy: req.user.uid };
+    if (description !== undefined) updateData.description = description;
+    if (permissions !== undefined) {
+      const unknown = unknownPermissions(permissions);
+      if (unknown.length > 0) {
+        throw new ValidationError(`Unknown permission: ${unknown.join(', ')}`);
+      }
+      updateData.permissions = [...new Set(permissions)];
+    }
+
+    const role = await rolesCollection.findOneAndUpdate(
+      { _id: name },
+      { $set: updateData },
+      { returnDocument: 'after' }
+    );
+
+    if (!role) {
+      throw new NotFoundError('Role not found');
+    }
+
+    authorization.clearRoleCache();
+    res.json({ success: true, message: 'Role updated successfully', role });
+  });
+
+  // ADMIN ONLY - Delete Custom Role (only when no user holds it)
+  router.delete('/admin/roles/:name', verifyAuthToken, authorize('roles:manage'), audit('role', { param: 'name' }), async (req, res) => {
+    const { name } = req.params;
+
+    const role = await rolesCollection.findOne({ _id: name });
+    if (!role) {
+      throw new NotFoundError('Role not found');
+    }
+
+    if (role.builtIn) {
+      throw new ForbiddenError('Built-in roles cannot be deleted');
+    }
+
+    const holders = await repos.users.count({ role: name });
+    if (holders > 0) {
+      throw new ConflictError(`Role is held by ${holders} user(s). Reassign them before deleting it`);
+    }
+
+    await rolesCollection.deleteOne({ _id: name });
+    authorization.clearRoleCache();
+
+    res.json({ success: true, message: 'Role deleted successfully' });
+  });
+
+  // ADMIN ONLY - Legacy route usage (to see when unversioned paths can be removed)
+  router.get('/admin/legacy-routes', verifyAuthToken, authorize('reports:read'), async (req, res) => {
+    const routes = await legacyRouteUsageCollection
+      .find({})
+      .sort({ lastUsedAt: -1 })
+      .toArray();
+
+    res.json({ success: true, routes });
+  });
+
+  return router;
+};
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,255 @@
+const express = require('express');
+const {
+  OPEN_STATUSES,
+  loadAssignmentSettings,
+  saveAssignmentSettings,
+  agentWorkloads
+} = require('../services/agentAssignment');
+const { AGENT_PERMISSION } = require('../services/permissions');
+const { ValidationError, NotFoundError } = require('../services/errors');
+
+// Agent applications, the agent directory and automatic assignment
+const createAgentsRouter = ({
+  repos,
+  assignmentSettingsCollection,
+  verifyAuthToken,
+  authorization,
+  authorize,
+  validateBody,
+  audit,
+  notify,
+  emailUser,
+  autoAssignApplication,
+  reassignAgentApplications
+}) => {
+  const router = express.Router();
+
+  // Roles that make a user an agent
+  const agentRoles = () => authorization.rolesWith(AGENT_PERMISSION, { explicit: true });
+
+  // Audit log details for routes that move applications between agents
+  const movedApplications = (moves = []) => moves.map(({ applicationId, agentId }) => ({ applicationId: String(applicationId), agentId }));
+  const reassignmentDetails = (body) => ({
+    reassigned: movedApplications(body.reassigned),
+    unassigned: (body.unassigned || []).map(String)
+  });
+
+  // CUSTOMER - Apply to become Agent
+  router.post('/apply-agent', verifyAuthToken, authorize('agents:apply'), validateBody('agentApplication'), audit('user', { id: req => req.decoded.uid }), async (req, res) => {
+    const { experience, qualifications, reason, specialties } = req.body;
+
+    const existingApplication = await repos.users.findOne({
+      uid: req.user.uid,
+      agentApplicationStatus: { $exists: true }
+    });
+
+    if (existingApplication) {
+      throw new ValidationError('Agent application already submitted');
+    }
+
+    await repos.users.updateByUid(
+      req.user.uid,
+      {
+        $set: {
+          agentApplicationStatus: 'pending',
+          agentApplication: {
+            experience,
+            qualifications,
+            reason,
+            specialties, // <-- Save specialties
+            appliedAt: new Date()
+          },
+          updatedAt: new Date()
+        }
+      }
+    );
+
+    res.json({ success: true, message: 'Agent application submitted successfully' });
+  });
+
+  // ADMIN ONLY - Get Agent Applications
+  router.get('/admin/agent-applications', verifyAuthToken, authorize('agents:review'), async (req, res) => {
+    const { status = 'pending' } = req.query;
+    const applications = await repos.users.find(
+      { agentApplicationStatus: status },
+      { sort: { 'agentApplication.appliedAt': -1 } }
+    );
+
+    res.json({ success: true, applications });
+  });
+
+  // ADMIN ONLY - Approve/Reject Agent Application
+  router.patch('/admin/agent-applications/:userId', verifyAuthToken, authorize('agents:review'), validateBody('agentApplicationDecision'), audit('user', { param: 'userId' }), async (req, res) => {
+    const { userId } = req.params;
+    const { action, feedback } = req.body;
+
+    if (!['approve', 'reject'].includes(action)) {
+      throw new ValidationError('Invalid action. Use approve or reject');
+    }
+
+    const updateData = {
+      agentApplicationStatus: action === 'approve' ? 'approved' : 'rejected',
+      updatedAt: new Date(),
+      processedBy: req.user.uid,
+      processedAt: new Date()
+    };
+
+    if (action === 'approve') updateData.role = 'agent';
+    if (action === 'reject' && feedback) updateData.agentRejectionFeedback = feedback;
+
+    const result = await repos.users.updateByUid(userId, { $set: updateData });
+
+    if (result.matchedCount === 0) {
+      throw new NotFoundError('Application not found');
+    }
+
+    await notify('agent-application:decided', {
+      user: { uid: userId },
+      decision: updateData.agentApplicationStatus,
+      feedback,
+      actorUid: req.user.uid
+    });
+    await emailUser(`agent-application-${updateData.agentApplicationStatus}`, userId, {
+      feedback: feedback || 'None given'
+    });
+
+    res.json({ success: true, message: `Agent application ${action}d successfully` });
+  });
+
+  // ADMIN ONLY - Get All Agents
+  router.get('/admin/agents', verifyAuthToken, authorize('users:read'), async (req, res) => {
+    const agents = await authorization.usersWith(AGENT_PERMISSION, { explicit: true, sort: { createdAt: -1 } });
+    res.json({ success: true, agents });
+  });
+
+  // PUBLIC - Get all agents (for homepage, no auth required)
+  router.get('/agents', async (req, res) => {
+    const agents = await authorization.usersWith(AGENT_PERMISSION, {
+      explicit: true,
+      sort: { "agentApplication.experience": -1 },
+      projection: { password: 0, updatedBy: 0 } // Hide sensitive fields if needed
+    });
+
+    res.json({
+      success: true,
+      agents,
+      message: 'All agents fetched (public)'
+    });
+  });
+
+  // ==================== AUTOMATIC ASSIGNMENT ====================
+  // See services/agentAssignment.js
+
+  // ADMIN ONLY - Assignment settings and every agent's workload
+  router.get('/admin/assignment', verifyAuthToken, authorize('applications:assign'), async (req, res) => {
+    const settings = await loadAssignmentSettings(assignmentSettingsCollection);
+    const workloads = await agentWorkloads({
+      authorization,
+      applicationsCollection: repos.applications.collection,
+      settings
+    });
+
+    res.json({
+      success: true,
+      settings,
+      agents: workloads.map(({ agent, open, capacity, active }) => ({
+        uid: agent.uid,
+        displayName: agent.displayName || null,
+        email: agent.email,
+        specialties: agent.agentApplication?.specialties || [],
+        openApplications: open,
+        capacity,
+        active
+      }))
+    });
+  });
+
+  // ADMIN ONLY - Choose the strategy, default capacity, or switch automatic assignment off
+  router.put('/admin/assignment/settings', verifyAuthToken, authorize('applications:assign'), validateBody('assignmentSettingsUpdate'), audit('assignmentSettings', { id: () => 'default' }), async (req, res) => {
+    await saveAssignmentSettings(assignmentSettingsCollection, { ...req.body, updatedBy: req.user.uid });
+
+    res.json({
+      success: true,
+      message: 'Assignment settings updated successfully',
+      settings: await loadAssignmentSettings(assignmentSettingsCollection)
+    });
+  });
+
+  // ADMIN ONLY - Assign every open application that has no agent yet
+  router.post('/admin/assignment/run', verifyAuthToken, authorize('applications:assign'), audit('assignmentRun', { details: body => ({ assigned: movedApplications(body.assigned) }) }), async (req, res) => {
+    const applications = await repos.applications.find(
+      { assignedAgent: null, status: { $in: OPEN_STATUSES } },
+      { sort: { createdAt: 1 } }
+    );
+
+    const assigned = [];
+    for (const application of applications) {
+      const agent = await autoAssignApplication(application, { force: true });
+      if (agent) assigned.push({ applicationId: application._id, agentId: agent.uid });
+    }
+
+    res.json({
+      success: true,
+      message: `Assigned ${assigned.length} of ${applications.length} unassigned application(s)`,
+      assigned,
+      unassigned: applications.length - assigned.length
+    });
+  });
+
+  // ADMIN ONLY - Set an agent's capacity or (de)activate them for assignment.
+  // With reassign: true, a deactivated agent's open applications go to other agents
+  router.patch('/admin/agents/:uid/assignment', verifyAuthToken, authorize('applications:assign'), validateBody('agentAssignmentUpdate'), audit('user', { param: 'uid', details: reassignmentDetails }), async (req, res) => {
+    const { uid } = req.params;
+    const { active, capacity, reassign = false } = req.body;
+
+    const changes = {};
+    if (active !== undefined) changes['assignment.active'] = active;
+    if (capacity !== undefined) changes['assignment.capacity'] = capacity;
+
+    if (Object.keys(changes).length === 0) {
+      throw new ValidationError('Nothing to update - send active or capacity');
+    }
+    if (reassign && active !== false) {
+      throw new ValidationError('reassign is only allowed when deactivating an agent');
+    }
+
+    const result = await repos.users.updateOne(
+      { uid, role: { $in: await agentRoles() } },
+      { $set: { ...changes, updatedAt: new Date(), updatedBy: req.user.uid } }
+    );
+    if (result.matchedCount === 0) {
+      throw new NotFoundError('Agent not found');
+    }
+
+    const moved = reassign ? await reassignAgentApplications(uid) : null;
+
+    res.json({
+      success: true,
+      message: 'Agent assignment updated successfully',
+      ...moved
+    });
+  });
+
+  // ADMIN ONLY - Move all of an agent's open applications to other agents
+  router.post('/admin/agents/:uid/reassign', verifyAuthToken, authorize('applications:assign'), audit('user', { param: 'uid', details: reassignmentDetails }), async (req, res) => {
+    const { uid } = req.params;
+
+    const agent = await repos.users.findOne({ uid, role: { $in: await agentRoles() } });
+    if (!agent) {
+      throw new NotFoundError('Agent not found');
+    }
+
+    const { reassigned, unassigned } = await reassignAgentApplications(uid);
+
+    res.json({
+      success: true,
+      message: `Reassigned ${reassigned.length} application(s)${unassigned.length ? `, ${unassigned.length} left unassigned` : ''}`,
+      reassigned,
+      unassigned
+    });
+  });
+
+  return router;
+};
+
+module.exports = { createAgentsRouter };
@@ -0,0 +1,512 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { checkApplicationEligibility } = require('../services/eligibility');
+const { ensureVersioned, versionPin } = require('../services/policyVersions');
+const { assessApplication, loadRuleSet } = require('../services/underwriting');
+const { SLA_STATES, loadSlaSettings, statusChange, slaState } = require('../services/applicationSla');
+const { AGENT_PERMISSION, actorFrom } = require('../services/permissions');
+const { AppError, ValidationError, InvalidIdError, ForbiddenError, NotFoundError, httpError } = require('../services/errors');
+
+// Underwriting results are for staff - applicants don't see their risk class
+const forApplicant = ({ underwriting, ...application }) => application;
+
+// Policy applications - submission, agent processing and admin decisions
+const createApplicationsRouter = ({
+  repos,
+  quotesCollection,
+  policyVersionsCollection,
+  underwritingRulesCollection,
+  slaSettingsCollection,
+  verifyAuthToken,
+  authorization,
+  authorize,
+  requireOwnership,
+  validateBody,
+  audit,
+  notify,
+  emailUser,
+  emailApplicationDecision,
+  userOwnership,
+  applicationOwnership,
+  issueApprovedApplication,
+  refreshPolicyVersions,
+  pinnedPolicyTerms,
+  underwriteApplication,
+  assignApplication,
+  autoAssignApplication
+}) => {
+  const router = express.Router();
+
+  // Tell the applicant their application moved on - setting the status it already has is not news.
+  // Decisions are emailed as well
+  const notifyStatusChange = async (application, status, actorUid) => {
+    if (!application || application.status === status) return;
+    await notify(status === 'rejected' ? 'application:rejected' : 'application:status-changed', {
+      application,
+      status,
+      actorUid
+    });
+    await emailApplicationDecision(application, status);
+  };
+
+  
+  // GET applications for a specific user
+  router.get('/applications/user/:userId', verifyAuthToken, requireOwnership(userOwnership('userId'), { permission: 'applications:read' }), async (req, res) => {
+    const { userId } = req.params;
+
+    // Agents only see the applications assigned to them
+    const filter = req.access === 'agent'
+      ? { userId, assignedAgent: req.decoded.uid }
+      : { userId };
+
+    const applications = await repos.applications.find(filter, { sort: { createdAt: -1 } });
+
+    // Get policy details for each application - the terms of the version it was made against
+    const applicationsWithPolicy = await Promise.all(
+      applications.map(async (app) => {
+        const policy = await repos.policies.findOne({ _id: app.policyId });
+        const terms = await pinnedPolicyTerms(app, policy);
+        return {
+          ...(req.access === 'owner' ? forApplicant(app) : app),
+          policy: policy || null,
+          policyName: terms?.title || 'Unknown Policy',
+          premium: terms?.basePremium || null,
+          coverageAmount: terms?.coverageMax || null,
+          duration: terms?.duration || null
+        };
+      })
+    );
+
+    res.json({
+      success: true,
+      applications: applicationsWithPolicy
+    });
+  });
+
+  // Get single application by ID (protected route)
+  router.get('/applications/:id', verifyAuthToken, requireOwnership(applicationOwnership, { permission: 'applications:read' }), async (req, res) => {
+    const { id } = req.params;
+    const application = await repos.applications.findById(id);
+    if (!application) {
+      throw new NotFoundError('Application not found');
+    }
+    res.json({ success: true, application: req.access === 'owner' ? forApplicant(application) : application });
+  });
+
+  // ADMIN ONLY - View All Applications, each with its SLA state.
+  // ?sla=on-track|at-risk|breached|none keeps only applications in that state
+  router.get('/admin/applications', verifyAuthToken, authorize('applications:read'), async (req, res) => {
+    const { sla } = req.query;
+    if (sla !== undefined && !SLA_STATES.includes(sla)) {
+      throw new ValidationError(`sla must be one of: ${SLA_STATES.join(', ')}`);
+    }
+
+    const found = await repos.applications.aggregate([
+      {
+        $lookup: {
+          from: "policies",
+          localField: "policyId",
+          foreignField: "_id",
+          as: "policyInfo"
+        }
+      },
+      {
+        $unwind: {
+          path: "$policyInfo",
+          preserveNullAndEmptyArrays: true
+        }
+      },
+      {
+        $addFields: {
+          policyName: "$policyInfo.title"
+        }
+      },
+      {
+        $sort: { createdAt: -1 }
+      }
+    ]);
+
+    const settings = await loadSlaSettings(slaSettingsCollection);
+    const now = new Date();
+    const applications = found
+      .map(app => ({ ...app, sla: slaState(app, settings, now) }))
+      .filter(app => sla === undefined || app.sla.state === sla);
+
+    res.json({
+      success: true,
+      applications,
+      message: 'All applications fetched by admin'
+    });
+  });
+
+  //Submit Application 
+  router.post('/customer/applications', verifyAuthToken, validateBody('applicationCreate'), audit('application', { fromResponse: 'application' }), async (req, res) => {
+    const applicationData = req.body;
+
+    // Fetch user info for all roles
+    const user = await repos.users.findByUid(req.decoded.uid);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (!applicationData.policyId) {
+      throw new ValidationError('Policy ID is required');
+    }
+
+    // Convert policyId to ObjectId and handle invalid format
+    let policyObjectId;
+    try {
+      policyObjectId = new ObjectId(applicationData.policyId);
+    } catch (err) {
+      throw new InvalidIdError('Invalid Policy ID format');
+    }
+
+    await refreshPolicyVersions();
+    const currentPolicy = await repos.policies.findOne({ _id: policyObjectId });
+
+    if (!currentPolicy) {
+      throw new NotFoundError('Policy not found');
+    }
+    if (currentPolicy.archivedAt) {
+      throw httpError(410, 'Policy is no longer offered');
+    }
+
+    // The application is pinned to the version in effect now
+    const policy = await ensureVersioned({
+      policiesCollection: repos.policies.collection,
+      policyVersionsCollection,
+      policy: currentPolicy
+    });
+
+    // The quote the application was made from fills in what the form leaves out
+    const quote = applicationData.quoteId
+      ? await quotesCollection.findOne({
+        _id: new ObjectId(applicationData.quoteId),
+        userId: user.uid,
+        policyId: policyObjectId
+      })
+      : null;
+
+    // Same rules as the catalog eligibility filter - see services/eligibility.js
+    const { eligible, reasons } = checkApplicationEligibility(policy, applicationData, quote);
+    if (!eligible) {
+      throw new AppError('Applicant is not eligible for this policy', {
+        status: 422,
+        code: 'NOT_ELIGIBLE',
+        errors: reasons
+      });
+    }
+
+    const newApplication = {
+      ...applicationData,
+      userId: user.uid,
+      userEmail: user.email,
+      policyId: policyObjectId,
+      policyName: policy.title,
+      basePremium: policy.basePremium,
+      ...versionPin(policy),
+      // Risk class from the declared answers - see services/underwriting.js
+      underwriting: assessApplication(applicationData, quote, await loadRuleSet(underwritingRulesCollection)),
+      submittedAt: new Date(),
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    const inserted = await repos.applications.insert(newApplication);
+
+    await repos.policies.updateOne(
+      { _id: policyObjectId },
+      { $inc: { applicationsCount: 1 } }
+    );
+
+    // Route it to an agent straight away when automatic assignment is on
+    const agent = await autoAssignApplication(inserted);
+    const application = agent ? await repos.applications.findById(inserted._id) : inserted;
+
+    await emailUser('application-received', user.uid, {
+      policyName: policy.title,
+      applicationId: inserted._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Application submitted successfully by customer',
+      application: forApplicant(application)
+    });
+  });
+
+  // CUSTOMER ONLY - Get Own Applications 
+  router.get('/customer/applications', verifyAuthToken, authorize('applications:own'), async (req, res) => {
+    const applications = await repos.applications.findByUser(req.user.uid, { sort: { createdAt: -1 } });
+
+    const applicationsWithPolicy = await Promise.all(
+      applications.map(async (app) => {
+        const policy = await repos.policies.findOne({ _id: app.policyId });
+        return {
+          ...forApplicant(app),
+          policy: policy || null,
+          policyName: policy?.title || 'Unknown Policy'
+        };
+      })
+    );
+
+    res.json({
+      success: true,
+      applications: applicationsWithPolicy
+    });
+  });
+
+  // AGENT ONLY - View Applications assigned to the calling agent
+  router.get('/agent/applications', verifyAuthToken, authorize('applications:process-assigned'), async (req, res) => {
+    const applications = await repos.applications.findAssignedTo(req.user.uid, { sort: { createdAt: -1 } });
+
+    res.json({ 
+      success: true, 
+      applications,
+      message: 'Applications fetched by agent'
+    });
+  });
+
+  // AGENT ONLY - Update Application Status
+  router.patch('/agent/applications/:id/status', verifyAuthToken, authorize('applications:process-assigned'), validateBody('applicationStatusUpdate'), audit('application'), async (req, res) => {
+    const { id } = req.params;
+    const { status } = req.body;
+
+    const validStatuses = ['pending', 'approved', 'rejected', 'processing'];
+    
+    if (!validStatuses.includes(status)) {
+      throw new ValidationError('Invalid status');
+    }
+
+    if (!ObjectId.isValid(id)) {
+      throw new InvalidIdError('Invalid Application ID format');
+    }
+
+    const current = await repos.applications.findOne({ _id: new ObjectId(id) });
+    if (!current) {
+      throw new NotFoundError('Application not found');
+    }
+    if (current.assignedAgent !== req.user.uid) {
+      throw new ForbiddenError('This application is not assigned to you');
+    }
+
+    const updateData = {
+      ...statusChange(current, status),
+      updatedAt: new Date(),
+      updatedBy: req.user.uid,
+      updatedByEmail: req.decoded.email
+    };
+
+    if (status === 'approved') {
+      updateData.approvedAt = new Date();
+    }
+
+    // Only while it is still assigned to this agent
+    const result = await repos.applications.updateOne(
+      { _id: new ObjectId(id), assignedAgent: req.user.uid },
+      { $set: updateData }
+    );
+
+    if (result.matchedCount === 0) {
+      throw new ForbiddenError('This application is not assigned to you');
+    }
+
+    if (status === 'approved') {
+      await issueApprovedApplication(new ObjectId(id), actorFrom(req));
+    }
+
+    await notifyStatusChange(current, status, req.user.uid);
+
+    res.json({
+      success: true,
+      message: `Application status updated to ${status} by agent`
+    });
+  });
+
+  // AGENT ONLY - Get Assigned Customers
+  router.get('/agent/customers', verifyAuthToken, authorize('applications:process-assigned'), async (req, res) => {
+    // Find all applications assigned to this agent, newest first
+    const applications = await repos.applications.findAssignedTo(req.user.uid, { sort: { createdAt: -1 } });
+
+    // Group by userId, keep latest application for each customer
+    const customerMap = new Map();
+    for (const app of applications) {
+      if (!customerMap.has(app.userId)) {
+        const user = await repos.users.findByUid(app.userId);
+        customerMap.set(app.userId, {
+          _id: app._id, // Add application _id for reference
+          userId: app.userId,
+          name: user?.displayName || user?.name || app.userEmail,
+          email: app.userEmail,
+          policies: [app.policyName],
+          status: app.status,
+        });
+      } else {
+        const customer = customerMap.get(app.userId);
+        customer.policies.push(app.policyName);
+      }
+    }
+    const customers = Array.from(customerMap.values());
+    res.json({ success: true, customers });
+  });
+
+  // ADMIN ONLY - Assign Agent to Application
+  router.patch('/admin/applications/:id/assign-agent', verifyAuthToken, authorize('applications:assign'), validateBody('agentAssignment'), audit('application'), async (req, res) => {
+    const { id } = req.params;
+    const { agentId } = req.body;
+
+    if (!agentId) {
+      throw new ValidationError('Agent ID is required');
+    }
+
+    const [agent] = await authorization.usersWith(AGENT_PERMISSION, { explicit: true, filter: { uid: agentId } });
+    if (!agent) {
+      throw new NotFoundError('Agent not found');
+    }
+
+    const result = await assignApplication(new ObjectId(id), agent, { assignedBy: req.user.uid });
+
+    if (result.matchedCount === 0) {
+      throw new NotFoundError('Application not found');
+    }
+
+    res.json({ success: true, message: 'Agent assigned successfully' });
+  });
+
+  // AGENT ONLY - Get Assigned Applications
+  router.get('/agent/assigned-applications', verifyAuthToken, authorize('applications:process-assigned'), async (req, res) => {
+    const applications = await repos.applications.findAssignedTo(req.user.uid, { sort: { createdAt: -1 } });
+    const settings = await loadSlaSettings(slaSettingsCollection);
+    const now = new Date();
+
+    const applicationsWithDetails = await Promise.all(
+      applications.map(async (app) => {
+        const policy = await repos.policies.findOne({ _id: app.policyId });
+        const user = await repos.users.findByUid(app.userId);
+        return { ...app, policy: policy || null, customer: user || null, sla: slaState(app, settings, now) };
+      })
+    );
+
+    res.json({ success: true, applications: applicationsWithDetails });
+  });
+
+  // UPDATE APPLICATION STATUS (for Applications.jsx)
+  router.patch('/applications/:id/status', verifyAuthToken, authorize('applications:decide'), validateBody('adminApplicationStatusUpdate'), audit('application'), async (req, res) => {
+    const { id } = req.params;
+    const { status, assignedAgent } = req.body;
+
+    const validStatuses = ['pending', 'approved', 'rejected', 'processing'];
+
+    if (!validStatuses.includes(status)) {
+      throw new ValidationError('Invalid status');
+    }
+
+    const current = await repos.applications.findOne({ _id: new ObjectId(id) });
+
+    const updateData = {
+      ...statusChange(current, status),
+      updatedAt: new Date(),
+      updatedBy: req.decoded.uid
+    };
+
+    if (assignedAgent) {
+      updateData.assignedAgent = assignedAgent;
+    }
+
+    if (status === 'approved') {
+      updateData.approvedAt = new Date();
+    }
+
+    const result = await repos.applications.updateOne(
+      { _id: new ObjectId(id) },
+      { $set: updateData }
+    );
+
+    if (result.matchedCount === 0) {
+      throw new NotFoundError('Application not found');
+    }
+
+    if (status === 'approved') {
+      await issueApprovedApplication(new ObjectId(id), actorFrom(req));
+    }
+
+    await notifyStatusChange(current, status, req.user.uid);
+
+    res.json({
+      success: true,
+      message: 'Application status updated successfully'
+    });
+  });
+
+  // GET APPLICATION DETAILS (for view details modal)
+  router.get('/admin/applications/:id', verifyAuthToken, authorize('applications:read'), async (req, res) => {
+    const { id } = req.params;
+    
+    const application = await repos.applications.findById(id);
+    
+    if (!application) {
+      throw new NotFoundError('Application not found');
+    }
+
+    // Applications submitted before underwriting are scored on first view
+    if (!application.underwriting) {
+      application.underwriting = await underwriteApplication(application);
+    }
+
+    // Get related data
+    const policy = await repos.policies.findOne({ _id: application.policyId });
+    const user = await repos.users.findByUid(application.userId);
+    const assignedAgent = application.assignedAgent 
+      ? await repos.users.findByUid(application.assignedAgent)
+      : null;
+
+    res.json({
+      success: true,
+      application: {
+        ...application,
+        policy: policy || null,
+        customer: user || null,
+        agent: assignedAgent || null
+      }
+    });
+  });
+
+  // REJECT APPLICATION (for reject button)
+  router.patch('/admin/applications/:id/reject', verifyAuthToken, authorize('applications:decide'), validateBody('applicationRejection'), audit('application'), async (req, res) => {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const current = await repos.applications.findOne({ _id: new ObjectId(id) });
+
+    const result = await repos.applications.updateOne(
+      { _id: new ObjectId(id) },
+      {
+        $set: {
+          ...statusChange(current, 'rejected'),
+          rejectionFeedback: reason || 'No reason provided', // <-- Use this field
+          rejectedAt: new Date(),
+          rejectedBy: req.user.uid,
+          updatedAt: new Date()
+        }
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      throw new NotFoundError('Application not found');
+    }
+
+    if (current.status !== 'rejected') {
+      await notify('application:rejected', { application: current, reason, actorUid: req.user.uid });
+      await emailApplicationDecision(current, 'rejected', reason);
+    }
+
+    res.json({
+      success: true,
+      message: 'Application rejected successfully'
+    });
+  });
+
+  return router;
+};
+
+module.exports = { createApplicationsRouter };
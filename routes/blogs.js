@@ -0,0 +1,102 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { ValidationError, NotFoundError } = require('../services/errors');
+
+// Blog posts written by agents
+const createBlogsRouter = ({
+  repos,
+  verifyAuthToken,
+  authorize,
+  validateBody,
+  audit
+}) => {
+  const router = express.Router();
+
+  
+  // Get all blogs (public)
+  router.get('/blogs', async (req, res) => {
+    const { authorId, limit = 10 } = req.query;
+    let query = {};
+    if (authorId) query.authorId = authorId;
+
+    const blogs = await repos.blogs.find(query, { sort: { createdAt: -1 }, limit: parseInt(limit) });
+
+    res.json({ success: true, blogs });
+  });
+
+  // AGENT ONLY - Create Blog
+  router.post('/agent/blogs', verifyAuthToken, authorize('blogs:write'), validateBody('blogCreate'), audit('blog', { fromResponse: 'blog' }), async (req, res) => {
+    const { title, content } = req.body;
+
+    if (!title || !content) {
+      throw new ValidationError('Title and content are required');
+    }
+
+    const newBlog = {
+      title,
+      content,
+      authorId: req.user.uid,
+      authorName: req.user.displayName || req.decoded.email,
+      authorEmail: req.decoded.email,
+      publishDate: new Date(),
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    const blog = await repos.blogs.insert(newBlog);
+    res.status(201).json({ success: true, message: 'Blog created successfully', blog });
+  });
+
+  // AGENT ONLY - Get Own Blogs
+  router.get('/agent/blogs', verifyAuthToken, authorize('blogs:write'), async (req, res) => {
+    const blogs = await repos.blogs.findByAuthor(req.user.uid, { sort: { createdAt: -1 } });
+
+    res.json({ success: true, blogs });
+  });
+
+  // AGENT ONLY - Update Blog
+  router.put('/agent/blogs/:id', verifyAuthToken, authorize('blogs:write'), validateBody('blogUpdate'), audit('blog'), async (req, res) => {
+    const { id } = req.params;
+    const { title, content } = req.body;
+
+    const result = await repos.blogs.updateOne(
+      { _id: new ObjectId(id), authorId: req.user.uid },
+      { $set: { title, content, updatedAt: new Date() } }
+    );
+
+    if (result.matchedCount === 0) {
+      throw new NotFoundError('Blog not found or access denied');
+    }
+
+    res.json({ success: true, message: 'Blog updated successfully' });
+  });
+
+  // AGENT ONLY - Delete Blog
+  router.delete('/agent/blogs/:id', verifyAuthToken, authorize('blogs:write'), audit('blog'), async (req, res) => {
+    const { id } = req.params;
+    const result = await repos.blogs.deleteOne({ _id: new ObjectId(id), authorId: req.user.uid });
+
+    if (result.deletedCount === 0) {
+      throw new NotFoundError('Blog not found or access denied');
+    }
+
+    res.json({ success: true, message: 'Blog deleted successfully' });
+  });
+
+  // PATCH: Increment blog visit count (not audited - anonymous page-view counter)
+  router.patch('/blogs/:id/visit', async (req, res) => {
+    const { id } = req.params;
+    const result = await repos.blogs.updateOne(
+      { _id: new ObjectId(id) },
+      { $inc: { totalVisit: 1 } }
+    );
+    if (result.matchedCount === 0) {
+      throw new NotFoundError('Blog not found');
+    }
+    res.json({ success: true });
+  });
+
+  return router;
+};
+
+module.exports = { createBlogsRouter };
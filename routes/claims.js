@@ -0,0 +1,428 @@
+const express = require('express');
+const multer = require('multer');
+const { ObjectId } = require('mongodb');
+const { createContractForApplication, IN_FORCE_STATUSES } = require('../services/contracts');
+const { CLAIM_TYPES, claimEvent, applyClaimAction } = require('../services/claims');
+const { actorFrom } = require('../services/permissions');
+const {
+  MAX_FILE_SIZE,
+  MAX_FILES_PER_UPLOAD,
+  checkFileType,
+  sha256,
+  attachmentDisposition
+} = require('../services/claimDocuments');
+const {
+  AppError,
+  ValidationError,
+  InvalidIdError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  httpError
+} = require('../services/errors');
+
+// ==================== CLAIM DOCUMENT UPLOADS ====================
+
+// Parse multipart uploads in memory so files can be checked before they are stored
+const parseClaimFiles = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES_PER_UPLOAD },
+  // Browsers send file names as raw UTF-8 - busboy would read them as latin1
+  defParamCharset: 'utf8'
+}).array('files', MAX_FILES_PER_UPLOAD);
+
+const uploadClaimFiles = (req, res, next) => {
+  parseClaimFiles(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      return next(error.code === 'LIMIT_FILE_SIZE'
+        ? httpError(413, `Files must be smaller than ${MAX_FILE_SIZE / (1024 * 1024)} MB`)
+        : new ValidationError(error.message));
+    }
+    next(error);
+  });
+};
+
+uploadClaimFiles.openapiRequestBody = {
+  required: true,
+  content: {
+    'multipart/form-data': {
+      schema: {
+        type: 'object',
+        required: ['files'],
+        properties: {
+          files: { type: 'array', maxItems: MAX_FILES_PER_UPLOAD, items: { type: 'string', format: 'binary' } }
+        }
+      }
+    }
+  }
+};
+
+// Claims - submission, adjudication and claim documents
+const createClaimsRouter = ({
+  repos,
+  fileStorage,
+  quotesCollection,
+  contractsCollection,
+  claimDocumentsCollection,
+  verifyAuthToken,
+  authorize,
+  validateBody,
+  audit,
+  notify,
+  emailClaimUpdate,
+  findClaimForUser,
+  createSignedDownloadUrl,
+  verifyDownloadSignature
+}) => {
+  const router = express.Router();
+
+  // Run one adjudication step on a claim found with the given filter
+  const adjudicateClaim = async (req, res, action, filter) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      throw new InvalidIdError('Invalid Claim ID format');
+    }
+
+    const claim = await repos.claims.findOne({ _id: new ObjectId(id), ...filter });
+    if (!claim) {
+      throw new NotFoundError('Claim not found');
+    }
+
+    const actor = actorFrom(req);
+    const updated = await applyClaimAction({
+      claimsCollection: repos.claims.collection,
+      contractsCollection,
+      claim,
+      action,
+      actor,
+      details: req.body
+    });
+
+    // The customer hears about every step but their own replies
+    if (action !== 'reply') {
+      await emailClaimUpdate(updated, action, req.body);
+    }
+
+    res.json({
+      success: true,
+      message: `Claim moved to ${updated.status}`,
+      claim: updated
+    });
+  };
+
+  // Send a single claim found with the given filter, with its contract
+  const sendClaim = async (req, res, filter) => {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) {
+      throw new InvalidIdError('Invalid Claim ID format');
+    }
+
+    const claim = await repos.claims.findOne({ _id: new ObjectId(id), ...filter });
+    if (!claim) {
+      throw new NotFoundError('Claim not found');
+    }
+
+    const contract = claim.contractId
+      ? await contractsCollection.findOne({ _id: claim.contractId })
+      : null;
+
+    res.json({ success: true, claim: { ...claim, contract } });
+  };
+
+  // CUSTOMER ONLY - Submit Claim
+  router.post('/customer/claims', verifyAuthToken, authorize('claims:own'), validateBody('claimCreate'), audit('claim', { fromResponse: 'claim' }), async (req, res) => {
+    const { policyId, reason, claimType = 'other' } = req.body;
+
+    if (!policyId || !reason) {
+      throw new ValidationError('Policy ID and reason are required');
+    }
+
+    if (!CLAIM_TYPES.includes(claimType)) {
+      throw new ValidationError(`Claim type must be one of: ${CLAIM_TYPES.join(', ')}`);
+    }
+
+    const application = await repos.applications.findOne({
+      userId: req.user.uid,
+      policyId: new ObjectId(policyId),
+      status: 'approved'
+    });
+
+    if (!application) {
+      throw new NotFoundError('Active policy not found');
+    }
+
+    // Applications approved before contracts existed get theirs issued now
+    const contract = await createContractForApplication({
+      application,
+      contractsCollection,
+      policiesCollection: repos.policies.collection,
+      quotesCollection
+    });
+
+    if (!IN_FORCE_STATUSES.includes(contract.status)) {
+      throw new ConflictError(`Contract is ${contract.status} and cannot take new claims`);
+    }
+
+    const newClaim = {
+      userId: req.user.uid,
+      userEmail: req.decoded.email,
+      policyId: new ObjectId(policyId),
+      applicationId: application._id,
+      contractId: contract._id,
+      assignedAgent: contract.assignedAgent || application.assignedAgent || null,
+      claimType,
+      reason,
+      documents: [], // added through POST /claims/:id/documents
+      status: 'pending',
+      events: [claimEvent('submitted', actorFrom(req), { to: 'pending' })],
+      submittedAt: new Date(),
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    const claim = await repos.claims.insert(newClaim);
+    await notify('claim:submitted', { claim, actorUid: req.user.uid });
+
+    res.status(201).json({ success: true, message: 'Claim submitted successfully', claim });
+  });
+
+  // CUSTOMER ONLY - Get Own Claims
+  router.get('/customer/claims', verifyAuthToken, authorize('claims:own'), async (req, res) => {
+    const claims = await repos.claims.findByUser(req.user.uid, { sort: { createdAt: -1 } });
+
+    res.json({ success: true, claims });
+  });
+
+  // ADMIN ONLY - Get All Claims
+  router.get('/admin/claims', verifyAuthToken, authorize('claims:read'), async (req, res) => {
+    const claims = await repos.claims.find({}, { sort: { createdAt: -1 } });
+    res.json({ success: true, claims });
+  });
+
+  // CUSTOMER ONLY - Get Own Claim (with event history)
+  router.get('/customer/claims/:id', verifyAuthToken, authorize('claims:own'), async (req, res) => {
+    await sendClaim(req, res, { userId: req.user.uid });
+  });
+
+  // CUSTOMER ONLY - Reply to an information request
+  router.post('/customer/claims/:id/reply', verifyAuthToken, authorize('claims:own'), validateBody('claimMessage'), audit('claim'), async (req, res) => {
+    await adjudicateClaim(req, res, 'reply', { userId: req.user.uid });
+  });
+
+  // ADMIN ONLY - Get Claim (with event history)
+  router.get('/admin/claims/:id', verifyAuthToken, authorize('claims:read'), async (req, res) => {
+    await sendClaim(req, res, {});
+  });
+
+  // ADMIN ONLY - Start reviewing a claim
+  router.patch('/admin/claims/:id/review', verifyAuthToken, authorize('claims:adjudicate'), audit('claim'), async (req, res) => {
+    await adjudicateClaim(req, res, 'review', {});
+  });
+
+  // ADMIN ONLY - Ask the customer for more information
+  router.patch('/admin/claims/:id/request-info', verifyAuthToken, authorize('claims:adjudicate'), validateBody('claimMessage'), audit('claim'), async (req, res) => {
+    await adjudicateClaim(req, res, 'request-info', {});
+  });
+
+  // ADMIN ONLY - Approve a claim with a payout (capped by the contract's coverage)
+  router.patch('/admin/claims/:id/approve', verifyAuthToken, authorize('claims:adjudicate'), validateBody('claimApproval'), audit('claim'), async (req, res) => {
+    await adjudicateClaim(req, res, 'approve', {});
+  });
+
+  // ADMIN ONLY - Deny a claim with a reason
+  router.patch('/admin/claims/:id/deny', verifyAuthToken, authorize('claims:adjudicate'), validateBody('claimDenial'), audit('claim'), async (req, res) => {
+    await adjudicateClaim(req, res, 'deny', {});
+  });
+
+  // AGENT ONLY - Get Claims of Assigned Customers
+  router.get('/agent/claims', verifyAuthToken, authorize('claims:adjudicate-assigned'), async (req, res) => {
+    const claims = await repos.claims.find({ assignedAgent: req.user.uid }, { sort: { createdAt: -1 } });
+
+    res.json({ success: true, claims });
+  });
+
+  // AGENT ONLY - Get Assigned Claim (with event history)
+  router.get('/agent/claims/:id', verifyAuthToken, authorize('claims:adjudicate-assigned'), async (req, res) => {
+    await sendClaim(req, res, { assignedAgent: req.user.uid });
+  });
+
+  // AGENT ONLY - Start reviewing an assigned claim
+  router.patch('/agent/claims/:id/review', verifyAuthToken, authorize('claims:adjudicate-assigned'), audit('claim'), async (req, res) => {
+    await adjudicateClaim(req, res, 'review', { assignedAgent: req.user.uid });
+  });
+
+  // AGENT ONLY - Ask the customer for more information
+  router.patch('/agent/claims/:id/request-info', verifyAuthToken, authorize('claims:adjudicate-assigned'), validateBody('claimMessage'), audit('claim'), async (req, res) => {
+    await adjudicateClaim(req, res, 'request-info', { assignedAgent: req.user.uid });
+  });
+
+  // AGENT ONLY - Approve an assigned claim with a payout
+  router.patch('/agent/claims/:id/approve', verifyAuthToken, authorize('claims:adjudicate-assigned'), validateBody('claimApproval'), audit('claim'), async (req, res) => {
+    await adjudicateClaim(req, res, 'approve', { assignedAgent: req.user.uid });
+  });
+
+  // AGENT ONLY - Deny an assigned claim with a reason
+  router.patch('/agent/claims/:id/deny', verifyAuthToken, authorize('claims:adjudicate-assigned'), validateBody('claimDenial'), audit('claim'), async (req, res) => {
+    await adjudicateClaim(req, res, 'deny', { assignedAgent: req.user.uid });
+  });
+
+  // Check the uploader may add documents to the claim before any file is read
+  const findUploadTarget = async (req, res, next) => {
+    const { claim, user } = await findClaimForUser(req.params.id, req.decoded.uid);
+
+    if (['approved', 'denied'].includes(claim.status)) {
+      throw new ConflictError(`Cannot add documents to a ${claim.status} claim`);
+    }
+
+    req.uploadTarget = { claim, user };
+    next();
+  };
+
+  // Upload claim attachments (multipart field "files") - owner, assigned agent or admin
+  router.post('/claims/:id/documents', verifyAuthToken, findUploadTarget, uploadClaimFiles, audit('claim'), async (req, res) => {
+    const { claim, user } = req.uploadTarget;
+
+    const files = req.files || [];
+    if (files.length === 0) {
+      throw new ValidationError('At least one file is required');
+    }
+
+    const errors = files.map(checkFileType).filter(Boolean);
+    if (errors.length > 0) {
+      throw new AppError('Unsupported file', { status: 415, code: 'UNSUPPORTED_MEDIA_TYPE', errors });
+    }
+
+    const documents = [];
+    for (const file of files) {
+      const documentId = new ObjectId();
+      const storageKey = `claims/${claim._id}/${documentId}`;
+
+      await fileStorage.save(storageKey, file.buffer);
+
+      documents.push({
+        _id: documentId,
+        claimId: claim._id,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        sha256: sha256(file.buffer),
+        storageDriver: fileStorage.driver,
+        storageKey,
+        uploadedBy: user.uid,
+        uploadedByRole: user.role,
+        uploadedAt: new Date()
+      });
+    }
+
+    await claimDocumentsCollection.insertMany(documents);
+
+    const summaries = documents.map(doc => ({
+      documentId: doc._id,
+      name: doc.originalName,
+      mimeType: doc.mimeType,
+      size: doc.size,
+      sha256: doc.sha256,
+      uploadedAt: doc.uploadedAt
+    }));
+
+    await repos.claims.updateOne(
+      { _id: claim._id },
+      {
+        $push: {
+          documents: { $each: summaries },
+          events: claimEvent('documents_uploaded', { uid: user.uid, role: user.role, email: user.email }, {
+            documentIds: documents.map(doc => doc._id)
+          })
+        },
+        $set: { updatedAt: new Date() }
+      }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `${documents.length} document(s) uploaded`,
+      documents: summaries
+    });
+  });
+
+  // List claim attachments - owner, assigned agent or admin
+  router.get('/claims/:id/documents', verifyAuthToken, async (req, res) => {
+    const { claim } = await findClaimForUser(req.params.id, req.decoded.uid);
+
+    const documents = await claimDocumentsCollection
+      .find({ claimId: claim._id })
+      .project({ storageKey: 0 })
+      .sort({ uploadedAt: -1 })
+      .toArray();
+
+    res.json({ success: true, documents });
+  });
+
+  // Get a short-lived signed download URL for one attachment
+  router.get('/claims/:id/documents/:documentId/url', verifyAuthToken, async (req, res) => {
+    const { claim } = await findClaimForUser(req.params.id, req.decoded.uid);
+
+    const { documentId } = req.params;
+    if (!ObjectId.isValid(documentId)) {
+      throw new InvalidIdError('Invalid Document ID format');
+    }
+
+    const document = await claimDocumentsCollection.findOne({
+      _id: new ObjectId(documentId),
+      claimId: claim._id
+    });
+    if (!document) {
+      throw new NotFoundError('Document not found');
+    }
+
+    const { url, expiresAt } = createSignedDownloadUrl(documentId, req.decoded.uid);
+    res.json({ success: true, url, expiresAt });
+  });
+
+  // Download an attachment through a signed URL (no token - the signature is the credential)
+  router.get('/files/claim-documents/:documentId', async (req, res) => {
+    const { documentId } = req.params;
+    const { uid, expires, signature } = req.query;
+
+    const signatureError = verifyDownloadSignature({ documentId, uid, expires, signature });
+    if (signatureError) {
+      throw new ForbiddenError(signatureError);
+    }
+
+    const document = ObjectId.isValid(documentId)
+      ? await claimDocumentsCollection.findOne({ _id: new ObjectId(documentId) })
+      : null;
+    if (!document) {
+      throw new NotFoundError('Document not found');
+    }
+
+    // Access may have changed since the link was issued (e.g. agent reassigned)
+    await findClaimForUser(document.claimId.toString(), uid);
+
+    if (!(await fileStorage.exists(document.storageKey))) {
+      throw new NotFoundError('Document file is missing');
+    }
+
+    res.set({
+      'Content-Type': document.mimeType,
+      'Content-Length': document.size,
+      'Content-Disposition': attachmentDisposition(document.originalName),
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, no-store'
+    });
+
+    fileStorage.createReadStream(document.storageKey)
+      .on('error', (error) => {
+        console.error('Error reading claim document:', error);
+        res.destroy(error);
+      })
+      .pipe(res);
+  });
+
+  return router;
+};
+
+module.exports = { createClaimsRouter };
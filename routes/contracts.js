@@ -0,0 +1,137 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { transitionContract } = require('../services/contracts');
+const { actorFrom } = require('../services/permissions');
+const { InvalidIdError, NotFoundError } = require('../services/errors');
+
+// Contracts (issued policies) and their status changes
+const createContractsRouter = ({
+  contractsCollection,
+  installmentsCollection,
+  verifyAuthToken,
+  authorize,
+  validateBody,
+  audit,
+  refreshBillingAndContracts
+}) => {
+  const router = express.Router();
+
+  // Apply a requested status change to a contract found with the given filter
+  const changeContractStatus = async (req, res, filter) => {
+    const { id } = req.params;
+    const { status, reason } = req.body;
+
+    if (!ObjectId.isValid(id)) {
+      throw new InvalidIdError('Invalid Contract ID format');
+    }
+
+    const contract = await contractsCollection.findOne({ _id: new ObjectId(id), ...filter });
+    if (!contract) {
+      throw new NotFoundError('Contract not found');
+    }
+
+    const updated = await transitionContract({
+      contractsCollection,
+      installmentsCollection,
+      contract,
+      to: status,
+      actor: actorFrom(req),
+      reason
+    });
+
+    res.json({
+      success: true,
+      message: `Contract moved from ${contract.status} to ${status}`,
+      contract: updated
+    });
+  };
+
+  // CUSTOMER ONLY - Get Own Contracts
+  router.get('/customer/contracts', verifyAuthToken, authorize('contracts:own'), async (req, res) => {
+    await refreshBillingAndContracts({ userId: req.user.uid });
+
+    const contracts = await contractsCollection
+      .find({ userId: req.user.uid })
+      .sort({ issuedAt: -1 })
+      .toArray();
+
+    res.json({ success: true, contracts });
+  });
+
+  // CUSTOMER ONLY - Get Own Contract (with status history)
+  router.get('/customer/contracts/:id', verifyAuthToken, authorize('contracts:own'), async (req, res) => {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) {
+      throw new InvalidIdError('Invalid Contract ID format');
+    }
+
+    await refreshBillingAndContracts({ userId: req.user.uid });
+
+    const contract = await contractsCollection.findOne({ _id: new ObjectId(id), userId: req.user.uid });
+    if (!contract) {
+      throw new NotFoundError('Contract not found');
+    }
+
+    res.json({ success: true, contract });
+  });
+
+  // CUSTOMER ONLY - Change Own Contract Status (surrender)
+  router.patch('/customer/contracts/:id/status', verifyAuthToken, authorize('contracts:own'), validateBody('contractStatusUpdate'), audit('contract'), async (req, res) => {
+    await changeContractStatus(req, res, { userId: req.user.uid });
+  });
+
+  // AGENT ONLY - Get Contracts of Assigned Customers
+  router.get('/agent/contracts', verifyAuthToken, authorize('contracts:manage-assigned'), async (req, res) => {
+    await refreshBillingAndContracts({ assignedAgent: req.user.uid });
+
+    const contracts = await contractsCollection
+      .find({ assignedAgent: req.user.uid })
+      .sort({ issuedAt: -1 })
+      .toArray();
+
+    res.json({ success: true, contracts });
+  });
+
+  // AGENT ONLY - Change Contract Status (reinstate, surrender)
+  router.patch('/agent/contracts/:id/status', verifyAuthToken, authorize('contracts:manage-assigned'), validateBody('contractStatusUpdate'), audit('contract'), async (req, res) => {
+    await changeContractStatus(req, res, { assignedAgent: req.user.uid });
+  });
+
+  // ADMIN ONLY - Get All Contracts
+  router.get('/admin/contracts', verifyAuthToken, authorize('contracts:read'), async (req, res) => {
+    const { status } = req.query;
+    await refreshBillingAndContracts({});
+
+    const query = status ? { status } : {};
+    const contracts = await contractsCollection
+      .find(query)
+      .sort({ issuedAt: -1 })
+      .toArray();
+
+    res.json({ success: true, contracts });
+  });
+
+  // ADMIN ONLY - Get Contract (with status history)
+  router.get('/admin/contracts/:id', verifyAuthToken, authorize('contracts:read'), async (req, res) => {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) {
+      throw new InvalidIdError('Invalid Contract ID format');
+    }
+
+    const contract = await contractsCollection.findOne({ _id: new ObjectId(id) });
+    if (!contract) {
+      throw new NotFoundError('Contract not found');
+    }
+
+    res.json({ success: true, contract });
+  });
+
+  // ADMIN ONLY - Change Contract Status (any legal transition)
+  router.patch('/admin/contracts/:id/status', verifyAuthToken, authorize('contracts:manage'), validateBody('contractStatusUpdate'), audit('contract'), async (req, res) => {
+    await changeContractStatus(req, res, {});
+  });
+
+  return router;
+};
+
+module.exports = { createContractsRouter };
@@ -0,0 +1,140 @@
+const express = require('express');
+const { NOT_ARCHIVED } = require('../repositories');
+const { breachCounts } = require('../services/applicationSla');
+const { AGENT_PERMISSION } = require('../services/permissions');
+
+// Dashboard statistics per role
+const createDashboardRouter = ({
+  repos,
+  slaEscalationsCollection,
+  verifyAuthToken,
+  authorization,
+  authorize
+}) => {
+  const router = express.Router();
+
+  // GET ADMIN DASHBOARD STATS
+  router.get('/admin/dashboard-stats', verifyAuthToken, authorize('reports:read'), async (req, res) => {
+    // Archived users and policies are not counted
+    const totalUsers = await repos.users.count(NOT_ARCHIVED);
+    const totalPolicies = await repos.policies.count(NOT_ARCHIVED);
+    const totalApplications = await repos.applications.count();
+    const pendingApplications = await repos.applications.count({ status: 'pending' });
+    const approvedApplications = await repos.applications.count({ status: 'approved' });
+    const agentRoles = await authorization.rolesWith(AGENT_PERMISSION, { explicit: true });
+    const totalAgents = await repos.users.count({ role: { $in: agentRoles }, ...NOT_ARCHIVED });
+    const totalCustomers = await repos.users.count({ role: 'customer', ...NOT_ARCHIVED });
+
+    // Calculate total revenue
+    const revenueResult = await repos.payments.aggregate([
+      { $match: { status: 'completed' } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+
+    const totalRevenue = revenueResult[0]?.total || 0;
+
+    // Open applications past their SLA, and escalations nobody has picked up yet
+    const slaBreaches = await breachCounts(repos.applications.collection);
+    const openSlaEscalations = await slaEscalationsCollection.countDocuments({ resolvedAt: null, acknowledgedAt: null });
+
+    res.json({
+      success: true,
+      stats: {
+        totalUsers,
+        totalPolicies,
+        totalApplications,
+        pendingApplications,
+        approvedApplications,
+        totalAgents,
+        totalCustomers,
+        totalRevenue,
+        slaBreaches,
+        openSlaEscalations
+      }
+    });
+  });
+
+  // AGENT ONLY - Dashboard Stats
+  router.get('/agent/dashboard-stats', verifyAuthToken, authorize('applications:process-assigned'), async (req, res) => {
+    const agentId = req.user.uid;
+
+    // Assigned customers: unique userIds from applications assigned to this agent
+    const assignedApplications = await repos.applications.findAssignedTo(agentId);
+    const assignedCustomers = new Set(assignedApplications.map(app => app.userId)).size;
+
+    // Total applications assigned to this agent
+    const totalApplications = assignedApplications.length;
+
+    // Pending applications assigned to this agent
+    const pendingApplications = assignedApplications.filter(app => app.status === "pending").length;
+
+    // Approved applications assigned to this agent
+    const approvedApplications = assignedApplications.filter(app => app.status === "approved").length;
+
+    res.json({
+      success: true,
+      stats: {
+        assignedCustomers,
+        totalApplications,
+        pendingApplications,
+        approvedApplications,
+      }
+    });
+  });
+
+  router.get('/customer/dashboard-stats', verifyAuthToken, authorize('applications:own'), async (req, res) => {
+    const userId = req.user.uid;
+
+    // Count active policies (approved applications)
+    const activePolicies = await repos.applications.count({
+      userId,
+      status: "approved"
+    });
+
+    // Sum of all completed payments
+    const payments = await repos.payments.find({ userId, status: "completed" });
+    const totalPaid = payments.reduce((sum, p) => sum + (p.amount || 0), 0);
+
+    // Pending claims
+    const pendingClaims = await repos.claims.count({
+      userId,
+      status: "pending"
+    });
+
+    // Total applications
+    const totalApplications = await repos.applications.count({ userId });
+
+    // Recent applications (for table)
+    const applicationsRaw = await repos.applications.find({ userId }, { sort: { createdAt: -1 }, limit: 10 });
+
+    // Map applications to include all relevant fields for the dashboard
+    const applications = applicationsRaw.map(app => ({
+      _id: app._id,
+      policyName: app.policyName,
+      submittedAt: app.submittedAt,
+      createdAt: app.createdAt,
+      status: app.status,
+      rejectionFeedback: app.rejectionFeedback,
+      rejectionReason: app.rejectionReason,
+      // Optionally include more fields as needed:
+      // policyId: app.policyId,
+      // basePremium: app.basePremium,
+      // etc.
+    }));
+
+    res.json({
+      success: true,
+      stats: {
+        activePolicies,
+        totalPaid,
+        pendingClaims,
+        totalApplications,
+        applications
+      }
+    });
+  });
+
+  return router;
+};
+
+module.exports = { createDashboardRouter };
@@ -0,0 +1,106 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { EMAIL_STATUSES } = require('../services/mailer');
+const { EMAIL_TEMPLATES } = require('../services/email/templates');
+const { ValidationError, InvalidIdError, NotFoundError } = require('../services/errors');
+
+// The transactional email outbox - see services/mailer.js
+const createEmailsRouter = ({
+  emailsCollection,
+  verifyAuthToken,
+  authorize,
+  audit,
+  mailer
+}) => {
+  const router = express.Router();
+
+  // ADMIN ONLY - Outbox, newest first (filter by status, template, to)
+  router.get('/admin/emails', verifyAuthToken, authorize('emails:manage'), async (req, res) => {
+    const { status, template, to, page = 1, limit = 50 } = req.query;
+
+    if (status && !EMAIL_STATUSES.includes(status)) {
+      throw new ValidationError(`status must be one of: ${EMAIL_STATUSES.join(', ')}`);
+    }
+
+    const query = {};
+    if (status) query.status = status;
+    if (template) query.template = template;
+    if (to) query.to = to;
+
+    const pageNum = parseInt(page) || 1;
+    const limitNum = Math.min(parseInt(limit) || 50, 500);
+
+    const emails = await emailsCollection
+      .find(query, { projection: { html: 0 } })
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .toArray();
+
+    const total = await emailsCollection.countDocuments(query);
+
+    res.json({
+      success: true,
+      emails,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        total,
+        limit: limitNum
+      }
+    });
+  });
+
+  // ADMIN ONLY - Available templates and their placeholders
+  router.get('/admin/emails/templates', verifyAuthToken, authorize('emails:manage'), async (req, res) => {
+    const templates = Object.entries(EMAIL_TEMPLATES).map(([name, { subject, text }]) => ({
+      name,
+      subject,
+      placeholders: [...new Set([...`${subject} ${text}`.matchAll(/\{\{(\w+)\}\}/g)].map(match => match[1]))]
+    }));
+
+    res.json({ success: true, templates });
+  });
+
+  // ADMIN ONLY - One email, including its HTML body
+  router.get('/admin/emails/:id', verifyAuthToken, authorize('emails:manage'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      throw new InvalidIdError('Invalid Email ID format');
+    }
+
+    const email = await emailsCollection.findOne({ _id: new ObjectId(id) });
+    if (!email) {
+      throw new NotFoundError('Email not found');
+    }
+
+    res.json({ success: true, email });
+  });
+
+  // ADMIN ONLY - Queue a failed email to be sent again
+  router.post('/admin/emails/:id/retry', verifyAuthToken, authorize('emails:manage'), audit('email'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      throw new InvalidIdError('Invalid Email ID format');
+    }
+
+    const email = await emailsCollection.findOne({ _id: new ObjectId(id) });
+    if (!email) {
+      throw new NotFoundError('Email not found');
+    }
+
+    const retried = await mailer.retryEmail(email);
+
+    res.json({
+      success: true,
+      message: 'Email queued for retry',
+      email: retried
+    });
+  });
+
+  return router;
+};
+
+module.exports = { createEmailsRouter };
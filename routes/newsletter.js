@@ -0,0 +1,29 @@
+const express = require('express');
+const { ValidationError } = require('../services/errors');
+
+// Newsletter subscriptions
+const createNewsletterRouter = ({
+  repos,
+  validateBody,
+  audit
+}) => {
+  const router = express.Router();
+
+  // NEWSLETTER SUBSCRIPTION ENDPOINT
+  router.post('/newsletter', validateBody('newsletterSubscription'), audit('newsletter', { id: req => req.body?.email?.trim().toLowerCase() }), async (req, res) => {
+    const { name, email } = req.body;
+    if (!name?.trim() || !email?.trim()) {
+      throw new ValidationError("Name and email required");
+    }
+    await repos.newsletter.insert({
+      name: name.trim(),
+      email: email.trim().toLowerCase(),
+      subscribedAt: new Date(),
+    });
+    res.json({ success: true, message: "Subscribed successfully" });
+  });
+
+  return router;
+};
+
+module.exports = { createNewsletterRouter };
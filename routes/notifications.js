@@ -0,0 +1,132 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { NOTIFICATION_EVENTS, preferencesOf } = require('../services/notifications');
+const { InvalidIdError, NotFoundError } = require('../services/errors');
+
+// The signed-in user's notifications and notification preferences - see services/notifications.js
+const createNotificationsRouter = ({
+  repos,
+  notificationsCollection,
+  verifyAuthToken,
+  validateBody,
+  audit
+}) => {
+  const router = express.Router();
+
+  // Own notifications, newest first. ?unread=true for unread only, paged with page and limit
+  router.get('/notifications', verifyAuthToken, async (req, res) => {
+    const { unread, page = 1, limit = 20 } = req.query;
+
+    const query = { userId: req.decoded.uid };
+    if (unread === 'true') query.readAt = null;
+
+    const pageNum = parseInt(page) || 1;
+    const limitNum = Math.min(parseInt(limit) || 20, 100);
+
+    const notifications = await notificationsCollection
+      .find(query)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .toArray();
+
+    const total = await notificationsCollection.countDocuments(query);
+
+    res.json({
+      success: true,
+      notifications,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        total,
+        limit: limitNum
+      }
+    });
+  });
+
+  // Number of unread notifications - for the badge
+  router.get('/notifications/unread-count', verifyAuthToken, async (req, res) => {
+    const count = await notificationsCollection.countDocuments({ userId: req.decoded.uid, readAt: null });
+    res.json({ success: true, count });
+  });
+
+  // Mark every notification read
+  router.patch('/notifications/read-all', verifyAuthToken, audit('notification'), async (req, res) => {
+    const result = await notificationsCollection.updateMany(
+      { userId: req.decoded.uid, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} notification(s) marked as read`,
+      updated: result.modifiedCount
+    });
+  });
+
+  // Which event types the user receives, with a description of each
+  router.get('/notifications/preferences', verifyAuthToken, async (req, res) => {
+    const user = await repos.users.findByUid(req.decoded.uid);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    res.json({
+      success: true,
+      preferences: preferencesOf(user),
+      events: Object.entries(NOTIFICATION_EVENTS).map(([event, { description }]) => ({ event, description }))
+    });
+  });
+
+  // Switch event types on or off - event types left out keep their setting
+  router.put('/notifications/preferences', verifyAuthToken, validateBody('notificationPreferencesUpdate'), audit('user', { id: req => req.decoded.uid }), async (req, res) => {
+    const { preferences } = req.body;
+
+    const changes = Object.fromEntries(
+      Object.entries(preferences).map(([event, enabled]) => [`notificationPreferences.${event}`, enabled])
+    );
+
+    const result = await repos.users.updateByUid(
+      req.decoded.uid,
+      { $set: { ...changes, updatedAt: new Date() } }
+    );
+
+    if (result.matchedCount === 0) {
+      throw new NotFoundError('User not found');
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      preferences: preferencesOf(await repos.users.findByUid(req.decoded.uid))
+    });
+  });
+
+  // Mark one notification read
+  router.patch('/notifications/:id/read', verifyAuthToken, audit('notification'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      throw new InvalidIdError('Invalid Notification ID format');
+    }
+
+    const filter = { _id: new ObjectId(id), userId: req.decoded.uid };
+    const notification = await notificationsCollection.findOne(filter);
+    if (!notification) {
+      throw new NotFoundError('Notification not found');
+    }
+
+    if (!notification.readAt) {
+      await notificationsCollection.updateOne(filter, { $set: { readAt: new Date() } });
+    }
+
+    res.json({
+      success: true,
+      notification: await notificationsCollection.findOne(filter)
+    });
+  });
+
+  return router;
+};
+
+module.exports = { createNotificationsRouter };
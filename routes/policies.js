@@ -0,0 +1,383 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { calculateQuote, QUOTE_TTL_MS } = require('../services/quoteEngine');
+const { parseCatalogFilters, searchCatalog } = require('../services/policySearch');
+const { parseApplicantProfile, checkEligibility, eligibilityQuery } = require('../services/eligibility');
+const { termsErrors, ensureVersioned, createPolicyVersion, diffVersions } = require('../services/policyVersions');
+const { archiveEntity, restoreEntity } = require('../services/archival');
+const { NOT_ARCHIVED } = require('../repositories');
+const { actorFrom } = require('../services/permissions');
+const {
+  ValidationError,
+  InvalidIdError,
+  NotFoundError,
+  ConflictError,
+  httpError
+} = require('../services/errors');
+
+// Policy catalog, premium quotes and policy administration
+const createPoliciesRouter = ({
+  repos,
+  quotesCollection,
+  contractsCollection,
+  policyVersionsCollection,
+  verifyAuthToken,
+  authorize,
+  validateBody,
+  audit,
+  refreshPolicyVersions
+}) => {
+  const router = express.Router();
+
+  // A policy for the version routes - recording version 1 for policies that predate versioning
+  const findPolicyForVersions = async (id) => {
+    if (!ObjectId.isValid(id)) {
+      throw new InvalidIdError('Invalid Policy ID format');
+    }
+    await refreshPolicyVersions();
+    const policy = await repos.policies.findById(id);
+    if (!policy) {
+      throw new NotFoundError('Policy not found');
+    }
+    return ensureVersioned({ policiesCollection: repos.policies.collection, policyVersionsCollection, policy });
+  };
+
+  
+  // 1. ADD POLICY (CREATE)
+  router.post('/policies', verifyAuthToken, authorize('policies:write'), validateBody('policyCreate'), audit('policy', { fromResponse: 'policy' }), async (req, res) => {
+    const policyData = req.body;
+
+    // Simple validation - just check required fields
+    const required = ['title', 'category', 'description', 'minAge', 'maxAge', 'coverageMin', 'coverageMax', 'basePremium'];
+    const missing = required.filter(field => !policyData[field]);
+    
+    if (missing.length > 0) {
+      throw new ValidationError(`Missing required fields: ${missing.join(', ')}`);
+    }
+    // Bounds the body schema can't compare with each other
+    const boundsErrors = termsErrors(policyData);
+    if (boundsErrors.length > 0) {
+      throw new ValidationError('Invalid policy terms', { errors: boundsErrors });
+    }
+
+    // Create new policy with defaults
+    const newPolicy = {
+      ...policyData,
+      minAge: parseInt(policyData.minAge),
+      maxAge: parseInt(policyData.maxAge),
+      coverageMin: parseFloat(policyData.coverageMin),
+      coverageMax: parseFloat(policyData.coverageMax),
+      basePremium: parseFloat(policyData.basePremium),
+      duration: policyData.duration || "",
+      imageUrl: policyData.imageUrl || "",
+      applicationsCount: 0,
+      createdBy: req.user.uid,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    const inserted = await repos.policies.insert(newPolicy);
+
+    // Version 1 - every later edit adds a version instead of changing these terms
+    const policy = await ensureVersioned({
+      policiesCollection: repos.policies.collection,
+      policyVersionsCollection,
+      policy: inserted,
+      actor: actorFrom(req)
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Policy created successfully',
+      policy
+    });
+  });
+
+  // 2. GET ALL POLICIES (READ) - search, facet filters, sorting and pagination
+  router.get('/policies', async (req, res) => {
+    const { 
+      search,           // Free text over title, category, benefits and description
+      sortBy,           // Sort field - "relevance" by default when searching, otherwise createdAt
+      sortOrder = 'desc',   // Sort order (asc/desc)
+      page = 1,        // Page number for pagination
+      limit = 10       // Items per page
+    } = req.query;
+
+    // 📂 Facet filters: category, premium, coverage, ageBand (comma-separated values)
+    const { filters, errors: filterErrors = [] } = parseCatalogFilters(req.query);
+    // 🎯 Applicant profile: age, desiredCoverage, budget (monthly), smoker
+    const { profile, errors: profileErrors = [] } = parseApplicantProfile(req.query);
+    if (filterErrors.length > 0 || profileErrors.length > 0) {
+      throw new ValidationError('Invalid policy filters', { errors: [...filterErrors, ...profileErrors] });
+    }
+
+    await refreshPolicyVersions();
+
+    // With a profile, only policies the applicant qualifies for are listed, each with an estimated premium
+    const eligible = profile ? await eligibilityQuery(repos.policies.collection, profile, NOT_ARCHIVED) : {};
+
+    //  Pagination setup
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.max(parseInt(limit) || 10, 1);
+
+    // 🔍 Ranked search over the catalog, with the facet filters and counts - see services/policySearch.js.
+    // Archived policies are out of it; a search with no usable words (e.g. "*") is not ranked
+    const { policies: found, total: totalPolicies, facets, sortBy: sortField } = await searchCatalog(repos.policies.collection, {
+      search,
+      filter: { ...NOT_ARCHIVED, ...eligible },
+      filters,
+      sortBy,
+      sortOrder,
+      skip: (pageNum - 1) * limitNum,
+      limit: limitNum
+    });
+
+    const policies = profile
+      ? found.map(policy => ({ ...policy, estimatedPremium: checkEligibility(policy, profile).estimate }))
+      : found;
+    const totalPages = Math.ceil(totalPolicies / limitNum);
+
+    // 📋 Response with pagination info and facet counts for the filter chips
+    res.json({
+      success: true,
+      policies,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalPolicies,
+        hasNext: pageNum < totalPages,
+        hasPrev: pageNum > 1,
+        limit: limitNum
+      },
+      facets,
+      filters: {
+        search: search || null,
+        category: req.query.category || null,
+        premium: req.query.premium || null,
+        coverage: req.query.coverage || null,
+        ageBand: req.query.ageBand || null,
+        eligibility: profile,
+        sortBy: sortField,
+        sortOrder: sortOrder
+      }
+    });
+  });
+
+  // 🔥 TOP POLICIES ENDPOINT (for frontend) - MUST BE BEFORE /:id route
+  router.get('/policies/top-policies', async (req, res) => {
+    await refreshPolicyVersions();
+    const policies = await repos.policies.find(NOT_ARCHIVED, { sort: { applicationsCount: -1 }, limit: 6 });
+
+    res.json({
+      success: true,
+      message: 'Top policies retrieved successfully',
+      policies
+    });
+  });
+
+  // 3. GET SINGLE POLICY (READ) - archived policies still resolve, for existing contracts
+  router.get('/policies/:id', async (req, res) => {
+    const { id } = req.params;
+    await refreshPolicyVersions();
+    const policy = await repos.policies.findOne({ 
+      _id: new ObjectId(id)
+    });
+
+    if (!policy) {
+      throw new NotFoundError('Policy not found');
+    }
+
+    res.json({
+      success: true,
+      policy
+    });
+  });
+
+  // GET PREMIUM QUOTE for a policy (saved with an expiry so payments can be traced back to it)
+  router.post('/policies/:id/quote', verifyAuthToken, validateBody('quoteRequest'), audit('quote', { id: () => null, fromResponse: 'quote' }), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      throw new InvalidIdError('Invalid Policy ID format');
+    }
+
+    await refreshPolicyVersions();
+    const policy = await repos.policies.findById(id);
+
+    if (!policy) {
+      throw new NotFoundError('Policy not found');
+    }
+
+    if (policy.archivedAt) {
+      throw httpError(410, 'Policy is no longer offered');
+    }
+
+    const result = calculateQuote(policy, req.body);
+
+    if (result.errors) {
+      throw new ValidationError('Invalid quote request', { errors: result.errors });
+    }
+
+    const newQuote = {
+      ...result,
+      policyId: policy._id,
+      policyName: policy.title,
+      userId: req.decoded.uid,
+      paymentIntentIds: [],
+      expiresAt: new Date(Date.now() + QUOTE_TTL_MS),
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    const insertResult = await quotesCollection.insertOne(newQuote);
+
+    res.status(201).json({
+      success: true,
+      message: 'Quote created successfully',
+      quote: { ...newQuote, _id: insertResult.insertedId }
+    });
+  });
+
+  // 4. EDIT POLICY (UPDATE) - adds a new version; see services/policyVersions.js
+  router.put('/policies/:id', verifyAuthToken, authorize('policies:write'), validateBody('policyUpdate'), audit('policy'), async (req, res) => {
+    const { id } = req.params;
+    const { effectiveFrom, note, ...changes } = req.body;
+
+    const policy = await repos.policies.findOne({ 
+      _id: new ObjectId(id) 
+    });
+
+    if (!policy) {
+      throw new NotFoundError('Policy not found');
+    }
+    if (policy.archivedAt) {
+      throw new ConflictError('Policy is archived. Restore it before changing its terms');
+    }
+
+    const { version, policy: updated } = await createPolicyVersion({
+      policiesCollection: repos.policies.collection,
+      policyVersionsCollection,
+      policy,
+      changes,
+      effectiveFrom,
+      note,
+      actor: actorFrom(req)
+    });
+
+    res.json({
+      success: true,
+      message: version.appliedAt
+        ? `Policy updated to version ${version.version}`
+        : `Version ${version.version} scheduled to take effect on ${version.effectiveFrom.toISOString()}`,
+      policy: updated,
+      version
+    });
+  });
+
+  // ADMIN - version history of a policy, newest first
+  router.get('/admin/policies/:id/versions', verifyAuthToken, authorize('policies:write'), async (req, res) => {
+    const policy = await findPolicyForVersions(req.params.id);
+
+    const versions = await policyVersionsCollection
+      .find({ policyId: policy._id })
+      .sort({ version: -1 })
+      .toArray();
+
+    res.json({
+      success: true,
+      currentVersion: policy.currentVersion,
+      versions
+    });
+  });
+
+  // ADMIN - what changed between two versions (?from=&to=, default: the latest version against the one before)
+  router.get('/admin/policies/:id/versions/diff', verifyAuthToken, authorize('policies:write'), async (req, res) => {
+    const policy = await findPolicyForVersions(req.params.id);
+
+    const latest = await policyVersionsCollection.findOne({ policyId: policy._id }, { sort: { version: -1 } });
+    const to = req.query.to === undefined ? latest.version : Number(req.query.to);
+    const from = req.query.from === undefined ? to - 1 : Number(req.query.from);
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < 1) {
+      throw new ValidationError('from and to must be version numbers');
+    }
+
+    const [fromVersion, toVersion] = await Promise.all([
+      policyVersionsCollection.findOne({ policyId: policy._id, version: from }),
+      policyVersionsCollection.findOne({ policyId: policy._id, version: to })
+    ]);
+    if (!fromVersion || !toVersion) {
+      throw new NotFoundError(`Version ${fromVersion ? to : from} not found`);
+    }
+
+    res.json({
+      success: true,
+      from: fromVersion,
+      to: toVersion,
+      changes: diffVersions(fromVersion, toVersion)
+    });
+  });
+
+  // 5. DELETE POLICY - archives it; ?cascade=true surrenders contracts still in force
+  router.delete('/policies/:id', verifyAuthToken, authorize('policies:write'), audit('policy'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      throw new InvalidIdError('Invalid Policy ID format');
+    }
+
+    const policyId = new ObjectId(id);
+    const { entity, surrendered } = await archiveEntity({
+      repository: repos.policies,
+      filter: { _id: policyId },
+      label: 'Policy',
+      contractsCollection,
+      contractFilter: { policyId },
+      cascade: req.query.cascade === 'true',
+      actor: actorFrom(req),
+      reason: 'Policy withdrawn from sale'
+    });
+
+    res.json({
+      success: true,
+      message: 'Policy archived successfully',
+      policy: entity,
+      surrenderedContracts: surrendered
+    });
+  });
+
+  // ADMIN - archived policies, most recently archived first
+  router.get('/admin/policies/archived', verifyAuthToken, authorize('policies:write'), async (req, res) => {
+    const policies = await repos.policies.find({ archivedAt: { $ne: null } }, { sort: { archivedAt: -1 } });
+
+    res.json({
+      success: true,
+      policies
+    });
+  });
+
+  // ADMIN - put an archived policy back in the catalog
+  router.patch('/admin/policies/:id/restore', verifyAuthToken, authorize('policies:write'), audit('policy'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      throw new InvalidIdError('Invalid Policy ID format');
+    }
+
+    const policy = await restoreEntity({
+      repository: repos.policies,
+      filter: { _id: new ObjectId(id) },
+      label: 'Policy',
+      actor: actorFrom(req)
+    });
+
+    res.json({
+      success: true,
+      message: 'Policy restored successfully',
+      policy
+    });
+  });
+
+  return router;
+};
+
+module.exports = { createPoliciesRouter };
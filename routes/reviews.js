@@ -0,0 +1,97 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { ValidationError } = require('../services/errors');
+
+// Policy reviews
+const createReviewsRouter = ({
+  repos,
+  verifyAuthToken,
+  validateBody,
+  audit
+}) => {
+  const router = express.Router();
+
+  // Submit review for a policy
+  router.post('/reviews', verifyAuthToken, validateBody('reviewCreate'), audit('review', { fromResponse: 'review' }), async (req, res) => {
+    const reviewData = req.body;
+    
+    // Validation
+    if (!reviewData.rating || !reviewData.feedback || !reviewData.policyId || !reviewData.userId) {
+      throw new ValidationError('Rating, feedback, policy ID, and user ID are required');
+    }
+
+    if (reviewData.rating < 1 || reviewData.rating > 5) {
+      throw new ValidationError('Rating must be between 1 and 5');
+    }
+
+    // Check if user already reviewed this policy
+    const existingReview = await repos.reviews.findOne({
+      userId: reviewData.userId,
+      policyId: reviewData.policyId
+    });
+
+    if (existingReview) {
+      throw new ValidationError('You have already reviewed this policy');
+    }
+
+    // Create new review
+    const newReview = {
+      ...reviewData,
+      policyId: new ObjectId(reviewData.policyId),
+      rating: parseInt(reviewData.rating),
+      isApproved: true,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    const review = await repos.reviews.insert(newReview);
+
+    res.status(201).json({
+      success: true,
+      message: 'Review submitted successfully',
+      review
+    });
+  });
+
+  // GET all reviews (for display on website)
+  router.get('/reviews', async (req, res) => {
+    const { policyId, limit = 10 } = req.query;
+    let query = { isApproved: true };
+    if (policyId) {
+      query.policyId = new ObjectId(policyId);
+    }
+
+    // Fetch reviews
+    const reviews = await repos.reviews.find(query, { sort: { createdAt: -1 }, limit: parseInt(limit) });
+
+    // Attach user info and policy name
+    const reviewsWithUser = await Promise.all(
+      reviews.map(async (review) => {
+        // Get user info
+        let user = null;
+        if (review.userId) {
+          user = await repos.users.findByUid(review.userId);
+        }
+        // Get policy info
+        let policy = null;
+        if (review.policyId) {
+          policy = await repos.policies.findOne({ _id: review.policyId });
+        }
+        return {
+          ...review,
+          user: user ? { uid: user.uid, displayName: user.displayName, photoURL: user.photoURL } : null,
+          policy: policy ? { _id: policy._id, title: policy.title } : null
+        };
+      })
+    );
+
+    res.json({
+      success: true,
+      reviews: reviewsWithUser
+    });
+  });
+
+  return router;
+};
+
+module.exports = { createReviewsRouter };
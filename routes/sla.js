@@ -0,0 +1,112 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { loadSlaSettings, saveSlaSettings, breachCounts } = require('../services/applicationSla');
+const { InvalidIdError, NotFoundError, ConflictError } = require('../services/errors');
+
+// Which escalations GET /admin/sla/escalations returns for each ?state=
+const ESCALATION_FILTERS = {
+  open: { resolvedAt: null, acknowledgedAt: null },
+  acknowledged: { resolvedAt: null, acknowledgedAt: { $ne: null } },
+  resolved: { resolvedAt: { $ne: null } },
+  all: {}
+};
+
+// Application SLA targets and the escalations raised when they are breached
+const createSlaRouter = ({
+  repos,
+  slaSettingsCollection,
+  slaEscalationsCollection,
+  verifyAuthToken,
+  authorize,
+  validateBody,
+  audit,
+  checkApplicationSlas
+}) => {
+  const router = express.Router();
+
+  // ADMIN ONLY - SLA targets and the applications currently in breach
+  router.get('/admin/sla', verifyAuthToken, authorize('applications:assign'), async (req, res) => {
+    res.json({
+      success: true,
+      settings: await loadSlaSettings(slaSettingsCollection),
+      breaches: await breachCounts(repos.applications.collection),
+      openEscalations: await slaEscalationsCollection.countDocuments(ESCALATION_FILTERS.open)
+    });
+  });
+
+  // ADMIN ONLY - Change the SLA targets. Applications already in breach stay
+  // marked until their status changes
+  router.put('/admin/sla/settings', verifyAuthToken, authorize('applications:assign'), validateBody('slaSettingsUpdate'), audit('slaSettings', { id: () => 'default' }), async (req, res) => {
+    const { targetHours, atRiskRatio, escalate } = req.body;
+    const current = await loadSlaSettings(slaSettingsCollection);
+
+    const changes = {};
+    if (targetHours !== undefined) changes.targetHours = { ...current.targetHours, ...targetHours };
+    if (atRiskRatio !== undefined) changes.atRiskRatio = atRiskRatio;
+    if (escalate !== undefined) changes.escalate = escalate;
+
+    await saveSlaSettings(slaSettingsCollection, { ...changes, updatedBy: req.user.uid });
+
+    res.json({
+      success: true,
+      message: 'SLA settings updated successfully',
+      settings: await loadSlaSettings(slaSettingsCollection)
+    });
+  });
+
+  // ADMIN ONLY - Run the SLA check now instead of waiting for the scheduler
+  router.post('/admin/sla/run', verifyAuthToken, authorize('applications:assign'), audit('slaRun'), async (req, res) => {
+    const result = await checkApplicationSlas();
+
+    res.json({
+      success: true,
+      message: `${result.breached} application(s) breached their SLA, ${result.escalated} escalated`,
+      ...result
+    });
+  });
+
+  // ADMIN ONLY - Escalations, newest first. ?state=open|acknowledged|resolved|all (default open)
+  router.get('/admin/sla/escalations', verifyAuthToken, authorize('applications:assign'), async (req, res) => {
+    const { state = 'open' } = req.query;
+    const filter = ESCALATION_FILTERS[state] || ESCALATION_FILTERS.open;
+
+    const escalations = await slaEscalationsCollection
+      .find(filter)
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    res.json({ success: true, escalations });
+  });
+
+  // ADMIN ONLY - Acknowledge an escalation - it stays listed until the application moves on
+  router.patch('/admin/sla/escalations/:id/acknowledge', verifyAuthToken, authorize('applications:assign'), audit('slaEscalation'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      throw new InvalidIdError('Invalid Escalation ID format');
+    }
+
+    const escalation = await slaEscalationsCollection.findOne({ _id: new ObjectId(id) });
+    if (!escalation) {
+      throw new NotFoundError('Escalation not found');
+    }
+    if (escalation.acknowledgedAt) {
+      throw new ConflictError('Escalation is already acknowledged');
+    }
+
+    await slaEscalationsCollection.updateOne(
+      { _id: escalation._id },
+      { $set: { acknowledgedAt: new Date(), acknowledgedBy: req.user.uid } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Escalation acknowledged',
+      escalation: await slaEscalationsCollection.findOne({ _id: escalation._id })
+    });
+  });
+
+  return router;
+};
+
+module.exports = { createSlaRouter };
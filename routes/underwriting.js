@@ -0,0 +1,97 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const {
+  RULE_SET_NAME,
+  FACTORS,
+  OPERATORS,
+  DEFAULT_RULE_SET,
+  validateRuleSet,
+  loadRuleSet
+} = require('../services/underwriting');
+const { ValidationError, InvalidIdError, NotFoundError } = require('../services/errors');
+
+// Underwriting rule set administration and re-scoring
+const createUnderwritingRouter = ({
+  repos,
+  underwritingRulesCollection,
+  verifyAuthToken,
+  authorize,
+  validateBody,
+  audit,
+  underwriteApplication
+}) => {
+  const router = express.Router();
+
+  // ADMIN ONLY - Current rule set, plus the factors and operators a rule can use
+  router.get('/admin/underwriting/rules', verifyAuthToken, authorize('underwriting:manage'), async (req, res) => {
+    const ruleSet = await loadRuleSet(underwritingRulesCollection);
+
+    res.json({
+      success: true,
+      ruleSet,
+      factors: FACTORS,
+      operators: OPERATORS
+    });
+  });
+
+  // ADMIN ONLY - Replace the rule set. Applications keep the score they were given
+  // until they are re-scored below
+  router.put('/admin/underwriting/rules', verifyAuthToken, authorize('underwriting:manage'), validateBody('underwritingRulesUpdate'), audit('underwritingRules', { id: () => RULE_SET_NAME }), async (req, res) => {
+    const { rules, thresholds, occupationClasses } = req.body;
+
+    const errors = validateRuleSet({ rules, thresholds });
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid rule set', { errors });
+    }
+
+    const current = await loadRuleSet(underwritingRulesCollection);
+
+    await underwritingRulesCollection.updateOne(
+      { _id: RULE_SET_NAME },
+      {
+        $set: {
+          name: RULE_SET_NAME,
+          rules,
+          thresholds,
+          occupationClasses: occupationClasses || current.occupationClasses || DEFAULT_RULE_SET.occupationClasses,
+          version: (current.version || 0) + 1,
+          updatedAt: new Date(),
+          updatedBy: req.user.uid
+        }
+      },
+      { upsert: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Underwriting rules updated successfully',
+      ruleSet: await loadRuleSet(underwritingRulesCollection)
+    });
+  });
+
+  // ADMIN ONLY - Score an application again with the current rules
+  router.post('/admin/applications/:id/underwriting', verifyAuthToken, authorize('underwriting:manage'), audit('application'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      throw new InvalidIdError('Invalid Application ID format');
+    }
+
+    const application = await repos.applications.findById(id);
+    if (!application) {
+      throw new NotFoundError('Application not found');
+    }
+
+    const underwriting = await underwriteApplication(application);
+
+    res.json({
+      success: true,
+      message: `Application scored ${underwriting.score} (${underwriting.riskClass})`,
+      underwriting
+    });
+  });
+
+  return router;
+};
+
+module.exports = { createUnderwritingRouter };
@@ -0,0 +1,173 @@
+const express = require('express');
+const { ValidationError, ForbiddenError, NotFoundError } = require('../services/errors');
+
+// User accounts and profiles
+const createUsersRouter = ({
+  repos,
+  authorization,
+  verifyAuthToken,
+  requireOwnership,
+  validateBody,
+  audit,
+  userOwnership
+}) => {
+  const router = express.Router();
+
+  // Create or update user profile
+  router.post('/users', validateBody('userUpsert'), audit('user', { id: req => req.body?.uid }), async (req, res) => {
+    const { uid, email, displayName, photoURL, provider = 'email' } = req.body;
+
+    if (!uid || !email) {
+      throw new ValidationError('UID and email are required');
+    }
+
+    // Check if user already exists
+    const existingUser = await repos.users.findByUid(uid);
+
+    if (existingUser?.archivedAt) {
+      throw new ForbiddenError('This account has been archived');
+    }
+
+    if (existingUser) {
+      // Update existing user
+      const updateData = {
+        email,
+        displayName,
+        photoURL,
+        lastLogin: new Date(),
+        updatedAt: new Date()
+      };
+
+      await repos.users.updateByUid(uid, { $set: updateData });
+      const updatedUser = await repos.users.findByUid(uid);
+      
+      return res.json({
+        success: true,
+        message: 'User profile updated successfully',
+        user: updatedUser
+      });
+    } else {
+      // Create new user with default customer role
+      const newUser = {
+        uid,
+        email,
+        displayName: displayName || email.split('@')[0],
+        photoURL: photoURL || null,
+        role: 'customer', // 🎯 This is the key line - automatic customer role
+        provider,
+        isActive: true,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+        lastLogin: new Date()
+      };
+
+      await repos.users.insert(newUser);
+      
+      return res.status(201).json({
+        success: true,
+        message: 'User created successfully with customer role',
+        user: newUser
+      });
+    }
+  });
+
+  
+  // 1. GET USER PROFILE
+  router.get('/users/:uid', verifyAuthToken, requireOwnership(userOwnership('uid'), { permission: 'users:read' }), async (req, res) => {
+    const user = await repos.users.findByUid(req.params.uid);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    res.json({ success: true, user });
+  });
+
+  // 2. UPDATE USER PROFILE (Super Simple)
+  router.patch('/users/:uid/profile', verifyAuthToken, requireOwnership(userOwnership('uid'), { permission: 'users:manage', allowAgents: false }), validateBody('profileUpdate'), audit('user', { param: 'uid' }), async (req, res) => {
+    const { displayName, photoURL } = req.body;
+
+    if (!displayName?.trim()) {
+      throw new ValidationError('Name is required');
+    }
+
+    await repos.users.updateByUid(
+      req.params.uid,
+      { $set: { displayName: displayName.trim(), photoURL, updatedAt: new Date() } }
+    );
+
+    const user = await repos.users.findByUid(req.params.uid);
+
+    res.json({ success: true, message: 'Profile updated', user });
+  });
+
+  // 3. UPDATE LAST LOGIN
+  router.patch('/users/:uid/last-login', verifyAuthToken, requireOwnership(userOwnership('uid'), { allowAgents: false }), audit('user', { param: 'uid' }), async (req, res) => {
+    const result = await repos.users.updateByUid(
+      req.params.uid,
+      { $set: { lastLogin: new Date() } }
+    );
+    if (result.matchedCount === 0) {
+      throw new NotFoundError('User not found');
+    }
+    res.json({ success: true, message: 'Last login updated' });
+  });
+
+  // PROTECTED PROFILE ROUTTE - Get User Profile (auth token only)
+  router.get('/profile', verifyAuthToken, async (req, res) => {
+    const user = await repos.users.findByUid(req.decoded.uid);
+    
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    res.json({
+      success: true,
+      user: {
+        uid: user.uid,
+        email: user.email,
+        displayName: user.displayName,
+        photoURL: user.photoURL,
+        role: user.role,
+        // Lets the client show or hide features per permission
+        permissions: [...await authorization.permissionsFor(user)],
+        createdAt: user.createdAt,
+        lastLogin: user.lastLogin
+      }
+    });
+  });
+
+  // PROTECTED PROFILE UPDATE - Update User Profile (auth token only)
+  router.patch('/profile', verifyAuthToken, validateBody('profileUpdate'), audit('user', { id: req => req.decoded.uid }), async (req, res) => {
+    const { displayName, photoURL } = req.body;
+
+    if (!displayName?.trim()) {
+      throw new ValidationError('Display name is required');
+    }
+
+    const result = await repos.users.updateByUid(
+      req.decoded.uid,
+      { 
+        $set: { 
+          displayName: displayName.trim(), 
+          photoURL, 
+          updatedAt: new Date() 
+        } 
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      throw new NotFoundError('User not found');
+    }
+
+    const updatedUser = await repos.users.findByUid(req.decoded.uid);
+
+    res.json({ 
+      success: true, 
+      message: 'Profile updated successfully', 
+      user: updatedUser 
+    });
+  });
+
+  return router;
+};
+
+module.exports = { createUsersRouter };
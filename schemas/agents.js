@@ -0,0 +1,53 @@
+const { STRATEGIES } = require('../services/agentAssignment');
+
+// Request body schemas for agent applications and agent assignment
+
+const agentApplication = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    experience: { type: ['number', 'string'], minimum: 0, maxLength: 500 },
+    qualifications: { type: 'string', maxLength: 2000 },
+    reason: { type: 'string', maxLength: 2000 },
+    specialties: { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 100 } }
+  }
+};
+
+const agentApplicationDecision = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['action'],
+  properties: {
+    action: { type: 'string', enum: ['approve', 'reject'] },
+    feedback: { type: 'string', maxLength: 2000 }
+  }
+};
+
+const assignmentSettingsUpdate = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    enabled: { type: 'boolean' },
+    strategy: { type: 'string', enum: STRATEGIES },
+    defaultCapacity: { type: 'integer', minimum: 0, maximum: 1000 }
+  }
+};
+
+// capacity: null goes back to the default capacity. reassign moves open
+// applications to other agents when the agent is deactivated
+const agentAssignmentUpdate = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    active: { type: 'boolean' },
+    capacity: { type: 'integer', minimum: 0, maximum: 1000, nullable: true },
+    reassign: { type: 'boolean' }
+  }
+};
+
+module.exports = {
+  agentApplication,
+  agentApplicationDecision,
+  assignmentSettingsUpdate,
+  agentAssignmentUpdate
+};
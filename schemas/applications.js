@@ -0,0 +1,106 @@
+const { FREQUENCIES } = require('../services/quoteEngine');
+
+// Request body schemas for policy application routes
+
+const APPLICATION_STATUSES = ['pending', 'approved', 'rejected', 'processing'];
+
+const applicationCreate = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['policyId'],
+  properties: {
+    policyId: { type: 'string', format: 'objectId' },
+    quoteId: { type: 'string', format: 'objectId' },
+    frequency: { type: 'string', enum: Object.keys(FREQUENCIES) },
+    coverageAmount: { type: 'number', minimum: 0 },
+    term: { type: 'integer', minimum: 1, maximum: 40 },
+
+    // Applicant
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    email: { type: 'string', format: 'email' },
+    phone: { type: 'string', maxLength: 30 },
+    address: { type: 'string', maxLength: 500 },
+    nid: { type: 'string', maxLength: 50 },
+    dateOfBirth: { type: 'string', format: 'date-time' },
+    age: { type: 'integer', minimum: 0, maximum: 120 },
+    gender: { type: 'string', maxLength: 30 },
+    occupation: { type: 'string', maxLength: 100 },
+    annualIncome: { type: 'number', minimum: 0 },
+
+    // Health declaration
+    smoker: { type: 'boolean' },
+    heightCm: { type: 'number', minimum: 30, maximum: 272 },
+    weightKg: { type: 'number', minimum: 1, maximum: 500 },
+    healthDisclosure: { type: 'array', maxItems: 50, items: { type: 'string', maxLength: 200 } },
+
+    // Nominee
+    nomineeName: { type: 'string', maxLength: 100 },
+    nomineeRelationship: { type: 'string', maxLength: 50 },
+    nomineePhone: { type: 'string', maxLength: 30 }
+  }
+};
+
+const applicationStatusUpdate = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['status'],
+  properties: {
+    status: { type: 'string', enum: APPLICATION_STATUSES }
+  }
+};
+
+const adminApplicationStatusUpdate = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['status'],
+  properties: {
+    status: { type: 'string', enum: APPLICATION_STATUSES },
+    assignedAgent: { type: 'string', minLength: 1 }
+  }
+};
+
+const agentAssignment = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['agentId'],
+  properties: {
+    agentId: { type: 'string', minLength: 1 }
+  }
+};
+
+const applicationRejection = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    reason: { type: 'string', maxLength: 2000 }
+  }
+};
+
+// Hours an application may stay in each open status; null removes the target
+const slaTarget = { type: 'number', minimum: 1, maximum: 8760, nullable: true };
+
+const slaSettingsUpdate = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    targetHours: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        pending: slaTarget,
+        processing: slaTarget
+      }
+    },
+    atRiskRatio: { type: 'number', minimum: 0.1, maximum: 1 },
+    escalate: { type: 'boolean' }
+  }
+};
+
+module.exports = {
+  applicationCreate,
+  applicationStatusUpdate,
+  adminApplicationStatusUpdate,
+  agentAssignment,
+  applicationRejection,
+  slaSettingsUpdate
+};
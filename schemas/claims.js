@@ -0,0 +1,61 @@
+const { CLAIM_TYPES } = require('../services/claims');
+const { CONTRACT_STATUSES } = require('../services/contracts');
+
+// Request body schemas for claim and contract routes
+
+const claimCreate = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['policyId', 'reason'],
+  properties: {
+    policyId: { type: 'string', format: 'objectId' },
+    reason: { type: 'string', minLength: 1, maxLength: 5000 },
+    claimType: { type: 'string', enum: CLAIM_TYPES }
+  }
+};
+
+const claimMessage = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['message'],
+  properties: {
+    message: { type: 'string', minLength: 1, maxLength: 5000 }
+  }
+};
+
+const claimApproval = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['payoutAmount'],
+  properties: {
+    payoutAmount: { type: 'number', minimum: 0.01 },
+    note: { type: 'string', maxLength: 2000 }
+  }
+};
+
+const claimDenial = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['reason'],
+  properties: {
+    reason: { type: 'string', minLength: 1, maxLength: 2000 }
+  }
+};
+
+const contractStatusUpdate = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['status', 'reason'],
+  properties: {
+    status: { type: 'string', enum: CONTRACT_STATUSES },
+    reason: { type: 'string', minLength: 1, maxLength: 2000 }
+  }
+};
+
+module.exports = {
+  claimCreate,
+  claimMessage,
+  claimApproval,
+  claimDenial,
+  contractStatusUpdate
+};
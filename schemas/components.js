@@ -0,0 +1,531 @@
+// Response-side entity schemas, published under components.schemas in /openapi.json.
+// Entities carry more fields than listed here; the listed ones are the contract.
+
+const id = { type: 'string', format: 'objectId' };
+const timestamp = { type: 'string', format: 'date-time' };
+const optionalTimestamp = { ...timestamp, nullable: true };
+
+// Error envelope sent by the error handler in services/errors.js
+const ErrorResponse = {
+  type: 'object',
+  required: ['success', 'code', 'message', 'requestId'],
+  properties: {
+    success: { type: 'boolean', enum: [false] },
+    code: { type: 'string' },
+    message: { type: 'string' },
+    requestId: { type: 'string' }
+  }
+};
+
+const ValidationErrorResponse = {
+  type: 'object',
+  required: ['success', 'code', 'message', 'requestId', 'errors'],
+  properties: {
+    success: { type: 'boolean', enum: [false] },
+    code: { type: 'string', enum: ['VALIDATION_FAILED'] },
+    message: { type: 'string' },
+    requestId: { type: 'string' },
+    errors: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['field', 'message'],
+        properties: {
+          field: { type: 'string' },
+          message: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+const Pagination = {
+  type: 'object',
+  required: ['currentPage', 'totalPages'],
+  properties: {
+    currentPage: { type: 'integer' },
+    totalPages: { type: 'integer' },
+    limit: { type: 'integer' }
+  }
+};
+
+const User = {
+  type: 'object',
+  required: ['uid', 'email'],
+  properties: {
+    uid: { type: 'string' },
+    email: { type: 'string' },
+    displayName: { type: 'string', nullable: true },
+    photoURL: { type: 'string', nullable: true },
+    role: { type: 'string' },
+    permissions: { type: 'array', items: { type: 'string' } },
+    createdAt: optionalTimestamp,
+    lastLogin: optionalTimestamp,
+    archivedAt: optionalTimestamp
+  }
+};
+
+const Policy = {
+  type: 'object',
+  required: ['_id', 'title', 'category', 'minAge', 'maxAge', 'coverageMin', 'coverageMax', 'basePremium'],
+  properties: {
+    _id: id,
+    title: { type: 'string' },
+    category: { type: 'string' },
+    description: { type: 'string' },
+    minAge: { type: 'number' },
+    maxAge: { type: 'number' },
+    coverageMin: { type: 'number' },
+    coverageMax: { type: 'number' },
+    basePremium: { type: 'number' },
+    duration: { type: 'string' },
+    imageUrl: { type: 'string' },
+    benefits: { type: 'array', items: { type: 'string' } },
+    applicationsCount: { type: 'number' },
+    currentVersion: { type: 'integer' },
+    currentVersionId: id,
+    effectiveFrom: timestamp,
+    // Set once the policy is archived - it then only resolves by ID
+    archivedAt: optionalTimestamp,
+    // Only in GET /policies results filtered by an applicant profile
+    estimatedPremium: {
+      type: 'object',
+      required: ['age', 'coverage', 'monthlyPremium', 'currency'],
+      properties: {
+        age: { type: 'integer' },
+        coverage: { type: 'number' },
+        smoker: { type: 'boolean' },
+        monthlyPremium: { type: 'number' },
+        currency: { type: 'string' }
+      }
+    }
+  }
+};
+
+// Immutable policy terms - see services/policyVersions.js
+const PolicyVersion = {
+  type: 'object',
+  required: ['_id', 'policyId', 'version', 'effectiveFrom', 'terms'],
+  properties: {
+    _id: id,
+    policyId: id,
+    version: { type: 'integer' },
+    effectiveFrom: timestamp,
+    terms: { type: 'object' },
+    note: { type: 'string', nullable: true },
+    createdBy: { type: 'string' },
+    createdAt: timestamp,
+    // null while the version is scheduled
+    appliedAt: optionalTimestamp
+  }
+};
+
+// Facet counts for the catalog filter chips - see services/policySearch.js
+const facetCounts = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['value', 'count'],
+    properties: {
+      value: { type: 'string' },
+      label: { type: 'string' },
+      count: { type: 'integer' }
+    }
+  }
+};
+
+const PolicyFacets = {
+  type: 'object',
+  required: ['category', 'premium', 'coverage', 'ageBand'],
+  properties: {
+    category: facetCounts,
+    premium: facetCounts,
+    coverage: facetCounts,
+    ageBand: facetCounts
+  }
+};
+
+const Quote = {
+  type: 'object',
+  required: ['_id', 'policyId', 'userId', 'premium', 'monthlyPremium', 'currency', 'expiresAt', 'inputs'],
+  properties: {
+    _id: id,
+    policyId: id,
+    userId: { type: 'string' },
+    inputs: {
+      type: 'object',
+      required: ['age', 'coverage', 'term', 'smoker', 'frequency'],
+      properties: {
+        age: { type: 'integer' },
+        coverage: { type: 'number' },
+        term: { type: 'integer' },
+        smoker: { type: 'boolean' },
+        frequency: { type: 'string' }
+      }
+    },
+    premium: { type: 'number' },
+    monthlyPremium: { type: 'number' },
+    currency: { type: 'string' },
+    expiresAt: timestamp
+  }
+};
+
+// Underwriting result stored on an application - see services/underwriting.js
+const Underwriting = {
+  type: 'object',
+  required: ['score', 'riskClass', 'firedRules', 'assessedAt'],
+  properties: {
+    score: { type: 'integer' },
+    riskClass: { type: 'string', enum: ['preferred', 'standard', 'substandard', 'decline'] },
+    firedRules: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'points'],
+        properties: {
+          id: { type: 'string' },
+          description: { type: 'string' },
+          points: { type: 'integer' },
+          decline: { type: 'boolean' }
+        }
+      }
+    },
+    factors: { type: 'object' },
+    ruleSetVersion: { type: 'integer', nullable: true },
+    assessedAt: timestamp
+  }
+};
+
+const UnderwritingRuleSet = {
+  type: 'object',
+  required: ['rules', 'thresholds'],
+  properties: {
+    version: { type: 'integer', nullable: true },
+    rules: { type: 'array', items: { type: 'object', required: ['id', 'factor', 'operator', 'points'] } },
+    thresholds: { type: 'object', required: ['preferred', 'standard', 'substandard'] },
+    occupationClasses: { type: 'array', items: { type: 'object', required: ['class', 'keywords'] } }
+  }
+};
+
+// Where an application stands against its SLA - see services/applicationSla.js
+const ApplicationSla = {
+  type: 'object',
+  required: ['status', 'hoursInStatus', 'state'],
+  properties: {
+    status: { type: 'string' },
+    since: optionalTimestamp,
+    hoursInStatus: { type: 'number' },
+    targetHours: { type: 'number', nullable: true },
+    dueAt: optionalTimestamp,
+    state: { type: 'string', enum: ['on-track', 'at-risk', 'breached', 'none'] },
+    breachedAt: optionalTimestamp,
+    escalatedAt: optionalTimestamp
+  }
+};
+
+const Application = {
+  type: 'object',
+  required: ['_id', 'policyId', 'userId'],
+  properties: {
+    _id: id,
+    policyId: id,
+    userId: { type: 'string' },
+    userEmail: { type: 'string' },
+    policyName: { type: 'string', nullable: true },
+    policyVersion: { type: 'integer', nullable: true },
+    policyVersionId: { ...id, nullable: true },
+    status: { type: 'string' },
+    assignedAgent: { type: 'string', nullable: true },
+    // Staff views only
+    underwriting: Underwriting,
+    statusChangedAt: optionalTimestamp,
+    // Staff list views only
+    sla: ApplicationSla,
+    createdAt: optionalTimestamp
+  }
+};
+
+const Installment = {
+  type: 'object',
+  required: ['_id', 'applicationId', 'sequence', 'amount', 'dueDate', 'status'],
+  properties: {
+    _id: id,
+    applicationId: id,
+    sequence: { type: 'integer' },
+    frequency: { type: 'string' },
+    amount: { type: 'number' },
+    dueDate: timestamp,
+    graceEndsAt: timestamp,
+    status: { type: 'string', enum: ['pending', 'overdue', 'lapsed', 'paid'] },
+    paidAt: optionalTimestamp
+  }
+};
+
+const Payment = {
+  type: 'object',
+  required: ['paymentIntentId', 'status'],
+  properties: {
+    _id: id,
+    paymentIntentId: { type: 'string' },
+    userId: { type: 'string', nullable: true },
+    policyId: { ...id, nullable: true },
+    amount: { type: 'number' },
+    status: { type: 'string' },
+    paymentDate: optionalTimestamp
+  }
+};
+
+const StatusChange = {
+  type: 'object',
+  required: ['to', 'at', 'actor'],
+  properties: {
+    from: { type: 'string', nullable: true },
+    to: { type: 'string' },
+    at: timestamp,
+    actor: { type: 'object', required: ['uid', 'role'] },
+    reason: { type: 'string' }
+  }
+};
+
+const Contract = {
+  type: 'object',
+  required: ['_id', 'contractNumber', 'applicationId', 'userId', 'policyId', 'status', 'statusHistory'],
+  properties: {
+    _id: id,
+    contractNumber: { type: 'string' },
+    applicationId: id,
+    userId: { type: 'string' },
+    policyId: id,
+    policyVersion: { type: 'integer', nullable: true },
+    policyVersionId: { ...id, nullable: true },
+    coverageAmount: { type: 'number' },
+    status: { type: 'string' },
+    issuedAt: timestamp,
+    statusHistory: { type: 'array', items: StatusChange }
+  }
+};
+
+const Claim = {
+  type: 'object',
+  required: ['_id', 'userId', 'policyId', 'status'],
+  properties: {
+    _id: id,
+    userId: { type: 'string' },
+    policyId: id,
+    contractId: id,
+    claimType: { type: 'string' },
+    reason: { type: 'string' },
+    status: { type: 'string' },
+    payoutAmount: { type: 'number' },
+    documents: { type: 'array' },
+    events: { type: 'array', items: { type: 'object', required: ['type', 'at', 'actor'] } }
+  }
+};
+
+const ClaimDocument = {
+  type: 'object',
+  required: ['documentId', 'name', 'mimeType', 'size', 'sha256'],
+  properties: {
+    documentId: id,
+    name: { type: 'string' },
+    mimeType: { type: 'string' },
+    size: { type: 'integer' },
+    sha256: { type: 'string' },
+    uploadedAt: timestamp
+  }
+};
+
+// Automatic agent assignment - see services/agentAssignment.js
+const AssignmentSettings = {
+  type: 'object',
+  required: ['enabled', 'strategy', 'defaultCapacity'],
+  properties: {
+    enabled: { type: 'boolean' },
+    strategy: { type: 'string', enum: ['round-robin', 'least-loaded', 'specialty'] },
+    defaultCapacity: { type: 'integer' },
+    lastAssignedAgent: { type: 'string', nullable: true }
+  }
+};
+
+const AgentWorkload = {
+  type: 'object',
+  required: ['uid', 'openApplications', 'capacity', 'active'],
+  properties: {
+    uid: { type: 'string' },
+    displayName: { type: 'string', nullable: true },
+    email: { type: 'string' },
+    specialties: { type: 'array', items: { type: 'string' } },
+    openApplications: { type: 'integer' },
+    capacity: { type: 'integer' },
+    active: { type: 'boolean' }
+  }
+};
+
+const SlaSettings = {
+  type: 'object',
+  required: ['targetHours', 'atRiskRatio', 'escalate'],
+  properties: {
+    targetHours: {
+      type: 'object',
+      properties: {
+        pending: { type: 'number', nullable: true },
+        processing: { type: 'number', nullable: true }
+      }
+    },
+    atRiskRatio: { type: 'number' },
+    escalate: { type: 'boolean' }
+  }
+};
+
+const SlaEscalation = {
+  type: 'object',
+  required: ['_id', 'applicationId', 'status', 'breachedAt', 'recipients'],
+  properties: {
+    _id: id,
+    applicationId: id,
+    userId: { type: 'string' },
+    policyName: { type: 'string', nullable: true },
+    assignedAgent: { type: 'string', nullable: true },
+    status: { type: 'string' },
+    targetHours: { type: 'number' },
+    dueAt: timestamp,
+    breachedAt: timestamp,
+    recipients: { type: 'array', items: { type: 'string' } },
+    acknowledgedAt: optionalTimestamp,
+    acknowledgedBy: { type: 'string', nullable: true },
+    resolvedAt: optionalTimestamp,
+    createdAt: timestamp
+  }
+};
+
+const Notification = {
+  type: 'object',
+  required: ['_id', 'userId', 'event', 'title', 'message', 'createdAt'],
+  properties: {
+    _id: id,
+    userId: { type: 'string' },
+    event: { type: 'string' },
+    title: { type: 'string' },
+    message: { type: 'string' },
+    data: { type: 'object' },
+    readAt: optionalTimestamp,
+    createdAt: timestamp
+  }
+};
+
+// { [event]: receives it }
+const NotificationPreferences = {
+  type: 'object',
+  additionalProperties: { type: 'boolean' }
+};
+
+// Outbox entry - see services/mailer.js
+const Email = {
+  type: 'object',
+  required: ['_id', 'template', 'to', 'subject', 'status', 'attempts'],
+  properties: {
+    _id: id,
+    template: { type: 'string' },
+    to: { type: 'string' },
+    userId: { type: 'string', nullable: true },
+    subject: { type: 'string' },
+    text: { type: 'string' },
+    html: { type: 'string' },
+    status: { type: 'string', enum: ['queued', 'sending', 'sent', 'failed'] },
+    attempts: { type: 'integer' },
+    nextAttemptAt: optionalTimestamp,
+    lastError: { type: 'string', nullable: true },
+    messageId: { type: 'string' },
+    sentAt: optionalTimestamp,
+    createdAt: timestamp
+  }
+};
+
+const Blog = {
+  type: 'object',
+  required: ['_id', 'title', 'content'],
+  properties: {
+    _id: id,
+    title: { type: 'string' },
+    content: { type: 'string' },
+    authorId: { type: 'string' },
+    authorName: { type: 'string' },
+    publishDate: optionalTimestamp
+  }
+};
+
+const Review = {
+  type: 'object',
+  required: ['_id', 'rating', 'feedback'],
+  properties: {
+    _id: id,
+    rating: { type: 'integer' },
+    feedback: { type: 'string' },
+    policyId: id,
+    userId: { type: 'string' }
+  }
+};
+
+const AuditLog = {
+  type: 'object',
+  required: ['_id', 'method', 'entityType', 'statusCode', 'timestamp'],
+  properties: {
+    _id: id,
+    actorUid: { type: 'string', nullable: true },
+    actorRole: { type: 'string' },
+    method: { type: 'string' },
+    route: { type: 'string', nullable: true },
+    entityType: { type: 'string' },
+    entityId: { type: 'string', nullable: true },
+    diff: { type: 'object' },
+    details: { type: 'object', nullable: true },
+    statusCode: { type: 'integer' },
+    ip: { type: 'string', nullable: true },
+    timestamp
+  }
+};
+
+const Role = {
+  type: 'object',
+  required: ['name', 'permissions', 'builtIn'],
+  properties: {
+    _id: { type: 'string' },
+    name: { type: 'string' },
+    description: { type: 'string' },
+    permissions: { type: 'array', items: { type: 'string' } },
+    builtIn: { type: 'boolean' },
+    userCount: { type: 'integer' }
+  }
+};
+
+module.exports = {
+  ErrorResponse,
+  ValidationErrorResponse,
+  Pagination,
+  User,
+  Policy,
+  PolicyVersion,
+  PolicyFacets,
+  Quote,
+  Underwriting,
+  UnderwritingRuleSet,
+  Application,
+  Installment,
+  Payment,
+  StatusChange,
+  Contract,
+  Claim,
+  ClaimDocument,
+  AssignmentSettings,
+  AgentWorkload,
+  ApplicationSla,
+  SlaSettings,
+  SlaEscalation,
+  Notification,
+  NotificationPreferences,
+  Email,
+  Blog,
+  Review,
+  AuditLog,
+  Role
+};
@@ -0,0 +1,42 @@
+// Request body schemas for blogs, reviews and the newsletter
+
+const blogCreate = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['title', 'content'],
+  properties: {
+    title: { type: 'string', minLength: 1, maxLength: 200 },
+    content: { type: 'string', minLength: 1, maxLength: 50000 }
+  }
+};
+
+const blogUpdate = blogCreate;
+
+const reviewCreate = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['rating', 'feedback', 'policyId', 'userId'],
+  properties: {
+    rating: { type: 'integer', minimum: 1, maximum: 5 },
+    feedback: { type: 'string', minLength: 1, maxLength: 2000 },
+    policyId: { type: 'string', format: 'objectId' },
+    userId: { type: 'string', minLength: 1 }
+  }
+};
+
+const newsletterSubscription = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['name', 'email'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    email: { type: 'string', format: 'email' }
+  }
+};
+
+module.exports = {
+  blogCreate,
+  blogUpdate,
+  reviewCreate,
+  newsletterSubscription
+};
@@ -0,0 +1,13 @@
+// All request body schemas by name - used by validateBody(name) and served at /schemas
+module.exports = {
+  ...require('./users'),
+  ...require('./policies'),
+  ...require('./applications'),
+  ...require('./payments'),
+  ...require('./claims'),
+  ...require('./content'),
+  ...require('./agents'),
+  ...require('./roles'),
+  ...require('./underwriting'),
+  ...require('./notifications')
+};
@@ -0,0 +1,19 @@
+const { NOTIFICATION_EVENT_NAMES } = require('../services/notifications');
+
+// Request body schemas for notification preferences
+
+// { [event]: true | false } - event types left out keep their setting
+const notificationPreferencesUpdate = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['preferences'],
+  properties: {
+    preferences: {
+      type: 'object',
+      additionalProperties: false,
+      properties: Object.fromEntries(NOTIFICATION_EVENT_NAMES.map(event => [event, { type: 'boolean' }]))
+    }
+  }
+};
+
+module.exports = { notificationPreferencesUpdate };
@@ -0,0 +1,28 @@
+// Request body schemas for payment routes
+
+const paymentIntentCreate = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    quoteId: { type: 'string', format: 'objectId' },
+    installmentId: { type: 'string', format: 'objectId' }
+  }
+};
+
+const paymentConfirmation = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['paymentIntentId'],
+  properties: {
+    paymentIntentId: { type: 'string', minLength: 1 },
+    // ignored - the policy, payer and amount are taken from the intent and the quote or installment it paid
+    policyId: { type: 'string', format: 'objectId' },
+    userId: { type: 'string', minLength: 1 },
+    amount: { type: 'number', minimum: 0 }
+  }
+};
+
+module.exports = {
+  paymentIntentCreate,
+  paymentConfirmation
+};
@@ -0,0 +1,54 @@
+const { FREQUENCIES } = require('../services/quoteEngine');
+
+// Request body schemas for policy catalog routes
+
+const policyProperties = {
+  title: { type: 'string', minLength: 1, maxLength: 200 },
+  category: { type: 'string', minLength: 1, maxLength: 100 },
+  description: { type: 'string', minLength: 1, maxLength: 5000 },
+  minAge: { type: 'integer', minimum: 0, maximum: 120 },
+  maxAge: { type: 'integer', minimum: 0, maximum: 120 },
+  coverageMin: { type: 'number', minimum: 0 },
+  coverageMax: { type: 'number', minimum: 0 },
+  basePremium: { type: 'number', minimum: 0 },
+  duration: { type: 'string', maxLength: 100 },
+  imageUrl: { type: 'string', maxLength: 2048 },
+  benefits: { type: 'array', maxItems: 50, items: { type: 'string', maxLength: 500 } }
+};
+
+const policyCreate = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['title', 'category', 'description', 'minAge', 'maxAge', 'coverageMin', 'coverageMax', 'basePremium'],
+  properties: policyProperties
+};
+
+// Every update is a new policy version - effectiveFrom defaults to now
+const policyUpdate = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    ...policyProperties,
+    effectiveFrom: { type: 'string', format: 'date-time' },
+    note: { type: 'string', maxLength: 500 }
+  }
+};
+
+const quoteRequest = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['age', 'coverage'],
+  properties: {
+    age: { type: 'integer', minimum: 0, maximum: 120 },
+    coverage: { type: 'number', minimum: 0 },
+    term: { type: 'integer', minimum: 1, maximum: 40 },
+    smoker: { type: 'boolean' },
+    frequency: { type: 'string', enum: Object.keys(FREQUENCIES) }
+  }
+};
+
+module.exports = {
+  policyCreate,
+  policyUpdate,
+  quoteRequest
+};
@@ -0,0 +1,233 @@
+const {
+  Pagination, User, Policy, PolicyVersion, PolicyFacets, Quote, Application, Installment, Payment,
+  Underwriting, UnderwritingRuleSet, AssignmentSettings, AgentWorkload, SlaSettings, SlaEscalation,
+  Notification, NotificationPreferences, Email,
+  Contract, Claim, ClaimDocument, Blog, Review, AuditLog, Role
+} = require('./components');
+
+// Success response schemas by "METHOD /path" (Express path syntax).
+// Routes not listed here are documented with the plain { success } envelope.
+
+const envelope = (properties = {}, required = []) => ({
+  type: 'object',
+  required: ['success', ...required],
+  properties: {
+    success: { type: 'boolean' },
+    message: { type: 'string' },
+    ...properties
+  }
+});
+
+const listOf = (field, item) => envelope({ [field]: { type: 'array', items: item } }, [field]);
+const one = (field, item) => envelope({ [field]: item }, [field]);
+
+const paymentIntent = envelope({
+  clientSecret: { type: 'string' },
+  paymentIntentId: { type: 'string' },
+  amount: { type: 'number' }
+}, ['clientSecret', 'paymentIntentId', 'amount']);
+
+const paymentStatus = listOf('payments', {
+  type: 'object',
+  required: ['_id', 'policyId', 'status', 'installments'],
+  properties: {
+    _id: { type: 'string', format: 'objectId' },
+    policyId: { type: 'string', format: 'objectId' },
+    policyName: { type: 'string', nullable: true },
+    amount: { type: 'number', nullable: true },
+    frequency: { type: 'string' },
+    dueDate: { type: 'string', format: 'date-time', nullable: true },
+    status: { type: 'string' },
+    nextInstallment: { ...Installment, nullable: true },
+    installments: { type: 'array', items: Installment }
+  }
+});
+
+const policyUpdated = envelope({ policy: Policy, version: PolicyVersion }, ['policy', 'version']);
+
+// DELETE on a policy or user archives it
+const archived = (field, item) => envelope(
+  { [field]: item, surrenderedContracts: { type: 'array', items: { type: 'string' } } },
+  [field, 'surrenderedContracts']
+);
+
+const stats = envelope({ stats: { type: 'object' } }, ['stats']);
+
+const responses = {
+  'GET /policies': envelope(
+    { policies: { type: 'array', items: Policy }, pagination: Pagination, facets: PolicyFacets },
+    ['policies', 'pagination', 'facets']
+  ),
+  'GET /policies/top-policies': listOf('policies', Policy),
+  'GET /policies/:id': one('policy', Policy),
+  'POST /policies': { status: 201, schema: one('policy', Policy) },
+  'PUT /policies/:id': policyUpdated,
+  'POST /policies/:id/quote': { status: 201, schema: one('quote', Quote) },
+  'POST /admin/policies': { status: 201, schema: one('policy', Policy) },
+  'PUT /admin/policies/:id': policyUpdated,
+  'DELETE /policies/:id': archived('policy', Policy),
+  'DELETE /admin/policies/:id': archived('policy', Policy),
+  'GET /admin/policies/archived': listOf('policies', Policy),
+  'PATCH /admin/policies/:id/restore': one('policy', Policy),
+  'GET /admin/policies/:id/versions': envelope(
+    { currentVersion: { type: 'integer' }, versions: { type: 'array', items: PolicyVersion } },
+    ['currentVersion', 'versions']
+  ),
+  'GET /admin/policies/:id/versions/diff': envelope({
+    from: PolicyVersion,
+    to: PolicyVersion,
+    changes: { type: 'object' }
+  }, ['from', 'to', 'changes']),
+
+  'GET /applications': listOf('applications', Application),
+  'GET /applications/user/:userId': listOf('applications', Application),
+  'GET /applications/:id': one('application', Application),
+  'GET /admin/applications': listOf('applications', Application),
+  'GET /admin/applications/:id': one('application', Application),
+  'GET /customer/applications': listOf('applications', Application),
+  'POST /customer/applications': { status: 201, schema: one('application', Application) },
+  'GET /agent/applications': listOf('applications', Application),
+  'GET /agent/assigned-applications': listOf('applications', Application),
+  'POST /admin/applications/:id/underwriting': one('underwriting', Underwriting),
+  'GET /admin/underwriting/rules': envelope({
+    ruleSet: UnderwritingRuleSet,
+    factors: { type: 'object' },
+    operators: { type: 'object' }
+  }, ['ruleSet', 'factors', 'operators']),
+  'PUT /admin/underwriting/rules': one('ruleSet', UnderwritingRuleSet),
+  'GET /admin/sla': envelope(
+    { settings: SlaSettings, breaches: { type: 'object' }, openEscalations: { type: 'integer' } },
+    ['settings', 'breaches', 'openEscalations']
+  ),
+  'PUT /admin/sla/settings': one('settings', SlaSettings),
+  'POST /admin/sla/run': envelope(
+    { breached: { type: 'integer' }, escalated: { type: 'integer' }, resolved: { type: 'integer' } },
+    ['breached', 'escalated', 'resolved']
+  ),
+  'GET /admin/sla/escalations': listOf('escalations', SlaEscalation),
+  'PATCH /admin/sla/escalations/:id/acknowledge': one('escalation', SlaEscalation),
+
+  'POST /create-payment-intent': paymentIntent,
+  'POST /customer/create-payment-intent': paymentIntent,
+  'GET /customer/payment-status': paymentStatus,
+  'GET /customer/payments': listOf('payments', Payment),
+  'GET /payments/user/:userId': listOf('payments', Payment),
+  'GET /admin/transactions': listOf('transactions', Payment),
+
+  'GET /customer/contracts': listOf('contracts', Contract),
+  'GET /customer/contracts/:id': one('contract', Contract),
+  'PATCH /customer/contracts/:id/status': one('contract', Contract),
+  'GET /agent/contracts': listOf('contracts', Contract),
+  'PATCH /agent/contracts/:id/status': one('contract', Contract),
+  'GET /admin/contracts': listOf('contracts', Contract),
+  'GET /admin/contracts/:id': one('contract', Contract),
+  'PATCH /admin/contracts/:id/status': one('contract', Contract),
+
+  'POST /customer/claims': { status: 201, schema: one('claim', Claim) },
+  'GET /customer/claims': listOf('claims', Claim),
+  'GET /customer/claims/:id': one('claim', Claim),
+  'POST /customer/claims/:id/reply': one('claim', Claim),
+  'GET /admin/claims': listOf('claims', Claim),
+  'GET /admin/claims/:id': one('claim', Claim),
+  'PATCH /admin/claims/:id/review': one('claim', Claim),
+  'PATCH /admin/claims/:id/request-info': one('claim', Claim),
+  'PATCH /admin/claims/:id/approve': one('claim', Claim),
+  'PATCH /admin/claims/:id/deny': one('claim', Claim),
+  'GET /agent/claims': listOf('claims', Claim),
+  'GET /agent/claims/:id': one('claim', Claim),
+  'PATCH /agent/claims/:id/review': one('claim', Claim),
+  'PATCH /agent/claims/:id/request-info': one('claim', Claim),
+  'PATCH /agent/claims/:id/approve': one('claim', Claim),
+  'PATCH /agent/claims/:id/deny': one('claim', Claim),
+  'POST /claims/:id/documents': { status: 201, schema: listOf('documents', ClaimDocument) },
+  'GET /claims/:id/documents/:documentId/url': envelope({
+    url: { type: 'string' },
+    expiresAt: { type: 'string', format: 'date-time' }
+  }, ['url', 'expiresAt']),
+
+  'GET /users/:uid': one('user', User),
+  'PATCH /users/:uid/profile': one('user', User),
+  'GET /profile': one('user', User),
+  'PATCH /profile': one('user', User),
+  'GET /admin/users': listOf('users', User),
+  'GET /admin/users/archived': listOf('users', User),
+  'DELETE /admin/users/:userId': archived('user', User),
+  'PATCH /admin/users/:userId/restore': one('user', User),
+  'GET /admin/agents': listOf('agents', User),
+  'GET /agents': listOf('agents', User),
+  'GET /admin/assignment': envelope(
+    { settings: AssignmentSettings, agents: { type: 'array', items: AgentWorkload } },
+    ['settings', 'agents']
+  ),
+  'PUT /admin/assignment/settings': one('settings', AssignmentSettings),
+
+  'GET /blogs': listOf('blogs', Blog),
+  'GET /agent/blogs': listOf('blogs', Blog),
+  'POST /agent/blogs': { status: 201, schema: one('blog', Blog) },
+  'GET /reviews': listOf('reviews', Review),
+  'POST /reviews': { status: 201, schema: one('review', Review) },
+
+  'GET /admin/audit-logs': envelope({ logs: { type: 'array', items: AuditLog }, pagination: Pagination }, ['logs', 'pagination']),
+
+  'GET /admin/permissions': listOf('permissions', {
+    type: 'object',
+    required: ['name', 'description'],
+    properties: { name: { type: 'string' }, description: { type: 'string' } }
+  }),
+  'GET /admin/roles': listOf('roles', Role),
+  'POST /admin/roles': { status: 201, schema: one('role', Role) },
+  'PUT /admin/roles/:name': one('role', Role),
+
+  'GET /notifications': envelope(
+    { notifications: { type: 'array', items: Notification }, pagination: Pagination },
+    ['notifications', 'pagination']
+  ),
+  'GET /notifications/unread-count': envelope({ count: { type: 'integer' } }, ['count']),
+  'PATCH /notifications/read-all': envelope({ updated: { type: 'integer' } }, ['updated']),
+  'PATCH /notifications/:id/read': one('notification', Notification),
+  'GET /notifications/preferences': envelope({
+    preferences: NotificationPreferences,
+    events: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['event', 'description'],
+        properties: { event: { type: 'string' }, description: { type: 'string' } }
+      }
+    }
+  }, ['preferences', 'events']),
+  'PUT /notifications/preferences': one('preferences', NotificationPreferences),
+
+  'GET /admin/emails': envelope(
+    { emails: { type: 'array', items: Email }, pagination: Pagination },
+    ['emails', 'pagination']
+  ),
+  'GET /admin/emails/templates': listOf('templates', {
+    type: 'object',
+    required: ['name', 'subject', 'placeholders'],
+    properties: {
+      name: { type: 'string' },
+      subject: { type: 'string' },
+      placeholders: { type: 'array', items: { type: 'string' } }
+    }
+  }),
+  'GET /admin/emails/:id': one('email', Email),
+  'POST /admin/emails/:id/retry': one('email', Email),
+
+  'GET /admin/dashboard-stats': stats,
+  'GET /agent/dashboard-stats': stats,
+  'GET /customer/dashboard-stats': stats
+};
+
+// Normalise shorthand entries to { status, schema }
+const normalised = Object.fromEntries(
+  Object.entries(responses).map(([route, entry]) => [
+    route,
+    entry.schema ? entry : { status: 200, schema: entry }
+  ])
+);
+
+module.exports = {
+  responses: normalised,
+  envelope
+};
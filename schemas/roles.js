@@ -0,0 +1,33 @@
+// Request body schemas for custom roles
+
+const permissionList = {
+  type: 'array',
+  minItems: 1,
+  maxItems: 50,
+  items: { type: 'string', minLength: 1, maxLength: 100 }
+};
+
+const customRoleCreate = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['name', 'permissions'],
+  properties: {
+    name: { type: 'string', minLength: 2, maxLength: 50, pattern: '^[a-z][a-z0-9_-]*$' },
+    description: { type: 'string', maxLength: 500 },
+    permissions: permissionList
+  }
+};
+
+const customRoleUpdate = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    description: { type: 'string', maxLength: 500 },
+    permissions: permissionList
+  }
+};
+
+module.exports = {
+  customRoleCreate,
+  customRoleUpdate
+};
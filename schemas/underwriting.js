@@ -0,0 +1,56 @@
+const { FACTORS, OPERATORS } = require('../services/underwriting');
+
+// Request body schemas for the underwriting rule set
+
+const rule = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['id', 'description', 'factor', 'operator', 'points'],
+  properties: {
+    id: { type: 'string', minLength: 1, maxLength: 100, pattern: '^[a-z0-9][a-z0-9-]*$' },
+    description: { type: 'string', minLength: 1, maxLength: 300 },
+    factor: { type: 'string', enum: Object.keys(FACTORS) },
+    operator: { type: 'string', enum: Object.keys(OPERATORS) },
+    value: {
+      type: ['number', 'string', 'boolean', 'array'],
+      maxItems: 50,
+      items: { type: ['number', 'string'], maxLength: 100 }
+    },
+    points: { type: 'integer', minimum: 0, maximum: 1000 },
+    decline: { type: 'boolean' }
+  }
+};
+
+const score = { type: 'integer', minimum: 0 };
+
+const underwritingRulesUpdate = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['rules', 'thresholds'],
+  properties: {
+    rules: { type: 'array', maxItems: 200, items: rule },
+    thresholds: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['preferred', 'standard', 'substandard'],
+      properties: { preferred: score, standard: score, substandard: score }
+    },
+    occupationClasses: {
+      type: 'array',
+      maxItems: 10,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['class', 'keywords'],
+        properties: {
+          class: { type: 'integer', minimum: 1, maximum: 10 },
+          keywords: { type: 'array', maxItems: 200, items: { type: 'string', minLength: 1, maxLength: 100 } }
+        }
+      }
+    }
+  }
+};
+
+module.exports = {
+  underwritingRulesUpdate
+};
@@ -0,0 +1,40 @@
+// Request body schemas for user and profile routes
+
+const userUpsert = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['uid', 'email'],
+  properties: {
+    uid: { type: 'string', minLength: 1, maxLength: 128 },
+    email: { type: 'string', format: 'email' },
+    displayName: { type: 'string', maxLength: 100, nullable: true },
+    photoURL: { type: 'string', maxLength: 2048, nullable: true },
+    provider: { type: 'string', maxLength: 50 }
+  }
+};
+
+const profileUpdate = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['displayName'],
+  properties: {
+    displayName: { type: 'string', minLength: 1, maxLength: 100 },
+    photoURL: { type: 'string', maxLength: 2048, nullable: true }
+  }
+};
+
+const roleUpdate = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['Role'],
+  properties: {
+    // Any role defined in the roles collection (admin, agent, customer or a custom role)
+    Role: { type: 'string', minLength: 1, maxLength: 50 }
+  }
+};
+
+module.exports = {
+  userUpsert,
+  profileUpdate,
+  roleUpdate
+};
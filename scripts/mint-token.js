@@ -0,0 +1,26 @@
+// Mint a bearer token from the local auth provider (AUTH_PROVIDER=local).
+// Usage: node scripts/mint-token.js <admin|agent|customer|uid> [email]
+// The role is read from the users collection. The admin, agent and customer
+// presets are seeded when the server starts with AUTH_PROVIDER=local; any
+// other uid must already exist with the role it needs.
+require('dotenv').config({ quiet: true });
+const { loadConfig } = require('../config');
+const { LOCAL_USERS, createLocalJwtAuthProvider } = require('../services/auth/localJwt');
+
+const [name, email] = process.argv.slice(2);
+
+if (!name) {
+  console.error('Usage: node scripts/mint-token.js <admin|agent|customer|uid> [email]');
+  process.exit(1);
+}
+
+const { uid, email: presetEmail } = LOCAL_USERS[name] || { uid: name };
+const user = { uid, email: presetEmail || email || `${name}@lifesure.local` };
+
+try {
+  const provider = createLocalJwtAuthProvider(loadConfig().localAuth);
+  console.log(provider.mintToken(user));
+} catch (error) {
+  console.error('Failed to mint token:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,48 @@
+// Sign a fixture event with STRIPE_WEBHOOK_SECRET and post it to the local webhook.
+// Usage: node scripts/send-stripe-fixture.js payment_intent.succeeded [url]
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('../config');
+
+const config = loadConfig();
+const stripe = require('stripe')(config.paymentGatewayKey);
+
+const fixtureName = process.argv[2];
+const url = process.argv[3] || `http://localhost:${config.port}/api/v1/stripe/webhook`;
+
+if (!fixtureName) {
+  console.error('Usage: node scripts/send-stripe-fixture.js <fixture-name> [url]');
+  process.exit(1);
+}
+
+if (!config.stripeWebhookSecret) {
+  console.error('STRIPE_WEBHOOK_SECRET is not set');
+  process.exit(1);
+}
+
+const payload = fs.readFileSync(
+  path.join(__dirname, '..', 'fixtures', 'stripe', `${fixtureName}.json`),
+  'utf8'
+);
+
+const signature = stripe.webhooks.generateTestHeaderString({
+  payload,
+  secret: config.stripeWebhookSecret
+});
+
+fetch(url, {
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json',
+    'Stripe-Signature': signature
+  },
+  body: payload
+})
+  .then(async (response) => {
+    console.log(response.status, await response.text());
+  })
+  .catch((error) => {
+    console.error('Failed to send fixture:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,206 @@
+const { AGENT_PERMISSION } = require('./permissions');
+
+// Automatic agent assignment
+//
+// New applications are routed to an agent with one of the strategies below.
+// Agents only take work while they are active for assignment and below their
+// capacity - the number of open (pending or processing) applications they can
+// hold. Capacity is set per agent, falling back to the default in the settings.
+//
+//   round-robin  - agents take turns, in a fixed order
+//   least-loaded - the agent with the fewest open applications
+//   specialty    - least-loaded among agents whose agentApplication.specialties
+//                  match the policy category, or among everyone when none do
+//
+// Settings live in one document in the assignmentSettings collection.
+// Automatic assignment starts switched off, so new applications keep waiting
+// for an admin to assign them until it is turned on in the settings.
+
+const STRATEGIES = ['round-robin', 'least-loaded', 'specialty'];
+
+// Applications an agent is still working on - new ones have no status yet
+const OPEN_STATUSES = [null, 'pending', 'processing'];
+
+const SETTINGS_ID = 'default';
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  strategy: 'least-loaded',
+  defaultCapacity: 25,
+  lastAssignedAgent: null
+};
+
+const loadAssignmentSettings = async (assignmentSettingsCollection) => ({
+  ...DEFAULT_SETTINGS,
+  ...(await assignmentSettingsCollection.findOne({ _id: SETTINGS_ID }))
+});
+
+const saveAssignmentSettings = (assignmentSettingsCollection, changes) =>
+  assignmentSettingsCollection.updateOne(
+    { _id: SETTINGS_ID },
+    { $set: { ...changes, name: SETTINGS_ID, updatedAt: new Date() } },
+    { upsert: true }
+  );
+
+const capacityOf = (agent, settings) => agent.assignment?.capacity ?? settings.defaultCapacity;
+
+/**
+ * Every agent with their open workload and capacity, in a stable order.
+ * Agents are the users whose role lists AGENT_PERMISSION - admins don't take assignments.
+ * Returns [{ agent, open, capacity, active }]
+ */
+const agentWorkloads = async ({ authorization, applicationsCollection, settings }) => {
+  const agents = await authorization.usersWith(AGENT_PERMISSION, { explicit: true, sort: { uid: 1 } });
+
+  const counts = await applicationsCollection.aggregate([
+    { $match: { assignedAgent: { $in: agents.map(agent => agent.uid) }, status: { $in: OPEN_STATUSES } } },
+    { $group: { _id: '$assignedAgent', count: { $sum: 1 } } }
+  ]).toArray();
+  const openByAgent = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+  return agents.map(agent => ({
+    agent,
+    open: openByAgent.get(agent.uid) || 0,
+    capacity: capacityOf(agent, settings),
+    active: agent.assignment?.active !== false
+  }));
+};
+
+const leastLoaded = (workloads) => workloads.reduce(
+  (best, workload) => (!best || workload.open < best.open ? workload : best),
+  null
+);
+
+const matchesSpecialty = (agent, category) => {
+  const wanted = String(category || '').toLowerCase();
+  if (!wanted) return false;
+  return (agent.agentApplication?.specialties || [])
+    .map(specialty => String(specialty).toLowerCase())
+    .some(specialty => specialty && (wanted.includes(specialty) || specialty.includes(wanted)));
+};
+
+/**
+ * Choose an agent for an application.
+ *
+ * workloads - from agentWorkloads()
+ * exclude   - agent UIDs that must not be picked (e.g. the agent being relieved)
+ *
+ * Returns the chosen workload entry, or null when every agent is inactive or full.
+ */
+const pickAgent = ({ strategy, workloads, policy, settings, exclude = [] }) => {
+  const available = workloads.filter(workload =>
+    workload.active && workload.open < workload.capacity && !exclude.includes(workload.agent.uid));
+  if (available.length === 0) return null;
+
+  switch (strategy) {
+    case 'round-robin': {
+      const last = settings.lastAssignedAgent;
+      return available.find(workload => last === null || workload.agent.uid > last) || available[0];
+    }
+    case 'specialty': {
+      const specialists = available.filter(workload => matchesSpecialty(workload.agent, policy?.category));
+      return leastLoaded(specialists.length > 0 ? specialists : available);
+    }
+    default:
+      return leastLoaded(available);
+  }
+};
+
+/**
+ * Assignment helpers bound to the collections.
+ *
+ * assignApplication(applicationId, agent, { assignedBy, strategy })
+ *   - give an application to an agent, or take it away with agent = null. The
+ *     issued contract and its claims, if any, stay with the same agent
+ * autoAssignApplication(application, { exclude, force })
+ *   - route an application with the configured strategy; force assigns even
+ *     while automatic assignment is switched off. Resolves to the agent or null
+ * reassignAgentApplications(agentId)
+ *   - move every open application off an agent; those nobody else can take are
+ *     left unassigned. Resolves to { reassigned: [{ applicationId, agentId }], unassigned: [applicationId] }
+ */
+const createAgentAssigner = ({
+  authorization,
+  applicationsCollection,
+  policiesCollection,
+  contractsCollection,
+  claimsCollection,
+  assignmentSettingsCollection
+}) => {
+  const assignApplication = async (applicationId, agent, { assignedBy, strategy = null }) => {
+    const result = await applicationsCollection.updateOne(
+      { _id: applicationId },
+      {
+        $set: {
+          assignedAgent: agent?.uid || null,
+          assignedAgentName: agent?.displayName || null,
+          assignedAgentEmail: agent?.email || null,
+          assignedAt: new Date(),
+          assignedBy,
+          assignmentStrategy: strategy,
+          updatedAt: new Date()
+        }
+      }
+    );
+    if (result.matchedCount === 0) return result;
+
+    await contractsCollection.updateOne(
+      { applicationId },
+      { $set: { assignedAgent: agent?.uid || null, updatedAt: new Date() } }
+    );
+    await claimsCollection.updateMany(
+      { applicationId },
+      { $set: { assignedAgent: agent?.uid || null, updatedAt: new Date() } }
+    );
+    return result;
+  };
+
+  const autoAssignApplication = async (application, { exclude = [], force = false } = {}) => {
+    const settings = await loadAssignmentSettings(assignmentSettingsCollection);
+    if (!settings.enabled && !force) return null;
+
+    const workloads = await agentWorkloads({ authorization, applicationsCollection, settings });
+    const policy = await policiesCollection.findOne({ _id: application.policyId });
+    const chosen = pickAgent({ strategy: settings.strategy, workloads, policy, settings, exclude });
+    if (!chosen) return null;
+
+    await assignApplication(application._id, chosen.agent, { assignedBy: 'system', strategy: settings.strategy });
+    if (settings.strategy === 'round-robin') {
+      await saveAssignmentSettings(assignmentSettingsCollection, { lastAssignedAgent: chosen.agent.uid });
+    }
+    return chosen.agent;
+  };
+
+  const reassignAgentApplications = async (agentId) => {
+    const applications = await applicationsCollection
+      .find({ assignedAgent: agentId, status: { $in: OPEN_STATUSES } })
+      .sort({ createdAt: 1 })
+      .toArray();
+
+    const reassigned = [];
+    const unassigned = [];
+    for (const application of applications) {
+      const agent = await autoAssignApplication(application, { exclude: [agentId], force: true });
+      if (agent) {
+        reassigned.push({ applicationId: application._id, agentId: agent.uid });
+      } else {
+        await assignApplication(application._id, null, { assignedBy: 'system' });
+        unassigned.push(application._id);
+      }
+    }
+    return { reassigned, unassigned };
+  };
+
+  return { assignApplication, autoAssignApplication, reassignAgentApplications };
+};
+
+module.exports = {
+  STRATEGIES,
+  OPEN_STATUSES,
+  DEFAULT_SETTINGS,
+  loadAssignmentSettings,
+  saveAssignmentSettings,
+  agentWorkloads,
+  pickAgent,
+  createAgentAssigner
+};
@@ -0,0 +1,250 @@
+const { ObjectId } = require('mongodb');
+const { OPEN_STATUSES } = require('./agentAssignment');
+
+// Application SLAs
+//
+// Each open status has a target: how long an application may sit in it before
+// the SLA is breached. The clock starts at statusChangedAt, which every status
+// change sets - older applications fall back to when they were submitted. New
+// applications have no status yet and count as pending.
+//
+//   on-track - inside the target
+//   at-risk  - past atRiskRatio of the target
+//   breached - past the target
+//   none     - closed (approved, rejected) or no target for the status
+//
+// A scheduled check (checkApplicationSlas, from createSlaChecker below) records
+// slaBreach on applications that run over and escalates each breach to the
+// admins in the slaEscalations collection. Breaches marked while escalation was
+// off are escalated by the first run after it is switched back on. Changing the
+// status clears the breach.
+// Settings live in one document in the slaSettings collection.
+
+const SLA_STATES = ['on-track', 'at-risk', 'breached', 'none'];
+
+const SETTINGS_ID = 'default';
+
+const DEFAULT_SETTINGS = {
+  // Hours per status; null means no target
+  targetHours: { pending: 48, processing: 120 },
+  atRiskRatio: 0.75,
+  escalate: true
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const loadSlaSettings = async (slaSettingsCollection) => {
+  const stored = await slaSettingsCollection.findOne({ _id: SETTINGS_ID });
+  return {
+    ...DEFAULT_SETTINGS,
+    ...stored,
+    targetHours: { ...DEFAULT_SETTINGS.targetHours, ...stored?.targetHours }
+  };
+};
+
+const saveSlaSettings = (slaSettingsCollection, changes) =>
+  slaSettingsCollection.updateOne(
+    { _id: SETTINGS_ID },
+    { $set: { ...changes, name: SETTINGS_ID, updatedAt: new Date() } },
+    { upsert: true }
+  );
+
+const slaStatusOf = (application) => application.status || 'pending';
+
+const statusSince = (application) =>
+  application.statusChangedAt || application.submittedAt || application.createdAt;
+
+// Fields to $set for a status change - a new status restarts the clock and
+// clears any breach, setting the status the application already has does not
+const statusChange = (application, status, now = new Date()) => (
+  application && slaStatusOf(application) === status
+    ? { status }
+    : { status, statusChangedAt: now, slaBreach: null }
+);
+
+/**
+ * Where an application stands against its SLA.
+ * Returns { status, since, hoursInStatus, targetHours, dueAt, state, breachedAt, escalatedAt }
+ */
+const slaState = (application, settings, now = new Date()) => {
+  const status = slaStatusOf(application);
+  const since = statusSince(application) || null;
+  const elapsed = since ? now - new Date(since) : 0;
+  const open = OPEN_STATUSES.includes(application.status ?? null);
+  const targetHours = open ? settings.targetHours[status] ?? null : null;
+
+  let state = 'none';
+  if (targetHours !== null && since) {
+    const ratio = elapsed / (targetHours * HOUR_MS);
+    if (ratio >= 1) state = 'breached';
+    else if (ratio >= settings.atRiskRatio) state = 'at-risk';
+    else state = 'on-track';
+  }
+
+  return {
+    status,
+    since,
+    hoursInStatus: Math.round((elapsed / HOUR_MS) * 10) / 10,
+    targetHours,
+    dueAt: targetHours !== null && since ? new Date(new Date(since).getTime() + targetHours * HOUR_MS) : null,
+    state,
+    breachedAt: application.slaBreach?.breachedAt || null,
+    escalatedAt: application.slaBreach?.escalatedAt || null
+  };
+};
+
+/**
+ * Record slaBreach on open applications that have run past their target and
+ * aren't marked yet. Returns the newly breached applications, breach included.
+ */
+const markBreaches = async ({ applicationsCollection, settings, now = new Date() }) => {
+  const candidates = await applicationsCollection
+    .find({ status: { $in: OPEN_STATUSES }, slaBreach: null })
+    .toArray();
+
+  const breached = [];
+  for (const application of candidates) {
+    const sla = slaState(application, settings, now);
+    if (sla.state !== 'breached') continue;
+
+    const slaBreach = {
+      status: sla.status,
+      targetHours: sla.targetHours,
+      dueAt: sla.dueAt,
+      breachedAt: now,
+      escalationId: null,
+      escalatedAt: null
+    };
+    // Conditional, so overlapping runs mark (and escalate) each breach once
+    const result = await applicationsCollection.updateOne({ _id: application._id, slaBreach: null }, { $set: { slaBreach } });
+    if (result.modifiedCount !== 1) continue;
+    breached.push({ ...application, slaBreach });
+  }
+  return breached;
+};
+
+// Open applications in breach that have no escalation yet
+const unescalatedBreaches = (applicationsCollection) =>
+  applicationsCollection
+    .find({ status: { $in: OPEN_STATUSES }, slaBreach: { $ne: null }, 'slaBreach.escalationId': null })
+    .toArray();
+
+/**
+ * Open an escalation for each breached application, addressed to the given
+ * admins, and link it from the application. An application another run has
+ * already escalated, or whose breach has cleared, is skipped.
+ * Returns the escalations created.
+ */
+const escalateBreaches = async ({ applicationsCollection, slaEscalationsCollection, applications, recipients, now = new Date() }) => {
+  const escalations = [];
+  for (const application of applications) {
+    const escalationId = new ObjectId();
+    const claimed = await applicationsCollection.updateOne(
+      { _id: application._id, slaBreach: { $ne: null }, 'slaBreach.escalationId': null },
+      { $set: { 'slaBreach.escalationId': escalationId, 'slaBreach.escalatedAt': now } }
+    );
+    if (claimed.modifiedCount !== 1) continue;
+
+    const escalation = {
+      _id: escalationId,
+      applicationId: application._id,
+      userId: application.userId,
+      policyName: application.policyName || null,
+      assignedAgent: application.assignedAgent || null,
+      status: application.slaBreach.status,
+      targetHours: application.slaBreach.targetHours,
+      dueAt: application.slaBreach.dueAt,
+      breachedAt: application.slaBreach.breachedAt,
+      recipients: recipients.map(user => user.uid),
+      acknowledgedAt: null,
+      acknowledgedBy: null,
+      resolvedAt: null,
+      createdAt: now
+    };
+    await slaEscalationsCollection.insertOne(escalation);
+    escalations.push(escalation);
+  }
+  return escalations;
+};
+
+/**
+ * Close escalations whose application has moved on - its status changed, so
+ * the breach they were raised for is gone. Returns how many were resolved.
+ */
+const resolveEscalations = async ({ applicationsCollection, slaEscalationsCollection, now = new Date() }) => {
+  const open = await slaEscalationsCollection.find({ resolvedAt: null }).toArray();
+
+  let resolved = 0;
+  for (const escalation of open) {
+    const application = await applicationsCollection.findOne(
+      { _id: escalation.applicationId },
+      { projection: { slaBreach: 1 } }
+    );
+    if (String(application?.slaBreach?.escalationId) === String(escalation._id)) continue;
+
+    await slaEscalationsCollection.updateOne({ _id: escalation._id }, { $set: { resolvedAt: now } });
+    resolved += 1;
+  }
+  return resolved;
+};
+
+// Open applications currently in breach: { total, pending, processing }
+const breachCounts = async (applicationsCollection) => {
+  const groups = await applicationsCollection.aggregate([
+    { $match: { status: { $in: OPEN_STATUSES }, slaBreach: { $ne: null } } },
+    { $group: { _id: '$slaBreach.status', count: { $sum: 1 } } }
+  ]).toArray();
+
+  const counts = { total: 0, pending: 0, processing: 0 };
+  for (const { _id, count } of groups) {
+    counts[_id] = (counts[_id] || 0) + count;
+    counts.total += count;
+  }
+  return counts;
+};
+
+/**
+ * Build checkApplicationSlas(now) - mark applications that have run past their
+ * SLA, escalate every breach not escalated yet (when escalation is on) to
+ * everyone who can reassign applications, then close escalations whose
+ * application has moved on. Run by the scheduler in app.js and on demand from
+ * /admin/sla/run.
+ * Resolves to { breached, escalated, resolved } - counts from this run.
+ */
+const createSlaChecker = ({ applicationsCollection, slaSettingsCollection, slaEscalationsCollection, authorization, notify }) =>
+  async (now = new Date()) => {
+    const settings = await loadSlaSettings(slaSettingsCollection);
+
+    const breached = await markBreaches({ applicationsCollection, settings, now });
+    const unescalated = settings.escalate ? await unescalatedBreaches(applicationsCollection) : [];
+    const escalations = unescalated.length > 0
+      ? await escalateBreaches({
+        applicationsCollection,
+        slaEscalationsCollection,
+        applications: unescalated,
+        recipients: await authorization.usersWith('applications:assign'),
+        now
+      })
+      : [];
+    for (const escalation of escalations) {
+      await notify('application:sla-breached', { escalation });
+    }
+    const resolved = await resolveEscalations({ applicationsCollection, slaEscalationsCollection, now });
+
+    return { breached: breached.length, escalated: escalations.length, resolved };
+  };
+
+module.exports = {
+  SLA_STATES,
+  DEFAULT_SETTINGS,
+  loadSlaSettings,
+  saveSlaSettings,
+  statusChange,
+  slaState,
+  markBreaches,
+  unescalatedBreaches,
+  escalateBreaches,
+  resolveEscalations,
+  breachCounts,
+  createSlaChecker
+};
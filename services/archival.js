@@ -0,0 +1,85 @@
+const { IN_FORCE_STATUSES, transitionContract } = require('./contracts');
+const { AppError, NotFoundError, ConflictError } = require('./errors');
+
+// Archival (soft delete) for policies and users
+//
+// Nothing that contracts, applications, payments, reviews or claims point at
+// is removed any more: it gets archivedAt instead, drops out of listings and
+// can be restored by an admin. While the entity still has contracts in force,
+// archiving is refused unless the caller explicitly asks to cascade, which
+// surrenders those contracts first. Surrendered contracts stay surrendered
+// when the entity is restored.
+
+/**
+ * Archive one entity.
+ *
+ * repository     - repository holding the entity (see repositories/base.js)
+ * filter         - finds the entity, e.g. { uid } or { _id }
+ * contractFilter - finds the contracts that depend on it, e.g. { userId } or { policyId }
+ * cascade        - surrender contracts in force instead of refusing
+ * reason         - recorded on each surrendered contract's status history
+ *
+ * Resolves to { entity, surrendered: [contractNumber] }; throws a typed error from ./errors
+ * when the entity is missing, already archived or still has contracts in force.
+ */
+const archiveEntity = async ({
+  repository,
+  filter,
+  label,
+  contractsCollection,
+  contractFilter,
+  cascade = false,
+  actor,
+  reason
+}) => {
+  const entity = await repository.findOne(filter);
+  if (!entity) {
+    throw new NotFoundError(`${label} not found`);
+  }
+  if (entity.archivedAt) {
+    throw new ConflictError(`${label} is already archived`);
+  }
+
+  const inForce = await contractsCollection
+    .find({ ...contractFilter, status: { $in: IN_FORCE_STATUSES } })
+    .toArray();
+
+  if (inForce.length > 0 && !cascade) {
+    throw new ConflictError(
+      `${label} has ${inForce.length} contract(s) in force. Pass cascade=true to surrender them and archive anyway`
+    );
+  }
+
+  const surrendered = [];
+  for (const contract of inForce) {
+    try {
+      await transitionContract({ contractsCollection, contract, to: 'surrendered', actor, reason });
+    } catch (error) {
+      if (error instanceof AppError) error.message = `Contract ${contract.contractNumber}: ${error.message}`;
+      throw error;
+    }
+    surrendered.push(contract.contractNumber);
+  }
+
+  await repository.archive(filter, actor.uid);
+  return { entity: await repository.findOne(filter), surrendered };
+};
+
+/**
+ * Bring an archived entity back.
+ * Resolves to the restored entity; throws a typed error from ./errors when it is missing or not archived.
+ */
+const restoreEntity = async ({ repository, filter, label, actor }) => {
+  const entity = await repository.findOne(filter);
+  if (!entity) {
+    throw new NotFoundError(`${label} not found`);
+  }
+  if (!entity.archivedAt) {
+    throw new ConflictError(`${label} is not archived`);
+  }
+
+  await repository.restore(filter, actor.uid);
+  return repository.findOne(filter);
+};
+
+module.exports = { archiveEntity, restoreEntity };
@@ -0,0 +1,217 @@
+const { ObjectId } = require('mongodb');
+
+// Append-only audit trail for mutating routes
+//
+// Add audit(entityType, options) to a route after its auth middleware. It
+// snapshots the target entity before the handler runs and again once the
+// response is sent, then writes one entry to the audit log. Entries are only
+// ever inserted - nothing in the server updates or deletes them.
+
+// Where each audited entity lives and which field identifies it
+const AUDITED_ENTITIES = {
+  user: { collection: 'users', key: 'uid' },
+  policy: { collection: 'policies', key: '_id' },
+  quote: { collection: 'quotes', key: '_id' },
+  application: { collection: 'applications', key: '_id' },
+  contract: { collection: 'contracts', key: '_id' },
+  claim: { collection: 'claims', key: '_id' },
+  payment: { collection: 'payments', key: 'paymentIntentId' },
+  review: { collection: 'reviews', key: '_id' },
+  blog: { collection: 'blogs', key: '_id' },
+  newsletter: { collection: 'newsletter', key: 'email' },
+  role: { collection: 'roles', key: 'name' },
+  underwritingRules: { collection: 'underwritingRules', key: 'name' },
+  assignmentSettings: { collection: 'assignmentSettings', key: 'name' },
+  slaSettings: { collection: 'slaSettings', key: 'name' },
+  slaEscalation: { collection: 'slaEscalations', key: '_id' },
+  email: { collection: 'emails', key: '_id' },
+  notification: { collection: 'notifications', key: '_id' },
+  paymentIntent: { collection: null },
+  stripeEvent: { collection: null },
+  slaRun: { collection: null },
+  assignmentRun: { collection: null }
+};
+
+// Personal details, health answers and underwriting results stay out of the
+// audit log. Snapshots show the field as redacted; the diff still records that
+// it changed, without the values
+const REDACTED_FIELDS = new Set([
+  'phone', 'address', 'nid', 'dateOfBirth', 'age', 'gender', 'occupation', 'annualIncome',
+  'smoker', 'heightCm', 'weightKg', 'healthDisclosure',
+  'nomineeName', 'nomineeRelationship', 'nomineePhone',
+  'underwriting'
+]);
+const REDACTED = '[redacted]';
+
+const AUDIT_CSV_COLUMNS = [
+  'timestamp', 'actorUid', 'actorRole', 'method', 'route', 'path', 'entityType',
+  'entityId', 'statusCode', 'outcome', 'ip', 'diff', 'details'
+];
+
+const toKeyValue = (key, id) => {
+  if (key === '_id') {
+    return ObjectId.isValid(String(id)) ? new ObjectId(String(id)) : null;
+  }
+  return id;
+};
+
+const comparable = (value) => JSON.stringify(value === undefined ? null : value);
+
+const redactValue = (field, value) => (REDACTED_FIELDS.has(field) && value !== null ? REDACTED : value);
+
+// Snapshot as stored in the audit log
+const redactSnapshot = (doc) => doc && Object.fromEntries(
+  Object.entries(doc).map(([field, value]) => [field, redactValue(field, value)])
+);
+
+// Top-level fields that differ between two snapshots: { field: { from, to } }
+const diffSnapshots = (before, after) => {
+  const diff = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    const from = before?.[field];
+    const to = after?.[field];
+    if (comparable(from) !== comparable(to)) {
+      diff[field] = {
+        from: redactValue(field, from === undefined ? null : from),
+        to: redactValue(field, to === undefined ? null : to)
+      };
+    }
+  }
+  return diff;
+};
+
+/**
+ * Build the audit(entityType, options) middleware factory.
+ *
+ * options.param        - route param holding the entity ID (default "id")
+ * options.id(req)      - work the entity ID out from the request instead
+ * options.fromResponse - for creates: response field holding the new entity (e.g. "policy"),
+ *                        or a function returning the new entity's ID from the response body
+ * options.details(body) - extra facts for the entry, taken from the response body - for
+ *                        changes the entity snapshots don't show (e.g. applications reassigned)
+ */
+const createAuditTrail = ({ db, auditLogsCollection, usersCollection }) => {
+  const findEntity = async (entityType, id) => {
+    const entity = AUDITED_ENTITIES[entityType];
+    if (!entity.collection || id === null || id === undefined) return null;
+
+    const value = toKeyValue(entity.key, id);
+    if (value === null) return null;
+    return db.collection(entity.collection).findOne({ [entity.key]: value });
+  };
+
+  const actorOf = async (req) => {
+    const uid = req.user?.uid || req.decoded?.uid || null;
+    if (!uid) return { uid: null, role: 'anonymous', email: null };
+    if (req.user) return { uid, role: req.user.role, email: req.user.email || null };
+
+    const user = await usersCollection.findOne({ uid });
+    return { uid, role: user?.role || 'unknown', email: user?.email || req.decoded?.email || null };
+  };
+
+  return (entityType, options = {}) => {
+    if (!AUDITED_ENTITIES[entityType]) {
+      throw new Error(`Unknown audited entity: ${entityType}`);
+    }
+
+    const resolveId = options.id || ((req) => req.params[options.param || 'id']);
+
+    return async (req, res, next) => {
+      let entityId = resolveId(req) ?? null;
+      let before = null;
+
+      try {
+        before = await findEntity(entityType, entityId);
+      } catch (error) {
+        console.error('Failed to snapshot entity for audit log:', error);
+      }
+
+      // Capture the response body so creates can tell us the new entity's ID
+      let responseBody;
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        responseBody = body;
+        return json(body);
+      };
+
+      res.on('finish', async () => {
+        try {
+          if (entityId === null && typeof options.fromResponse === 'function') {
+            entityId = options.fromResponse(responseBody) ?? null;
+          } else if (entityId === null && options.fromResponse) {
+            const created = responseBody?.[options.fromResponse];
+            const key = AUDITED_ENTITIES[entityType].key;
+            entityId = created?.[key] ?? created?._id ?? null;
+          }
+
+          const after = await findEntity(entityType, entityId);
+          const actor = await actorOf(req);
+
+          await auditLogsCollection.insertOne({
+            actorUid: actor.uid,
+            actorRole: actor.role,
+            actorEmail: actor.email,
+            method: req.method,
+            route: req.route?.path || null,
+            path: req.originalUrl,
+            entityType,
+            entityId: entityId === null ? null : String(entityId),
+            before: redactSnapshot(before),
+            after: redactSnapshot(after),
+            diff: diffSnapshots(before, after),
+            details: options.details && res.statusCode < 400 ? options.details(responseBody) : null,
+            statusCode: res.statusCode,
+            outcome: res.statusCode < 400 ? 'success' : 'failure',
+            ip: req.ip,
+            forwardedFor: req.headers['x-forwarded-for'] || null,
+            userAgent: req.headers['user-agent'] || null,
+            timestamp: new Date()
+          });
+        } catch (error) {
+          console.error('Failed to write audit log:', error);
+        }
+      });
+
+      next();
+    };
+  };
+};
+
+// Build a Mongo query from the admin audit log filters
+const buildAuditQuery = ({ actor, entityType, entityId, from, to, outcome }) => {
+  const query = {};
+  if (actor) query.actorUid = actor;
+  if (entityType) query.entityType = entityType;
+  if (entityId) query.entityId = entityId;
+  if (outcome) query.outcome = outcome;
+
+  if (from || to) {
+    query.timestamp = {};
+    if (from) query.timestamp.$gte = new Date(from);
+    if (to) query.timestamp.$lte = new Date(to);
+  }
+  return query;
+};
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Keep spreadsheets from evaluating cells as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const auditLogsToCsv = (entries) => {
+  const rows = entries.map(entry => AUDIT_CSV_COLUMNS.map(column => csvCell(entry[column])).join(','));
+  return [AUDIT_CSV_COLUMNS.join(','), ...rows].join('\n');
+};
+
+module.exports = {
+  AUDITED_ENTITIES,
+  diffSnapshots,
+  createAuditTrail,
+  buildAuditQuery,
+  auditLogsToCsv
+};
@@ -0,0 +1,23 @@
+const path = require('path');
+
+// Verifies Firebase ID tokens with firebase-admin. The service account key is
+// only loaded when this provider is selected.
+const createFirebaseAuthProvider = ({ serviceAccountPath }) => {
+  const admin = require('firebase-admin');
+  const serviceAccount = require(path.resolve(serviceAccountPath));
+
+  admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount)
+  });
+
+  return {
+    name: 'firebase',
+
+    verifyToken: async (token) => {
+      const decoded = await admin.auth().verifyIdToken(token);
+      return { ...decoded, uid: decoded.uid, email: decoded.email || null };
+    }
+  };
+};
+
+module.exports = { createFirebaseAuthProvider };
@@ -0,0 +1,27 @@
+const { createFirebaseAuthProvider } = require('./firebase');
+const { createLocalJwtAuthProvider } = require('./localJwt');
+
+// Auth providers - every provider exposes the same interface:
+//   verifyToken(token) -> { uid, email, ...claims }, throws when the token is invalid
+// Select one with AUTH_PROVIDER (firebase by default).
+const providers = {
+  firebase: (config) => createFirebaseAuthProvider({
+    serviceAccountPath: config.firebaseServiceAccountPath
+  }),
+  local: (config) => {
+    if (config.nodeEnv === 'production') {
+      throw new Error('The local auth provider must not be used in production');
+    }
+    return createLocalJwtAuthProvider(config.localAuth);
+  }
+};
+
+// config - see config.js
+const createAuthProvider = (name = 'firebase', config = {}) => {
+  if (!providers[name]) {
+    throw new Error(`Unknown auth provider: ${name}`);
+  }
+  return providers[name](config);
+};
+
+module.exports = { createAuthProvider };
@@ -0,0 +1,77 @@
+const jwt = require('jsonwebtoken');
+
+// Issues and verifies our own JWTs so the server runs without Firebase - for
+// integration tests and local development. Signs with a shared secret (HS256),
+// or with an RSA key pair (RS256) when a private/public key is configured.
+const ISSUER = 'lifesure-local';
+const AUDIENCE = 'lifesure-api';
+
+// Well-known local users, one per built-in role - scripts/mint-token.js mints
+// tokens for them, and index.js seeds them when AUTH_PROVIDER=local
+const LOCAL_USERS = {
+  admin: { uid: 'local-admin', email: 'admin@lifesure.local', role: 'admin' },
+  agent: { uid: 'local-agent', email: 'agent@lifesure.local', role: 'agent' },
+  customer: { uid: 'local-customer', email: 'customer@lifesure.local', role: 'customer' }
+};
+
+// Create the local users that don't exist yet - existing ones keep their role and profile
+const seedLocalUsers = (usersCollection) =>
+  Promise.all(Object.values(LOCAL_USERS).map(({ uid, email, role }) =>
+    usersCollection.updateOne(
+      { uid },
+      {
+        $setOnInsert: {
+          uid,
+          email,
+          displayName: `Local ${role}`,
+          photoURL: null,
+          role,
+          provider: 'local',
+          isActive: true,
+          createdAt: new Date(),
+          updatedAt: new Date()
+        }
+      },
+      { upsert: true }
+    )
+  ));
+
+const createLocalJwtAuthProvider = ({ secret, privateKey, publicKey, expiresIn = '1h' }) => {
+  const asymmetric = Boolean(privateKey || publicKey);
+  if (!asymmetric && !secret) {
+    throw new Error('Local auth needs AUTH_JWT_SECRET or an AUTH_JWT_PUBLIC_KEY/AUTH_JWT_PRIVATE_KEY pair');
+  }
+
+  const algorithm = asymmetric ? 'RS256' : 'HS256';
+  const signingKey = asymmetric ? privateKey : secret;
+  const verifyingKey = asymmetric ? publicKey : secret;
+
+  return {
+    name: 'local',
+
+    verifyToken: async (token) => {
+      const payload = jwt.verify(token, verifyingKey, {
+        algorithms: [algorithm],
+        issuer: ISSUER,
+        audience: AUDIENCE
+      });
+      return { ...payload, uid: payload.sub, email: payload.email || null };
+    },
+
+    // Mint a token for a user - the user's role still comes from the users collection
+    mintToken: ({ uid, email, ...claims }, options = {}) => {
+      if (!signingKey) {
+        throw new Error('AUTH_JWT_PRIVATE_KEY is required to mint tokens');
+      }
+      return jwt.sign({ email, ...claims }, signingKey, {
+        algorithm,
+        subject: uid,
+        issuer: ISSUER,
+        audience: AUDIENCE,
+        expiresIn: options.expiresIn || expiresIn
+      });
+    }
+  };
+};
+
+module.exports = { LOCAL_USERS, seedLocalUsers, createLocalJwtAuthProvider };
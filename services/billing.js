@@ -0,0 +1,157 @@
+const { ObjectId } = require('mongodb');
+const { FREQUENCIES } = require('./quoteEngine');
+
+// Billing schedule for approved applications
+//
+// One installment document per billing period, each due one period after the
+// last - the first one period after approval. Installment status moves
+// pending -> overdue (due day over, inside the grace period) -> lapsed
+// (grace period over), or to paid once a payment is applied against it.
+// Due dates are whole days: an installment can be paid any time on its due day.
+
+const GRACE_PERIOD_DAYS = 30;
+const DEFAULT_TERM_YEARS = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Midnight at the start of the date's day
+const startOfDay = (date) => {
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  return result;
+};
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getDate();
+  result.setMonth(result.getMonth() + months);
+  // Clamp 31st -> last day of shorter months instead of rolling into the next one
+  if (result.getDate() < day) {
+    result.setDate(0);
+  }
+  return result;
+};
+
+/**
+ * Work out the installments for an application.
+ * The quote the applicant accepted decides amount, frequency and term; older
+ * applications without a quote fall back to the policy's base premium.
+ */
+const buildInstallments = ({ application, quote, startDate = new Date() }) => {
+  const frequency = quote?.inputs?.frequency || application.frequency || 'monthly';
+  const { months } = FREQUENCIES[frequency] || FREQUENCIES.monthly;
+  const term = quote?.inputs?.term || DEFAULT_TERM_YEARS;
+  const amount = quote?.premium ?? (application.basePremium || 0) * months;
+  const count = Math.ceil((term * 12) / months);
+
+  return Array.from({ length: count }, (_, index) => {
+    const dueDate = startOfDay(addMonths(startDate, (index + 1) * months));
+    return {
+      applicationId: application._id,
+      userId: application.userId,
+      policyId: application.policyId,
+      quoteId: quote?._id || null,
+      sequence: index + 1,
+      frequency,
+      amount,
+      currency: quote?.currency || 'usd',
+      dueDate,
+      gracePeriodDays: GRACE_PERIOD_DAYS,
+      graceEndsAt: new Date(dueDate.getTime() + GRACE_PERIOD_DAYS * DAY_MS),
+      status: 'pending',
+      paymentIntentId: null,
+      paidAt: null,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+  });
+};
+
+// Create the schedule once per application - calling it again is a no-op
+const createBillingSchedule = async ({ application, installmentsCollection, quotesCollection, startDate }) => {
+  const existing = await installmentsCollection.countDocuments({ applicationId: application._id });
+  if (existing > 0) {
+    return { created: 0 };
+  }
+
+  let quote = null;
+  if (application.quoteId && ObjectId.isValid(application.quoteId)) {
+    quote = await quotesCollection.findOne({
+      _id: new ObjectId(application.quoteId),
+      userId: application.userId
+    });
+  }
+
+  const installments = buildInstallments({
+    application,
+    quote,
+    startDate: startDate || application.approvedAt || new Date()
+  });
+
+  await installmentsCollection.insertMany(installments);
+  return { created: installments.length };
+};
+
+// Move unpaid installments along pending -> overdue -> lapsed based on the clock.
+// A date only counts as passed once its whole day is over
+const refreshInstallmentStatuses = async (installmentsCollection, filter = {}, now = new Date()) => {
+  const today = startOfDay(now);
+  await installmentsCollection.updateMany(
+    { ...filter, status: { $in: ['pending', 'overdue'] }, graceEndsAt: { $lt: today } },
+    { $set: { status: 'lapsed', updatedAt: now } }
+  );
+  await installmentsCollection.updateMany(
+    { ...filter, status: 'pending', dueDate: { $lt: today } },
+    { $set: { status: 'overdue', updatedAt: now } }
+  );
+};
+
+// Status an unpaid installment should have at a given moment
+const unpaidStatusAt = (installment, now = new Date()) => {
+  const today = startOfDay(now);
+  if (installment.graceEndsAt < today) return 'lapsed';
+  if (installment.dueDate < today) return 'overdue';
+  return 'pending';
+};
+
+const applyPaymentToInstallment = async (installmentsCollection, { installmentId, paymentIntentId, amount, paidAt }) => {
+  return installmentsCollection.updateOne(
+    { _id: installmentId },
+    {
+      $set: {
+        status: 'paid',
+        paymentIntentId,
+        amountPaid: amount,
+        paidAt,
+        updatedAt: new Date()
+      }
+    }
+  );
+};
+
+// A refunded installment is unpaid again
+const reverseInstallmentPayment = async (installmentsCollection, { installmentId }) => {
+  const installment = await installmentsCollection.findOne({ _id: installmentId });
+  if (!installment) return null;
+
+  return installmentsCollection.updateOne(
+    { _id: installmentId },
+    {
+      $set: {
+        status: unpaidStatusAt(installment),
+        amountPaid: 0,
+        paidAt: null,
+        updatedAt: new Date()
+      }
+    }
+  );
+};
+
+module.exports = {
+  GRACE_PERIOD_DAYS,
+  buildInstallments,
+  createBillingSchedule,
+  refreshInstallmentStatuses,
+  unpaidStatusAt,
+  applyPaymentToInstallment,
+  reverseInstallmentPayment
+};
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+
+// Claim attachments: upload limits, content checks and signed download URLs
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10 MB per file
+const MAX_FILES_PER_UPLOAD = 5;
+const DOWNLOAD_URL_TTL_MS = 5 * 60 * 1000; // signed URLs are valid for 5 minutes
+
+// Allowed MIME types and the leading bytes a real file of that type starts with
+const ALLOWED_FILE_TYPES = {
+  'application/pdf': { extension: 'pdf', signatures: [Buffer.from('%PDF-')] },
+  'image/jpeg': { extension: 'jpg', signatures: [Buffer.from([0xff, 0xd8, 0xff])] },
+  'image/png': { extension: 'png', signatures: [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])] }
+};
+
+// The declared MIME type must be allowed and match what the file actually contains
+const checkFileType = (file) => {
+  const type = ALLOWED_FILE_TYPES[file.mimetype];
+  if (!type) {
+    return `${file.originalname}: file type ${file.mimetype} is not allowed`;
+  }
+
+  const matches = type.signatures.some(signature =>
+    file.buffer.subarray(0, signature.length).equals(signature)
+  );
+  if (!matches) {
+    return `${file.originalname}: content does not match ${file.mimetype}`;
+  }
+
+  return null;
+};
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const signaturePayload = (documentId, uid, expires) => `${documentId}:${uid}:${expires}`;
+
+/**
+ * Signed download URLs, keyed with secret (config.fileUrlSecret). Without a
+ * secret the server still runs, but signing or checking a URL throws.
+ *
+ * Returns { createSignedDownloadUrl, verifyDownloadSignature }
+ */
+const createDownloadUrlSigner = ({ secret }) => {
+  const hmac = (documentId, uid, expires) => {
+    if (!secret) {
+      throw new Error('FILE_URL_SECRET is not configured');
+    }
+    return crypto.createHmac('sha256', secret).update(signaturePayload(documentId, uid, expires));
+  };
+
+  return {
+    // A download URL is bound to one document, one user and an expiry time
+    createSignedDownloadUrl: (documentId, uid, now = Date.now()) => {
+      const expires = now + DOWNLOAD_URL_TTL_MS;
+      const signature = hmac(documentId, uid, expires).digest('hex');
+
+      const query = new URLSearchParams({ uid, expires: String(expires), signature });
+      return {
+        url: `/api/v1/files/claim-documents/${documentId}?${query}`,
+        expiresAt: new Date(expires)
+      };
+    },
+
+    verifyDownloadSignature: ({ documentId, uid, expires, signature }, now = Date.now()) => {
+      if (!uid || !expires || !signature) return 'Missing signature parameters';
+      if (Number(expires) < now) return 'Download link has expired';
+
+      const expected = hmac(documentId, uid, expires).digest();
+      const given = Buffer.from(String(signature), 'hex');
+
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return 'Invalid download signature';
+      }
+      return null;
+    }
+  };
+};
+
+// Content-Disposition for a download: filename*=UTF-8''... carries the original
+// name, filename="..." an ASCII stand-in for clients that don't read filename*
+const attachmentDisposition = (name) => {
+  const fallback = name.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(name).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+module.exports = {
+  MAX_FILE_SIZE,
+  MAX_FILES_PER_UPLOAD,
+  ALLOWED_FILE_TYPES,
+  checkFileType,
+  sha256,
+  attachmentDisposition,
+  createDownloadUrlSigner
+};
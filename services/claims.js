@@ -0,0 +1,222 @@
+const { ObjectId } = require('mongodb');
+const { transitionContract, IN_FORCE_STATUSES, SYSTEM_ACTOR } = require('./contracts');
+const { AppError, ValidationError, InvalidIdError, ForbiddenError, NotFoundError, ConflictError } = require('./errors');
+
+// Claims adjudication workflow
+//
+//   pending -> under_review -> approved
+//                 |   ^    \-> denied
+//                 v   |
+//           info_requested (customer replies -> under_review)
+//
+// Every step is appended to the claim's events array. Approved payouts are
+// added to the contract's paidOut, which never goes over its coverage, and an
+// approved death claim ends the contract.
+
+const CLAIM_TYPES = ['death', 'illness', 'accident', 'other'];
+
+// Claim statuses that still count against a contract's coverage
+const PAYOUT_STATUSES = ['approved', 'paid'];
+
+const CLAIM_ACTIONS = {
+  review: { from: ['pending'], to: 'under_review' },
+  'request-info': { from: ['under_review'], to: 'info_requested', requires: 'message' },
+  reply: { from: ['info_requested'], to: 'under_review', requires: 'message' },
+  approve: { from: ['under_review'], to: 'approved', requires: 'payoutAmount' },
+  deny: { from: ['pending', 'under_review', 'info_requested'], to: 'denied', requires: 'reason' }
+};
+
+const claimEvent = (type, actor, details = {}) => ({
+  type,
+  at: new Date(),
+  actor: { uid: actor.uid, role: actor.role, email: actor.email || null },
+  ...details
+});
+
+// Amount paid out on a contract so far. Contracts issued before paidOut was
+// kept get it added up once from their approved claims
+const paidOutOn = async ({ claimsCollection, contractsCollection, contract }) => {
+  if (contract.paidOut !== undefined) return contract.paidOut;
+
+  const claims = await claimsCollection
+    .find({ contractId: contract._id, status: { $in: PAYOUT_STATUSES } })
+    .toArray();
+  const paidOut = claims.reduce((sum, claim) => sum + (claim.payoutAmount || 0), 0);
+
+  await contractsCollection.updateOne(
+    { _id: contract._id, paidOut: { $exists: false } },
+    { $set: { paidOut } }
+  );
+  return (await contractsCollection.findOne({ _id: contract._id })).paidOut;
+};
+
+// Coverage still available on a contract once approved claims are paid out
+const remainingCoverage = async ({ claimsCollection, contractsCollection, contract }) => {
+  const paidOut = await paidOutOn({ claimsCollection, contractsCollection, contract });
+  return Math.max(0, (contract.coverageAmount || 0) - paidOut);
+};
+
+// Add a payout to the contract's paidOut - check and increment are one
+// conditional update, so concurrent approvals cannot go over the coverage
+const reservePayout = async ({ contractsCollection, contract, amount }) => {
+  const result = await contractsCollection.updateOne(
+    { _id: contract._id, paidOut: { $lte: (contract.coverageAmount || 0) - amount } },
+    { $inc: { paidOut: amount } }
+  );
+  return result.modifiedCount === 1;
+};
+
+const releasePayout = ({ contractsCollection, contract, amount }) =>
+  contractsCollection.updateOne({ _id: contract._id }, { $inc: { paidOut: -amount } });
+
+/**
+ * Move a claim one step through the workflow.
+ * details carries the action's input: message, reason or payoutAmount (+ optional note).
+ * Approving reserves the payout on the contract first, and approving a death
+ * claim moves the contract to death_claim_paid - if either fails, so does the approval.
+ * Resolves to the updated claim; throws a typed error from ./errors when the step is not allowed.
+ */
+const applyClaimAction = async ({ claimsCollection, contractsCollection, claim, action, actor, details = {} }) => {
+  const step = CLAIM_ACTIONS[action];
+  if (!step) {
+    throw new ValidationError(`Invalid action. Must be one of: ${Object.keys(CLAIM_ACTIONS).join(', ')}`);
+  }
+
+  if (!step.from.includes(claim.status)) {
+    throw new ConflictError(`Cannot ${action} a claim that is ${claim.status}`);
+  }
+
+  const set = { status: step.to, updatedAt: new Date() };
+  const eventDetails = { from: claim.status, to: step.to };
+
+  if (step.requires === 'message' || step.requires === 'reason') {
+    const text = details[step.requires];
+    if (!text?.trim()) {
+      throw new ValidationError(`A ${step.requires} is required`);
+    }
+    eventDetails[step.requires] = text.trim();
+  }
+
+  if (action === 'request-info') {
+    set.infoRequest = { message: eventDetails.message, requestedAt: new Date(), requestedBy: actor.uid };
+  }
+
+  if (action === 'deny') {
+    set.decisionReason = eventDetails.reason;
+    set.decidedAt = new Date();
+    set.decidedBy = actor.uid;
+  }
+
+  let contract = null;
+  let payoutAmount = null;
+  if (action === 'approve') {
+    payoutAmount = parseFloat(details.payoutAmount);
+    if (Number.isNaN(payoutAmount) || payoutAmount <= 0) {
+      throw new ValidationError('Payout amount must be a positive number');
+    }
+
+    contract = claim.contractId
+      ? await contractsCollection.findOne({ _id: claim.contractId })
+      : null;
+    if (!contract) {
+      throw new ConflictError('Claim is not linked to an issued contract');
+    }
+
+    if (claim.claimType === 'death' && !IN_FORCE_STATUSES.includes(contract.status)) {
+      throw new ConflictError(`Cannot pay a death claim on a ${contract.status} contract`);
+    }
+
+    await paidOutOn({ claimsCollection, contractsCollection, contract });
+    if (!await reservePayout({ contractsCollection, contract, amount: payoutAmount })) {
+      const current = await contractsCollection.findOne({ _id: contract._id });
+      const available = await remainingCoverage({ claimsCollection, contractsCollection, contract: current });
+      throw new ValidationError(`Payout amount exceeds remaining coverage of ${available}`);
+    }
+
+    set.payoutAmount = payoutAmount;
+    set.decisionReason = details.note?.trim() || null;
+    set.decidedAt = new Date();
+    set.decidedBy = actor.uid;
+    eventDetails.payoutAmount = payoutAmount;
+    eventDetails.note = set.decisionReason;
+  }
+
+  // Only apply if nobody moved the claim in the meantime
+  const event = claimEvent(action, actor, eventDetails);
+  const result = await claimsCollection.updateOne(
+    { _id: claim._id, status: claim.status },
+    { $set: set, $push: { events: event } }
+  );
+
+  if (result.matchedCount === 0) {
+    if (contract) await releasePayout({ contractsCollection, contract, amount: payoutAmount });
+    throw new ConflictError('Claim status changed in the meantime. Please retry');
+  }
+
+  // A paid death claim ends the contract - made by the server, on the adjudicator's approval
+  if (contract && claim.claimType === 'death') {
+    try {
+      await transitionContract({
+        contractsCollection,
+        contract,
+        to: 'death_claim_paid',
+        actor: SYSTEM_ACTOR,
+        reason: `Death claim ${claim._id} approved by ${actor.uid}`
+      });
+    } catch (error) {
+      // The contract left force in the meantime - undo the approval
+      await claimsCollection.updateOne(
+        { _id: claim._id, status: step.to },
+        {
+          $set: { status: claim.status, updatedAt: new Date() },
+          $unset: { payoutAmount: '', decisionReason: '', decidedAt: '', decidedBy: '' },
+          $pull: { events: { type: action, at: event.at } }
+        }
+      );
+      await releasePayout({ contractsCollection, contract, amount: payoutAmount });
+      throw error instanceof AppError ? new ConflictError(`Cannot pay a death claim: ${error.message}`) : error;
+    }
+  }
+
+  return claimsCollection.findOne({ _id: claim._id });
+};
+
+/**
+ * Build findClaimForUser(claimId, uid) - a claim is open to its owner, the
+ * assigned agent and anyone who can read all claims.
+ * Resolves to { claim, user }; throws a typed error from ./errors otherwise.
+ */
+const createClaimAccess = ({ usersCollection, claimsCollection, authorization }) =>
+  async (claimId, uid) => {
+    if (!ObjectId.isValid(claimId)) {
+      throw new InvalidIdError('Invalid Claim ID format');
+    }
+
+    const user = await usersCollection.findOne({ uid });
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const claim = await claimsCollection.findOne({ _id: new ObjectId(claimId) });
+    if (!claim) {
+      throw new NotFoundError('Claim not found');
+    }
+
+    const allowed = claim.userId === uid
+      || claim.assignedAgent === uid
+      || await authorization.hasPermission(user, 'claims:read');
+    if (!allowed) {
+      throw new ForbiddenError('Access denied');
+    }
+
+    return { claim, user };
+  };
+
+module.exports = {
+  CLAIM_TYPES,
+  CLAIM_ACTIONS,
+  claimEvent,
+  remainingCoverage,
+  applyClaimAction,
+  createClaimAccess
+};
@@ -0,0 +1,247 @@
+const { ObjectId } = require('mongodb');
+const { createBillingSchedule, refreshInstallmentStatuses, unpaidStatusAt } = require('./billing');
+const { ALL_PERMISSIONS } = require('./permissions');
+const { ValidationError, ForbiddenError, ConflictError } = require('./errors');
+
+// Issued policies ("contracts") and their lifecycle
+//
+// A contract is created when an application is approved. Its status can only
+// move along the transitions below; every move is appended to statusHistory
+// with a timestamp, the actor who made it and the reason.
+
+const CONTRACT_TRANSITIONS = {
+  active: ['grace', 'surrendered', 'matured', 'death_claim_paid'],
+  grace: ['active', 'lapsed', 'surrendered', 'death_claim_paid'],
+  lapsed: ['reinstated', 'surrendered'],
+  reinstated: ['grace', 'surrendered', 'matured', 'death_claim_paid'],
+  surrendered: [],
+  matured: [],
+  death_claim_paid: []
+};
+
+const CONTRACT_STATUSES = Object.keys(CONTRACT_TRANSITIONS);
+
+// Statuses in which the contract still covers the holder
+const IN_FORCE_STATUSES = ['active', 'grace', 'reinstated'];
+
+// Which target statuses each permission lets an actor move a contract into.
+// Actors holding none of these can't move contracts at all
+const PERMISSION_TRANSITIONS = {
+  'contracts:own': ['surrendered'],
+  'contracts:manage-assigned': ['reinstated', 'surrendered'],
+  'contracts:manage': CONTRACT_STATUSES
+};
+
+// Actor used for transitions the server makes on its own (billing, approvals)
+const SYSTEM_ACTOR = { uid: 'system', role: 'system', email: null, permissions: new Set([ALL_PERMISSIONS]) };
+
+// Target statuses open to an actor, from the permissions its role grants
+const allowedTransitions = (actor) => {
+  const permissions = actor.permissions || new Set();
+  if (permissions.has(ALL_PERMISSIONS)) return CONTRACT_STATUSES;
+  return Object.entries(PERMISSION_TRANSITIONS)
+    .filter(([permission]) => permissions.has(permission))
+    .flatMap(([, statuses]) => statuses);
+};
+
+const canTransition = (from, to) => {
+  return (CONTRACT_TRANSITIONS[from] || []).includes(to);
+};
+
+const historyEntry = (from, to, actor, reason) => ({
+  from,
+  to,
+  at: new Date(),
+  actor: { uid: actor.uid, role: actor.role, email: actor.email || null },
+  reason
+});
+
+const generateContractNumber = () => {
+  const random = Math.random().toString(36).slice(2, 8).toUpperCase();
+  return `LS-${Date.now().toString(36).toUpperCase()}-${random}`;
+};
+
+/**
+ * Issue a contract for an approved application. Calling it again for the
+ * same application returns the existing contract.
+ */
+const createContractForApplication = async ({ application, contractsCollection, policiesCollection, quotesCollection, actor = SYSTEM_ACTOR }) => {
+  const existing = await contractsCollection.findOne({ applicationId: application._id });
+  if (existing) {
+    return existing;
+  }
+
+  const policy = await policiesCollection.findOne({ _id: application.policyId });
+  let quote = null;
+  if (application.quoteId && ObjectId.isValid(application.quoteId)) {
+    quote = await quotesCollection.findOne({ _id: new ObjectId(application.quoteId), userId: application.userId });
+  }
+
+  const coverageAmount = quote?.inputs?.coverage
+    || parseFloat(application.coverageAmount)
+    || policy?.coverageMax
+    || 0;
+
+  const now = new Date();
+  const contract = {
+    contractNumber: generateContractNumber(),
+    applicationId: application._id,
+    userId: application.userId,
+    userEmail: application.userEmail,
+    policyId: application.policyId,
+    policyName: application.policyName || policy?.title,
+    // Terms the contract was issued against - see services/policyVersions.js
+    policyVersion: application.policyVersion ?? policy?.currentVersion ?? null,
+    policyVersionId: application.policyVersionId ?? policy?.currentVersionId ?? null,
+    assignedAgent: application.assignedAgent || null,
+    quoteId: quote?._id || null,
+    coverageAmount,
+    paidOut: 0, // approved claim payouts - see services/claims.js
+    termYears: quote?.inputs?.term || null,
+    status: 'active',
+    issuedAt: now,
+    statusChangedAt: now,
+    statusHistory: [historyEntry(null, 'active', actor, 'Application approved')],
+    createdAt: now,
+    updatedAt: now
+  };
+
+  const result = await contractsCollection.insertOne(contract);
+  return { ...contract, _id: result.insertedId };
+};
+
+/**
+ * Move a contract to a new status.
+ * actor.permissions (see actorFrom) decides which statuses the actor may move it to.
+ * Pass installmentsCollection to have reinstatement check for unpaid arrears.
+ * Resolves to the updated contract; throws a typed error from ./errors when the move is not allowed.
+ */
+const transitionContract = async ({ contractsCollection, installmentsCollection, contract, to, actor, reason }) => {
+  if (!CONTRACT_STATUSES.includes(to)) {
+    throw new ValidationError(`Invalid status. Must be one of: ${CONTRACT_STATUSES.join(', ')}`);
+  }
+
+  if (!allowedTransitions(actor).includes(to)) {
+    throw new ForbiddenError(`Role ${actor.role} cannot move a contract to ${to}`);
+  }
+
+  if (!canTransition(contract.status, to)) {
+    throw new ConflictError(`Cannot move contract from ${contract.status} to ${to}`);
+  }
+
+  if (!reason?.trim()) {
+    throw new ValidationError('A reason is required for every status change');
+  }
+
+  // Reinstating means the arrears have been settled first
+  if (to === 'reinstated' && installmentsCollection) {
+    const outstanding = await installmentsCollection.countDocuments({
+      applicationId: contract.applicationId,
+      status: { $in: ['overdue', 'lapsed'] }
+    });
+    if (outstanding > 0) {
+      throw new ConflictError(`${outstanding} outstanding installment(s) must be paid before reinstatement`);
+    }
+  }
+
+  const now = new Date();
+  // Only apply if nobody moved the contract in the meantime
+  const result = await contractsCollection.updateOne(
+    { _id: contract._id, status: contract.status },
+    {
+      $set: { status: to, statusChangedAt: now, updatedAt: now },
+      $push: { statusHistory: historyEntry(contract.status, to, actor, reason.trim()) }
+    }
+  );
+
+  if (result.matchedCount === 0) {
+    throw new ConflictError('Contract status changed in the meantime. Please retry');
+  }
+
+  return contractsCollection.findOne({ _id: contract._id });
+};
+
+/**
+ * Bring in-force contracts in line with their billing schedule:
+ * an overdue installment puts the contract in grace, a lapsed one lapses it,
+ * and a grace contract that has been paid up is active again.
+ * Overdue means past due at `now` - a stored status is not trusted on its own,
+ * so a contract never enters grace before a due day has actually gone by.
+ */
+const syncContractsWithBilling = async ({ contractsCollection, installmentsCollection, filter = {}, now = new Date() }) => {
+  const contracts = await contractsCollection
+    .find({ ...filter, status: { $in: IN_FORCE_STATUSES } })
+    .toArray();
+
+  for (const contract of contracts) {
+    const unpaid = (await installmentsCollection
+      .find({ applicationId: contract.applicationId, status: { $in: ['pending', 'overdue', 'lapsed'] }, dueDate: { $lt: now } })
+      .toArray())
+      .map(installment => ({ ...installment, status: unpaidStatusAt(installment, now) }))
+      .filter(installment => installment.status !== 'pending');
+
+    try {
+      let to = null;
+      let reason = null;
+      if (unpaid.some(installment => installment.status === 'lapsed')) {
+        // Lapsing always goes through grace first
+        if (contract.status !== 'grace') {
+          await transitionContract({
+            contractsCollection, contract, to: 'grace', actor: SYSTEM_ACTOR, reason: 'Premium overdue'
+          });
+          contract.status = 'grace';
+        }
+        to = 'lapsed';
+        reason = 'Grace period ended without payment';
+      } else if (unpaid.length > 0 && contract.status !== 'grace') {
+        to = 'grace';
+        reason = 'Premium overdue';
+      } else if (unpaid.length === 0 && contract.status === 'grace') {
+        to = 'active';
+        reason = 'Overdue premium paid';
+      }
+
+      if (to) {
+        await transitionContract({ contractsCollection, contract, to, actor: SYSTEM_ACTOR, reason });
+      }
+    } catch (error) {
+      // Someone moved the contract in the meantime - the next sync looks at it again
+      if (!(error instanceof ConflictError)) throw error;
+    }
+  }
+};
+
+/**
+ * Contract helpers bound to the collections.
+ *
+ * issueApprovedApplication(applicationId, actor) - approving an application issues
+ *   its contract and starts billing straight away
+ * refreshBillingAndContracts(filter) - roll overdue/lapsed installments forward
+ *   and let the contracts follow
+ */
+const createContractLifecycle = ({ applicationsCollection, policiesCollection, contractsCollection, installmentsCollection, quotesCollection }) => ({
+  issueApprovedApplication: async (applicationId, actor) => {
+    const application = await applicationsCollection.findOne({ _id: applicationId });
+    if (!application) return;
+
+    await createContractForApplication({ application, contractsCollection, policiesCollection, quotesCollection, actor });
+    await createBillingSchedule({ application, installmentsCollection, quotesCollection });
+  },
+
+  refreshBillingAndContracts: async (filter) => {
+    await refreshInstallmentStatuses(installmentsCollection, filter);
+    await syncContractsWithBilling({ contractsCollection, installmentsCollection, filter });
+  }
+});
+
+module.exports = {
+  CONTRACT_TRANSITIONS,
+  CONTRACT_STATUSES,
+  IN_FORCE_STATUSES,
+  SYSTEM_ACTOR,
+  canTransition,
+  createContractForApplication,
+  transitionContract,
+  syncContractsWithBilling,
+  createContractLifecycle
+};
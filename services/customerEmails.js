@@ -0,0 +1,144 @@
+const { refreshInstallmentStatuses } = require('./billing');
+const { formatAmount } = require('./email/templates');
+
+// The transactional emails customers receive, sent through the outbox in
+// services/mailer.js. Each helper looks up what its template needs; like the
+// outbox itself, nothing here throws back into the request that sent it.
+
+// How the claim-update email describes each claim status
+const CLAIM_STATUS_LABELS = {
+  under_review: 'under review',
+  info_requested: 'waiting for more information from you',
+  approved: 'approved',
+  denied: 'denied'
+};
+
+// What the claim-update email adds for each adjudication step
+const CLAIM_UPDATE_NOTES = {
+  'request-info': ({ message }) => `We need more information: ${message}`,
+  approve: ({ payoutAmount, note }) => `Approved payout: ${formatAmount(payoutAmount)}.${note ? ` ${note}` : ''}`,
+  deny: ({ reason }) => `Reason: ${reason}`
+};
+
+/**
+ * Build the customer email helpers.
+ *
+ * queueEmail        - from createMailer
+ * reminderDays      - how far ahead sendPaymentReminders looks for due installments
+ */
+const createCustomerEmails = ({
+  usersCollection,
+  paymentsCollection,
+  policiesCollection,
+  installmentsCollection,
+  queueEmail,
+  reminderDays
+}) => {
+  // Email a user by UID - the address and greeting come from their user document
+  const emailUser = async (template, uid, data = {}) => {
+    const user = uid ? await usersCollection.findOne({ uid }) : null;
+    if (!user?.email) return null;
+
+    return queueEmail(template, {
+      to: user.email,
+      userId: user.uid,
+      data: { name: user.displayName || user.name || 'there', ...data }
+    });
+  };
+
+  // Tell the applicant about an approval or rejection. Approval emails quote the
+  // first due date, so send them after the billing schedule exists
+  const emailApplicationDecision = async (application, status, reason) => {
+    if (status === 'approved') {
+      const first = await installmentsCollection.findOne(
+        { applicationId: application._id },
+        { sort: { sequence: 1 } }
+      );
+      return emailUser('application-approved', application.userId, {
+        policyName: application.policyName,
+        firstDueDate: first?.dueDate || 'shown on your dashboard'
+      });
+    }
+    if (status === 'rejected') {
+      return emailUser('application-rejected', application.userId, {
+        policyName: application.policyName,
+        reason: reason || 'No reason provided'
+      });
+    }
+    return null;
+  };
+
+  // Tell the customer a claim moved on - details is the adjudication step's input
+  const emailClaimUpdate = (claim, action, details = {}) => emailUser('claim-update', claim.userId, {
+    claimId: claim._id,
+    claimType: claim.claimType,
+    status: CLAIM_STATUS_LABELS[claim.status] || claim.status,
+    note: CLAIM_UPDATE_NOTES[action]?.(details) || ''
+  });
+
+  // Receipt for a completed payment - sent once, however many times the
+  // payment is confirmed (client confirmation and Stripe webhook both report it)
+  const sendPaymentReceipt = async (paymentIntentId) => {
+    const result = await paymentsCollection.updateOne(
+      { paymentIntentId, status: 'completed', receiptSentAt: null },
+      { $set: { receiptSentAt: new Date() } }
+    );
+    if (result.modifiedCount === 0) return null;
+
+    const payment = await paymentsCollection.findOne({ paymentIntentId });
+    const policy = payment.policyId ? await policiesCollection.findOne({ _id: payment.policyId }) : null;
+    return emailUser('payment-receipt', payment.userId, {
+      amount: formatAmount(payment.amount, payment.currency),
+      policyName: policy?.title || 'your policy',
+      paymentDate: payment.paymentDate,
+      transactionId: payment.transactionId
+    });
+  };
+
+  /**
+   * Remind customers of installments due within reminderDays, and of overdue
+   * ones, once per installment. Run by the scheduler in app.js.
+   * Returns the number of reminders sent.
+   */
+  const sendPaymentReminders = async (now = new Date()) => {
+    await refreshInstallmentStatuses(installmentsCollection);
+
+    const horizon = new Date(now.getTime() + reminderDays * 24 * 60 * 60 * 1000);
+    const due = await installmentsCollection
+      .find({ status: { $in: ['pending', 'overdue'] }, dueDate: { $lte: horizon }, reminderSentAt: null })
+      .toArray();
+
+    let sent = 0;
+    for (const installment of due) {
+      const claimed = await installmentsCollection.updateOne(
+        { _id: installment._id, reminderSentAt: null },
+        { $set: { reminderSentAt: now } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      const policy = await policiesCollection.findOne({ _id: installment.policyId });
+      await emailUser('payment-due', installment.userId, {
+        sequence: installment.sequence,
+        amount: formatAmount(installment.amount, installment.currency),
+        policyName: policy?.title || 'your policy',
+        dueDate: installment.dueDate,
+        graceEndsAt: installment.graceEndsAt
+      });
+      sent += 1;
+    }
+    return sent;
+  };
+
+  return {
+    emailUser,
+    emailApplicationDecision,
+    emailClaimUpdate,
+    sendPaymentReceipt,
+    sendPaymentReminders
+  };
+};
+
+module.exports = {
+  CLAIM_STATUS_LABELS,
+  createCustomerEmails
+};
@@ -0,0 +1,182 @@
+const { calculateQuote, parseBoolean } = require('./quoteEngine');
+
+// Policy eligibility
+//
+// One set of rules for both the catalog filter (GET /policies?age=&desiredCoverage=&budget=)
+// and application submission: the applicant's age must be within the policy's
+// entry ages, the coverage asked for within its coverage limits, and - when a
+// budget is given - the estimated monthly premium must fit it.
+
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+const ageFromDateOfBirth = (dateOfBirth, now = new Date()) => {
+  const born = new Date(dateOfBirth);
+  if (Number.isNaN(born.getTime())) return undefined;
+  return Math.floor((now - born) / MS_PER_YEAR);
+};
+
+/**
+ * Read an applicant profile from catalog query parameters:
+ * age, desiredCoverage, budget (monthly premium) and smoker.
+ *
+ * Returns { profile } (null when no parameter is set) or { errors }.
+ */
+const parseApplicantProfile = (query) => {
+  const errors = [];
+  const profile = {};
+
+  const number = (name, { integer = false, min = 0, max = Infinity } = {}) => {
+    if (query[name] === undefined || query[name] === '') return undefined;
+    const value = Number(query[name]);
+    if (Number.isNaN(value) || (integer && !Number.isInteger(value)) || value < min || value > max) {
+      const kind = integer ? 'an integer' : 'a number';
+      const range = max === Infinity ? `of at least ${min}` : `between ${min} and ${max}`;
+      errors.push({ field: name, message: `must be ${kind} ${range}` });
+      return undefined;
+    }
+    return value;
+  };
+
+  const age = number('age', { integer: true, max: 120 });
+  const coverage = number('desiredCoverage', { min: 1 });
+  const budget = number('budget', { min: 1 });
+
+  if (age !== undefined) profile.age = age;
+  if (coverage !== undefined) profile.coverage = coverage;
+  if (budget !== undefined) profile.budget = budget;
+  if (query.smoker !== undefined) profile.smoker = parseBoolean(query.smoker);
+
+  if (errors.length > 0) return { errors };
+  return { profile: Object.keys(profile).length > 0 ? profile : null };
+};
+
+/**
+ * Estimated monthly premium for an applicant, with the policy's minimum entry
+ * age and minimum coverage standing in for whatever the profile leaves out.
+ */
+const estimatePremium = (policy, { age, coverage, smoker = false, term } = {}) => {
+  const inputs = {
+    age: age ?? policy.minAge,
+    coverage: coverage ?? policy.coverageMin,
+    smoker,
+    term
+  };
+  const quote = calculateQuote(policy, inputs);
+  if (quote.errors) return null;
+
+  return {
+    age: quote.inputs.age,
+    coverage: quote.inputs.coverage,
+    smoker: quote.inputs.smoker,
+    monthlyPremium: quote.monthlyPremium,
+    currency: quote.currency
+  };
+};
+
+/**
+ * Check an applicant against a policy.
+ *
+ * profile - { age, coverage, budget, smoker, term }; rules for missing values are skipped
+ * Returns { eligible, reasons: [{ field, message }], estimate }
+ */
+const checkEligibility = (policy, profile = {}) => {
+  const reasons = [];
+  const { age, coverage, budget } = profile;
+
+  if (age !== undefined) {
+    if (age < policy.minAge) {
+      reasons.push({ field: 'age', message: `Applicant age ${age} is below the minimum entry age of ${policy.minAge}` });
+    } else if (age > policy.maxAge) {
+      reasons.push({ field: 'age', message: `Applicant age ${age} is above the maximum entry age of ${policy.maxAge}` });
+    }
+  }
+
+  if (coverage !== undefined) {
+    if (coverage < policy.coverageMin) {
+      reasons.push({ field: 'coverage', message: `Coverage of ${coverage} is below the policy minimum of ${policy.coverageMin}` });
+    } else if (coverage > policy.coverageMax) {
+      reasons.push({ field: 'coverage', message: `Coverage of ${coverage} is above the policy maximum of ${policy.coverageMax}` });
+    }
+  }
+
+  const estimate = reasons.length === 0 ? estimatePremium(policy, profile) : null;
+
+  if (budget !== undefined && estimate && estimate.monthlyPremium > budget) {
+    reasons.push({
+      field: 'budget',
+      message: `Estimated premium of ${estimate.monthlyPremium} a month is above the budget of ${budget}`
+    });
+  }
+
+  return { eligible: reasons.length === 0, reasons, estimate };
+};
+
+// Fields the eligibility rules and the premium estimate read
+const PRICING_FIELDS = { minAge: 1, maxAge: 1, coverageMin: 1, coverageMax: 1, basePremium: 1, duration: 1 };
+
+/**
+ * Query for the catalog policies an applicant qualifies for. Entry ages and
+ * coverage limits are compared in the query; a budget needs the premium
+ * estimate, so it narrows the query to the policies whose estimate fits.
+ *
+ * filter - query narrowing the catalog, e.g. NOT_ARCHIVED
+ */
+const eligibilityQuery = async (policiesCollection, profile, filter = {}) => {
+  const { age, coverage, budget } = profile;
+  const conditions = [];
+  if (age !== undefined) {
+    conditions.push({ minAge: { $lte: age } }, { maxAge: { $gte: age } });
+  }
+  if (coverage !== undefined) {
+    conditions.push({ coverageMin: { $lte: coverage } }, { coverageMax: { $gte: coverage } });
+  }
+
+  if (budget !== undefined) {
+    const candidates = await policiesCollection
+      .find(conditions.length > 0 ? { ...filter, $and: conditions } : filter, { projection: PRICING_FIELDS })
+      .toArray();
+    const affordable = candidates.filter(policy => checkEligibility(policy, profile).eligible);
+    conditions.push({ _id: { $in: affordable.map(policy => policy._id) } });
+  }
+
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+// Applicant profile for an application - the form first, then the quote it was made from
+const applicationProfile = (application, quote) => {
+  const inputs = quote?.inputs || {};
+  return {
+    age: application.age ?? ageFromDateOfBirth(application.dateOfBirth) ?? inputs.age,
+    coverage: application.coverageAmount ?? inputs.coverage,
+    smoker: application.smoker ?? inputs.smoker ?? false,
+    term: application.term ?? inputs.term
+  };
+};
+
+/**
+ * Check a submitted application against its policy. Unlike the catalog filter,
+ * the applicant's age is required.
+ *
+ * Returns { eligible, reasons, estimate } like checkEligibility
+ */
+const checkApplicationEligibility = (policy, application, quote) => {
+  const profile = applicationProfile(application, quote);
+  if (profile.age === undefined) {
+    return {
+      eligible: false,
+      reasons: [{ field: 'age', message: 'Age or date of birth is required to check eligibility' }],
+      estimate: null
+    };
+  }
+  return checkEligibility(policy, profile);
+};
+
+module.exports = {
+  ageFromDateOfBirth,
+  applicationProfile,
+  parseApplicantProfile,
+  estimatePremium,
+  checkEligibility,
+  checkApplicationEligibility,
+  eligibilityQuery
+};
@@ -0,0 +1,21 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Writes each message to a JSON file instead of sending it - for local
+// development, where the outbox directory can be opened to read what went out
+const createFileOutboxTransport = ({ dir }) => ({
+  driver: 'file',
+
+  async send(message) {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(dir, `${messageId}.json`),
+      JSON.stringify({ messageId, ...message, sentAt: new Date() }, null, 2)
+    );
+    return { messageId };
+  }
+});
+
+module.exports = { createFileOutboxTransport };
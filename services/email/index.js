@@ -0,0 +1,22 @@
+const { createSmtpTransport } = require('./smtp');
+const { createFileOutboxTransport } = require('./fileOutbox');
+const { createMemoryOutboxTransport } = require('./memoryOutbox');
+
+// Email transports - every transport exposes the same interface:
+//   send({ from, to, subject, text, html }) -> { messageId }, throws when delivery fails
+// Select one with EMAIL_TRANSPORT: smtp in production, file or memory elsewhere.
+const transports = {
+  smtp: (config) => createSmtpTransport(config.smtp),
+  file: (config) => createFileOutboxTransport({ dir: config.emailOutboxDir }),
+  memory: () => createMemoryOutboxTransport()
+};
+
+// config - see config.js
+const createEmailTransport = (name = 'file', config = {}) => {
+  if (!transports[name]) {
+    throw new Error(`Unknown email transport: ${name}`);
+  }
+  return transports[name](config);
+};
+
+module.exports = { createEmailTransport };
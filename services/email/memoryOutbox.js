@@ -0,0 +1,27 @@
+// Keeps sent messages in memory - for tests. messages holds everything sent;
+// failNext(n) makes the next n sends throw, to exercise the retry queue
+const createMemoryOutboxTransport = () => {
+  const messages = [];
+  let failures = 0;
+
+  return {
+    driver: 'memory',
+    messages,
+
+    failNext(count = 1) {
+      failures = count;
+    },
+
+    async send(message) {
+      if (failures > 0) {
+        failures -= 1;
+        throw new Error('Simulated delivery failure');
+      }
+      const messageId = `memory-${messages.length + 1}`;
+      messages.push({ messageId, ...message, sentAt: new Date() });
+      return { messageId };
+    }
+  };
+};
+
+module.exports = { createMemoryOutboxTransport };
@@ -0,0 +1,26 @@
+const nodemailer = require('nodemailer');
+
+// Sends through an SMTP server - the production transport
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  if (!host) {
+    throw new Error('SMTP_HOST is required for the smtp email transport');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    driver: 'smtp',
+
+    async send({ from, to, subject, text, html }) {
+      const info = await transporter.sendMail({ from, to, subject, text, html });
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+module.exports = { createSmtpTransport };
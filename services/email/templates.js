@@ -0,0 +1,131 @@
+// Transactional email templates
+//
+// Subjects and bodies are plain text with {{placeholders}}, filled from the
+// data passed to renderEmail(). The HTML version is built from the text:
+// values are escaped and each blank-line separated block becomes a paragraph.
+// Dates are shown as YYYY-MM-DD; format amounts with formatAmount() first.
+
+const SIGNATURE = 'The LifeSure team';
+
+const EMAIL_TEMPLATES = {
+  'application-received': {
+    subject: 'We received your application for {{policyName}}',
+    text: `Hi {{name}},
+
+Thanks for applying for {{policyName}}. Your application reference is {{applicationId}}.
+
+An agent will review it and we will email you as soon as there is a decision.`
+  },
+  'application-approved': {
+    subject: 'Your application for {{policyName}} is approved',
+    text: `Hi {{name}},
+
+Good news - your application for {{policyName}} has been approved and your policy is now being issued.
+
+Your first premium is due on {{firstDueDate}}. You can pay it from your dashboard.`
+  },
+  'application-rejected': {
+    subject: 'Update on your application for {{policyName}}',
+    text: `Hi {{name}},
+
+We are sorry to let you know that your application for {{policyName}} was not approved.
+
+Reason: {{reason}}
+
+If you have questions, reply to this email or contact your agent.`
+  },
+  'payment-receipt': {
+    subject: 'Payment receipt - {{amount}}',
+    text: `Hi {{name}},
+
+We received your payment of {{amount}} for {{policyName}} on {{paymentDate}}.
+
+Transaction ID: {{transactionId}}
+
+Keep this email for your records.`
+  },
+  'payment-due': {
+    subject: 'Premium of {{amount}} due on {{dueDate}}',
+    text: `Hi {{name}},
+
+Installment {{sequence}} for {{policyName}}, {{amount}}, is due on {{dueDate}}.
+
+Pay it from your dashboard before {{graceEndsAt}} to keep your cover in force.`
+  },
+  'claim-update': {
+    subject: 'Your claim is {{status}}',
+    text: `Hi {{name}},
+
+Your {{claimType}} claim ({{claimId}}) is {{status}}.
+
+{{note}}
+
+You can follow the claim from your dashboard.`
+  },
+  'agent-application-approved': {
+    subject: 'Welcome to the LifeSure agent team',
+    text: `Hi {{name}},
+
+Your application to become a LifeSure agent has been approved. Sign in again to see your agent dashboard.`
+  },
+  'agent-application-rejected': {
+    subject: 'Update on your agent application',
+    text: `Hi {{name}},
+
+Thank you for applying to become a LifeSure agent. We are unable to approve your application at this time.
+
+Feedback: {{feedback}}`
+  }
+};
+
+const EMAIL_TEMPLATE_NAMES = Object.keys(EMAIL_TEMPLATES);
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const display = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value);
+};
+
+const fill = (template, data, encode = (value) => value) =>
+  template.replace(/\{\{(\w+)\}\}/g, (match, key) => encode(display(data[key])));
+
+const formatAmount = (amount, currency = 'usd') =>
+  `${Number(amount || 0).toFixed(2)} ${String(currency).toUpperCase()}`;
+
+/**
+ * Render a template. Returns { subject, text, html }.
+ * Placeholders without a value render empty.
+ */
+const renderEmail = (name, data = {}) => {
+  const template = EMAIL_TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const body = `${template.text}\n\n${SIGNATURE}`;
+  const paragraphs = fill(body, data, escapeHtml)
+    .split(/\n{2,}/)
+    .map(block => block.trim())
+    .filter(Boolean)
+    .map(block => `<p>${block.replace(/\n/g, '<br>')}</p>`);
+
+  return {
+    subject: fill(template.subject, data),
+    text: fill(body, data).replace(/\n{3,}/g, '\n\n'),
+    html: `<!DOCTYPE html><html><body style="font-family: sans-serif; line-height: 1.5">${paragraphs.join('')}</body></html>`
+  };
+};
+
+module.exports = {
+  EMAIL_TEMPLATES,
+  EMAIL_TEMPLATE_NAMES,
+  formatAmount,
+  renderEmail
+};
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+
+// Errors and the error envelope
+//
+// Handlers and middlewares throw (or next()) one of the typed errors below;
+// the error handler turns it into the single error shape every route returns:
+//
+//   { success: false, code: 'NOT_FOUND', message: 'Policy not found', requestId: '...' }
+//
+// ValidationError adds errors: [{ field, message }]. Anything that is not an
+// AppError is logged and answered with a generic 500, so driver and library
+// messages never reach the client.
+
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', errors } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    if (errors) this.errors = errors;
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message = 'Validation failed', { code = 'VALIDATION_FAILED', errors } = {}) {
+    super(message, { status: 400, code, errors });
+  }
+}
+
+// A malformed record ID in the path or body
+class InvalidIdError extends ValidationError {
+  constructor(message = 'Invalid ID format') {
+    super(message, { code: 'INVALID_ID' });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Unauthorized access') {
+    super(message, { status: 401, code: 'UNAUTHORIZED' });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Access denied') {
+    super(message, { status: 403, code: 'FORBIDDEN' });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Not found') {
+    super(message, { status: 404, code: 'NOT_FOUND' });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = 'Conflict') {
+    super(message, { status: 409, code: 'CONFLICT' });
+  }
+}
+
+const CODES_BY_STATUS = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  410: 'GONE',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  422: 'UNPROCESSABLE_ENTITY'
+};
+
+// Typed error for an HTTP status - for the statuses without a class above (410, 413, ...)
+const httpError = (status, message) => {
+  switch (status) {
+    case 400:
+      return new ValidationError(message);
+    case 401:
+      return new UnauthorizedError(message);
+    case 403:
+      return new ForbiddenError(message);
+    case 404:
+      return new NotFoundError(message);
+    case 409:
+      return new ConflictError(message);
+    default:
+      return new AppError(message, { status, code: CODES_BY_STATUS[status] || 'INTERNAL_ERROR' });
+  }
+};
+
+// Map errors raised outside our code (driver, body parser, ...) to an AppError
+const normalizeError = (error) => {
+  if (error instanceof AppError) return error;
+
+  // new ObjectId('abc') - an ID that was never checked
+  if (error?.name === 'BSONError') {
+    return new InvalidIdError();
+  }
+
+  // Unique index violation
+  if (error?.code === 11000) {
+    return new ConflictError('Record already exists');
+  }
+
+  // express.json(): malformed JSON, oversized body, ...
+  if (error?.type === 'entity.parse.failed') {
+    return new ValidationError('Malformed JSON body', { code: 'INVALID_JSON' });
+  }
+  if (error?.expose && error.status >= 400 && error.status < 500) {
+    return new AppError(error.message, { status: error.status, code: CODES_BY_STATUS[error.status] || 'BAD_REQUEST' });
+  }
+
+  return null;
+};
+
+const errorBody = (error, requestId) => ({
+  success: false,
+  code: error.code,
+  message: error.message,
+  requestId,
+  ...(error.errors && { errors: error.errors })
+});
+
+// Request IDs: reuse a sane X-Request-Id from the caller (e.g. a proxy), otherwise make one
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const assignRequestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+// Last route - nothing matched
+const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError(`Route not found: ${req.method} ${req.path}`));
+};
+
+// Last middleware - sends every error in the envelope above. Express only treats
+// four-argument functions as error handlers, so next stays in the signature
+const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  const known = normalizeError(error);
+  if (!known) {
+    console.error(`Unhandled error on ${req.method} ${req.originalUrl} [${req.id}]:`, error);
+  }
+
+  const appError = known || new AppError('Internal server error');
+  res.status(appError.status).json(errorBody(appError, req.id));
+};
+
+module.exports = {
+  AppError,
+  ValidationError,
+  InvalidIdError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  httpError,
+  normalizeError,
+  assignRequestId,
+  notFoundHandler,
+  errorHandler
+};
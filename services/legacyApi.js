@@ -0,0 +1,152 @@
+const express = require('express');
+
+// Legacy (unversioned) API paths
+//
+// The API as it stood when /api/v1 was introduced is still reachable at its
+// old unversioned paths. Those responses carry Deprecation / Sunset / Link
+// headers, and each use is counted per route so we can tell when a legacy path
+// has gone quiet (GET /admin/legacy-routes). Routes added since then only
+// exist under /api/v1.
+// Old duplicate routes are kept as aliases that forward to their canonical v1 route.
+
+// The routes of the first versioned API - the only ones served at legacy paths
+const LEGACY_ROUTES = [
+  'GET /schemas',
+  'GET /schemas/:name',
+  'POST /users',
+  'POST /policies',
+  'GET /policies',
+  'GET /policies/top-policies',
+  'GET /policies/:id',
+  'POST /policies/:id/quote',
+  'PUT /policies/:id',
+  'DELETE /policies/:id',
+  'GET /applications/user/:userId',
+  'POST /reviews',
+  'GET /reviews',
+  'GET /users/:uid',
+  'PATCH /users/:uid/profile',
+  'PATCH /users/:uid/last-login',
+  'GET /applications/:id',
+  'POST /confirm-payment',
+  'POST /stripe/webhook',
+  'GET /admin/applications',
+  'GET /admin/transactions',
+  'GET /admin/users',
+  'PATCH /admin/users/:targetUserId/role',
+  'POST /customer/applications',
+  'POST /customer/create-payment-intent',
+  'GET /customer/applications',
+  'GET /customer/payments',
+  'GET /customer/payment-status',
+  'GET /agent/applications',
+  'PATCH /agent/applications/:id/status',
+  'GET /agent/customers',
+  'GET /profile',
+  'PATCH /profile',
+  'GET /blogs',
+  'POST /agent/blogs',
+  'GET /agent/blogs',
+  'PUT /agent/blogs/:id',
+  'DELETE /agent/blogs/:id',
+  'POST /apply-agent',
+  'GET /admin/agent-applications',
+  'PATCH /admin/agent-applications/:userId',
+  'GET /admin/agents',
+  'GET /agents',
+  'POST /customer/claims',
+  'GET /customer/claims',
+  'GET /admin/claims',
+  'GET /customer/claims/:id',
+  'POST /customer/claims/:id/reply',
+  'GET /admin/claims/:id',
+  'PATCH /admin/claims/:id/review',
+  'PATCH /admin/claims/:id/request-info',
+  'PATCH /admin/claims/:id/approve',
+  'PATCH /admin/claims/:id/deny',
+  'GET /agent/claims',
+  'GET /agent/claims/:id',
+  'PATCH /agent/claims/:id/review',
+  'PATCH /agent/claims/:id/request-info',
+  'PATCH /agent/claims/:id/approve',
+  'PATCH /agent/claims/:id/deny',
+  'POST /claims/:id/documents',
+  'GET /claims/:id/documents',
+  'GET /claims/:id/documents/:documentId/url',
+  'GET /files/claim-documents/:documentId',
+  'GET /customer/contracts',
+  'GET /customer/contracts/:id',
+  'PATCH /customer/contracts/:id/status',
+  'GET /agent/contracts',
+  'PATCH /agent/contracts/:id/status',
+  'GET /admin/contracts',
+  'GET /admin/contracts/:id',
+  'PATCH /admin/contracts/:id/status',
+  'PATCH /admin/applications/:id/assign-agent',
+  'GET /agent/assigned-applications',
+  'GET /payments/user/:userId',
+  'PATCH /applications/:id/status',
+  'GET /admin/applications/:id',
+  'PATCH /admin/applications/:id/reject',
+  'GET /admin/audit-logs',
+  'GET /admin/audit-logs/export',
+  'GET /admin/dashboard-stats',
+  'GET /agent/dashboard-stats',
+  'GET /customer/dashboard-stats',
+  'DELETE /admin/users/:userId',
+  'PATCH /blogs/:id/visit',
+  'POST /newsletter',
+  'GET /admin/legacy-routes'
+];
+
+const createLegacyApi = ({ usageCollection, basePath, sunset }) => {
+  const sunsetHeader = new Date(sunset).toUTCString();
+
+  const recordUsage = (route, statusCode) => {
+    usageCollection.updateOne(
+      { _id: route },
+      {
+        $inc: { count: 1 },
+        $set: { lastUsedAt: new Date(), lastStatusCode: statusCode },
+        $setOnInsert: { firstUsedAt: new Date() }
+      },
+      { upsert: true }
+    ).catch(error => console.error('Failed to record legacy route usage:', error));
+  };
+
+  // Route handler forwarding an old duplicate path to its canonical route
+  const alias = (canonicalPath) => (req, res, next) => {
+    req.legacyRoute = `${req.method} ${req.route.path}`;
+
+    const queryIndex = req.url.indexOf('?');
+    const query = queryIndex === -1 ? '' : req.url.slice(queryIndex);
+    req.url = canonicalPath.replace(/:(\w+)/g, (_, name) => encodeURIComponent(req.params[name])) + query;
+    next();
+  };
+
+  const deprecate = (req, res, next) => {
+    res.set({
+      Deprecation: 'true',
+      Sunset: sunsetHeader,
+      Link: `<${basePath}${req.path}>; rel="successor-version"`
+    });
+
+    req.legacyRoute = req.legacyRoute || `${req.method} ${req.route.path}`;
+    res.on('finish', () => recordUsage(req.legacyRoute, res.statusCode));
+    next();
+  };
+
+  // Mount at the root path, after the aliases - LEGACY_ROUTES are handed to the v1 router
+  const router = (v1) => {
+    const legacy = express.Router();
+    for (const route of LEGACY_ROUTES) {
+      const [method, path] = route.split(' ');
+      legacy[method.toLowerCase()](path, deprecate, (req, res, next) => v1(req, res, next));
+    }
+    return legacy;
+  };
+
+  return { alias, router };
+};
+
+module.exports = { LEGACY_ROUTES, createLegacyApi };
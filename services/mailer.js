@@ -0,0 +1,189 @@
+const { renderEmail } = require('./email/templates');
+const { ConflictError } = require('./errors');
+
+// Outbox and retry queue for transactional email
+//
+// Every email is rendered and stored in the emails collection before it is
+// sent, so nothing is lost when the transport is down:
+//
+//   queued  -> sending -> sent
+//                      -> queued again, with nextAttemptAt pushed back
+//                      -> failed, after MAX_ATTEMPTS
+//
+// queueEmail() and retryEmail() store the email as queued and start the first
+// delivery in the background, so no request waits on the transport; the
+// scheduler in app.js picks up anything still due with deliverDueEmails(). A
+// send that was claimed but never finished (the process died) is picked up
+// again once its lock is stale.
+
+// Minutes to wait before each retry
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const EMAIL_STATUSES = ['queued', 'sending', 'sent', 'failed'];
+
+/**
+ * Build the mailer.
+ *
+ * transport - from services/email
+ * from      - sender address for every email
+ *
+ * Returns { queueEmail, deliverDueEmails, retryEmail }
+ */
+const createMailer = ({ emailsCollection, transport, from }) => {
+  // Claim a queued email so only one worker sends it
+  const claim = async (email, now) => {
+    const result = await emailsCollection.updateOne(
+      {
+        _id: email._id,
+        $or: [
+          { status: 'queued' },
+          { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+        ]
+      },
+      { $set: { status: 'sending', lockedAt: now } }
+    );
+    return result.modifiedCount === 1;
+  };
+
+  const attempt = async (email, now = new Date()) => {
+    if (!await claim(email, now)) return null;
+
+    const attempts = (email.attempts || 0) + 1;
+    try {
+      const { messageId } = await transport.send({
+        from,
+        to: email.to,
+        subject: email.subject,
+        text: email.text,
+        html: email.html
+      });
+      await emailsCollection.updateOne(
+        { _id: email._id },
+        { $set: { status: 'sent', attempts, messageId, sentAt: new Date(), lockedAt: null, lastError: null } }
+      );
+      return 'sent';
+    } catch (error) {
+      const gaveUp = attempts >= MAX_ATTEMPTS;
+      await emailsCollection.updateOne(
+        { _id: email._id },
+        {
+          $set: {
+            status: gaveUp ? 'failed' : 'queued',
+            attempts,
+            lastError: error.message,
+            lastAttemptAt: now,
+            nextAttemptAt: gaveUp ? null : new Date(now.getTime() + RETRY_DELAYS_MINUTES[attempts - 1] * MINUTE_MS),
+            lockedAt: null
+          }
+        }
+      );
+      return gaveUp ? 'failed' : 'queued';
+    }
+  };
+
+  // Start a delivery without waiting for it - whatever it fails to send stays
+  // queued for deliverDueEmails()
+  const attemptInBackground = (email, now) => {
+    attempt(email, now).catch(error => console.error(`Failed to send email ${email._id}:`, error));
+  };
+
+  /**
+   * Render a template into the outbox and start sending it.
+   *
+   * to       - recipient address; nothing is queued without one
+   * userId   - recipient's UID, kept for lookups
+   * data     - template placeholders
+   *
+   * Email is a side effect - failures are logged, never thrown.
+   * Resolves to the stored email, still queued, or null.
+   */
+  const queueEmail = async (template, { to, userId = null, data = {} }) => {
+    if (!to) return null;
+
+    try {
+      const now = new Date();
+      const email = {
+        template,
+        to,
+        userId,
+        ...renderEmail(template, data),
+        status: 'queued',
+        attempts: 0,
+        nextAttemptAt: now,
+        lastError: null,
+        lockedAt: null,
+        createdAt: now
+      };
+      const result = await emailsCollection.insertOne(email);
+      email._id = result.insertedId;
+
+      attemptInBackground(email, now);
+      return email;
+    } catch (error) {
+      console.error(`Failed to queue "${template}" email:`, error);
+      return null;
+    }
+  };
+
+  /**
+   * Send every queued email whose next attempt is due.
+   * Returns { sent, requeued, failed } - counts from this run.
+   */
+  const deliverDueEmails = async (now = new Date()) => {
+    const due = await emailsCollection
+      .find({
+        $or: [
+          { status: 'queued', nextAttemptAt: { $lte: now } },
+          { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+        ]
+      })
+      .sort({ nextAttemptAt: 1 })
+      .limit(100)
+      .toArray();
+
+    const counts = { sent: 0, requeued: 0, failed: 0 };
+    for (const email of due) {
+      const outcome = await attempt(email, now);
+      if (outcome === 'sent') counts.sent += 1;
+      if (outcome === 'queued') counts.requeued += 1;
+      if (outcome === 'failed') counts.failed += 1;
+    }
+    return counts;
+  };
+
+  /**
+   * Put a failed email back in the queue, with a fresh set of attempts, and
+   * start sending it. Resolves to the requeued email; throws a ConflictError
+   * unless it had failed.
+   */
+  const retryEmail = async (email) => {
+    if (email.status !== 'failed') {
+      throw new ConflictError(`Email is ${email.status}; only failed emails can be retried`);
+    }
+
+    const now = new Date();
+    const result = await emailsCollection.updateOne(
+      { _id: email._id, status: 'failed' },
+      { $set: { status: 'queued', attempts: 0, nextAttemptAt: now } }
+    );
+    if (result.modifiedCount !== 1) {
+      throw new ConflictError('Email has already been requeued');
+    }
+
+    const requeued = { ...email, status: 'queued', attempts: 0, nextAttemptAt: now };
+    attemptInBackground(requeued, now);
+    return requeued;
+  };
+
+  return { queueEmail, deliverDueEmails, retryEmail };
+};
+
+module.exports = {
+  EMAIL_STATUSES,
+  RETRY_DELAYS_MINUTES,
+  MAX_ATTEMPTS,
+  createMailer
+};
@@ -0,0 +1,124 @@
+const { NOT_ARCHIVED } = require('../repositories');
+
+// In-app notifications
+//
+// Routes report what happened with notify(event, payload); the event's entry
+// below decides who hears about it and what they read. Each recipient gets
+// one document in the notifications collection:
+//
+//   { userId, event, title, message, data, readAt, createdAt }
+//
+// Users can switch event types off in notificationPreferences on their user
+// document ({ [event]: false }); everything is on by default. Whoever caused
+// the event is never notified about it.
+
+const NOTIFICATION_EVENTS = {
+  'application:status-changed': {
+    description: 'One of your applications moved to a new status',
+    recipients: ({ application }) => [application.userId],
+    render: ({ application, status }) => ({
+      title: 'Application update',
+      message: `Your application for ${application.policyName || 'a policy'} is now ${status}`,
+      data: { applicationId: application._id, status }
+    })
+  },
+  'application:rejected': {
+    description: 'One of your applications was rejected',
+    recipients: ({ application }) => [application.userId],
+    render: ({ application, reason }) => ({
+      title: 'Application rejected',
+      message: `Your application for ${application.policyName || 'a policy'} was rejected${reason ? `: ${reason}` : ''}`,
+      data: { applicationId: application._id, reason: reason || null }
+    })
+  },
+  'agent-application:decided': {
+    description: 'Your application to become an agent was decided',
+    recipients: ({ user }) => [user.uid],
+    render: ({ decision, feedback }) => ({
+      title: decision === 'approved' ? 'Welcome aboard' : 'Agent application update',
+      message: decision === 'approved'
+        ? 'Your application to become an agent was approved'
+        : `Your application to become an agent was rejected${feedback ? `: ${feedback}` : ''}`,
+      data: { decision, feedback: feedback || null }
+    })
+  },
+  'claim:submitted': {
+    description: 'A new claim was filed on a policy you handle',
+    recipients: async ({ claim }, { usersWith }) => [
+      claim.assignedAgent,
+      ...(await usersWith('claims:adjudicate')).map(user => user.uid)
+    ],
+    render: ({ claim }) => ({
+      title: 'New claim',
+      message: `${claim.userEmail || 'A customer'} filed a new claim (${claim.claimType})`,
+      data: { claimId: claim._id, contractId: claim.contractId }
+    })
+  },
+  'application:sla-breached': {
+    description: 'An application went past its SLA and was escalated to you',
+    recipients: ({ escalation }) => escalation.recipients,
+    render: ({ escalation }) => ({
+      title: 'SLA breached',
+      message: `An application for ${escalation.policyName || 'a policy'} has been ${escalation.status} for over ${escalation.targetHours} hours`,
+      data: { applicationId: escalation.applicationId, escalationId: escalation._id }
+    })
+  }
+};
+
+const NOTIFICATION_EVENT_NAMES = Object.keys(NOTIFICATION_EVENTS);
+
+// Every event type with whether the user receives it
+const preferencesOf = (user) => Object.fromEntries(
+  NOTIFICATION_EVENT_NAMES.map(event => [event, user?.notificationPreferences?.[event] !== false])
+);
+
+/**
+ * Build notify(event, payload).
+ *
+ * payload.actorUid - whoever caused the event; they are left out
+ *
+ * Notifications are a side effect - a failure is logged and never reaches the
+ * request that triggered it. Resolves to the notifications created.
+ */
+const createNotifier = ({ notificationsCollection, usersCollection, authorization }) => {
+  const notify = async (event, payload = {}) => {
+    const definition = NOTIFICATION_EVENTS[event];
+    if (!definition) {
+      throw new Error(`Unknown notification event: ${event}`);
+    }
+
+    try {
+      const uids = [...new Set(await definition.recipients(payload, authorization))]
+        .filter(uid => uid && uid !== payload.actorUid);
+      if (uids.length === 0) return [];
+
+      const users = await usersCollection.find({ uid: { $in: uids }, ...NOT_ARCHIVED }).toArray();
+      const recipients = users.filter(user => preferencesOf(user)[event]);
+      if (recipients.length === 0) return [];
+
+      const content = definition.render(payload);
+      const now = new Date();
+      const notifications = recipients.map(user => ({
+        userId: user.uid,
+        event,
+        ...content,
+        readAt: null,
+        createdAt: now
+      }));
+      await notificationsCollection.insertMany(notifications);
+      return notifications;
+    } catch (error) {
+      console.error(`Failed to send "${event}" notifications:`, error);
+      return [];
+    }
+  };
+
+  return notify;
+};
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_EVENT_NAMES,
+  preferencesOf,
+  createNotifier
+};
@@ -0,0 +1,217 @@
+const { validate } = require('./validation');
+
+// OpenAPI 3 document built from the routes registered on the API router
+//
+// Request bodies come from the validateBody(name) middleware on each route,
+// security from the auth middlewares passed in, and success responses from
+// the "METHOD /path" map in schemas/responses.js.
+
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const operationIdFor = (method, path) => {
+  const words = path
+    .replace(/:(\w+)/g, 'by-$1')
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean);
+  return method + words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+};
+
+// Swap known component objects for $refs and turn type lists into oneOf (OpenAPI 3.0 has no type arrays)
+const toSpecSchema = (schema, componentNames, isComponentRoot = false) => {
+  if (!schema || typeof schema !== 'object') return schema;
+  if (!isComponentRoot && componentNames.has(schema)) {
+    return { $ref: `#/components/schemas/${componentNames.get(schema)}` };
+  }
+  if (Array.isArray(schema)) {
+    return schema.map(item => toSpecSchema(item, componentNames));
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    result[key] = typeof value === 'object' ? toSpecSchema(value, componentNames) : value;
+  }
+
+  if (Array.isArray(result.type)) {
+    const { type: types, ...rest } = result;
+    return { oneOf: types.map(type => ({ ...rest, type })) };
+  }
+  return result;
+};
+
+const errorContent = { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } };
+
+// Every route registered on the router or its sub-routers: [{ method, path, handles }]
+const listRoutes = (router) => {
+  const routes = [];
+  for (const layer of router.stack) {
+    // Sub-routers added with router.use(subRouter) - mounted without a path prefix
+    if (!layer.route && layer.handle?.stack) {
+      routes.push(...listRoutes(layer.handle));
+      continue;
+    }
+    if (!layer.route) continue;
+    for (const method of Object.keys(layer.route.methods)) {
+      routes.push({
+        method,
+        path: layer.route.path,
+        handles: layer.route.stack.map(routeLayer => routeLayer.handle)
+      });
+    }
+  }
+  return routes;
+};
+
+/**
+ * Build the OpenAPI document.
+ *
+ * authMiddlewares - handles that require a bearer token
+ * Permission requirements are read from authorize() middlewares (handle.permissions).
+ */
+const buildOpenApiSpec = ({ router, basePath, info, bodySchemas, components, responses, envelope, authMiddlewares }) => {
+  const componentNames = new Map();
+  for (const [name, schema] of Object.entries({ ...components, ...bodySchemas })) {
+    componentNames.set(schema, name);
+  }
+
+  const paths = {};
+  const seen = new Set();
+
+  for (const { method, path, handles } of listRoutes(router)) {
+    // Express only ever runs the first of two identical registrations
+    const key = `${method.toUpperCase()} ${path}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const bodySchemaName = handles.map(handle => handle.bodySchema).find(Boolean);
+    const customBody = handles.map(handle => handle.openapiRequestBody).find(Boolean);
+    const secured = handles.some(handle => authMiddlewares.includes(handle));
+    const permissions = handles.flatMap(handle => handle.permissions || []);
+    const declared = responses[key];
+
+    const operation = {
+      operationId: operationIdFor(method, path),
+      tags: [path.split('/')[1] || 'root'],
+      parameters: [...path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+        name,
+        in: 'path',
+        required: true,
+        schema: { type: 'string' }
+      })),
+      responses: {
+        [declared?.status || 200]: {
+          description: 'Success',
+          content: {
+            'application/json': {
+              schema: toSpecSchema(declared?.schema || envelope(), componentNames)
+            }
+          }
+        }
+      }
+    };
+
+    if (permissions.length > 0) {
+      operation.description = `Requires permission: ${permissions.map(options => options.join(' or ')).join(', ')}`;
+      operation['x-permissions'] = permissions;
+    }
+
+    const ownership = handles.map(handle => handle.ownership).find(Boolean);
+    if (ownership) {
+      const allowed = ['the owner', ownership.allowAgents && 'the assigned agent', ownership.permission && `holders of ${ownership.permission}`];
+      operation.description = `Restricted to ${allowed.filter(Boolean).join(', ')}`;
+      operation['x-ownership'] = ownership;
+      operation.responses[403] = { description: 'Not the owner', content: errorContent };
+    }
+
+    if (bodySchemaName) {
+      operation.requestBody = {
+        required: true,
+        content: {
+          'application/json': { schema: { $ref: `#/components/schemas/${bodySchemaName}` } }
+        }
+      };
+      operation.responses[400] = {
+        description: 'Validation failed',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationErrorResponse' } } }
+      };
+    } else if (customBody) {
+      operation.requestBody = customBody;
+    }
+
+    if (secured) {
+      operation.security = [{ bearerAuth: [] }];
+      operation.responses[401] = { description: 'Missing or invalid token', content: errorContent };
+      operation.responses[403] = operation.responses[403] || { description: 'Not allowed', content: errorContent };
+    }
+
+    // Every other failure (not found, conflict, invalid ID, ...) uses the same envelope
+    operation.responses.default = { description: 'Error', content: errorContent };
+
+    const specPath = toOpenApiPath(path);
+    paths[specPath] = paths[specPath] || {};
+    paths[specPath][method] = operation;
+  }
+
+  const componentSchemas = {};
+  for (const [name, schema] of Object.entries({ ...components, ...bodySchemas })) {
+    componentSchemas[name] = toSpecSchema(schema, componentNames, true);
+  }
+
+  return {
+    openapi: '3.0.3',
+    info,
+    servers: [{ url: basePath }],
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      schemas: componentSchemas
+    }
+  };
+};
+
+/**
+ * Middleware checking success responses against schemas/responses.js, so a
+ * handler whose output drifts from the published spec is caught.
+ *
+ * mode "warn" logs violations and sets X-Contract-Violations;
+ * mode "strict" replaces the response with a 500 (use in tests and CI).
+ */
+const createResponseContractCheck = ({ responses, mode }) => (req, res, next) => {
+  if (mode !== 'warn' && mode !== 'strict') return next();
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const declared = req.route && responses[`${req.method} ${req.route.path}`];
+    if (!declared || res.statusCode !== declared.status) {
+      return json(body);
+    }
+
+    // Check what the client receives, after ObjectIds and Dates are serialised
+    const { errors } = validate(declared.schema, JSON.parse(JSON.stringify(body)), { coerce: false });
+    if (errors.length === 0) {
+      return json(body);
+    }
+
+    console.warn(`Response contract violation on ${req.method} ${req.route.path}:`, errors);
+    if (mode === 'strict') {
+      res.status(500);
+      return json({
+        success: false,
+        code: 'CONTRACT_VIOLATION',
+        message: 'Response does not match the API contract',
+        requestId: req.id,
+        errors
+      });
+    }
+
+    res.set('X-Contract-Violations', String(errors.length));
+    return json(body);
+  };
+  next();
+};
+
+module.exports = {
+  buildOpenApiSpec,
+  createResponseContractCheck
+};
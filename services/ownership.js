@@ -0,0 +1,96 @@
+const { ObjectId } = require('mongodb');
+const { UnauthorizedError, ForbiddenError, InvalidIdError, NotFoundError } = require('./errors');
+
+// Resource ownership guard
+//
+// For routes addressed by a user ID or a record ID. The request goes through
+// when the caller owns the resource, is the agent assigned to it, or holds an
+// override permission (e.g. users:read for admins). req.access records which
+// of the three let it through so handlers can narrow what an agent sees.
+
+/**
+ * Build requireOwnership(resolve, options).
+ *
+ * resolve(req)        - async; returns { ownerId, agentIds } for the addressed resource,
+ *                       and throws a typed error when it is invalid or missing
+ * options.permission  - permission that grants access to anyone's resource
+ * options.allowAgents - let assigned agents through (default true). Agents also
+ *                       need agentPermission, so a demoted agent loses access
+ */
+const createOwnershipGuard = ({ usersCollection, authorization, agentPermission }) =>
+  (resolve, { permission, allowAgents = true } = {}) => {
+    const middleware = async (req, res, next) => {
+      try {
+        const uid = req.decoded?.uid;
+        if (!uid) {
+          throw new UnauthorizedError('User ID is required');
+        }
+
+        const resource = await resolve(req);
+
+        if (resource.ownerId === uid) {
+          req.access = 'owner';
+          return next();
+        }
+
+        const user = await usersCollection.findOne({ uid });
+        if (user) {
+          if (permission && await authorization.hasPermission(user, permission)) {
+            req.access = 'permission';
+            return next();
+          }
+
+          const assigned = allowAgents && resource.agentIds.includes(uid);
+          if (assigned && await authorization.hasPermission(user, agentPermission)) {
+            req.access = 'agent';
+            return next();
+          }
+        }
+
+        throw new ForbiddenError('Access denied');
+
+      } catch (error) {
+        next(error);
+      }
+    };
+
+    // Read by the OpenAPI generator
+    middleware.ownership = { permission, allowAgents };
+    return middleware;
+  };
+
+/**
+ * Resolvers for the resources routes are addressed by.
+ *
+ * userOwnership(param)  - the user named by a route param; agents assigned to any
+ *                         of that user's applications count as the user's agents
+ * applicationOwnership  - the application named by :id and its assigned agent
+ */
+const createOwnershipResolvers = ({ repos }) => {
+  const userOwnership = (param) => async (req) => {
+    const ownerId = req.params[param];
+    const agentIds = await repos.applications.distinct('assignedAgent', { userId: ownerId });
+    return { ownerId, agentIds: agentIds.filter(Boolean) };
+  };
+
+  const applicationOwnership = async (req) => {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) {
+      throw new InvalidIdError('Invalid Application ID format');
+    }
+
+    const application = await repos.applications.findOne(
+      { _id: new ObjectId(id) },
+      { projection: { userId: 1, assignedAgent: 1 } }
+    );
+    if (!application) {
+      throw new NotFoundError('Application not found');
+    }
+
+    return { ownerId: application.userId, agentIds: [application.assignedAgent].filter(Boolean) };
+  };
+
+  return { userOwnership, applicationOwnership };
+};
+
+module.exports = { createOwnershipGuard, createOwnershipResolvers };
@@ -0,0 +1,161 @@
+const { ObjectId } = require('mongodb');
+const { ValidationError, InvalidIdError, NotFoundError, ConflictError, httpError } = require('./errors');
+
+// What a payment intent may charge
+//
+// A charge is either the next installment of a billing schedule or the premium
+// of a saved quote. The amount always comes from one of those records - never
+// from the client.
+
+/**
+ * Build the charge helpers.
+ *
+ * findPayableQuote(quoteId, userId)          - unexpired quote of the user
+ * findPayableInstallment(installmentId, uid) - unpaid installment of the user
+ * resolvePayableCharge(body, userId)         - the charge for { quoteId } or { installmentId }
+ * chargeMetadata(charge)                     - the charge's IDs as Stripe metadata
+ * linkPaymentIntentToQuote(quoteId, intentId)
+ * findPaidCharge(intent, userId)             - the charge a succeeded Stripe intent of the user paid for
+ *
+ * Lookups resolve to the quote, installment or charge, and throw a typed error
+ * from ./errors when there is nothing the user may pay (or has paid) for.
+ */
+const createPaymentCharges = ({ quotesCollection, installmentsCollection }) => {
+  // Load a quote the given user may pay for - the quote is the only source of a charge amount
+  const findPayableQuote = async (quoteId, userId) => {
+    if (!quoteId || !ObjectId.isValid(quoteId)) {
+      throw new ValidationError('A valid quote ID is required');
+    }
+
+    const quote = await quotesCollection.findOne({ _id: new ObjectId(quoteId) });
+
+    if (!quote || quote.userId !== userId) {
+      throw new NotFoundError('Quote not found');
+    }
+
+    if (quote.expiresAt < new Date()) {
+      throw httpError(410, 'Quote has expired. Please request a new quote');
+    }
+
+    return quote;
+  };
+
+  // Load an unpaid installment of the given user's billing schedule
+  const findPayableInstallment = async (installmentId, userId) => {
+    if (!ObjectId.isValid(installmentId)) {
+      throw new InvalidIdError('Invalid Installment ID format');
+    }
+
+    const installment = await installmentsCollection.findOne({
+      _id: new ObjectId(installmentId),
+      userId
+    });
+
+    if (!installment) {
+      throw new NotFoundError('Installment not found');
+    }
+
+    if (installment.status === 'paid') {
+      throw new ConflictError('Installment is already paid');
+    }
+
+    return installment;
+  };
+
+  // Work out what a payment intent charges - either an installment of a billing schedule or a fresh quote
+  const resolvePayableCharge = async ({ quoteId, installmentId }, userId) => {
+    if (installmentId) {
+      const installment = await findPayableInstallment(installmentId, userId);
+      return {
+        amount: installment.amount,
+        currency: installment.currency,
+        policyId: installment.policyId,
+        quoteId: installment.quoteId,
+        installmentId: installment._id
+      };
+    }
+
+    const quote = await findPayableQuote(quoteId, userId);
+    return {
+      amount: quote.premium,
+      currency: quote.currency,
+      policyId: quote.policyId,
+      quoteId: quote._id,
+      installmentId: null
+    };
+  };
+
+  // Stripe metadata only holds strings - drop the IDs a charge doesn't have
+  const chargeMetadata = (charge) => {
+    const metadata = { policyId: charge.policyId.toString() };
+    if (charge.quoteId) metadata.quoteId = charge.quoteId.toString();
+    if (charge.installmentId) metadata.installmentId = charge.installmentId.toString();
+    return metadata;
+  };
+
+  // Remember which payment intents were created from a quote
+  const linkPaymentIntentToQuote = async (quoteId, paymentIntentId) => {
+    await quotesCollection.updateOne(
+      { _id: quoteId },
+      {
+        $push: { paymentIntentIds: paymentIntentId },
+        $set: { updatedAt: new Date() }
+      }
+    );
+  };
+
+  // Check a payment intent as Stripe reports it against the quote or installment
+  // it was created for - the client only tells us which intent to look at
+  const findPaidCharge = async (intent, userId) => {
+    const metadata = intent.metadata || {};
+    if (metadata.userId !== userId) {
+      throw new NotFoundError('Payment not found');
+    }
+
+    if (intent.status !== 'succeeded') {
+      throw new ConflictError('Payment has not succeeded');
+    }
+
+    let charge = null;
+    if (metadata.installmentId && ObjectId.isValid(metadata.installmentId)) {
+      const installment = await installmentsCollection.findOne({ _id: new ObjectId(metadata.installmentId), userId });
+      charge = installment && {
+        amount: installment.amount,
+        currency: installment.currency,
+        policyId: installment.policyId,
+        quoteId: installment.quoteId,
+        installmentId: installment._id
+      };
+    } else if (metadata.quoteId && ObjectId.isValid(metadata.quoteId)) {
+      const quote = await quotesCollection.findOne({ _id: new ObjectId(metadata.quoteId), userId });
+      charge = quote && {
+        amount: quote.premium,
+        currency: quote.currency,
+        policyId: quote.policyId,
+        quoteId: quote._id,
+        installmentId: null
+      };
+    }
+
+    if (!charge || charge.policyId.toString() !== metadata.policyId) {
+      throw new NotFoundError('Payment not found');
+    }
+
+    if (intent.amount_received !== Math.round(charge.amount * 100) || intent.currency !== charge.currency) {
+      throw new ConflictError('Payment amount does not match the charge');
+    }
+
+    return charge;
+  };
+
+  return {
+    findPaidCharge,
+    findPayableQuote,
+    findPayableInstallment,
+    resolvePayableCharge,
+    chargeMetadata,
+    linkPaymentIntentToQuote
+  };
+};
+
+module.exports = { createPaymentCharges };
@@ -0,0 +1,217 @@
+const { UnauthorizedError, ForbiddenError, NotFoundError } = require('./errors');
+const { NOT_ARCHIVED } = require('../repositories');
+
+// Permission-based authorization
+//
+// Routes require named permissions instead of a single role. A role is a set
+// of permissions stored in the roles collection, so admins can add roles such
+// as "underwriter" or "support" without code changes. The built-in admin,
+// agent and customer roles are seeded on startup.
+
+// Every permission a route can require
+const PERMISSIONS = {
+  'policies:write': 'Create, update and delete policies',
+  'applications:own': 'Submit and track own applications',
+  'applications:read': 'View all applications',
+  'applications:decide': 'Approve or reject applications',
+  'applications:assign': 'Assign applications to agents',
+  'applications:process-assigned': 'Work on applications assigned to you',
+  'underwriting:manage': 'Edit the underwriting rule set and re-score applications',
+  'payments:own': 'Pay premiums and view own payments',
+  'payments:read': 'View all payments',
+  'contracts:own': 'View and change own contracts',
+  'contracts:read': 'View all contracts',
+  'contracts:manage': 'Change the status of any contract',
+  'contracts:manage-assigned': 'Change the status of contracts assigned to you',
+  'claims:own': 'Submit and follow up on own claims',
+  'claims:read': 'View all claims',
+  'claims:adjudicate': 'Review, approve and deny any claim',
+  'claims:adjudicate-assigned': 'Review, approve and deny claims assigned to you',
+  'blogs:write': 'Write and manage own blog posts',
+  'agents:apply': 'Apply to become an agent',
+  'agents:review': 'Review agent applications',
+  'users:read': 'View all users and agents',
+  'users:manage': 'Change user roles and delete users',
+  'roles:manage': 'Create and edit roles',
+  'audit:read': 'View and export the audit log',
+  'emails:manage': 'View the email outbox and resend failed emails',
+  'reports:read': 'View platform-wide dashboard stats and API usage'
+};
+
+// Grants every permission, including ones added later
+const ALL_PERMISSIONS = '*';
+
+// Marks a user as an agent - someone applications can be assigned to
+const AGENT_PERMISSION = 'applications:process-assigned';
+
+const BUILT_IN_ROLES = {
+  admin: {
+    description: 'Full access',
+    permissions: [ALL_PERMISSIONS]
+  },
+  agent: {
+    description: 'Processes assigned applications, contracts and claims',
+    permissions: [
+      'applications:process-assigned',
+      'contracts:manage-assigned',
+      'claims:adjudicate-assigned',
+      'blogs:write'
+    ]
+  },
+  customer: {
+    description: 'Buys policies and files claims',
+    permissions: [
+      'applications:own',
+      'payments:own',
+      'contracts:own',
+      'claims:own',
+      'agents:apply'
+    ]
+  }
+};
+
+// Role documents are cached briefly - every authorized request needs one
+const ROLE_CACHE_TTL_MS = 30 * 1000;
+
+const unknownPermissions = (permissions) =>
+  permissions.filter(permission => permission !== ALL_PERMISSIONS && !PERMISSIONS[permission]);
+
+const grants = (granted, permission) =>
+  granted.has(ALL_PERMISSIONS) || granted.has(permission);
+
+// Create the built-in roles if they are missing - existing role documents are left alone
+const seedBuiltInRoles = async (rolesCollection) => {
+  await Promise.all(Object.entries(BUILT_IN_ROLES).map(([name, role]) =>
+    rolesCollection.updateOne(
+      { _id: name },
+      {
+        $setOnInsert: {
+          name,
+          description: role.description,
+          permissions: role.permissions,
+          builtIn: true,
+          createdAt: new Date(),
+          createdBy: 'system'
+        }
+      },
+      { upsert: true }
+    )
+  ));
+};
+
+/**
+ * Build the authorization helpers.
+ *
+ * authorize(...requirements) - middleware; each requirement is a permission name,
+ *   or an array of names where any one is enough. All requirements must be met:
+ *   authorize('claims:read', ['claims:adjudicate', 'claims:adjudicate-assigned'])
+ * permissionsFor(user)      - Set of permissions granted to a user document
+ * hasPermission(user, name) - whether a user document is granted a permission
+ * rolesWith(name, options)  - names of the roles granting a permission
+ * usersWith(name, options)  - active users whose role grants a permission
+ *   options.explicit - only roles that list the permission itself, not "*" -
+ *                      e.g. the agent pool, which admins are not part of
+ *   options.filter   - extra user filter; options.sort and options.projection as for find()
+ * clearRoleCache()          - call after changing a role
+ */
+const createAuthorization = ({ usersCollection, rolesCollection }) => {
+  const roleCache = new Map();
+
+  const findRole = async (name) => {
+    const cached = roleCache.get(name);
+    if (cached && cached.expiresAt > Date.now()) return cached.role;
+
+    const role = await rolesCollection.findOne({ _id: name });
+    roleCache.set(name, { role, expiresAt: Date.now() + ROLE_CACHE_TTL_MS });
+    return role;
+  };
+
+  const permissionsFor = async (user) => {
+    const role = user?.role ? await findRole(user.role) : null;
+    return new Set(role?.permissions || []);
+  };
+
+  const hasPermission = async (user, permission) =>
+    grants(await permissionsFor(user), permission);
+
+  const rolesWith = async (permission, { explicit = false } = {}) => {
+    const roles = await rolesCollection
+      .find({ permissions: { $in: explicit ? [permission] : [ALL_PERMISSIONS, permission] } })
+      .toArray();
+    return roles.map(role => role.name);
+  };
+
+  const usersWith = async (permission, { explicit = false, filter = {}, sort = null, projection = null } = {}) => {
+    const roles = await rolesWith(permission, { explicit });
+    const cursor = usersCollection.find(
+      { ...filter, role: { $in: roles }, ...NOT_ARCHIVED },
+      projection ? { projection } : {}
+    );
+    return (sort ? cursor.sort(sort) : cursor).toArray();
+  };
+
+  const clearRoleCache = () => roleCache.clear();
+
+  const authorize = (...requirements) => {
+    const alternatives = requirements.map(requirement => [].concat(requirement));
+    const unknown = unknownPermissions(alternatives.flat());
+    if (unknown.length > 0) {
+      throw new Error(`Unknown permission: ${unknown.join(', ')}`);
+    }
+
+    const middleware = async (req, res, next) => {
+      try {
+        const userId = req.decoded?.uid;
+        if (!userId) {
+          throw new UnauthorizedError('User ID is required');
+        }
+
+        const user = await usersCollection.findOne({ uid: userId });
+
+        if (!user) {
+          throw new NotFoundError('User not found');
+        }
+
+        const granted = await permissionsFor(user);
+        const missing = alternatives.find(options => !options.some(permission => grants(granted, permission)));
+
+        if (missing) {
+          throw new ForbiddenError(`Access denied. Requires permission: ${missing.join(' or ')}`);
+        }
+
+        req.user = user;
+        req.permissions = granted;
+        next();
+
+      } catch (error) {
+        next(error);
+      }
+    };
+
+    // Read by the OpenAPI generator
+    middleware.permissions = alternatives;
+    return middleware;
+  };
+
+  return { authorize, permissionsFor, hasPermission, rolesWith, usersWith, clearRoleCache };
+};
+
+// Who is making a change - recorded on contract transitions, claim events and policy versions.
+// Needs req.user, so use it after authorize()
+const actorFrom = (req) => ({
+  uid: req.user.uid,
+  role: req.user.role,
+  email: req.decoded?.email || req.user.email,
+  permissions: req.permissions
+});
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  AGENT_PERMISSION,
+  BUILT_IN_ROLES,
+  unknownPermissions,
+  seedBuiltInRoles,
+  createAuthorization,
+  actorFrom
+};
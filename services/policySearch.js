@@ -0,0 +1,346 @@
+// Policy catalog search and facets
+//
+// Search runs on the policies text index (createIndexes in repositories/index.js),
+// which ranks matches with the field weights below. MongoDB only matches whole
+// words, so when the index finds nothing - usually a typo - the catalog is
+// ranked here instead: every policy is tokenized into a per-field index and the
+// query is matched with prefixes and a bounded number of typos. Query text is
+// only ever split into words - it reaches the database neither as a regex nor
+// with $text operators such as negation.
+//
+// Facets count the policies per category, premium range, coverage range and
+// eligible age band. Each facet's counts apply every other active filter but
+// not its own, so the catalog page can show how many results each chip adds.
+// Filters, sorting, the page and the facet counts all run in the database, in
+// one $facet aggregation; the fuzzy fallback only decides which policies match
+// and in what order.
+
+// How much a match in each field counts towards relevance - also the text index weights
+const FIELD_WEIGHTS = {
+  title: 5,
+  category: 3,
+  benefits: 2,
+  description: 1
+};
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'for', 'of', 'to', 'in', 'on', 'or', 'with', 'your', 'you']);
+
+// Ranges include min and exclude max
+const PREMIUM_RANGES = [
+  { value: '0-25', label: 'Under $25', min: 0, max: 25 },
+  { value: '25-50', label: '$25 - $50', min: 25, max: 50 },
+  { value: '50-100', label: '$50 - $100', min: 50, max: 100 },
+  { value: '100+', label: '$100 and above', min: 100, max: null }
+];
+
+const COVERAGE_RANGES = [
+  { value: '0-100000', label: 'Up to $100k', min: 0, max: 100000 },
+  { value: '100000-500000', label: '$100k - $500k', min: 100000, max: 500000 },
+  { value: '500000-1000000', label: '$500k - $1M', min: 500000, max: 1000000 },
+  { value: '1000000+', label: '$1M and above', min: 1000000, max: null }
+];
+
+const AGE_BANDS = [
+  { value: '18-30', label: '18 - 30', min: 18, max: 31 },
+  { value: '31-45', label: '31 - 45', min: 31, max: 46 },
+  { value: '46-60', label: '46 - 60', min: 46, max: 61 },
+  { value: '61+', label: '61 and above', min: 61, max: null }
+];
+
+// Plural and singular forms should match each other
+const stem = (token) => {
+  if (token.length > 4 && token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+  if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+  return token;
+};
+
+const words = (text) => String(text ?? '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .split(/[^a-z0-9]+/)
+  .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+
+const tokenize = (text) => words(text).map(stem);
+
+// Typos allowed for a query word - none for two-letter words, where a typo is another word
+const allowedTypos = (term) => (term.length >= 8 ? 2 : term.length >= 3 ? 1 : 0);
+
+// Edit distance where swapping two neighbouring letters counts as one typo,
+// giving up as soon as it exceeds max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// 1 for an exact word, less for a prefix or a typo, 0 for no match
+const matchQuality = (term, token) => {
+  if (token === term) return 1;
+  if (term.length >= 3 && token.startsWith(term)) return 0.75;
+
+  const typos = allowedTypos(term);
+  if (typos === 0) return 0;
+  const distance = editDistance(term, token, typos);
+  return distance <= typos ? 0.6 - 0.1 * (distance - 1) : 0;
+};
+
+const indexPolicy = (policy) => ({
+  policy,
+  title: (policy.title || '').toLowerCase(),
+  fields: Object.fromEntries(Object.keys(FIELD_WEIGHTS).map(field => [
+    field,
+    [...new Set(tokenize([].concat(policy[field] ?? []).join(' ')))]
+  ]))
+});
+
+// Relevance of an indexed policy for the query words - 0 unless every word matches somewhere
+const scorePolicy = (entry, terms, phrase) => {
+  let score = 0;
+  for (const term of terms) {
+    let best = 0;
+    for (const [field, tokens] of Object.entries(entry.fields)) {
+      for (const token of tokens) {
+        best = Math.max(best, FIELD_WEIGHTS[field] * matchQuality(term, token));
+      }
+    }
+    if (best === 0) return 0;
+    score += best;
+  }
+
+  // The whole query appearing in the title beats the same words spread across fields
+  if (phrase && entry.title.includes(phrase)) {
+    score += FIELD_WEIGHTS.title;
+  }
+  return score;
+};
+
+// Ranges include min and exclude max - open-ended ranges run to Infinity
+const within = ({ min, max }) => ({ $gte: min, $lt: max ?? Infinity });
+
+// Policies whose low-high span overlaps the range
+const overlapping = (low, high, { min, max }) => ({ [low]: { $lt: max ?? Infinity }, [high]: { $gte: min } });
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Facet definitions: the query condition for each bucket
+const FACETS = {
+  category: {
+    // Categories are compared case-insensitively, like the old ?category= filter
+    condition: (values) => ({ category: { $in: values.map(value => new RegExp(`^${escapeRegExp(value)}$`, 'i')) } })
+  },
+  premium: {
+    ranges: PREMIUM_RANGES,
+    bucket: (range) => ({ basePremium: within(range) })
+  },
+  coverage: {
+    ranges: COVERAGE_RANGES,
+    bucket: (range) => overlapping('coverageMin', 'coverageMax', range)
+  },
+  ageBand: {
+    ranges: AGE_BANDS,
+    bucket: (band) => overlapping('minAge', 'maxAge', band)
+  }
+};
+
+const allOf = (conditions) => (conditions.length > 0 ? { $and: conditions } : {});
+
+// A policy matches a range filter when it falls in any of the chosen ranges
+const filterCondition = (name, values) => {
+  const facet = FACETS[name];
+  if (!facet.ranges) return facet.condition(values);
+  return { $or: facet.ranges.filter(range => values.includes(range.value)).map(facet.bucket) };
+};
+
+// Query for the facet filters, leaving out the one named by except
+const filtersQuery = (filters, except) => allOf(Object.entries(filters)
+  .filter(([name]) => name !== except)
+  .map(([name, values]) => filterCondition(name, values)));
+
+const listParam = (value) => [].concat(value ?? [])
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(item => item && item !== 'all');
+
+/**
+ * Read facet filters from a query string. Each filter takes one or more
+ * comma-separated facet values, e.g. ?category=Term,Health&premium=0-25
+ *
+ * Returns { filters } or { errors } for unknown range values.
+ */
+const parseCatalogFilters = (query) => {
+  const filters = {};
+  const errors = [];
+
+  for (const [name, facet] of Object.entries(FACETS)) {
+    const values = listParam(query[name]);
+    if (values.length === 0) continue;
+
+    if (facet.ranges) {
+      const allowed = facet.ranges.map(range => range.value);
+      const unknown = values.filter(value => !allowed.includes(value));
+      if (unknown.length > 0) {
+        errors.push({ field: name, message: `must be one of ${allowed.join(', ')}` });
+        continue;
+      }
+    }
+    filters[name] = values;
+  }
+
+  return errors.length > 0 ? { errors } : { filters };
+};
+
+// $facet branches counting each facet's buckets under every other filter
+const facetBranches = (filters) => {
+  const branches = {};
+  for (const [name, facet] of Object.entries(FACETS)) {
+    const others = filtersQuery(filters, name);
+    if (!facet.ranges) {
+      branches[name] = [{ $match: others }, { $group: { _id: `$${name}`, count: { $sum: 1 } } }];
+      continue;
+    }
+    for (const range of facet.ranges) {
+      branches[`${name}:${range.value}`] = [{ $match: allOf([others, facet.bucket(range)]) }, { $count: 'count' }];
+    }
+  }
+  return branches;
+};
+
+const readFacets = (result) => Object.fromEntries(Object.entries(FACETS).map(([name, facet]) => {
+  if (!facet.ranges) {
+    const counts = result[name]
+      .filter(({ _id }) => _id)
+      .map(({ _id, count }) => ({ value: _id, count }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    return [name, counts];
+  }
+  return [name, facet.ranges.map(({ value, label }) => ({
+    value,
+    label,
+    count: result[`${name}:${value}`][0]?.count || 0
+  }))];
+}));
+
+// Run the catalog query: stages pick the candidates, then one $facet pages them and counts the facets
+const catalogPage = async (policiesCollection, stages, { filters, sort, skip, limit }) => {
+  const [result] = await policiesCollection.aggregate([
+    ...stages,
+    {
+      $facet: {
+        candidates: [{ $count: 'count' }],
+        total: [{ $match: filtersQuery(filters) }, { $count: 'count' }],
+        page: [
+          { $match: filtersQuery(filters) },
+          { $sort: sort },
+          { $skip: skip },
+          { $limit: limit },
+          { $project: { score: 0, rank: 0 } }
+        ],
+        ...facetBranches(filters)
+      }
+    }
+  ]).toArray();
+
+  return {
+    candidates: result.candidates[0]?.count || 0,
+    policies: result.page,
+    total: result.total[0]?.count || 0,
+    facets: readFacets(result)
+  };
+};
+
+// Rank policies against the query in JS, with prefixes and typos - 0-score policies are dropped
+const fuzzySearch = (policies, search) => {
+  const terms = [...new Set(tokenize(search))];
+  const phrase = terms.length > 1 ? String(search).trim().toLowerCase() : null;
+
+  return policies
+    .map(indexPolicy)
+    .map(entry => ({ policy: entry.policy, score: scorePolicy(entry, terms, phrase) }))
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score || (b.policy.applicationsCount || 0) - (a.policy.applicationsCount || 0));
+};
+
+/**
+ * One page of the catalog matching free text and facet filters, with the facet counts.
+ *
+ * search    - free text; when it has no usable words the catalog is not ranked
+ * filter    - query narrowing the catalog, e.g. NOT_ARCHIVED
+ * filters   - from parseCatalogFilters
+ * sortBy    - a policy field or "relevance" (the search order); by default
+ *             relevance when searching, otherwise createdAt
+ * sortOrder - asc or desc, for policy fields
+ * skip, limit
+ *
+ * Resolves to { policies, total, facets, sortBy }.
+ */
+const searchCatalog = async (policiesCollection, {
+  search,
+  filter = {},
+  filters = {},
+  sortBy,
+  sortOrder = 'desc',
+  skip = 0,
+  limit = 10
+} = {}) => {
+  const queryWords = [...new Set(words(search))];
+  const sortField = sortBy || (queryWords.length > 0 ? 'relevance' : 'createdAt');
+  const fieldSort = { [sortField]: sortOrder === 'asc' ? 1 : -1, _id: 1 };
+  const page = (stages, relevanceSort) => catalogPage(policiesCollection, stages, {
+    filters,
+    sort: sortField === 'relevance' ? relevanceSort : fieldSort,
+    skip,
+    limit
+  });
+  const done = ({ policies, total, facets }) => ({ policies, total, facets, sortBy: sortField });
+
+  if (queryWords.length === 0) {
+    return done(await page([{ $match: filter }], { _id: 1 }));
+  }
+
+  const found = await page([
+    { $match: { ...filter, $text: { $search: queryWords.join(' ') } } },
+    { $addFields: { score: { $meta: 'textScore' } } }
+  ], { score: -1, applicationsCount: -1, _id: 1 });
+  if (found.candidates > 0) {
+    return done(found);
+  }
+
+  // The text index only matches whole words - rank the catalog with prefixes and typos instead
+  const searchable = { ...Object.fromEntries(Object.keys(FIELD_WEIGHTS).map(field => [field, 1])), applicationsCount: 1 };
+  const ranked = fuzzySearch(await policiesCollection.find(filter, { projection: searchable }).toArray(), search)
+    .map(({ policy }) => policy._id);
+  return done(await page([
+    { $match: { _id: { $in: ranked } } },
+    { $addFields: { rank: { $indexOfArray: [ranked, '$_id'] } } }
+  ], { rank: 1 }));
+};
+
+module.exports = {
+  FIELD_WEIGHTS,
+  PREMIUM_RANGES,
+  COVERAGE_RANGES,
+  AGE_BANDS,
+  tokenize,
+  editDistance,
+  parseCatalogFilters,
+  fuzzySearch,
+  searchCatalog
+};
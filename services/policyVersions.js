@@ -0,0 +1,252 @@
+const { diffSnapshots } = require('./audit');
+const { ValidationError, ConflictError } = require('./errors');
+
+// Policy versions
+//
+// A policy's terms are never edited in place. Every change is a new, immutable
+// version with an effectiveFrom date; the policy document mirrors the terms of
+// the latest version that has taken effect (currentVersion). Applications and
+// contracts pin the version they were issued against, so later changes never
+// reach customers who already bought the policy.
+//
+// Versions dated in the future wait in the collection until they are due.
+// activateDueVersions() applies them and runs before the catalog is read.
+//
+// Version numbers are unique per policy (see createIndexes in ./repositories):
+// when two edits pick the same next number, the one that loses tries again on
+// top of the version that won.
+
+// Policy fields that make up its terms
+const VERSIONED_FIELDS = [
+  'title', 'category', 'description', 'minAge', 'maxAge', 'coverageMin',
+  'coverageMax', 'basePremium', 'duration', 'imageUrl', 'benefits'
+];
+
+const termsOf = (source) => Object.fromEntries(
+  VERSIONED_FIELDS.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+// Bounds no applicant could ever satisfy: [{ field, message }]
+const termsErrors = (terms) => {
+  const errors = [];
+  if (terms.minAge > terms.maxAge) {
+    errors.push({ field: 'minAge', message: 'cannot be greater than maxAge' });
+  }
+  if (terms.coverageMin > terms.coverageMax) {
+    errors.push({ field: 'coverageMin', message: 'cannot be greater than coverageMax' });
+  }
+  return errors;
+};
+
+// What applications and contracts store to pin a version
+const versionPin = (policy) => ({
+  policyVersion: policy.currentVersion ?? null,
+  policyVersionId: policy.currentVersionId ?? null
+});
+
+// Tries at the next version number before an edit gives up with a ConflictError
+const VERSION_ATTEMPTS = 3;
+
+const latestVersion = (policyVersionsCollection, policyId) =>
+  policyVersionsCollection.findOne({ policyId }, { sort: { version: -1 } });
+
+// Mirror a version's terms onto its policy
+const applyVersion = async (policiesCollection, policyVersionsCollection, version) => {
+  const now = new Date();
+  await policiesCollection.updateOne(
+    { _id: version.policyId },
+    {
+      $set: {
+        ...version.terms,
+        currentVersion: version.version,
+        currentVersionId: version._id,
+        effectiveFrom: version.effectiveFrom,
+        updatedAt: now,
+        updatedBy: version.createdBy
+      }
+    }
+  );
+  await policyVersionsCollection.updateOne({ _id: version._id }, { $set: { appliedAt: now } });
+  return now;
+};
+
+/**
+ * Make sure a policy has at least one version. Policies created before
+ * versioning get version 1 from their current terms, effective from creation.
+ * Returns the policy with currentVersion and currentVersionId set.
+ */
+const ensureVersioned = async ({ policiesCollection, policyVersionsCollection, policy, actor }) => {
+  if (policy.currentVersionId) {
+    return policy;
+  }
+
+  const existing = await latestVersion(policyVersionsCollection, policy._id);
+  if (existing) {
+    return { ...policy, currentVersion: existing.version, currentVersionId: existing._id };
+  }
+
+  const now = new Date();
+  const version = {
+    policyId: policy._id,
+    version: 1,
+    effectiveFrom: policy.createdAt || now,
+    terms: termsOf(policy),
+    note: actor ? 'Initial version' : 'Recorded from existing policy',
+    createdBy: actor?.uid || policy.createdBy || 'system',
+    createdAt: now,
+    appliedAt: now
+  };
+  try {
+    await policyVersionsCollection.insertOne(version);
+  } catch (error) {
+    // Recorded by a concurrent request in the meantime
+    if (error.code !== 11000) throw error;
+    const recorded = await latestVersion(policyVersionsCollection, policy._id);
+    return { ...policy, currentVersion: recorded.version, currentVersionId: recorded._id };
+  }
+
+  await policiesCollection.updateOne(
+    { _id: policy._id },
+    { $set: { currentVersion: 1, currentVersionId: version._id, effectiveFrom: version.effectiveFrom } }
+  );
+  return { ...policy, currentVersion: 1, currentVersionId: version._id, effectiveFrom: version.effectiveFrom };
+};
+
+/**
+ * Add a version to a policy.
+ *
+ * changes       - versioned fields to change; the rest carry over from the latest version
+ * effectiveFrom - when the terms apply (default: now). Must not be before the latest version's
+ *
+ * Resolves to { version, policy }; throws a typed error from ./errors when the version is rejected.
+ */
+const createPolicyVersion = async ({
+  policiesCollection,
+  policyVersionsCollection,
+  policy,
+  changes,
+  effectiveFrom,
+  note,
+  actor
+}) => {
+  await ensureVersioned({ policiesCollection, policyVersionsCollection, policy });
+
+  const now = new Date();
+  const startsAt = effectiveFrom ? new Date(effectiveFrom) : now;
+
+  // The changes on top of the latest version, checked against it
+  const nextVersion = async () => {
+    const latest = await latestVersion(policyVersionsCollection, policy._id);
+
+    const terms = { ...latest.terms, ...termsOf(changes) };
+    if (Object.keys(diffSnapshots(latest.terms, terms)).length === 0) {
+      throw new ValidationError('No policy terms changed');
+    }
+    const errors = termsErrors(terms);
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid policy terms', { errors });
+    }
+    if (startsAt < latest.effectiveFrom) {
+      throw new ConflictError(
+        `Version ${latest.version} is effective from ${latest.effectiveFrom.toISOString()}; a new version cannot start earlier`
+      );
+    }
+
+    return {
+      policyId: policy._id,
+      version: latest.version + 1,
+      effectiveFrom: startsAt,
+      terms,
+      note: note || null,
+      createdBy: actor.uid,
+      createdAt: now,
+      appliedAt: null
+    };
+  };
+
+  let version;
+  for (let attempt = 1; !version; attempt += 1) {
+    const candidate = await nextVersion();
+    try {
+      await policyVersionsCollection.insertOne(candidate);
+      version = candidate;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      if (attempt === VERSION_ATTEMPTS) {
+        throw new ConflictError('The policy is being changed by someone else - try again');
+      }
+    }
+  }
+
+  if (startsAt <= now) {
+    version.appliedAt = await applyVersion(policiesCollection, policyVersionsCollection, version);
+  }
+
+  return {
+    version,
+    policy: await policiesCollection.findOne({ _id: policy._id })
+  };
+};
+
+/**
+ * Apply versions whose effectiveFrom has passed. When several versions of a
+ * policy are due at once, only the latest one is mirrored onto the policy.
+ */
+const activateDueVersions = async ({ policiesCollection, policyVersionsCollection, now = new Date() }) => {
+  const due = await policyVersionsCollection
+    .find({ appliedAt: null, effectiveFrom: { $lte: now } })
+    .sort({ version: 1 })
+    .toArray();
+
+  const latestByPolicy = new Map();
+  for (const version of due) {
+    latestByPolicy.set(String(version.policyId), version);
+  }
+
+  for (const version of latestByPolicy.values()) {
+    await applyVersion(policiesCollection, policyVersionsCollection, version);
+  }
+
+  // Versions superseded before they ever took effect
+  const skipped = due.filter(version => latestByPolicy.get(String(version.policyId)) !== version);
+  for (const version of skipped) {
+    const supersededBy = latestByPolicy.get(String(version.policyId)).version;
+    await policyVersionsCollection.updateOne({ _id: version._id }, { $set: { appliedAt: now, supersededBy } });
+  }
+
+  return latestByPolicy.size;
+};
+
+// Fields that differ between two versions' terms: { field: { from, to } }
+const diffVersions = (from, to) => diffSnapshots(from.terms, to.terms);
+
+/**
+ * Version helpers bound to the collections.
+ *
+ * refreshPolicyVersions()              - put versions whose effective date has passed into effect
+ * pinnedPolicyTerms(application, policy) - the terms an application was issued against: its
+ *                                        pinned version, or the live policy for applications
+ *                                        made before versioning
+ */
+const createPolicyTerms = ({ policiesCollection, policyVersionsCollection }) => ({
+  refreshPolicyVersions: () => activateDueVersions({ policiesCollection, policyVersionsCollection }),
+
+  pinnedPolicyTerms: async (application, policy) => {
+    const version = application.policyVersionId
+      ? await policyVersionsCollection.findOne({ _id: application.policyVersionId })
+      : null;
+    return version ? { ...version.terms, version: version.version } : policy;
+  }
+});
+
+module.exports = {
+  VERSIONED_FIELDS,
+  termsOf,
+  termsErrors,
+  versionPin,
+  ensureVersioned,
+  createPolicyVersion,
+  activateDueVersions,
+  diffVersions,
+  createPolicyTerms
+};
@@ -0,0 +1,98 @@
+// Premium quote engine
+//
+// A policy's basePremium is the monthly premium for its minimum coverage at
+// its minimum entry age. Everything else is expressed as a multiplier on top.
+
+const QUOTE_TTL_MS = 24 * 60 * 60 * 1000; // quotes are valid for 24 hours
+
+const AGE_LOADING_PER_YEAR = 0.03;   // +3% for every year above the policy's minAge
+const SMOKER_LOADING = 0.5;          // smokers pay 50% more
+const TERM_LOADING_PER_YEAR = 0.01;  // +1% for every year of term beyond 10 years
+const DEFAULT_TERM_YEARS = 10;
+const MAX_TERM_YEARS = 40;
+
+// Months covered by one installment, and the discount applied for paying upfront
+const FREQUENCIES = {
+  monthly: { months: 1, discount: 0 },
+  quarterly: { months: 3, discount: 0.02 },
+  annually: { months: 12, discount: 0.05 }
+};
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  return ['true', 'yes', '1'].includes(String(value).toLowerCase());
+};
+
+// Policies store duration as free text ("20 years") - use the number if there is one
+const defaultTermFor = (policy) => {
+  const years = parseInt(policy.duration);
+  return years > 0 ? Math.min(years, MAX_TERM_YEARS) : DEFAULT_TERM_YEARS;
+};
+
+/**
+ * Work out the premium for an applicant on a policy.
+ * Returns { errors } when the input falls outside what the policy allows.
+ */
+const calculateQuote = (policy, input = {}) => {
+  const errors = [];
+
+  const age = parseInt(input.age);
+  const coverage = parseFloat(input.coverage);
+  const term = input.term !== undefined ? parseInt(input.term) : defaultTermFor(policy);
+  const smoker = parseBoolean(input.smoker);
+  const frequency = input.frequency || 'monthly';
+
+  if (Number.isNaN(age)) {
+    errors.push({ field: 'age', message: 'Age is required' });
+  } else if (age < policy.minAge || age > policy.maxAge) {
+    errors.push({ field: 'age', message: `Age must be between ${policy.minAge} and ${policy.maxAge}` });
+  }
+
+  if (Number.isNaN(coverage)) {
+    errors.push({ field: 'coverage', message: 'Coverage is required' });
+  } else if (coverage < policy.coverageMin || coverage > policy.coverageMax) {
+    errors.push({ field: 'coverage', message: `Coverage must be between ${policy.coverageMin} and ${policy.coverageMax}` });
+  }
+
+  if (Number.isNaN(term) || term < 1 || term > MAX_TERM_YEARS) {
+    errors.push({ field: 'term', message: `Term must be between 1 and ${MAX_TERM_YEARS} years` });
+  }
+
+  if (!FREQUENCIES[frequency]) {
+    errors.push({ field: 'frequency', message: `Frequency must be one of: ${Object.keys(FREQUENCIES).join(', ')}` });
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const factors = {
+    coverage: coverage / policy.coverageMin,
+    age: 1 + (age - policy.minAge) * AGE_LOADING_PER_YEAR,
+    smoker: smoker ? 1 + SMOKER_LOADING : 1,
+    term: 1 + Math.max(0, term - DEFAULT_TERM_YEARS) * TERM_LOADING_PER_YEAR
+  };
+
+  const monthlyPremium = policy.basePremium * factors.coverage * factors.age * factors.smoker * factors.term;
+  const { months, discount } = FREQUENCIES[frequency];
+
+  return {
+    inputs: { age, coverage, term, smoker, frequency },
+    factors: Object.fromEntries(
+      Object.entries(factors).map(([key, value]) => [key, Math.round(value * 10000) / 10000])
+    ),
+    basePremium: policy.basePremium,
+    monthlyPremium: roundCurrency(monthlyPremium),
+    premium: roundCurrency(monthlyPremium * months * (1 - discount)),
+    currency: 'usd'
+  };
+};
+
+module.exports = {
+  QUOTE_TTL_MS,
+  FREQUENCIES,
+  parseBoolean,
+  calculateQuote
+};
@@ -0,0 +1,49 @@
+// Background jobs
+//
+// Runs a job every intervalMs inside the server process. A run that is still
+// going when the next one is due is skipped, failures are logged and retried on
+// the next tick, and the timer is unref'd so it never keeps the process alive.
+
+/**
+ * Start a recurring job. The first run happens on the next tick.
+ *
+ * name       - used in log messages
+ * intervalMs - time between runs; 0 or less disables the job
+ * run        - async function doing the work
+ *
+ * Returns { stop(), runNow() }
+ */
+const scheduleJob = ({ name, intervalMs, run }) => {
+  let running = false;
+
+  const runNow = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await run();
+    } catch (error) {
+      console.error(`Scheduled job "${name}" failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  if (!(intervalMs > 0)) {
+    return { stop: () => {}, runNow };
+  }
+
+  const first = setTimeout(runNow, 0);
+  const timer = setInterval(runNow, intervalMs);
+  first.unref();
+  timer.unref();
+
+  return {
+    stop: () => {
+      clearTimeout(first);
+      clearInterval(timer);
+    },
+    runNow
+  };
+};
+
+module.exports = { scheduleJob };
@@ -0,0 +1,18 @@
+const { createLocalDiskStorage } = require('./localDisk');
+
+// Storage backends - every backend exposes the same interface:
+//   save(key, buffer), exists(key), createReadStream(key), remove(key)
+// Add a new backend here and select it with STORAGE_DRIVER.
+const drivers = {
+  local: (config) => createLocalDiskStorage({ rootDir: config.storageLocalDir })
+};
+
+// config - see config.js
+const createStorage = (driver = 'local', config = {}) => {
+  if (!drivers[driver]) {
+    throw new Error(`Unknown storage driver: ${driver}`);
+  }
+  return drivers[driver](config);
+};
+
+module.exports = { createStorage };
@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stores files under a directory on local disk - the default backend
+const createLocalDiskStorage = ({ rootDir }) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    // Keys are generated by the server, but never let one escape the root
+    if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    driver: 'local',
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolveKey(key));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+module.exports = { createLocalDiskStorage };
@@ -0,0 +1,156 @@
+const { ObjectId } = require('mongodb');
+const { applyPaymentToInstallment, reverseInstallmentPayment } = require('./billing');
+
+// Stripe events we reconcile into the payments collection
+const HANDLED_EVENTS = [
+  'payment_intent.succeeded',
+  'payment_intent.payment_failed',
+  'charge.refunded'
+];
+
+// Metadata values are strings - only convert IDs that are valid ObjectIds
+const toObjectId = (id) => {
+  return id && ObjectId.isValid(id) ? new ObjectId(id) : null;
+};
+
+// Build the $set / $setOnInsert update for a payment intent event
+const buildPaymentIntentUpdate = (event) => {
+  const intent = event.data.object;
+  const metadata = intent.metadata || {};
+  const succeeded = event.type === 'payment_intent.succeeded';
+
+  const set = {
+    status: succeeded ? 'completed' : 'failed',
+    amount: (succeeded ? intent.amount_received : intent.amount) / 100,
+    currency: intent.currency,
+    lastEventId: event.id,
+    lastEventCreated: event.created,
+    updatedAt: new Date()
+  };
+
+  if (succeeded) {
+    set.transactionId = intent.latest_charge || intent.id;
+    set.paymentDate = new Date(event.created * 1000);
+  } else {
+    set.failureMessage = intent.last_payment_error?.message || 'Payment failed';
+  }
+
+  return {
+    paymentIntentId: intent.id,
+    set,
+    setOnInsert: {
+      userId: metadata.userId || null,
+      userEmail: metadata.userEmail || null,
+      policyId: toObjectId(metadata.policyId),
+      quoteId: toObjectId(metadata.quoteId),
+      installmentId: toObjectId(metadata.installmentId),
+      source: 'stripe-webhook',
+      createdAt: new Date()
+    }
+  };
+};
+
+// Build the update for a refunded charge (full or partial)
+const buildChargeRefundedUpdate = (event) => {
+  const charge = event.data.object;
+  const metadata = charge.metadata || {};
+
+  return {
+    paymentIntentId: charge.payment_intent,
+    set: {
+      status: charge.refunded ? 'refunded' : 'partially_refunded',
+      amountRefunded: charge.amount_refunded / 100,
+      refundedAt: new Date(event.created * 1000),
+      lastEventId: event.id,
+      lastEventCreated: event.created,
+      updatedAt: new Date()
+    },
+    setOnInsert: {
+      userId: metadata.userId || null,
+      userEmail: metadata.userEmail || null,
+      policyId: toObjectId(metadata.policyId),
+      quoteId: toObjectId(metadata.quoteId),
+      amount: charge.amount / 100,
+      currency: charge.currency,
+      transactionId: charge.id,
+      source: 'stripe-webhook',
+      createdAt: new Date()
+    }
+  };
+};
+
+/**
+ * Apply a verified Stripe event to the payments collection.
+ *
+ * Each event is recorded in stripeEventsCollection under its own ID, so a
+ * redelivered event is acknowledged without touching the payment again.
+ * Events older than the last one applied to a payment are ignored, which
+ * keeps out-of-order deliveries from rolling a status back. Payments made
+ * against an installment settle it, and a full refund reopens it.
+ */
+const handleStripeEvent = async ({ event, paymentsCollection, stripeEventsCollection, installmentsCollection }) => {
+  if (!HANDLED_EVENTS.includes(event.type)) {
+    return { handled: false, duplicate: false };
+  }
+
+  try {
+    await stripeEventsCollection.insertOne({
+      _id: event.id,
+      type: event.type,
+      created: event.created,
+      receivedAt: new Date()
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return { handled: true, duplicate: true };
+    }
+    throw error;
+  }
+
+  const update = event.type === 'charge.refunded'
+    ? buildChargeRefundedUpdate(event)
+    : buildPaymentIntentUpdate(event);
+
+  if (!update.paymentIntentId) {
+    return { handled: false, duplicate: false };
+  }
+
+  try {
+    const existing = await paymentsCollection.findOne({ paymentIntentId: update.paymentIntentId });
+    if (existing?.lastEventCreated > event.created) {
+      return { handled: true, duplicate: false, stale: true, paymentIntentId: update.paymentIntentId };
+    }
+
+    await paymentsCollection.updateOne(
+      { paymentIntentId: update.paymentIntentId },
+      { $set: update.set, $setOnInsert: update.setOnInsert },
+      { upsert: true }
+    );
+
+    // Settle (or reopen) the installment this payment was made against
+    const payment = await paymentsCollection.findOne({ paymentIntentId: update.paymentIntentId });
+    if (payment?.installmentId) {
+      if (event.type === 'payment_intent.succeeded') {
+        await applyPaymentToInstallment(installmentsCollection, {
+          installmentId: payment.installmentId,
+          paymentIntentId: payment.paymentIntentId,
+          amount: payment.amount,
+          paidAt: payment.paymentDate
+        });
+      } else if (event.type === 'charge.refunded' && update.set.status === 'refunded') {
+        await reverseInstallmentPayment(installmentsCollection, { installmentId: payment.installmentId });
+      }
+    }
+  } catch (error) {
+    // Forget the event so Stripe's retry gets another chance to apply it
+    await stripeEventsCollection.deleteOne({ _id: event.id });
+    throw error;
+  }
+
+  return { handled: true, duplicate: false, paymentIntentId: update.paymentIntentId };
+};
+
+module.exports = {
+  HANDLED_EVENTS,
+  handleStripeEvent
+};
@@ -0,0 +1,242 @@
+const { ObjectId } = require('mongodb');
+const { applicationProfile } = require('./eligibility');
+
+// Rules-based underwriting
+//
+// Every submitted application is scored from its declared answers. Each rule
+// looks at one factor (age, BMI, smoker, disclosed conditions, occupation
+// class, coverage-to-income ratio) and adds points when it fires; a rule can
+// also decline outright. The total maps to a risk class:
+//
+//   score <= thresholds.preferred   -> preferred
+//   score <= thresholds.standard    -> standard
+//   score <= thresholds.substandard -> substandard
+//   anything above, or a declining rule -> decline
+//
+// The rule set is one document in the underwritingRules collection, seeded
+// with DEFAULT_RULE_SET and edited through /admin/underwriting/rules.
+// The result is advisory - approving an application is still an admin decision.
+
+const RULE_SET_NAME = 'default';
+
+const RISK_CLASSES = ['preferred', 'standard', 'substandard', 'decline'];
+
+// Factors a rule can look at, and the type of their value
+const FACTORS = {
+  age: 'number',
+  bmi: 'number',
+  smoker: 'boolean',
+  conditions: 'array',
+  conditionCount: 'number',
+  occupationClass: 'number',
+  coverageToIncome: 'number'
+};
+
+// Operators and the kind of value each one takes
+const OPERATORS = {
+  eq: 'scalar',
+  gt: 'number',
+  gte: 'number',
+  lt: 'number',
+  lte: 'number',
+  in: 'list',
+  // conditions: any disclosed condition contains one of the listed words
+  includesAny: 'list',
+  // the factor could not be worked out (e.g. no income declared)
+  missing: 'none'
+};
+
+const DEFAULT_RULE_SET = {
+  thresholds: { preferred: 10, standard: 35, substandard: 70 },
+  // Occupations are class 1 unless they contain one of these words
+  occupationClasses: [
+    { class: 2, keywords: ['driver', 'electrician', 'nurse', 'farmer', 'chef'] },
+    { class: 3, keywords: ['construction', 'police', 'firefighter', 'security', 'welder'] },
+    { class: 4, keywords: ['miner', 'pilot', 'diver', 'offshore', 'military', 'stunt'] }
+  ],
+  rules: [
+    { id: 'age-50-plus', description: 'Applicant is 50 or older', factor: 'age', operator: 'gte', value: 50, points: 10 },
+    { id: 'age-60-plus', description: 'Applicant is 60 or older', factor: 'age', operator: 'gte', value: 60, points: 15 },
+    { id: 'smoker', description: 'Applicant smokes', factor: 'smoker', operator: 'eq', value: true, points: 25 },
+    { id: 'bmi-underweight', description: 'BMI below 18.5', factor: 'bmi', operator: 'lt', value: 18.5, points: 10 },
+    { id: 'bmi-obese', description: 'BMI of 30 or more', factor: 'bmi', operator: 'gte', value: 30, points: 10 },
+    { id: 'bmi-severely-obese', description: 'BMI of 35 or more', factor: 'bmi', operator: 'gte', value: 35, points: 15 },
+    { id: 'bmi-extreme', description: 'BMI of 45 or more', factor: 'bmi', operator: 'gte', value: 45, points: 0, decline: true },
+    { id: 'condition-major', description: 'Heart disease, stroke or cancer disclosed', factor: 'conditions', operator: 'includesAny', value: ['heart', 'stroke', 'cancer'], points: 40 },
+    { id: 'condition-diabetes', description: 'Diabetes disclosed', factor: 'conditions', operator: 'includesAny', value: ['diabetes'], points: 20 },
+    { id: 'condition-hypertension', description: 'High blood pressure disclosed', factor: 'conditions', operator: 'includesAny', value: ['hypertension', 'blood pressure'], points: 10 },
+    { id: 'conditions-multiple', description: 'Three or more conditions disclosed', factor: 'conditionCount', operator: 'gte', value: 3, points: 15 },
+    { id: 'occupation-class-3', description: 'Hazardous occupation (class 3)', factor: 'occupationClass', operator: 'eq', value: 3, points: 15 },
+    { id: 'occupation-class-4', description: 'Very hazardous occupation (class 4)', factor: 'occupationClass', operator: 'eq', value: 4, points: 35 },
+    { id: 'income-undeclared', description: 'No annual income declared', factor: 'coverageToIncome', operator: 'missing', points: 5 },
+    { id: 'coverage-income-high', description: 'Coverage above 20x annual income', factor: 'coverageToIncome', operator: 'gt', value: 20, points: 20 },
+    { id: 'coverage-income-excessive', description: 'Coverage above 30x annual income', factor: 'coverageToIncome', operator: 'gt', value: 30, points: 0, decline: true }
+  ]
+};
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const occupationClassFor = (occupation, occupationClasses) => {
+  if (!occupation) return undefined;
+  const text = occupation.toLowerCase();
+  const matching = occupationClasses
+    .filter(({ keywords }) => keywords.some(keyword => text.includes(keyword.toLowerCase())))
+    .map(entry => entry.class);
+  return matching.length > 0 ? Math.max(...matching) : 1;
+};
+
+/**
+ * The factor values the rules are evaluated against. Factors the application
+ * does not answer are left undefined.
+ */
+const underwritingFactors = (application, quote, ruleSet = DEFAULT_RULE_SET) => {
+  const profile = applicationProfile(application, quote);
+  const { heightCm, weightKg, annualIncome, healthDisclosure, occupation } = application;
+
+  const conditions = (healthDisclosure || [])
+    .map(condition => String(condition).trim().toLowerCase())
+    .filter(condition => condition && condition !== 'none');
+
+  return {
+    age: profile.age,
+    bmi: heightCm && weightKg ? round(weightKg / (heightCm / 100) ** 2) : undefined,
+    smoker: profile.smoker,
+    conditions,
+    conditionCount: conditions.length,
+    occupationClass: occupationClassFor(occupation, ruleSet.occupationClasses),
+    coverageToIncome: profile.coverage && annualIncome ? round(profile.coverage / annualIncome, 2) : undefined
+  };
+};
+
+const ruleFires = ({ operator, value }, actual) => {
+  if (operator === 'missing') return actual === undefined;
+  if (actual === undefined) return false;
+
+  switch (operator) {
+    case 'eq': return actual === value;
+    case 'gt': return actual > value;
+    case 'gte': return actual >= value;
+    case 'lt': return actual < value;
+    case 'lte': return actual <= value;
+    case 'in': return value.includes(actual);
+    case 'includesAny':
+      return [].concat(actual).some(item => value.some(word => String(item).includes(String(word).toLowerCase())));
+    default: return false;
+  }
+};
+
+const riskClassFor = (score, thresholds) =>
+  RISK_CLASSES.find(name => name === 'decline' || score <= thresholds[name]);
+
+/**
+ * Score an application against a rule set.
+ *
+ * Returns { score, riskClass, firedRules: [{ id, description, points, decline }],
+ *           factors, ruleSetVersion, assessedAt }
+ */
+const assessApplication = (application, quote, ruleSet = DEFAULT_RULE_SET) => {
+  const factors = underwritingFactors(application, quote, ruleSet);
+
+  const firedRules = ruleSet.rules
+    .filter(rule => ruleFires(rule, factors[rule.factor]))
+    .map(({ id, description, points, decline = false }) => ({ id, description, points, decline }));
+
+  const score = firedRules.reduce((total, rule) => total + rule.points, 0);
+  const declined = firedRules.some(rule => rule.decline);
+
+  return {
+    score,
+    riskClass: declined ? 'decline' : riskClassFor(score, ruleSet.thresholds),
+    firedRules,
+    factors,
+    ruleSetVersion: ruleSet.version ?? null,
+    assessedAt: new Date()
+  };
+};
+
+/**
+ * Checks the request schema can't express: known factors and operators, values
+ * that fit the operator, unique rule IDs and thresholds in increasing order.
+ * Returns a list of { field, message }.
+ */
+const validateRuleSet = ({ rules, thresholds }) => {
+  const errors = [];
+  const seen = new Set();
+
+  rules.forEach((rule, index) => {
+    const field = `rules[${index}]`;
+    if (seen.has(rule.id)) {
+      errors.push({ field: `${field}.id`, message: `duplicate rule id "${rule.id}"` });
+    }
+    seen.add(rule.id);
+
+    if (!FACTORS[rule.factor]) {
+      errors.push({ field: `${field}.factor`, message: `must be one of ${Object.keys(FACTORS).join(', ')}` });
+    }
+
+    const kind = OPERATORS[rule.operator];
+    if (!kind) {
+      errors.push({ field: `${field}.operator`, message: `must be one of ${Object.keys(OPERATORS).join(', ')}` });
+    } else if (kind === 'number' && typeof rule.value !== 'number') {
+      errors.push({ field: `${field}.value`, message: `must be a number for ${rule.operator}` });
+    } else if (kind === 'list' && !Array.isArray(rule.value)) {
+      errors.push({ field: `${field}.value`, message: `must be a list for ${rule.operator}` });
+    } else if (kind === 'scalar' && (rule.value === undefined || Array.isArray(rule.value))) {
+      errors.push({ field: `${field}.value`, message: `must be a single value for ${rule.operator}` });
+    } else if (rule.operator === 'includesAny' && rule.factor !== 'conditions') {
+      errors.push({ field: `${field}.operator`, message: 'includesAny only applies to conditions' });
+    }
+  });
+
+  if (!(thresholds.preferred <= thresholds.standard && thresholds.standard <= thresholds.substandard)) {
+    errors.push({ field: 'thresholds', message: 'must increase from preferred to standard to substandard' });
+  }
+
+  return errors;
+};
+
+// Create the default rule set if there is none - an edited rule set is left alone
+const seedUnderwritingRules = (underwritingRulesCollection) =>
+  underwritingRulesCollection.updateOne(
+    { _id: RULE_SET_NAME },
+    {
+      $setOnInsert: {
+        name: RULE_SET_NAME,
+        ...DEFAULT_RULE_SET,
+        version: 1,
+        createdAt: new Date(),
+        updatedBy: 'system'
+      }
+    },
+    { upsert: true }
+  );
+
+const loadRuleSet = async (underwritingRulesCollection) =>
+  (await underwritingRulesCollection.findOne({ _id: RULE_SET_NAME })) || { ...DEFAULT_RULE_SET, version: null };
+
+// underwriteApplication(application) - score with the current rule set and store the result on it
+const createUnderwriter = ({ applicationsCollection, quotesCollection, underwritingRulesCollection }) => ({
+  underwriteApplication: async (application) => {
+    const quote = application.quoteId && ObjectId.isValid(application.quoteId)
+      ? await quotesCollection.findOne({ _id: new ObjectId(application.quoteId), userId: application.userId })
+      : null;
+    const underwriting = assessApplication(application, quote, await loadRuleSet(underwritingRulesCollection));
+
+    await applicationsCollection.updateOne({ _id: application._id }, { $set: { underwriting, updatedAt: new Date() } });
+    return underwriting;
+  }
+});
+
+module.exports = {
+  RULE_SET_NAME,
+  RISK_CLASSES,
+  FACTORS,
+  OPERATORS,
+  DEFAULT_RULE_SET,
+  underwritingFactors,
+  assessApplication,
+  validateRuleSet,
+  seedUnderwritingRules,
+  loadRuleSet,
+  createUnderwriter
+};
@@ -0,0 +1,204 @@
+const { ObjectId } = require('mongodb');
+const { ValidationError } = require('./errors');
+
+// Request body validation against declarative schemas
+//
+// Schemas are plain JSON Schema objects (the subset below), so the same
+// definitions can be served to the frontend as-is.
+//
+//   type: object | array | string | number | integer | boolean (or a list of them)
+//   object:  properties, required, additionalProperties (false rejects unknown fields)
+//   array:   items, minItems, maxItems
+//   string:  minLength, maxLength, enum, pattern, format (email | objectId | date-time | uri)
+//   number:  minimum, maximum, enum
+//
+// Values are coerced where it is unambiguous ("42" -> 42, "true" -> true)
+// and strings are trimmed.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const formats = {
+  email: (value) => EMAIL_PATTERN.test(value),
+  objectId: (value) => ObjectId.isValid(value) && String(new ObjectId(value)) === value.toLowerCase(),
+  'date-time': (value) => !Number.isNaN(Date.parse(value)),
+  uri: (value) => {
+    try {
+      new URL(value);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+};
+
+const coerce = (schema, value) => {
+  if (value === null || value === undefined) return value;
+
+  switch (schema.type) {
+    case 'string':
+      return typeof value === 'string' ? value.trim() : value;
+    case 'number':
+    case 'integer':
+      if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+        return Number(value);
+      }
+      return value;
+    case 'boolean':
+      if (value === 'true') return true;
+      if (value === 'false') return false;
+      return value;
+    default:
+      return value;
+  }
+};
+
+const validateValue = (schema, rawValue, path, errors, options) => {
+  // type: ['number', 'string'] - take the first type the value satisfies
+  if (Array.isArray(schema.type)) {
+    let firstErrors = null;
+    for (const type of schema.type) {
+      const typeErrors = [];
+      const typed = validateValue({ ...schema, type }, rawValue, path, typeErrors, options);
+      if (typeErrors.length === 0) return typed;
+      firstErrors = firstErrors || typeErrors;
+    }
+    errors.push(...firstErrors);
+    return rawValue;
+  }
+
+  const value = options.coerce ? coerce(schema, rawValue) : rawValue;
+  const fail = (message) => {
+    errors.push({ field: path || '(body)', message });
+    return value;
+  };
+
+  if (value === null && schema.nullable) {
+    return value;
+  }
+
+  switch (schema.type) {
+    case 'object': {
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        return fail('must be an object');
+      }
+
+      const result = {};
+      const properties = schema.properties || {};
+
+      for (const field of schema.required || []) {
+        const present = value[field];
+        if (present === undefined || present === null || present === '') {
+          errors.push({ field: path ? `${path}.${field}` : field, message: 'is required' });
+        }
+      }
+
+      for (const [field, fieldValue] of Object.entries(value)) {
+        const fieldPath = path ? `${path}.${field}` : field;
+        if (properties[field]) {
+          if (fieldValue !== undefined) {
+            result[field] = validateValue(properties[field], fieldValue, fieldPath, errors, options);
+          }
+        } else if (schema.additionalProperties === false) {
+          errors.push({ field: fieldPath, message: 'is not allowed' });
+        } else {
+          result[field] = fieldValue;
+        }
+      }
+
+      return result;
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) return fail('must be an array');
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        return fail(`must contain at least ${schema.minItems} item(s)`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        return fail(`must contain at most ${schema.maxItems} item(s)`);
+      }
+      return schema.items
+        ? value.map((item, index) => validateValue(schema.items, item, `${path}[${index}]`, errors, options))
+        : value;
+    }
+
+    case 'string': {
+      if (typeof value !== 'string') return fail('must be a string');
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        return fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return fail(`must be at most ${schema.maxLength} characters`);
+      }
+      if (schema.enum && !schema.enum.includes(value)) {
+        return fail(`must be one of: ${schema.enum.join(', ')}`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        return fail('has an invalid format');
+      }
+      if (schema.format && formats[schema.format] && !formats[schema.format](value)) {
+        return fail(`must be a valid ${schema.format}`);
+      }
+      return value;
+    }
+
+    case 'number':
+    case 'integer': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return fail(`must be ${schema.type === 'integer' ? 'an integer' : 'a number'}`);
+      }
+      if (schema.type === 'integer' && !Number.isInteger(value)) return fail('must be an integer');
+      if (schema.minimum !== undefined && value < schema.minimum) return fail(`must be at least ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) return fail(`must be at most ${schema.maximum}`);
+      if (schema.enum && !schema.enum.includes(value)) return fail(`must be one of: ${schema.enum.join(', ')}`);
+      return value;
+    }
+
+    case 'boolean':
+      return typeof value === 'boolean' ? value : fail('must be true or false');
+
+    default:
+      return value;
+  }
+};
+
+/**
+ * Validate data against a schema.
+ * Returns { value, errors } - value is the coerced copy with unknown fields dropped.
+ * Pass { coerce: false } to check values exactly as given (e.g. responses).
+ */
+const validate = (schema, data, { coerce: shouldCoerce = true } = {}) => {
+  const errors = [];
+  const value = validateValue(schema, data === undefined ? {} : data, '', errors, { coerce: shouldCoerce });
+  return { value, errors };
+};
+
+/**
+ * Express middleware validating req.body against a named schema.
+ * On success req.body is replaced with the coerced value.
+ */
+const createBodyValidator = (schemas) => (name) => {
+  const schema = schemas[name];
+  if (!schema) {
+    throw new Error(`Unknown schema: ${name}`);
+  }
+
+  const middleware = (req, res, next) => {
+    const { value, errors } = validate(schema, req.body);
+
+    if (errors.length > 0) {
+      return next(new ValidationError('Validation failed', { errors }));
+    }
+
+    req.body = value;
+    next();
+  };
+
+  // Lets the OpenAPI generator find the schema a route validates against
+  middleware.bodySchema = name;
+  return middleware;
+};
+
+module.exports = {
+  validate,
+  createBodyValidator
+};
@@ -0,0 +1,67 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./support/testApp');
+const { seedPolicyLifecycle } = require('./support/fixtures');
+
+// Another customer ("mallory") reaching for cara's records by ID
+describe('cross-user access', () => {
+  let api;
+  let ids;
+
+  before(async () => {
+    api = await startTestApp();
+    ids = await seedPolicyLifecycle(api);
+  });
+
+  after(() => api.close());
+
+  const asMallory = (method, path, body) => api.request(method, path, { as: 'mallory', body });
+
+  it('refuses another customer\'s application', async () => {
+    assert.equal((await asMallory('GET', `/applications/${ids.applicationId}`)).status, 403);
+    assert.equal((await asMallory('GET', '/applications/user/cara')).status, 403);
+  });
+
+  it('refuses another customer\'s account', async () => {
+    assert.equal((await asMallory('GET', '/users/cara')).status, 403);
+    assert.equal((await asMallory('PATCH', '/users/cara/profile', { displayName: 'Mallory' })).status, 403);
+    assert.equal((await asMallory('PATCH', '/users/cara/last-login')).status, 403);
+  });
+
+  it('refuses another customer\'s payments', async () => {
+    assert.equal((await asMallory('GET', '/payments/user/cara')).status, 403);
+  });
+
+  it('refuses another customer\'s claim documents', async () => {
+    assert.equal((await asMallory('GET', `/claims/${ids.claimId}/documents`)).status, 403);
+    assert.equal((await asMallory('GET', `/claims/${ids.claimId}/documents/${ids.documentId}/url`)).status, 403);
+
+    const form = new FormData();
+    form.append('files', new Blob(['%PDF-1.4\n'], { type: 'application/pdf' }), 'forged.pdf');
+    assert.equal((await asMallory('POST', `/claims/${ids.claimId}/documents`, form)).status, 403);
+    assert.equal(await api.store.collection('claimDocuments').countDocuments({ originalName: 'forged.pdf' }), 0);
+  });
+
+  it('keeps another customer\'s claim out of the customer claim routes', async () => {
+    // Scoped to the caller's own claims, so someone else's claim does not exist for them
+    assert.equal((await asMallory('GET', `/customer/claims/${ids.claimId}`)).status, 404);
+    assert.equal((await asMallory('POST', `/customer/claims/${ids.claimId}/reply`, { message: 'Mine now' })).status, 404);
+  });
+
+  it('reports malformed record IDs as INVALID_ID', async () => {
+    for (const path of ['/applications/not-an-id', '/claims/not-an-id/documents']) {
+      const { status, body } = await api.request('GET', path, { as: 'cara' });
+      assert.equal(status, 400, path);
+      assert.equal(body.code, 'INVALID_ID', path);
+    }
+  });
+
+  it('still lets the owner through', async () => {
+    const owner = (path) => api.request('GET', path, { as: 'cara' }).then(response => response.status);
+
+    assert.equal(await owner(`/applications/${ids.applicationId}`), 200);
+    assert.equal(await owner('/users/cara'), 200);
+    assert.equal(await owner('/payments/user/cara'), 200);
+    assert.equal(await owner(`/claims/${ids.claimId}/documents`), 200);
+  });
+});
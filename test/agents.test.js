@@ -0,0 +1,90 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { startTestApp } = require('./support/testApp');
+const { expectStatus, seedPolicyLifecycle } = require('./support/fixtures');
+
+describe('agents', () => {
+  let api;
+  let ids;
+
+  before(async () => {
+    api = await startTestApp();
+    ids = await seedPolicyLifecycle(api);
+    await api.addUser('ben', 'agent');
+    // A custom role is an agent role as long as it can work on assigned applications
+    await api.store.collection('roles').insertOne({
+      _id: 'senior-agent',
+      name: 'senior-agent',
+      permissions: ['applications:process-assigned', 'claims:adjudicate-assigned']
+    });
+    await api.addUser('sid', 'senior-agent');
+  });
+
+  after(() => api.close());
+
+  it('lists only the applications assigned to the calling agent', async () => {
+    const mine = await expectStatus(api, 200, 'GET', '/agent/applications', { as: 'ag' });
+    assert.deepEqual(mine.applications.map(application => application._id), [ids.applicationId]);
+
+    const others = await expectStatus(api, 200, 'GET', '/agent/applications', { as: 'ben' });
+    assert.deepEqual(others.applications, []);
+  });
+
+  it('refuses status changes on applications assigned to someone else', async () => {
+    const { status } = await api.request('PATCH', `/agent/applications/${ids.applicationId}/status`, {
+      as: 'ben',
+      body: { status: 'rejected' }
+    });
+
+    assert.equal(status, 403);
+    const application = await api.store.collection('applications').findOne({ userId: 'cara' });
+    assert.equal(application.status, 'approved');
+  });
+
+  it('finds agents by permission rather than role name', async () => {
+    const { agents } = await expectStatus(api, 200, 'GET', '/admin/agents', { as: 'ada' });
+    assert.deepEqual(agents.map(agent => agent.uid).sort(), ['ag', 'ben', 'sid']);
+
+    await expectStatus(api, 200, 'PATCH', `/admin/applications/${ids.applicationId}/assign-agent`, {
+      as: 'ada',
+      body: { agentId: 'sid' }
+    });
+    const admin = await api.request('PATCH', `/admin/applications/${ids.applicationId}/assign-agent`, {
+      as: 'ada',
+      body: { agentId: 'ada' }
+    });
+    assert.equal(admin.status, 404);
+  });
+
+  const auditEntries = async (filter, count = 1) => {
+    for (let attempt = 0; attempt < 50; attempt += 1) {
+      const entries = await api.store.collection('auditLogs').find(filter).toArray();
+      if (entries.length >= count) return entries;
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return api.store.collection('auditLogs').find(filter).toArray();
+  };
+
+  it('leaves automatic assignment off until an admin turns it on', async () => {
+    const { settings } = await expectStatus(api, 200, 'GET', '/admin/assignment', { as: 'ada' });
+    assert.equal(settings.enabled, false);
+  });
+
+  it('audits assignment runs and reassignments with the applications moved', async () => {
+    await api.store.collection('applications').updateOne({ _id: new ObjectId(ids.applicationId) }, { $set: { status: 'pending', assignedAgent: null } });
+
+    const run = await expectStatus(api, 200, 'POST', '/admin/assignment/run', { as: 'ada' });
+    const [agentId] = run.assigned.map(move => move.agentId);
+    const [runEntry] = await auditEntries({ entityType: 'assignmentRun' });
+    assert.deepEqual(runEntry.details, { assigned: [{ applicationId: ids.applicationId, agentId }] });
+
+    const moved = await expectStatus(api, 200, 'POST', `/admin/agents/${agentId}/reassign`, { as: 'ada' });
+    const [reassignEntry] = await auditEntries({ entityType: 'user', entityId: agentId, route: '/admin/agents/:uid/reassign' });
+    assert.equal(moved.reassigned.length, 1);
+    assert.deepEqual(reassignEntry.details, {
+      reassigned: [{ applicationId: ids.applicationId, agentId: moved.reassigned[0].agentId }],
+      unassigned: []
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./support/testApp');
+
+describe('createApp', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestApp();
+  });
+
+  after(() => api.close());
+
+  it('answers on the root path', async () => {
+    const { status, body } = await api.request('GET', `${api.baseUrl}/`);
+    assert.equal(status, 200);
+    assert.match(body, /LifeSure Server is running/);
+  });
+
+  it('serves the catalog from the injected store', async () => {
+    await api.store.collection('policies').insertOne({
+      title: 'Term Life Basic',
+      category: 'Term Life',
+      description: 'Simple term cover',
+      minAge: 18,
+      maxAge: 60,
+      coverageMin: 10000,
+      coverageMax: 500000,
+      basePremium: 20,
+      archivedAt: null,
+      createdAt: new Date()
+    });
+
+    const { status, body } = await api.request('GET', '/policies');
+    assert.equal(status, 200);
+    assert.equal(body.policies.length, 1);
+    assert.equal(body.policies[0].title, 'Term Life Basic');
+  });
+
+  it('authenticates with the injected auth provider', async () => {
+    await api.addUser('cara', 'customer');
+
+    const anonymous = await api.request('GET', '/customer/applications');
+    assert.equal(anonymous.status, 401);
+
+    const signedIn = await api.request('GET', '/customer/applications', { as: 'cara' });
+    assert.equal(signedIn.status, 200);
+    assert.deepEqual(signedIn.body.applications, []);
+  });
+
+  it('answers unknown routes with the error envelope and request ID', async () => {
+    const { status, headers, body } = await api.request('GET', '/no-such-route');
+    assert.equal(status, 404);
+    assert.equal(body.code, 'NOT_FOUND');
+    assert.equal(body.requestId, headers.get('x-request-id'));
+  });
+
+  it('keeps legacy paths working with deprecation headers', async () => {
+    const { status, headers } = await api.request('GET', `${api.baseUrl}/policies`);
+    assert.equal(status, 200);
+    assert.equal(headers.get('deprecation'), 'true');
+    assert.match(headers.get('link'), /<\/api\/v1\/policies>; rel="successor-version"/);
+  });
+
+  it('serves routes added after v1 only under /api/v1', async () => {
+    await api.addUser('nico', 'customer');
+
+    const versioned = await api.request('GET', '/notifications', { as: 'nico' });
+    assert.equal(versioned.status, 200);
+
+    const legacy = await api.request('GET', `${api.baseUrl}/notifications`, { as: 'nico' });
+    assert.equal(legacy.status, 404);
+    assert.equal(legacy.headers.get('deprecation'), null);
+  });
+});
@@ -0,0 +1,60 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../repositories/stores');
+const { markBreaches, createSlaChecker, saveSlaSettings, loadSlaSettings } = require('../services/applicationSla');
+
+describe('application SLAs', () => {
+  const now = new Date('2024-06-10T12:00:00Z');
+  let store;
+  let applications;
+  let notified;
+  let checkApplicationSlas;
+
+  beforeEach(async () => {
+    store = createMemoryStore();
+    applications = store.collection('applications');
+    notified = [];
+    checkApplicationSlas = createSlaChecker({
+      applicationsCollection: applications,
+      slaSettingsCollection: store.collection('slaSettings'),
+      slaEscalationsCollection: store.collection('slaEscalations'),
+      authorization: { usersWith: async () => [{ uid: 'ada' }] },
+      notify: async (event, payload) => notified.push(payload.escalation)
+    });
+    // Pending for three days against a 48-hour target
+    await applications.insertOne({
+      userId: 'cara',
+      status: 'pending',
+      statusChangedAt: new Date('2024-06-07T12:00:00Z'),
+      slaBreach: null
+    });
+  });
+
+  it('marks a breach once when runs overlap', async () => {
+    const settings = await loadSlaSettings(store.collection('slaSettings'));
+    const [first, second] = await Promise.all([
+      markBreaches({ applicationsCollection: applications, settings, now }),
+      markBreaches({ applicationsCollection: applications, settings, now })
+    ]);
+
+    assert.equal(first.length + second.length, 1);
+  });
+
+  it('escalates each breach once across runs', async () => {
+    assert.deepEqual(await checkApplicationSlas(now), { breached: 1, escalated: 1, resolved: 0 });
+    assert.deepEqual(await checkApplicationSlas(now), { breached: 0, escalated: 0, resolved: 0 });
+
+    const [application] = await applications.find({}).toArray();
+    assert.equal(String(application.slaBreach.escalationId), String(notified[0]._id));
+    assert.equal(await store.collection('slaEscalations').countDocuments({}), 1);
+  });
+
+  it('escalates breaches marked while escalation was off once it is back on', async () => {
+    await saveSlaSettings(store.collection('slaSettings'), { escalate: false });
+    assert.deepEqual(await checkApplicationSlas(now), { breached: 1, escalated: 0, resolved: 0 });
+
+    await saveSlaSettings(store.collection('slaSettings'), { escalate: true });
+    assert.deepEqual(await checkApplicationSlas(now), { breached: 0, escalated: 1, resolved: 0 });
+    assert.deepEqual(notified[0].recipients, ['ada']);
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { startTestApp } = require('./support/testApp');
+const { expectStatus, seedPolicyLifecycle } = require('./support/fixtures');
+
+describe('archival', () => {
+  describe('policies', () => {
+    let api;
+    let ids;
+
+    before(async () => {
+      api = await startTestApp();
+      ids = await seedPolicyLifecycle(api);
+    });
+
+    after(() => api.close());
+
+    const contract = () => api.store.collection('contracts').findOne({ _id: new ObjectId(ids.contractId) });
+    const catalogTitles = async (query = '') =>
+      (await expectStatus(api, 200, 'GET', `/policies${query}`)).policies.map(policy => policy.title);
+
+    it('refuses to archive a policy with contracts in force unless asked to cascade', async () => {
+      const { status, body } = await api.request('DELETE', `/policies/${ids.policyId}`, { as: 'ada' });
+
+      assert.equal(status, 409);
+      assert.match(body.message, /1 contract\(s\) in force/);
+      assert.equal((await contract()).status, 'active');
+      assert.deepEqual(await catalogTitles(), ['Term Life Plus']);
+    });
+
+    it('surrenders those contracts and drops the policy from the catalog with cascade=true', async () => {
+      const body = await expectStatus(api, 200, 'DELETE', `/policies/${ids.policyId}?cascade=true`, { as: 'ada' });
+
+      const surrendered = await contract();
+      assert.deepEqual(body.surrenderedContracts, [surrendered.contractNumber]);
+      assert.equal(surrendered.status, 'surrendered');
+      assert.equal(body.policy.archivedBy, 'ada');
+
+      assert.deepEqual(await catalogTitles(), []);
+      assert.deepEqual(await catalogTitles('?search=term%20life'), []);
+      const { policies } = await expectStatus(api, 200, 'GET', '/admin/policies/archived', { as: 'ada' });
+      assert.deepEqual(policies.map(policy => policy._id), [ids.policyId]);
+    });
+
+    it('brings a restored policy back to the catalog and search, its contracts still surrendered', async () => {
+      await expectStatus(api, 200, 'PATCH', `/admin/policies/${ids.policyId}/restore`, { as: 'ada' });
+
+      assert.deepEqual(await catalogTitles(), ['Term Life Plus']);
+      assert.deepEqual(await catalogTitles('?search=term%20life'), ['Term Life Plus']);
+      assert.equal((await contract()).status, 'surrendered');
+      assert.equal((await api.request('PATCH', `/admin/policies/${ids.policyId}/restore`, { as: 'ada' })).status, 409);
+    });
+  });
+
+  describe('users', () => {
+    let api;
+    let ids;
+
+    before(async () => {
+      api = await startTestApp();
+      ids = await seedPolicyLifecycle(api);
+    });
+
+    after(() => api.close());
+
+    const contract = () => api.store.collection('contracts').findOne({ _id: new ObjectId(ids.contractId) });
+
+    it('refuses to archive a customer with contracts in force unless asked to cascade', async () => {
+      const { status } = await api.request('DELETE', '/admin/users/cara', { as: 'ada' });
+
+      assert.equal(status, 409);
+      assert.equal((await contract()).status, 'active');
+      assert.equal((await api.request('GET', '/users/cara', { as: 'cara' })).status, 200);
+    });
+
+    it('surrenders the contracts and shuts the account out with cascade=true', async () => {
+      const body = await expectStatus(api, 200, 'DELETE', '/admin/users/cara?cascade=true', { as: 'ada' });
+
+      assert.deepEqual(body.surrenderedContracts, [(await contract()).contractNumber]);
+      assert.equal((await contract()).status, 'surrendered');
+      assert.equal((await api.request('GET', '/users/cara', { as: 'cara' })).status, 403);
+
+      const { users } = await expectStatus(api, 200, 'GET', '/admin/users/archived', { as: 'ada' });
+      assert.deepEqual(users.map(user => user.uid), ['cara']);
+    });
+
+    it('lets a restored customer back in', async () => {
+      await expectStatus(api, 200, 'PATCH', '/admin/users/cara/restore', { as: 'ada' });
+
+      assert.equal((await api.request('GET', '/users/cara', { as: 'cara' })).status, 200);
+      assert.equal((await contract()).status, 'surrendered');
+    });
+
+    it('archives a customer with nothing in force straight away', async () => {
+      await expectStatus(api, 200, 'DELETE', '/admin/users/mallory', { as: 'ada' });
+      assert.equal((await api.request('DELETE', '/admin/users/mallory', { as: 'ada' })).status, 409);
+    });
+  });
+});
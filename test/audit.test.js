@@ -0,0 +1,93 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./support/testApp');
+
+describe('audit trail', () => {
+  let api;
+  let auditLogs;
+
+  before(async () => {
+    api = await startTestApp({ config: { auditExportLimit: 20 } });
+    auditLogs = api.store.collection('auditLogs');
+    await api.addUser('ada', 'admin');
+    await api.addUser('cara', 'customer');
+  });
+
+  after(() => api.close());
+
+  // Entries are written once the response has gone out
+  const entriesFor = async (filter, count = 1) => {
+    for (let attempt = 0; attempt < 50; attempt += 1) {
+      const entries = await auditLogs.find(filter).toArray();
+      if (entries.length >= count) return entries;
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return auditLogs.find(filter).toArray();
+  };
+
+  it('does not log webhook deliveries with a bad signature', async () => {
+    const { status } = await api.request('POST', '/stripe/webhook', {
+      body: JSON.stringify({ id: 'evt_forged', type: 'payment_intent.succeeded' }),
+      headers: { 'content-type': 'application/json', 'stripe-signature': 't=1,v1=bad' }
+    });
+
+    assert.equal(status, 400);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(await auditLogs.countDocuments({ entityType: 'stripeEvent' }), 0);
+  });
+
+  it('logs signed webhook deliveries', async () => {
+    const { body, headers } = api.signWebhook({ id: 'evt_signed', type: 'customer.created', created: 1, data: { object: {} } });
+    const response = await api.request('POST', '/stripe/webhook', { body, headers: { ...headers, 'content-type': 'application/json' } });
+
+    assert.equal(response.status, 200);
+    const [entry] = await entriesFor({ entityType: 'stripeEvent' });
+    assert.equal(entry.entityId, 'evt_signed');
+  });
+
+  it('logs notifications being marked read', async () => {
+    await api.store.collection('notifications').insertOne({ userId: 'cara', event: 'application:status-changed', readAt: null, createdAt: new Date() });
+
+    const { status } = await api.request('PATCH', '/notifications/read-all', { as: 'cara' });
+
+    assert.equal(status, 200);
+    const [entry] = await entriesFor({ entityType: 'notification', actorUid: 'cara' });
+    assert.equal(entry.route, '/notifications/read-all');
+  });
+
+  it('keeps personal and underwriting details out of snapshots', async () => {
+    const { insertedId } = await api.store.collection('applications').insertOne({
+      userId: 'cara',
+      status: 'pending',
+      phone: '+1 555 0100',
+      nid: 'NID-123',
+      underwriting: { riskClass: 'standard', score: 10 },
+      statusHistory: [],
+      createdAt: new Date()
+    });
+
+    const { status } = await api.request('PATCH', `/admin/applications/${insertedId}/reject`, { as: 'ada', body: { reason: 'Incomplete' } });
+
+    assert.equal(status, 200);
+    const [entry] = await entriesFor({ entityType: 'application', entityId: insertedId.toString() });
+    assert.equal(entry.before.phone, '[redacted]');
+    assert.equal(entry.after.nid, '[redacted]');
+    assert.equal(entry.after.underwriting, '[redacted]');
+    assert.equal(entry.diff.status.to, 'rejected');
+  });
+
+  it('refuses exports larger than the export limit', async () => {
+    await auditLogs.insertMany(Array.from({ length: 21 }, () => ({
+      entityType: 'bulk',
+      outcome: 'success',
+      timestamp: new Date()
+    })));
+
+    const tooMany = await api.request('GET', '/admin/audit-logs/export?entityType=bulk', { as: 'ada' });
+    assert.equal(tooMany.status, 400);
+
+    const narrowed = await api.request('GET', '/admin/audit-logs/export?entityType=application', { as: 'ada' });
+    assert.equal(narrowed.status, 200);
+    assert.match(narrowed.body, /^timestamp,actorUid/);
+  });
+});
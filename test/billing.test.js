@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { createMemoryStore } = require('../repositories/stores');
+const { buildInstallments, refreshInstallmentStatuses } = require('../services/billing');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const application = { _id: new ObjectId(), userId: 'cara', policyId: new ObjectId(), basePremium: 20 };
+
+describe('billing', () => {
+  it('makes the first installment due one period after approval', () => {
+    const approvedAt = new Date(2026, 0, 15, 10, 30);
+
+    const [first, second] = buildInstallments({ application, startDate: approvedAt });
+
+    assert.deepEqual(first.dueDate, new Date(2026, 1, 15));
+    assert.deepEqual(second.dueDate, new Date(2026, 2, 15));
+  });
+
+  it('leaves a new schedule pending', async () => {
+    const installments = createMemoryStore().collection('installments');
+    const approvedAt = new Date();
+    await installments.insertMany(buildInstallments({ application, startDate: approvedAt }));
+
+    await refreshInstallmentStatuses(installments, {}, approvedAt);
+
+    assert.equal(await installments.countDocuments({ status: { $ne: 'pending' } }), 0);
+  });
+
+  it('counts an installment overdue only once its due day is over', async () => {
+    const installments = createMemoryStore().collection('installments');
+    const [first] = buildInstallments({ application, startDate: new Date(2026, 0, 15, 10, 30) });
+    await installments.insertOne(first);
+
+    await refreshInstallmentStatuses(installments, {}, new Date(2026, 1, 15, 23, 59));
+    assert.equal((await installments.findOne({})).status, 'pending');
+
+    await refreshInstallmentStatuses(installments, {}, new Date(2026, 1, 16, 0, 1));
+    assert.equal((await installments.findOne({})).status, 'overdue');
+
+    await refreshInstallmentStatuses(installments, {}, new Date(first.graceEndsAt.getTime() + DAY_MS + 1));
+    assert.equal((await installments.findOne({})).status, 'lapsed');
+  });
+});
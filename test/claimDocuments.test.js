@@ -0,0 +1,52 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./support/testApp');
+
+const PDF = Buffer.from('%PDF-1.4\n%test\n');
+
+describe('claim documents', () => {
+  let api;
+  let claimId;
+
+  before(async () => {
+    api = await startTestApp();
+    await api.addUser('cara', 'customer');
+    await api.addUser('mallory', 'customer');
+    ({ insertedId: claimId } = await api.store.collection('claims').insertOne({
+      userId: 'cara',
+      claimType: 'illness',
+      status: 'pending',
+      events: [],
+      createdAt: new Date()
+    }));
+  });
+
+  after(() => api.close());
+
+  const upload = (as, name = 'report.pdf') => {
+    const form = new FormData();
+    form.append('files', new Blob([PDF], { type: 'application/pdf' }), name);
+    return api.request('POST', `/claims/${claimId}/documents`, { as, body: form });
+  };
+
+  it('refuses uploads to a claim the user cannot access', async () => {
+    const { status } = await upload('mallory');
+
+    assert.equal(status, 403);
+    assert.equal(await api.store.collection('claimDocuments').countDocuments({}), 0);
+  });
+
+  it('serves a non-ASCII file name with an encoded filename* and an ASCII fallback', async () => {
+    const uploaded = await upload('cara', 'résumé médical.pdf');
+    assert.equal(uploaded.status, 201);
+    const [{ documentId }] = uploaded.body.documents;
+
+    const signed = await api.request('GET', `/claims/${claimId}/documents/${documentId}/url`, { as: 'cara' });
+    const download = await api.request('GET', `${api.baseUrl}${signed.body.url}`);
+
+    assert.equal(download.status, 200);
+    const disposition = download.headers.get('content-disposition');
+    assert.match(disposition, /^attachment; filename="r_sum_ m_dical\.pdf"/);
+    assert.match(disposition, /filename\*=UTF-8''r%C3%A9sum%C3%A9%20m%C3%A9dical\.pdf$/);
+  });
+});
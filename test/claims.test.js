@@ -0,0 +1,80 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../repositories/stores');
+const { applyClaimAction } = require('../services/claims');
+const { ValidationError, ConflictError } = require('../services/errors');
+
+const adjuster = { uid: 'ada', role: 'admin', email: 'ada@lifesure.test' };
+
+describe('claim approval', () => {
+  let store;
+  let claims;
+  let contracts;
+
+  beforeEach(() => {
+    store = createMemoryStore();
+    claims = store.collection('claims');
+    contracts = store.collection('contracts');
+  });
+
+  const addContract = async (fields = {}) => {
+    const contract = { userId: 'cara', status: 'active', coverageAmount: 1000, paidOut: 0, statusHistory: [], ...fields };
+    await contracts.insertOne(contract);
+    return contract;
+  };
+
+  const addClaim = async (contract, fields = {}) => {
+    const claim = { userId: 'cara', contractId: contract._id, claimType: 'illness', status: 'under_review', events: [], ...fields };
+    await claims.insertOne(claim);
+    return claim;
+  };
+
+  const approve = (claim, payoutAmount) => applyClaimAction({
+    claimsCollection: claims,
+    contractsCollection: contracts,
+    claim,
+    action: 'approve',
+    actor: adjuster,
+    details: { payoutAmount }
+  });
+
+  it('never pays out more than the coverage on concurrent approvals', async () => {
+    const contract = await addContract();
+    const first = await addClaim(contract);
+    const second = await addClaim(contract);
+
+    const results = await Promise.allSettled([approve(first, 600), approve(second, 600)]);
+
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+    assert.ok(results.find(result => result.status === 'rejected').reason instanceof ValidationError);
+    assert.equal((await contracts.findOne({ _id: contract._id })).paidOut, 600);
+  });
+
+  it('adds up paidOut for contracts issued before it was kept', async () => {
+    const contract = await addContract({ paidOut: undefined });
+    await addClaim(contract, { status: 'approved', payoutAmount: 700 });
+    const claim = await addClaim(contract);
+
+    await assert.rejects(approve(claim, 400), { name: 'ValidationError', message: /remaining coverage of 300/ });
+    assert.equal((await contracts.findOne({ _id: contract._id })).paidOut, 700);
+  });
+
+  it('ends the contract when a death claim is approved', async () => {
+    const contract = await addContract();
+    const claim = await addClaim(contract, { claimType: 'death' });
+
+    const approved = await approve(claim, 1000);
+
+    assert.equal(approved.status, 'approved');
+    assert.equal((await contracts.findOne({ _id: contract._id })).status, 'death_claim_paid');
+  });
+
+  it('fails a death claim approval on a contract that is not in force', async () => {
+    const contract = await addContract({ status: 'lapsed' });
+    const claim = await addClaim(contract, { claimType: 'death' });
+
+    await assert.rejects(approve(claim, 1000), ConflictError);
+    assert.equal((await claims.findOne({ _id: claim._id })).status, 'under_review');
+    assert.equal((await contracts.findOne({ _id: contract._id })).paidOut, 0);
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../repositories/stores');
+const { createContractLifecycle, syncContractsWithBilling, transitionContract } = require('../services/contracts');
+const { ForbiddenError } = require('../services/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('contracts and billing', () => {
+  let store;
+  let lifecycle;
+  let application;
+
+  beforeEach(async () => {
+    store = createMemoryStore();
+    lifecycle = createContractLifecycle({
+      applicationsCollection: store.collection('applications'),
+      policiesCollection: store.collection('policies'),
+      contractsCollection: store.collection('contracts'),
+      installmentsCollection: store.collection('installments'),
+      quotesCollection: store.collection('quotes')
+    });
+
+    const { insertedId: policyId } = await store.collection('policies').insertOne({ title: 'Term Life Basic', coverageMax: 100000 });
+    application = { userId: 'cara', policyId, basePremium: 20, status: 'approved', approvedAt: new Date() };
+    await store.collection('applications').insertOne(application);
+  });
+
+  const contract = () => store.collection('contracts').findOne({ applicationId: application._id });
+
+  it('keeps a newly issued contract active', async () => {
+    await lifecycle.issueApprovedApplication(application._id);
+    await lifecycle.refreshBillingAndContracts({});
+
+    assert.equal((await contract()).status, 'active');
+  });
+
+  it('puts the contract in grace once the first due day has passed unpaid', async () => {
+    await lifecycle.issueApprovedApplication(application._id);
+    const first = await store.collection('installments').findOne({ sequence: 1 });
+
+    await syncContractsWithBilling({
+      contractsCollection: store.collection('contracts'),
+      installmentsCollection: store.collection('installments'),
+      now: new Date(first.dueDate.getTime() + DAY_MS + 1)
+    });
+
+    assert.equal((await contract()).status, 'grace');
+  });
+
+  it('does not trust an overdue status before the due day is over', async () => {
+    await lifecycle.issueApprovedApplication(application._id);
+    await store.collection('installments').updateOne(
+      { sequence: 1 },
+      { $set: { status: 'overdue', dueDate: new Date() } }
+    );
+
+    await syncContractsWithBilling({
+      contractsCollection: store.collection('contracts'),
+      installmentsCollection: store.collection('installments')
+    });
+
+    assert.equal((await contract()).status, 'active');
+  });
+
+  it('only lets actors move contracts as far as their permissions allow', async () => {
+    await lifecycle.issueApprovedApplication(application._id);
+    const issued = await contract();
+    const move = (permissions) => transitionContract({
+      contractsCollection: store.collection('contracts'),
+      contract: issued,
+      to: 'surrendered',
+      reason: 'Customer request',
+      actor: { uid: 'sam', role: 'support', permissions: new Set(permissions) }
+    });
+
+    await assert.rejects(move(['users:read']), ForbiddenError);
+    await assert.rejects(move([]), ForbiddenError);
+    assert.equal((await move(['contracts:own'])).status, 'surrendered');
+  });
+});
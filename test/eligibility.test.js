@@ -0,0 +1,121 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./support/testApp');
+const { expectStatus } = require('./support/fixtures');
+const { checkEligibility, checkApplicationEligibility, parseApplicantProfile } = require('../services/eligibility');
+
+const TERM_LIFE = {
+  title: 'Term Life Basic',
+  category: 'Term Life',
+  description: 'Simple term cover',
+  minAge: 18,
+  maxAge: 65,
+  coverageMin: 10000,
+  coverageMax: 500000,
+  basePremium: 20
+};
+
+const reasonFields = (result) => result.reasons.map(reason => reason.field);
+
+describe('eligibility', () => {
+  describe('checkEligibility', () => {
+    it('accepts an applicant inside every bound, with a premium estimate', () => {
+      const result = checkEligibility(TERM_LIFE, { age: 30, coverage: 100000 });
+
+      assert.equal(result.eligible, true);
+      assert.deepEqual(result.reasons, []);
+      assert.equal(result.estimate.monthlyPremium, 272);
+    });
+
+    it('refuses ages outside the entry ages', () => {
+      const young = checkEligibility(TERM_LIFE, { age: 17 });
+      const old = checkEligibility(TERM_LIFE, { age: 66 });
+
+      assert.deepEqual(reasonFields(young), ['age']);
+      assert.match(young.reasons[0].message, /below the minimum entry age of 18/);
+      assert.match(old.reasons[0].message, /above the maximum entry age of 65/);
+      assert.equal(old.estimate, null);
+      assert.equal(checkEligibility(TERM_LIFE, { age: 65 }).eligible, true);
+    });
+
+    it('refuses coverage outside the policy limits', () => {
+      assert.match(checkEligibility(TERM_LIFE, { coverage: 5000 }).reasons[0].message, /below the policy minimum of 10000/);
+      assert.match(checkEligibility(TERM_LIFE, { coverage: 600000 }).reasons[0].message, /above the policy maximum of 500000/);
+      assert.deepEqual(reasonFields(checkEligibility(TERM_LIFE, { age: 70, coverage: 600000 })), ['age', 'coverage']);
+    });
+
+    it('refuses a premium estimate over the budget', () => {
+      assert.deepEqual(reasonFields(checkEligibility(TERM_LIFE, { age: 30, coverage: 100000, budget: 200 })), ['budget']);
+      assert.equal(checkEligibility(TERM_LIFE, { age: 30, coverage: 100000, budget: 300 }).eligible, true);
+    });
+
+    it('skips the rules a partial profile says nothing about', () => {
+      assert.equal(checkEligibility(TERM_LIFE, {}).eligible, true);
+    });
+
+    it('requires an age on applications, falling back to the quote', () => {
+      assert.deepEqual(reasonFields(checkApplicationEligibility(TERM_LIFE, {})), ['age']);
+      assert.equal(checkApplicationEligibility(TERM_LIFE, {}, { inputs: { age: 40, coverage: 50000 } }).eligible, true);
+    });
+  });
+
+  it('parses the applicant profile from catalog query parameters', () => {
+    assert.deepEqual(parseApplicantProfile({ age: '30', desiredCoverage: '100000', smoker: 'yes' }).profile, {
+      age: 30,
+      coverage: 100000,
+      smoker: true
+    });
+    assert.deepEqual(parseApplicantProfile({}).profile, null);
+    assert.deepEqual(parseApplicantProfile({ age: '30.5', budget: '0' }).errors.map(error => error.field), ['age', 'budget']);
+  });
+
+  describe('over HTTP', () => {
+    let api;
+    let policyId;
+
+    before(async () => {
+      api = await startTestApp();
+      await api.addUser('ada', 'admin');
+      await api.addUser('cara', 'customer');
+      ({ policy: { _id: policyId } } = await expectStatus(api, 201, 'POST', '/policies', { as: 'ada', body: TERM_LIFE }));
+      await expectStatus(api, 201, 'POST', '/policies', {
+        as: 'ada',
+        body: { ...TERM_LIFE, title: 'Senior Cover', category: 'Senior', minAge: 50, maxAge: 85 }
+      });
+    });
+
+    after(() => api.close());
+
+    it('lists only the policies the applicant qualifies for, with estimates', async () => {
+      const { policies, filters } = await expectStatus(api, 200, 'GET', '/policies?age=30&desiredCoverage=100000');
+
+      assert.deepEqual(policies.map(policy => policy.title), ['Term Life Basic']);
+      assert.equal(policies[0].estimatedPremium.monthlyPremium, 272);
+      assert.deepEqual(filters.eligibility, { age: 30, coverage: 100000 });
+
+      const { policies: seniors } = await expectStatus(api, 200, 'GET', '/policies?age=70');
+      assert.deepEqual(seniors.map(policy => policy.title), ['Senior Cover']);
+
+      // Estimates at 55: 42.2 a month for Term Life Basic, 23 for Senior Cover
+      const { policies: affordable, pagination } = await expectStatus(api, 200, 'GET', '/policies?age=55&desiredCoverage=10000&budget=30');
+      assert.deepEqual(affordable.map(policy => [policy.title, policy.estimatedPremium.monthlyPremium]), [['Senior Cover', 23]]);
+      assert.equal(pagination.totalPolicies, 1);
+
+      const { status, body } = await api.request('GET', '/policies?age=old');
+      assert.equal(status, 400);
+      assert.deepEqual(body.errors.map(error => error.field), ['age']);
+    });
+
+    it('answers an ineligible application with 422 NOT_ELIGIBLE and the reasons', async () => {
+      const { status, body } = await api.request('POST', '/customer/applications', {
+        as: 'cara',
+        body: { policyId, name: 'Cara Customer', age: 70, coverageAmount: 600000 }
+      });
+
+      assert.equal(status, 422);
+      assert.equal(body.code, 'NOT_ELIGIBLE');
+      assert.deepEqual(body.errors.map(reason => reason.field), ['age', 'coverage']);
+      assert.equal(await api.store.collection('applications').countDocuments({ userId: 'cara' }), 0);
+    });
+  });
+});
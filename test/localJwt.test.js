@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createLocalJwtAuthProvider, seedLocalUsers, LOCAL_USERS } = require('../services/auth/localJwt');
+const { createMemoryStore } = require('../repositories/stores');
+const { startTestApp } = require('./support/testApp');
+
+describe('local auth provider', () => {
+  const provider = createLocalJwtAuthProvider({ secret: 'local-secret' });
+
+  it('verifies the tokens it mints', async () => {
+    const decoded = await provider.verifyToken(provider.mintToken({ uid: 'cara', email: 'cara@lifesure.test' }));
+
+    assert.equal(decoded.uid, 'cara');
+    assert.equal(decoded.email, 'cara@lifesure.test');
+  });
+
+  it('rejects expired tokens', async () => {
+    const token = provider.mintToken({ uid: 'cara' }, { expiresIn: -10 });
+
+    await assert.rejects(provider.verifyToken(token), { name: 'TokenExpiredError' });
+  });
+
+  it('rejects tokens signed with another key or for another audience', async () => {
+    const other = createLocalJwtAuthProvider({ secret: 'someone-elses-secret' });
+    await assert.rejects(provider.verifyToken(other.mintToken({ uid: 'cara' })), /invalid signature/);
+
+    const foreign = jwt.sign({}, 'local-secret', { subject: 'cara', issuer: 'lifesure-local', audience: 'elsewhere' });
+    await assert.rejects(provider.verifyToken(foreign), /audience invalid/);
+  });
+
+  it('signs with RS256 when given a key pair, and refuses an HS256 token then', async () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+      publicKeyEncoding: { type: 'spki', format: 'pem' }
+    });
+    const rsa = createLocalJwtAuthProvider({ privateKey, publicKey });
+
+    assert.equal((await rsa.verifyToken(rsa.mintToken({ uid: 'ada' }))).uid, 'ada');
+    await assert.rejects(rsa.verifyToken(provider.mintToken({ uid: 'ada' })), /invalid algorithm/);
+    assert.throws(() => createLocalJwtAuthProvider({ publicKey }).mintToken({ uid: 'ada' }), /AUTH_JWT_PRIVATE_KEY is required/);
+  });
+
+  it('needs a secret or a key pair', () => {
+    assert.throws(() => createLocalJwtAuthProvider({}), /Local auth needs AUTH_JWT_SECRET/);
+  });
+
+  it('seeds the preset users once, leaving edits alone', async () => {
+    const users = createMemoryStore().collection('users');
+    await seedLocalUsers(users);
+    await users.updateOne({ uid: 'local-agent' }, { $set: { role: 'customer' } });
+    await seedLocalUsers(users);
+
+    const seeded = await users.find({}, { sort: { uid: 1 } }).toArray();
+    assert.deepEqual(seeded.map(user => [user.uid, user.role]), [
+      ['local-admin', 'admin'],
+      ['local-agent', 'customer'],
+      ['local-customer', 'customer']
+    ]);
+  });
+
+  it('lets a token minted for a seeded preset through authorization', async () => {
+    const api = await startTestApp();
+    try {
+      await seedLocalUsers(api.store.collection('users'));
+
+      const { status } = await api.request('GET', '/admin/agents', { as: LOCAL_USERS.admin.uid });
+      assert.equal(status, 200);
+    } finally {
+      await api.close();
+    }
+  });
+});
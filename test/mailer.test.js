@@ -0,0 +1,54 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../repositories/stores');
+const { createMailer } = require('../services/mailer');
+
+describe('mailer', () => {
+  let emails;
+  let sends;
+  let mailer;
+
+  beforeEach(() => {
+    emails = createMemoryStore().collection('emails');
+    sends = [];
+    // Each send waits until the test settles it
+    const transport = {
+      send: (message) => new Promise((resolve, reject) => sends.push({ message, resolve, reject }))
+    };
+    mailer = createMailer({ emailsCollection: emails, transport, from: 'hello@lifesure.test' });
+  });
+
+  const settle = async (outcome) => {
+    while (sends.length === 0) await new Promise(done => setTimeout(done, 10));
+    const { resolve, reject } = sends.shift();
+    if (outcome instanceof Error) reject(outcome);
+    else resolve({ messageId: outcome });
+    await new Promise(done => setTimeout(done, 10));
+  };
+
+  it('queues an email without waiting for the transport', async () => {
+    const email = await mailer.queueEmail('application-received', { to: 'cara@lifesure.test', userId: 'cara' });
+
+    assert.equal(email.status, 'queued');
+
+    await settle('msg-1');
+    const stored = await emails.findOne({ _id: email._id });
+    assert.equal(stored.status, 'sent');
+    assert.equal(stored.messageId, 'msg-1');
+  });
+
+  it('requeues a failed email without waiting for the transport', async () => {
+    const { insertedId } = await emails.insertOne({ to: 'cara@lifesure.test', status: 'failed', attempts: 6, lastError: 'Connection refused' });
+    const failed = await emails.findOne({ _id: insertedId });
+
+    const retried = await mailer.retryEmail(failed);
+    assert.equal(retried.status, 'queued');
+    assert.equal(retried.attempts, 0);
+    await assert.rejects(mailer.retryEmail(failed), { status: 409 });
+
+    await settle(new Error('Connection refused'));
+    const stored = await emails.findOne({ _id: insertedId });
+    assert.equal(stored.status, 'queued');
+    assert.equal(stored.attempts, 1);
+  });
+});
@@ -0,0 +1,166 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { createMemoryStore } = require('../repositories/stores');
+
+describe('memory backend', () => {
+  let store;
+  let policies;
+
+  beforeEach(async () => {
+    store = createMemoryStore();
+    policies = store.collection('policies');
+    await policies.insertMany([
+      { title: 'Term Life Basic', category: 'Term Life', basePremium: 20, benefits: ['Death benefit'], archivedAt: null },
+      { title: 'Whole Life Plus', category: 'Whole Life', basePremium: 45, benefits: ['Death benefit', 'Cash value'], archivedAt: null },
+      { title: 'Senior Cover', category: 'Senior', basePremium: 60, archivedAt: new Date() }
+    ]);
+  });
+
+  const titles = async (filter, options) =>
+    (await policies.find(filter, options).toArray()).map(policy => policy.title);
+
+  it('gives inserted documents an ObjectId, on the caller\'s copy too', async () => {
+    const doc = { title: 'Child Plan' };
+    const { insertedId } = await policies.insertOne(doc);
+
+    assert.ok(insertedId instanceof ObjectId);
+    assert.equal(doc._id, insertedId);
+    assert.equal((await policies.findOne({ _id: insertedId })).title, 'Child Plan');
+  });
+
+  it('hands out copies, not the stored documents', async () => {
+    const policy = await policies.findOne({ category: 'Term Life' });
+    policy.basePremium = 0;
+
+    assert.equal((await policies.findOne({ category: 'Term Life' })).basePremium, 20);
+  });
+
+  it('matches query operators the way MongoDB does', async () => {
+    assert.deepEqual(await titles({ archivedAt: null }, { sort: { title: 1 } }), ['Term Life Basic', 'Whole Life Plus']);
+    assert.deepEqual(await titles({ basePremium: { $gte: 45, $lt: 60 } }), ['Whole Life Plus']);
+    assert.deepEqual(await titles({ benefits: 'Cash value' }), ['Whole Life Plus']);
+    assert.deepEqual(await titles({ benefits: { $exists: false } }), ['Senior Cover']);
+    assert.deepEqual(await titles({ title: { $regex: '^whole', $options: 'i' } }), ['Whole Life Plus']);
+    assert.deepEqual(
+      await titles({ $or: [{ category: 'Senior' }, { basePremium: 20 }] }, { sort: { basePremium: -1 } }),
+      ['Senior Cover', 'Term Life Basic']
+    );
+  });
+
+  it('sorts, skips, limits and projects', async () => {
+    const page = await policies.find({}).sort({ basePremium: -1 }).skip(1).limit(1).project({ title: 1 }).toArray();
+
+    assert.equal(page.length, 1);
+    assert.deepEqual(Object.keys(page[0]).sort(), ['_id', 'title']);
+    assert.equal(page[0].title, 'Whole Life Plus');
+  });
+
+  it('applies update operators', async () => {
+    await policies.updateOne(
+      { category: 'Term Life' },
+      { $set: { 'limits.maxAge': 65 }, $inc: { basePremium: 5 }, $push: { benefits: 'Terminal illness' }, $unset: { archivedAt: '' } }
+    );
+
+    const policy = await policies.findOne({ category: 'Term Life' });
+    assert.equal(policy.limits.maxAge, 65);
+    assert.equal(policy.basePremium, 25);
+    assert.deepEqual(policy.benefits, ['Death benefit', 'Terminal illness']);
+    assert.equal('archivedAt' in policy, false);
+  });
+
+  it('reports matched and modified counts', async () => {
+    const missing = await policies.updateOne({ category: 'Child' }, { $set: { basePremium: 1 } });
+    const unchanged = await policies.updateOne({ category: 'Senior' }, { $set: { basePremium: 60 } });
+    const changed = await policies.updateOne({ category: 'Senior' }, { $set: { basePremium: 65 } });
+
+    assert.deepEqual([missing.matchedCount, missing.modifiedCount], [0, 0]);
+    assert.deepEqual([unchanged.matchedCount, unchanged.modifiedCount], [1, 0]);
+    assert.deepEqual([changed.matchedCount, changed.modifiedCount], [1, 1]);
+  });
+
+  it('upserts from the filter and $setOnInsert', async () => {
+    const first = await policies.updateOne(
+      { category: 'Child' },
+      { $set: { basePremium: 10 }, $setOnInsert: { createdBy: 'system' } },
+      { upsert: true }
+    );
+    await policies.updateOne(
+      { category: 'Child' },
+      { $set: { basePremium: 12 }, $setOnInsert: { createdBy: 'someone else' } },
+      { upsert: true }
+    );
+
+    assert.ok(first.upsertedId);
+    const child = await policies.findOne({ category: 'Child' });
+    assert.equal(child.basePremium, 12);
+    assert.equal(child.createdBy, 'system');
+  });
+
+  it('enforces unique indexes on insert and update', async () => {
+    const payments = store.collection('payments');
+    await payments.createIndex({ paymentIntentId: 1 }, { unique: true });
+    await payments.insertOne({ paymentIntentId: 'pi_1', amount: 10 });
+    const { insertedId } = await payments.insertOne({ paymentIntentId: 'pi_2', amount: 20 });
+
+    await assert.rejects(payments.insertOne({ paymentIntentId: 'pi_1' }), { code: 11000 });
+    await assert.rejects(payments.updateOne({ _id: insertedId }, { $set: { paymentIntentId: 'pi_1', amount: 0 } }), { code: 11000 });
+    assert.equal((await payments.findOne({ _id: insertedId })).amount, 20);
+  });
+
+  it('runs aggregation pipelines', async () => {
+    const byCategory = await policies.aggregate([
+      { $match: { archivedAt: null } },
+      { $group: { _id: null, total: { $sum: '$basePremium' }, count: { $sum: 1 } } }
+    ]).toArray();
+
+    assert.deepEqual(byCategory, [{ _id: null, total: 65, count: 2 }]);
+  });
+
+  it('joins other collections with $lookup', async () => {
+    const policy = await policies.findOne({ category: 'Term Life' });
+    await store.collection('applications').insertOne({ userId: 'cara', policyId: policy._id });
+
+    const [application] = await store.collection('applications').aggregate([
+      { $lookup: { from: 'policies', localField: 'policyId', foreignField: '_id', as: 'policy' } },
+      { $unwind: '$policy' }
+    ]).toArray();
+
+    assert.equal(application.policy.title, 'Term Life Basic');
+  });
+
+  it('searches and scores text-indexed fields', async () => {
+    await policies.createIndex({ title: 'text', benefits: 'text' }, { weights: { title: 5, benefits: 2 } });
+
+    const found = await policies
+      .find({ $text: { $search: 'whole life benefits' }, archivedAt: null }, { projection: { title: 1, score: { $meta: 'textScore' } } })
+      .sort({ score: { $meta: 'textScore' } })
+      .toArray();
+
+    assert.deepEqual(found.map(({ title, score }) => [title, score]), [['Whole Life Plus', 12], ['Term Life Basic', 7]]);
+    await assert.rejects(store.collection('claims').find({ $text: { $search: 'life' } }).toArray(), /text index required/);
+  });
+
+  it('opens aggregation pipelines with a text search and splits them with $facet', async () => {
+    await policies.createIndex({ title: 'text', benefits: 'text' }, { weights: { title: 5, benefits: 2 } });
+
+    const [result] = await policies.aggregate([
+      { $match: { $text: { $search: 'whole life benefits' }, archivedAt: null } },
+      { $addFields: { score: { $meta: 'textScore' } } },
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          page: [{ $sort: { score: -1 } }, { $skip: 1 }, { $limit: 1 }, { $project: { title: 1, score: 1, _id: 0 } }]
+        }
+      }
+    ]).toArray();
+
+    assert.deepEqual(result, { total: [{ count: 2 }], page: [{ title: 'Term Life Basic', score: 7 }] });
+    await assert.rejects(policies.aggregate([{ $sort: { title: 1 } }, { $match: { $text: { $search: 'life' } } }]).toArray(), /only supported by find/);
+  });
+
+  it('fails loudly on operators it does not implement', async () => {
+    await assert.rejects(policies.updateOne({}, { $pop: { benefits: 1 } }), /Unsupported update operator/);
+    await assert.rejects(policies.find({ basePremium: { $mod: [2, 0] } }).toArray(), /Unsupported query operator/);
+  });
+});
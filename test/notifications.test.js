@@ -0,0 +1,122 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { createMemoryStore } = require('../repositories/stores');
+const { seedBuiltInRoles, createAuthorization } = require('../services/permissions');
+const { createNotifier } = require('../services/notifications');
+const { startTestApp } = require('./support/testApp');
+const { expectStatus, seedPolicyLifecycle } = require('./support/fixtures');
+
+describe('notifications', () => {
+  describe('createNotifier', () => {
+    let usersCollection;
+    let notificationsCollection;
+    let notify;
+
+    beforeEach(async () => {
+      const store = createMemoryStore();
+      usersCollection = store.collection('users');
+      const rolesCollection = store.collection('roles');
+      notificationsCollection = store.collection('notifications');
+      await seedBuiltInRoles(rolesCollection);
+      await usersCollection.insertMany([
+        { uid: 'ada', role: 'admin', archivedAt: null },
+        { uid: 'oli', role: 'admin', notificationPreferences: { 'claim:submitted': false }, archivedAt: null },
+        { uid: 'gone', role: 'admin', archivedAt: new Date() },
+        { uid: 'ag', role: 'agent', archivedAt: null },
+        { uid: 'ben', role: 'agent', archivedAt: null },
+        { uid: 'cara', role: 'customer', archivedAt: null },
+        { uid: 'mallory', role: 'customer', archivedAt: null }
+      ]);
+      notify = createNotifier({
+        notificationsCollection,
+        usersCollection,
+        authorization: createAuthorization({ usersCollection, rolesCollection })
+      });
+    });
+
+    const claim = { _id: new ObjectId(), claimType: 'illness', userId: 'cara', userEmail: 'cara@lifesure.test', assignedAgent: 'ag' };
+    const application = { _id: new ObjectId(), userId: 'cara', policyName: 'Term Life Plus' };
+
+    const recipientsOf = async (event) =>
+      (await notificationsCollection.find({ event }).toArray()).map(notification => notification.userId).sort();
+
+    it('tells a new claim to its agent and to whoever adjudicates every claim', async () => {
+      await notify('claim:submitted', { claim, actorUid: 'cara' });
+
+      // Not the other agent, not other customers, not an archived admin nor one who opted out
+      assert.deepEqual(await recipientsOf('claim:submitted'), ['ada', 'ag']);
+      const [notification] = await notificationsCollection.find({ userId: 'ag' }).toArray();
+      assert.equal(notification.message, 'cara@lifesure.test filed a new claim (illness)');
+      assert.equal(notification.readAt, null);
+    });
+
+    it('tells only the applicant about their application', async () => {
+      const sent = await notify('application:status-changed', { application, status: 'processing', actorUid: 'ada' });
+
+      assert.deepEqual(sent.map(notification => notification.userId), ['cara']);
+      assert.equal(sent[0].message, 'Your application for Term Life Plus is now processing');
+    });
+
+    it('sends nothing to a user who switched the event off', async () => {
+      await usersCollection.updateOne({ uid: 'cara' }, { $set: { notificationPreferences: { 'application:status-changed': false } } });
+
+      assert.deepEqual(await notify('application:status-changed', { application, status: 'processing' }), []);
+      assert.equal(await notificationsCollection.countDocuments({}), 0);
+      // Other event types stay on
+      assert.equal((await notify('application:rejected', { application })).length, 1);
+    });
+
+    it('leaves out whoever caused the event', async () => {
+      assert.deepEqual(await notify('application:status-changed', { application, status: 'pending', actorUid: 'cara' }), []);
+      assert.equal(await notificationsCollection.countDocuments({}), 0);
+    });
+
+    it('refuses events it does not know', async () => {
+      await assert.rejects(notify('policy:deleted', {}), /Unknown notification event: policy:deleted/);
+    });
+  });
+
+  describe('over HTTP', () => {
+    let api;
+    let ids;
+
+    before(async () => {
+      api = await startTestApp();
+      ids = await seedPolicyLifecycle(api);
+    });
+
+    after(() => api.close());
+
+    const eventsOf = async (uid) => {
+      const { notifications } = await expectStatus(api, 200, 'GET', '/notifications', { as: uid });
+      return notifications.map(notification => notification.event).sort();
+    };
+
+    it('notifies the applicant, the assigned agent and the claim handlers, and nobody else', async () => {
+      assert.deepEqual(await eventsOf('cara'), ['application:status-changed']);
+      assert.deepEqual(await eventsOf('ag'), ['claim:submitted']);
+      assert.deepEqual(await eventsOf('ada'), ['claim:submitted']);
+      assert.deepEqual(await eventsOf('mallory'), []);
+    });
+
+    it('stops sending an event type once the user switches it off', async () => {
+      const { preferences } = await expectStatus(api, 200, 'PUT', '/notifications/preferences', {
+        as: 'mallory',
+        body: { preferences: { 'application:status-changed': false } }
+      });
+      assert.equal(preferences['application:status-changed'], false);
+      assert.equal(preferences['application:rejected'], true);
+
+      const { application } = await expectStatus(api, 201, 'POST', '/customer/applications', {
+        as: 'mallory',
+        body: { policyId: ids.policyId, name: 'Mallory Customer', age: 40, coverageAmount: 50000 }
+      });
+      await expectStatus(api, 200, 'PATCH', `/applications/${application._id}/status`, { as: 'ada', body: { status: 'processing' } });
+      assert.deepEqual(await eventsOf('mallory'), []);
+
+      await expectStatus(api, 200, 'PATCH', `/applications/${application._id}/status`, { as: 'ada', body: { status: 'rejected' } });
+      assert.deepEqual(await eventsOf('mallory'), ['application:rejected']);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { startTestApp } = require('./support/testApp');
+
+describe('payments', () => {
+  let api;
+  let policyId;
+
+  before(async () => {
+    api = await startTestApp();
+    await api.addUser('payer', 'customer');
+    await api.addUser('other', 'customer');
+    ({ insertedId: policyId } = await api.store.collection('policies').insertOne({
+      title: 'Term Life Basic',
+      category: 'Term Life',
+      archivedAt: null,
+      createdAt: new Date()
+    }));
+  });
+
+  after(() => api.close());
+
+  // A saved quote and a payment intent created for it, as the checkout page does
+  const startCheckout = async (uid = 'payer', premium = 42.5) => {
+    const { insertedId: quoteId } = await api.store.collection('quotes').insertOne({
+      policyId,
+      userId: uid,
+      premium,
+      currency: 'usd',
+      paymentIntentIds: [],
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      createdAt: new Date()
+    });
+
+    const { status, body } = await api.request('POST', '/customer/create-payment-intent', {
+      as: uid,
+      body: { quoteId: quoteId.toString() }
+    });
+    assert.equal(status, 200);
+    return body.paymentIntentId;
+  };
+
+  describe('POST /confirm-payment', () => {
+    it('records the quoted amount of a succeeded intent, whatever the client sends', async () => {
+      const paymentIntentId = await startCheckout();
+      api.stripe.succeed(paymentIntentId);
+
+      const { status, body } = await api.request('POST', '/confirm-payment', {
+        as: 'payer',
+        body: { paymentIntentId, policyId: new ObjectId().toString(), amount: 0.01 }
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.payment.amount, 42.5);
+      assert.equal(body.payment.policyId, policyId.toString());
+      assert.equal(body.payment.userId, 'payer');
+      assert.equal(body.payment.transactionId, `ch_${paymentIntentId}`);
+    });
+
+    it('refuses an intent Stripe has not marked succeeded', async () => {
+      const paymentIntentId = await startCheckout();
+
+      const { status } = await api.request('POST', '/confirm-payment', { as: 'payer', body: { paymentIntentId } });
+
+      assert.equal(status, 409);
+      assert.equal(await api.store.collection('payments').countDocuments({ paymentIntentId }), 0);
+    });
+
+    it("refuses another customer's intent", async () => {
+      const paymentIntentId = await startCheckout('other');
+      api.stripe.succeed(paymentIntentId);
+
+      const { status } = await api.request('POST', '/confirm-payment', { as: 'payer', body: { paymentIntentId } });
+
+      assert.equal(status, 404);
+    });
+
+    it('refuses an intent Stripe does not know', async () => {
+      const { status } = await api.request('POST', '/confirm-payment', {
+        as: 'payer',
+        body: { paymentIntentId: 'pi_forged' }
+      });
+
+      assert.equal(status, 404);
+    });
+
+    it('refuses an intent whose amount does not match the quote', async () => {
+      const paymentIntentId = await startCheckout();
+      api.stripe.succeed(paymentIntentId);
+      api.stripe.intents.get(paymentIntentId).amount_received = 100;
+
+      const { status } = await api.request('POST', '/confirm-payment', { as: 'payer', body: { paymentIntentId } });
+
+      assert.equal(status, 409);
+    });
+
+    it('keeps one payment record per intent when confirmed twice', async () => {
+      const paymentIntentId = await startCheckout();
+      api.stripe.succeed(paymentIntentId);
+
+      await api.request('POST', '/confirm-payment', { as: 'payer', body: { paymentIntentId } });
+      const again = await api.request('POST', '/confirm-payment', { as: 'payer', body: { paymentIntentId } });
+
+      assert.equal(again.status, 200);
+      assert.equal(await api.store.collection('payments').countDocuments({ paymentIntentId }), 1);
+    });
+  });
+
+  describe('POST /stripe/webhook', () => {
+    // A fixture event from fixtures/stripe, as `npm run stripe:fixture` sends it
+    const fixtureEvent = (name) =>
+      JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'stripe', `${name}.json`), 'utf8'));
+
+    const deliver = async (event) => {
+      const { body, headers } = api.signWebhook(event);
+      const response = await api.request('POST', '/stripe/webhook', { body, headers: { ...headers, 'content-type': 'application/json' } });
+      assert.equal(response.status, 200);
+      return response.body;
+    };
+
+    const paymentFor = (paymentIntentId) => api.store.collection('payments').findOne({ paymentIntentId });
+
+    it('records a succeeded intent and ignores its redelivery', async () => {
+      const event = fixtureEvent('payment_intent.succeeded');
+
+      const first = await deliver(event);
+      const again = await deliver(event);
+
+      assert.equal(first.duplicate, false);
+      assert.equal(again.duplicate, true);
+      const payment = await paymentFor('pi_fixture_001');
+      assert.equal(payment.status, 'completed');
+      assert.equal(payment.amount, 45);
+      assert.equal(payment.transactionId, 'ch_fixture_001');
+      assert.equal(payment.userId, 'fixture-customer-uid');
+      assert.equal(await api.store.collection('stripeEvents').countDocuments({ _id: event.id }), 1);
+    });
+
+    it('records a failed intent with the decline message', async () => {
+      await deliver(fixtureEvent('payment_intent.payment_failed'));
+
+      const payment = await paymentFor('pi_fixture_002');
+      assert.equal(payment.status, 'failed');
+      assert.equal(payment.failureMessage, 'Your card was declined.');
+    });
+
+    it('marks a refunded charge and keeps an older event from rolling it back', async () => {
+      await deliver(fixtureEvent('charge.refunded'));
+
+      // Delivered late: created before the refund
+      const late = fixtureEvent('payment_intent.succeeded');
+      late.id = 'evt_fixture_pi_succeeded_late';
+      const result = await deliver(late);
+
+      assert.equal(result.stale, true);
+      const payment = await paymentFor('pi_fixture_001');
+      assert.equal(payment.status, 'refunded');
+      assert.equal(payment.amountRefunded, 45);
+      assert.equal(payment.lastEventId, 'evt_fixture_charge_refunded');
+    });
+
+    it('settles the installment a payment was made for and reopens it on refund', async () => {
+      const installments = api.store.collection('installments');
+      const { insertedId: installmentId } = await installments.insertOne({
+        userId: 'fixture-customer-uid',
+        amount: 45,
+        amountPaid: 0,
+        status: 'pending',
+        dueDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+        graceEndsAt: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000),
+        paidAt: null
+      });
+
+      const succeeded = fixtureEvent('payment_intent.succeeded');
+      succeeded.id = 'evt_installment_paid';
+      Object.assign(succeeded.data.object, { id: 'pi_installment', latest_charge: 'ch_installment' });
+      succeeded.data.object.metadata.installmentId = installmentId.toString();
+      await deliver(succeeded);
+
+      const paid = await installments.findOne({ _id: installmentId });
+      assert.equal(paid.status, 'paid');
+      assert.equal(paid.paymentIntentId, 'pi_installment');
+      assert.equal(paid.amountPaid, 45);
+
+      const refunded = fixtureEvent('charge.refunded');
+      refunded.id = 'evt_installment_refunded';
+      Object.assign(refunded.data.object, { id: 'ch_installment', payment_intent: 'pi_installment' });
+      await deliver(refunded);
+
+      const reopened = await installments.findOne({ _id: installmentId });
+      assert.equal(reopened.status, 'pending');
+      assert.equal(reopened.amountPaid, 0);
+      assert.equal(reopened.paidAt, null);
+    });
+  });
+});
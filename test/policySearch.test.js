@@ -0,0 +1,78 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../repositories/stores');
+const { createIndexes, NOT_ARCHIVED } = require('../repositories');
+const { searchCatalog } = require('../services/policySearch');
+
+describe('catalog search', () => {
+  let policies;
+
+  before(async () => {
+    const store = createMemoryStore();
+    await createIndexes(store);
+    policies = store.collection('policies');
+    await policies.insertMany([
+      { title: 'Term Life Basic', category: 'Term Life', description: 'Level cover for a fixed term', benefits: ['Death benefit'], basePremium: 20, coverageMin: 10000, coverageMax: 500000, minAge: 18, maxAge: 65, createdAt: new Date('2026-01-01'), archivedAt: null },
+      { title: 'Family Health Plan', category: 'Health', description: 'Hospital cover for the whole family, life events included', benefits: ['Hospital stays'], basePremium: 60, coverageMin: 50000, coverageMax: 1500000, minAge: 18, maxAge: 60, createdAt: new Date('2026-02-01'), archivedAt: null },
+      { title: 'Term Life Premier', category: 'Term Life', description: 'Larger term cover', benefits: ['Death benefit', 'Terminal illness'], basePremium: 120, coverageMin: 250000, coverageMax: 2000000, minAge: 25, maxAge: 55, createdAt: new Date('2026-03-01'), archivedAt: null },
+      { title: 'Senior Term Cover', category: 'Term Life', description: 'Withdrawn', basePremium: 40, archivedAt: new Date() }
+    ]);
+  });
+
+  const search = (options) => searchCatalog(policies, { filter: NOT_ARCHIVED, ...options });
+  const titles = ({ policies: found }) => found.map(policy => policy.title);
+  const counts = (facet) => Object.fromEntries(facet.map(({ value, count }) => [value, count]));
+
+  it('ranks text index matches by field weight', async () => {
+    const found = await search({ search: 'life' });
+
+    assert.deepEqual(titles(found), ['Term Life Basic', 'Term Life Premier', 'Family Health Plan']);
+    assert.equal(found.sortBy, 'relevance');
+    assert.equal(found.policies[0].score, undefined);
+  });
+
+  it('falls back to fuzzy matching when the words have typos', async () => {
+    const found = await search({ search: 'trm lfe bsic' });
+
+    assert.deepEqual(titles(found), ['Term Life Basic']);
+    assert.equal(found.total, 1);
+  });
+
+  it('keeps the fuzzy ranking through facet filters and pages', async () => {
+    const found = await search({ search: 'trm lfe', filters: { premium: ['100+'] } });
+    assert.deepEqual(titles(found), ['Term Life Premier']);
+    assert.deepEqual(counts(found.facets.premium), { '0-25': 1, '25-50': 0, '50-100': 0, '100+': 1 });
+
+    const second = await search({ search: 'trm lfe', skip: 1, limit: 1 });
+    assert.deepEqual(titles(second), ['Term Life Premier']);
+    assert.equal(second.total, 2);
+  });
+
+  it('lists the whole catalog newest first for a search without words', async () => {
+    const found = await search({ search: ' * ' });
+
+    assert.deepEqual(titles(found), ['Term Life Premier', 'Family Health Plan', 'Term Life Basic']);
+    assert.equal(found.sortBy, 'createdAt');
+  });
+
+  it('sorts and pages in the query', async () => {
+    const found = await search({ sortBy: 'basePremium', sortOrder: 'asc', skip: 1, limit: 1 });
+
+    assert.deepEqual(titles(found), ['Family Health Plan']);
+    assert.equal(found.total, 3);
+  });
+
+  it('counts each facet under every other filter', async () => {
+    const found = await search({ search: 'cover', filters: { category: ['health'], coverage: ['1000000+'] } });
+
+    assert.deepEqual(titles(found), ['Family Health Plan']);
+    assert.deepEqual(found.facets.category, [{ value: 'Health', count: 1 }, { value: 'Term Life', count: 1 }]);
+    assert.deepEqual(counts(found.facets.coverage), { '0-100000': 1, '100000-500000': 1, '500000-1000000': 1, '1000000+': 1 });
+    assert.deepEqual(counts(found.facets.ageBand), { '18-30': 1, '31-45': 1, '46-60': 1, '61+': 0 });
+  });
+
+  it('matches categories exactly, whatever characters they hold', async () => {
+    assert.deepEqual(titles(await search({ filters: { category: ['TERM LIFE'] } })).sort(), ['Term Life Basic', 'Term Life Premier']);
+    assert.equal((await search({ filters: { category: ['Term.Life'] } })).total, 0);
+  });
+});
@@ -0,0 +1,128 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { startTestApp } = require('./support/testApp');
+const { expectStatus, seedPolicyLifecycle } = require('./support/fixtures');
+const { createPolicyVersion } = require('../services/policyVersions');
+
+describe('policy versions', () => {
+  let api;
+  let ids;
+
+  before(async () => {
+    api = await startTestApp();
+    ids = await seedPolicyLifecycle(api);
+  });
+
+  after(() => api.close());
+
+  const asAdmin = (method, path, options = {}) => api.request(method, path, { as: 'ada', ...options });
+
+  it('records each edit as a new version and mirrors it onto the policy', async () => {
+    const { version, policy } = await expectStatus(api, 200, 'PUT', `/policies/${ids.policyId}`, {
+      as: 'ada',
+      body: { coverageMax: 750000, note: 'Higher cover' }
+    });
+
+    assert.equal(version.version, 3);
+    assert.equal(version.terms.basePremium, 22);
+    assert.equal(policy.coverageMax, 750000);
+    assert.equal(policy.currentVersion, 3);
+
+    const { versions } = await expectStatus(api, 200, 'GET', `/admin/policies/${ids.policyId}/versions`, { as: 'ada' });
+    assert.deepEqual(versions.map(entry => entry.version), [3, 2, 1]);
+  });
+
+  it('keeps issued applications and contracts on the version they were issued against', async () => {
+    const application = await api.store.collection('applications').findOne({ _id: new ObjectId(ids.applicationId) });
+    const contract = await api.store.collection('contracts').findOne({ _id: new ObjectId(ids.contractId) });
+
+    assert.equal(application.policyVersion, 2);
+    assert.equal(contract.policyVersion, 2);
+    assert.equal(String(contract.policyVersionId), String(application.policyVersionId));
+  });
+
+  it('schedules future versions and refuses one that starts before the latest', async () => {
+    const effectiveFrom = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+    const scheduled = await expectStatus(api, 200, 'PUT', `/policies/${ids.policyId}`, {
+      as: 'ada',
+      body: { basePremium: 25, effectiveFrom: effectiveFrom.toISOString() }
+    });
+    assert.equal(scheduled.version.appliedAt, null);
+    assert.equal(scheduled.policy.basePremium, 22);
+
+    const earlier = await asAdmin('PUT', `/policies/${ids.policyId}`, {
+      body: { basePremium: 24, effectiveFrom: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() }
+    });
+    assert.equal(earlier.status, 409);
+    assert.equal(await api.store.collection('policyVersions').countDocuments({ policyId: new ObjectId(ids.policyId) }), 4);
+  });
+
+  it('refuses bounds no applicant could meet, on create and on edit', async () => {
+    const created = await asAdmin('POST', '/policies', {
+      body: {
+        title: 'Upside Down',
+        category: 'Term Life',
+        description: 'Inverted bounds',
+        minAge: 60,
+        maxAge: 18,
+        coverageMin: 500000,
+        coverageMax: 10000,
+        basePremium: 20
+      }
+    });
+    assert.equal(created.status, 400);
+    assert.deepEqual(created.body.errors.map(error => error.field), ['minAge', 'coverageMin']);
+    assert.equal(await api.store.collection('policies').countDocuments({ title: 'Upside Down' }), 0);
+
+    const edited = await asAdmin('PUT', `/policies/${ids.policyId}`, { body: { minAge: 70 } });
+    assert.equal(edited.status, 400);
+    assert.deepEqual(edited.body.errors, [{ field: 'minAge', message: 'cannot be greater than maxAge' }]);
+  });
+
+  it('diffs two versions', async () => {
+    const latest = await expectStatus(api, 200, 'GET', `/admin/policies/${ids.policyId}/versions/diff`, { as: 'ada' });
+    assert.equal(latest.from.version, 3);
+    assert.equal(latest.to.version, 4);
+    assert.deepEqual(latest.changes, { basePremium: { from: 22, to: 25 } });
+
+    const picked = await expectStatus(api, 200, 'GET', `/admin/policies/${ids.policyId}/versions/diff?from=1&to=3`, { as: 'ada' });
+    assert.deepEqual(Object.keys(picked.changes).sort(), ['basePremium', 'coverageMax']);
+
+    assert.equal((await asAdmin('GET', `/admin/policies/${ids.policyId}/versions/diff?from=0`)).status, 400);
+    assert.equal((await asAdmin('GET', `/admin/policies/${ids.policyId}/versions/diff?from=1&to=9`)).status, 404);
+    assert.equal((await api.request('GET', `/admin/policies/${ids.policyId}/versions/diff`, { as: 'cara' })).status, 403);
+  });
+
+  it('gives concurrent edits their own version numbers', async () => {
+    const policiesCollection = api.store.collection('policies');
+    const policyVersionsCollection = api.store.collection('policyVersions');
+    const { insertedId } = await policiesCollection.insertOne({
+      title: 'Whole Life Plus',
+      minAge: 18,
+      maxAge: 70,
+      coverageMin: 10000,
+      coverageMax: 250000,
+      basePremium: 40,
+      archivedAt: null,
+      createdAt: new Date()
+    });
+    const policy = await policiesCollection.findOne({ _id: insertedId });
+    const edit = (changes) => createPolicyVersion({
+      policiesCollection,
+      policyVersionsCollection,
+      policy,
+      changes,
+      actor: { uid: 'ada' }
+    });
+
+    const results = await Promise.all([edit({ basePremium: 42 }), edit({ coverageMax: 300000 })]);
+
+    assert.deepEqual(results.map(({ version }) => version.version).sort(), [2, 3]);
+    const versions = await policyVersionsCollection.find({ policyId: insertedId }).sort({ version: 1 }).toArray();
+    assert.deepEqual(versions.map(version => version.version), [1, 2, 3]);
+    // The later edit carries the earlier one's change
+    assert.equal(versions[2].terms.basePremium, 42);
+    assert.equal(versions[2].terms.coverageMax, 300000);
+  });
+});
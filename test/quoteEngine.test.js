@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateQuote } = require('../services/quoteEngine');
+
+const TERM_LIFE = {
+  minAge: 18,
+  maxAge: 65,
+  coverageMin: 10000,
+  coverageMax: 500000,
+  basePremium: 20
+};
+
+const monthly = (input, policy = TERM_LIFE) => calculateQuote(policy, input).monthlyPremium;
+
+describe('calculateQuote', () => {
+  it('charges the base premium for minimum cover at the minimum entry age', () => {
+    const quote = calculateQuote(TERM_LIFE, { age: 18, coverage: 10000 });
+
+    assert.deepEqual(quote.inputs, { age: 18, coverage: 10000, term: 10, smoker: false, frequency: 'monthly' });
+    assert.deepEqual(quote.factors, { coverage: 1, age: 1, smoker: 1, term: 1 });
+    assert.equal(quote.monthlyPremium, 20);
+    assert.equal(quote.premium, 20);
+    assert.equal(quote.currency, 'usd');
+  });
+
+  it('loads 3% for every year above the minimum entry age', () => {
+    assert.equal(monthly({ age: 28, coverage: 10000 }), 26);
+    assert.equal(monthly({ age: 65, coverage: 10000 }), 48.2);
+  });
+
+  it('scales with coverage', () => {
+    assert.equal(monthly({ age: 18, coverage: 50000 }), 100);
+    assert.equal(monthly({ age: 18, coverage: 15000 }), 30);
+  });
+
+  it('loads 1% for every year of term beyond ten', () => {
+    assert.equal(monthly({ age: 18, coverage: 10000, term: 5 }), 20);
+    assert.equal(monthly({ age: 18, coverage: 10000, term: 20 }), 22);
+    // The policy's own duration is the default term
+    assert.equal(monthly({ age: 18, coverage: 10000 }, { ...TERM_LIFE, duration: '20 years' }), 22);
+  });
+
+  it('combines age, coverage, term and smoker loadings', () => {
+    const quote = calculateQuote(TERM_LIFE, { age: '30', coverage: '100000', term: 25, smoker: 'yes' });
+
+    assert.deepEqual(quote.factors, { coverage: 10, age: 1.36, smoker: 1.5, term: 1.15 });
+    assert.equal(quote.monthlyPremium, 469.2);
+  });
+
+  it('discounts upfront payment frequencies', () => {
+    assert.equal(calculateQuote(TERM_LIFE, { age: 18, coverage: 10000, frequency: 'quarterly' }).premium, 58.8);
+    assert.equal(calculateQuote(TERM_LIFE, { age: 18, coverage: 10000, frequency: 'annually' }).premium, 228);
+  });
+
+  it('reports every input outside what the policy allows', () => {
+    const { errors } = calculateQuote(TERM_LIFE, { age: 17, coverage: 600000, term: 41, frequency: 'weekly' });
+
+    assert.deepEqual(errors.map(error => error.field), ['age', 'coverage', 'term', 'frequency']);
+    assert.match(errors[0].message, /between 18 and 65/);
+    assert.deepEqual(calculateQuote(TERM_LIFE, {}).errors.map(error => error.message), ['Age is required', 'Coverage is required']);
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore, createStore } = require('../repositories/stores');
+const { createRepositories, createIndexes, NOT_ARCHIVED } = require('../repositories');
+
+describe('repositories', () => {
+  let repos;
+
+  beforeEach(() => {
+    repos = createRepositories(createMemoryStore());
+  });
+
+  it('builds one repository per entity', () => {
+    assert.deepEqual(
+      Object.keys(repos).sort(),
+      ['applications', 'blogs', 'claims', 'newsletter', 'payments', 'policies', 'reviews', 'users']
+    );
+  });
+
+  it('resolves inserts to the stored document and finds it by ID string', async () => {
+    const policy = await repos.policies.insert({ title: 'Term Life Basic' });
+
+    assert.ok(policy._id);
+    assert.equal((await repos.policies.findById(policy._id.toString())).title, 'Term Life Basic');
+    assert.equal((await repos.policies.updateById(policy._id.toString(), { $set: { basePremium: 20 } })).modifiedCount, 1);
+    assert.equal((await repos.policies.deleteById(policy._id)).deletedCount, 1);
+  });
+
+  it('reads lists as plain arrays with sort, skip, limit and projection', async () => {
+    await repos.applications.insertMany([
+      { userId: 'cara', assignedAgent: 'ag', createdAt: new Date('2024-01-01') },
+      { userId: 'cara', assignedAgent: null, createdAt: new Date('2024-02-01') },
+      { userId: 'dan', assignedAgent: 'ag', createdAt: new Date('2024-03-01') }
+    ]);
+
+    const latest = await repos.applications.findByUser('cara', { sort: { createdAt: -1 }, limit: 1, projection: { createdAt: 1 } });
+    assert.ok(Array.isArray(latest));
+    assert.deepEqual(latest.map(application => application.createdAt), [new Date('2024-02-01')]);
+    assert.equal(latest[0].userId, undefined);
+
+    const assigned = await repos.applications.findAssignedTo('ag', { sort: { createdAt: 1 }, skip: 1 });
+    assert.deepEqual(assigned.map(application => application.userId), ['dan']);
+    assert.equal(await repos.applications.count({ userId: 'cara' }), 2);
+    assert.deepEqual((await repos.applications.distinct('userId')).sort(), ['cara', 'dan']);
+  });
+
+  it('looks users up by UID and email', async () => {
+    await repos.users.insert({ uid: 'cara', email: 'cara@lifesure.test', role: 'customer' });
+
+    await repos.users.updateByUid('cara', { $set: { displayName: 'Cara' } });
+    assert.equal((await repos.users.findByEmail('cara@lifesure.test')).displayName, 'Cara');
+    assert.equal((await repos.users.deleteByUid('cara')).deletedCount, 1);
+    assert.equal(await repos.users.findByUid('cara'), null);
+  });
+
+  it('archives and restores without deleting', async () => {
+    await repos.users.insert({ uid: 'cara', archivedAt: null });
+
+    assert.equal((await repos.users.archive({ uid: 'cara' }, 'ada')).modifiedCount, 1);
+    assert.equal((await repos.users.archive({ uid: 'cara' }, 'ada')).matchedCount, 0);
+    assert.equal(await repos.users.count(NOT_ARCHIVED), 0);
+    assert.equal((await repos.users.findByUid('cara')).archivedBy, 'ada');
+
+    assert.equal((await repos.users.restore({ uid: 'cara' }, 'ada')).modifiedCount, 1);
+    assert.equal(await repos.users.count(NOT_ARCHIVED), 1);
+  });
+
+  it('refuses to build the payment index over duplicate intent records', async () => {
+    const store = createMemoryStore();
+    await store.collection('payments').insertMany([
+      { paymentIntentId: 'pi_1', amount: 10 },
+      { paymentIntentId: 'pi_1', amount: 10 }
+    ]);
+
+    await assert.rejects(createIndexes(store), /more than one record for a payment intent/);
+    // Nothing half-built: the duplicates can still be merged
+    assert.equal((await store.collection('payments').deleteOne({ paymentIntentId: 'pi_1' })).deletedCount, 1);
+    await createIndexes(store);
+    await assert.rejects(store.collection('payments').insertOne({ paymentIntentId: 'pi_1' }), { code: 11000 });
+  });
+
+  it('selects the backend by name', () => {
+    assert.equal(createStore('memory').backend, 'memory');
+    assert.throws(() => createStore('sqlite'), /Unknown data backend: sqlite/);
+  });
+});
@@ -0,0 +1,96 @@
+const assert = require('node:assert/strict');
+
+const PDF = Buffer.from('%PDF-1.4\n%test\n');
+
+// Call the API and fail the test unless it answers with the expected status
+const expectStatus = async (api, expected, method, path, options) => {
+  const response = await api.request(method, path, options);
+  assert.equal(response.status, expected, `${method} ${path}: ${JSON.stringify(response.body)}`);
+  return response.body;
+};
+
+/**
+ * One customer's policy taken out through the API, end to end: an admin
+ * ("ada") publishes a policy and revises it, the customer ("cara") quotes and
+ * applies, the application is assigned to an agent ("ag") and approved, and
+ * the customer files a claim with a document attached. A second customer
+ * ("mallory") has an account and nothing else.
+ *
+ * Resolves to the IDs the tests need.
+ */
+const seedPolicyLifecycle = async (api) => {
+  await api.addUser('ada', 'admin');
+  await api.addUser('ag', 'agent');
+  await api.addUser('cara', 'customer');
+  await api.addUser('mallory', 'customer');
+
+  const { policy } = await expectStatus(api, 201, 'POST', '/policies', {
+    as: 'ada',
+    body: {
+      title: 'Term Life Plus',
+      category: 'Term Life',
+      description: 'Level cover for a fixed term',
+      minAge: 18,
+      maxAge: 65,
+      coverageMin: 10000,
+      coverageMax: 500000,
+      basePremium: 20,
+      benefits: ['Death benefit', 'Terminal illness cover']
+    }
+  });
+  await expectStatus(api, 200, 'PUT', `/policies/${policy._id}`, {
+    as: 'ada',
+    body: { basePremium: 22, note: 'Annual repricing' }
+  });
+
+  const { quote } = await expectStatus(api, 201, 'POST', `/policies/${policy._id}/quote`, {
+    as: 'cara',
+    body: { age: 30, coverage: 100000, term: 20 }
+  });
+
+  const { application } = await expectStatus(api, 201, 'POST', '/customer/applications', {
+    as: 'cara',
+    body: {
+      policyId: policy._id,
+      quoteId: quote._id,
+      name: 'Cara Customer',
+      email: 'cara@lifesure.test',
+      phone: '+1 555 0100',
+      age: 30,
+      smoker: false,
+      nomineeName: 'Nia Nominee'
+    }
+  });
+  await expectStatus(api, 200, 'PATCH', `/admin/applications/${application._id}/assign-agent`, {
+    as: 'ada',
+    body: { agentId: 'ag' }
+  });
+  await expectStatus(api, 200, 'PATCH', `/applications/${application._id}/status`, {
+    as: 'ada',
+    body: { status: 'approved' }
+  });
+
+  const { claim } = await expectStatus(api, 201, 'POST', '/customer/claims', {
+    as: 'cara',
+    body: { policyId: policy._id, reason: 'Hospital stay', claimType: 'illness' }
+  });
+
+  const form = new FormData();
+  form.append('files', new Blob([PDF], { type: 'application/pdf' }), 'discharge.pdf');
+  const { documents: [document] } = await expectStatus(api, 201, 'POST', `/claims/${claim._id}/documents`, { as: 'cara', body: form });
+
+  const contract = await api.store.collection('contracts').findOne({ userId: 'cara' });
+  const email = await api.store.collection('emails').findOne({ userId: 'cara' });
+
+  return {
+    policyId: policy._id,
+    quoteId: quote._id,
+    applicationId: application._id,
+    contractId: contract._id.toString(),
+    claimId: claim._id,
+    documentId: document.documentId,
+    emailId: email._id.toString()
+  };
+};
+
+module.exports = { expectStatus, seedPolicyLifecycle };
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const Stripe = require('stripe');
+const { createApp } = require('../../app');
+const { loadConfig } = require('../../config');
+const { createMemoryStore } = require('../../repositories/stores');
+const { createIndexes } = require('../../repositories');
+const { createLocalJwtAuthProvider } = require('../../services/auth/localJwt');
+const { createLocalDiskStorage } = require('../../services/storage/localDisk');
+const { createEmailTransport } = require('../../services/email');
+const { seedBuiltInRoles } = require('../../services/permissions');
+const { seedUnderwritingRules } = require('../../services/underwriting');
+
+// The app as the tests see it: memory store, local JWTs, claim files in a temp
+// directory, the in-memory email outbox and a Stripe stand-in - served on a
+// random port and called over HTTP.
+
+const AUTH_SECRET = 'test-secret';
+const WEBHOOK_SECRET = 'whsec_test';
+
+// Real Stripe signature checks, fake payment intents - nothing leaves the process
+const createStripeStub = () => {
+  const stripe = Stripe('sk_test_stub');
+  const intents = new Map();
+
+  const missing = (id) => Object.assign(new Error(`No such payment_intent: '${id}'`), {
+    type: 'StripeInvalidRequestError',
+    code: 'resource_missing',
+    statusCode: 404
+  });
+
+  return {
+    intents,
+    webhooks: stripe.webhooks,
+    paymentIntents: {
+      create: async ({ amount, currency, metadata = {} }) => {
+        const id = `pi_test_${intents.size + 1}`;
+        const intent = {
+          id,
+          object: 'payment_intent',
+          amount,
+          amount_received: 0,
+          currency,
+          metadata,
+          status: 'requires_payment_method',
+          client_secret: `${id}_secret`,
+          latest_charge: null
+        };
+        intents.set(id, intent);
+        return { ...intent };
+      },
+      retrieve: async (id) => {
+        if (!intents.has(id)) throw missing(id);
+        return { ...intents.get(id) };
+      }
+    },
+    // What the customer's card confirmation does on Stripe's side
+    succeed: (id) => {
+      const intent = intents.get(id);
+      Object.assign(intent, { status: 'succeeded', amount_received: intent.amount, latest_charge: `ch_${id}` });
+      return { ...intent };
+    }
+  };
+};
+
+/**
+ * Build and start the app.
+ *
+ * options.config - merged over the test defaults (no background jobs,
+ *                  strict response contract checks)
+ *
+ * Returns { store, stripe, emails, request, addUser, tokenFor, signWebhook, close }
+ */
+const startTestApp = async ({ config: overrides = {} } = {}) => {
+  const store = createMemoryStore();
+  const authProvider = createLocalJwtAuthProvider({ secret: AUTH_SECRET });
+  const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lifesure-test-'));
+  const emailTransport = createEmailTransport('memory');
+  const stripe = createStripeStub();
+
+  const config = {
+    ...loadConfig({}),
+    stripeWebhookSecret: WEBHOOK_SECRET,
+    fileUrlSecret: 'test-file-secret',
+    openapiResponseCheck: 'strict',
+    slaCheckIntervalMinutes: 0,
+    emailQueueIntervalMinutes: 0,
+    paymentReminderIntervalMinutes: 0,
+    ...overrides
+  };
+
+  // createApp seeds these without waiting - make sure they exist before the first request
+  await seedBuiltInRoles(store.collection('roles'));
+  await seedUnderwritingRules(store.collection('underwritingRules'));
+  await createIndexes(store);
+
+  const app = createApp({
+    config,
+    store,
+    authProvider,
+    fileStorage: createLocalDiskStorage({ rootDir: uploadsDir }),
+    emailTransport,
+    stripe
+  });
+
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const tokenFor = (uid) => authProvider.mintToken({ uid, email: `${uid}@lifesure.test` });
+
+  /**
+   * Call the API. Paths are sent under /api/v1; full URLs (baseUrl + path) as they are.
+   * options.as - UID to send a bearer token for; body - JSON or FormData
+   * Resolves to { status, headers, body } - body parsed when it is JSON
+   */
+  const request = async (method, urlPath, { as, body, headers = {} } = {}) => {
+    const url = urlPath.startsWith('http') ? urlPath : `${baseUrl}/api/v1${urlPath}`;
+    const isForm = body instanceof FormData;
+    const raw = typeof body === 'string';
+
+    const response = await fetch(url, {
+      method,
+      headers: {
+        ...(body !== undefined && !isForm && { 'content-type': 'application/json' }),
+        ...(as && { authorization: `Bearer ${tokenFor(as)}` }),
+        ...headers
+      },
+      body: body === undefined || isForm || raw ? body : JSON.stringify(body)
+    });
+
+    const text = await response.text();
+    const json = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, headers: response.headers, body: json && text ? JSON.parse(text) : text };
+  };
+
+  // Users are created directly in the store; their role decides their permissions
+  const addUser = async (uid, role = 'customer', fields = {}) => {
+    const user = {
+      uid,
+      email: `${uid}@lifesure.test`,
+      displayName: uid,
+      role,
+      createdAt: new Date(),
+      ...fields
+    };
+    await store.collection('users').insertOne(user);
+    return user;
+  };
+
+  // Body and stripe-signature header for a webhook delivery
+  const signWebhook = (event) => {
+    const payload = JSON.stringify(event);
+    return {
+      body: payload,
+      headers: {
+        'stripe-signature': stripe.webhooks.generateTestHeaderString({ payload, secret: WEBHOOK_SECRET })
+      }
+    };
+  };
+
+  const close = async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(uploadsDir, { recursive: true, force: true });
+  };
+
+  return {
+    app,
+    config,
+    store,
+    stripe,
+    emails: emailTransport,
+    baseUrl,
+    request,
+    addUser,
+    tokenFor,
+    signWebhook,
+    close
+  };
+};
+
+module.exports = { startTestApp };
@@ -0,0 +1,173 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./support/testApp');
+const { expectStatus, seedPolicyLifecycle } = require('./support/fixtures');
+const { DEFAULT_RULE_SET, assessApplication, validateRuleSet } = require('../services/underwriting');
+
+// An application with healthy answers; tests override what they look at
+const applicant = (answers = {}) => ({
+  age: 30,
+  smoker: false,
+  heightCm: 170,
+  weightKg: 63.5,
+  occupation: 'Accountant',
+  annualIncome: 50000,
+  coverageAmount: 100000,
+  healthDisclosure: ['None'],
+  ...answers
+});
+
+const firedIds = (assessment) => assessment.firedRules.map(rule => rule.id);
+
+describe('underwriting', () => {
+  describe('assessApplication', () => {
+    it('rates healthy answers preferred', () => {
+      const assessment = assessApplication(applicant());
+
+      assert.equal(assessment.score, 0);
+      assert.equal(assessment.riskClass, 'preferred');
+      assert.deepEqual(assessment.firedRules, []);
+      assert.equal(assessment.factors.bmi, 22);
+      assert.equal(assessment.factors.coverageToIncome, 2);
+    });
+
+    it('adds up the points of every rule that fires', () => {
+      assert.equal(assessApplication(applicant({ smoker: true })).riskClass, 'standard');
+
+      const assessment = assessApplication(applicant({
+        age: 55,
+        smoker: true,
+        heightCm: 175,
+        weightKg: 95,
+        occupation: 'Delivery driver',
+        healthDisclosure: ['Hypertension']
+      }));
+      assert.deepEqual(firedIds(assessment), ['age-50-plus', 'smoker', 'bmi-obese', 'condition-hypertension']);
+      assert.equal(assessment.score, 55);
+      assert.equal(assessment.riskClass, 'substandard');
+      assert.equal(assessment.factors.occupationClass, 2);
+    });
+
+    it('declines when a declining rule fires, whatever the score', () => {
+      const assessment = assessApplication(applicant({ coverageAmount: 2000000 }));
+
+      assert.deepEqual(firedIds(assessment), ['coverage-income-high', 'coverage-income-excessive']);
+      assert.equal(assessment.score, 20);
+      assert.equal(assessment.riskClass, 'decline');
+    });
+
+    it('declines a score above the substandard threshold', () => {
+      const assessment = assessApplication(applicant({
+        age: 62,
+        smoker: true,
+        occupation: 'Offshore welder',
+        healthDisclosure: ['Heart disease']
+      }));
+
+      assert.equal(assessment.score, 125);
+      assert.equal(assessment.riskClass, 'decline');
+    });
+
+    it('scores unanswered questions only through missing rules', () => {
+      const assessment = assessApplication(applicant({ heightCm: undefined, annualIncome: undefined }));
+
+      assert.deepEqual(firedIds(assessment), ['income-undeclared']);
+      assert.equal(assessment.factors.bmi, undefined);
+    });
+  });
+
+  describe('validateRuleSet', () => {
+    const rule = (fields) => ({ id: 'rule', description: 'A rule', factor: 'age', operator: 'gte', value: 50, points: 10, ...fields });
+
+    it('accepts the default rule set', () => {
+      assert.deepEqual(validateRuleSet(DEFAULT_RULE_SET), []);
+    });
+
+    it('rejects thresholds out of order', () => {
+      const errors = validateRuleSet({ rules: [], thresholds: { preferred: 40, standard: 35, substandard: 70 } });
+      assert.deepEqual(errors.map(error => error.field), ['thresholds']);
+    });
+
+    it('rejects rules that cannot be evaluated', () => {
+      const errors = validateRuleSet({
+        rules: [
+          rule({ id: 'twice' }),
+          rule({ id: 'twice' }),
+          rule({ id: 'height', factor: 'height' }),
+          rule({ id: 'text', value: 'fifty' }),
+          rule({ id: 'words', operator: 'includesAny', value: ['old'] }),
+          rule({ id: 'list', operator: 'in', value: 3 })
+        ],
+        thresholds: DEFAULT_RULE_SET.thresholds
+      });
+
+      assert.deepEqual(errors.map(error => error.field), [
+        'rules[1].id',
+        'rules[2].factor',
+        'rules[3].value',
+        'rules[4].operator',
+        'rules[5].value'
+      ]);
+    });
+  });
+
+  describe('PUT /admin/underwriting/rules', () => {
+    let api;
+
+    before(async () => {
+      api = await startTestApp();
+      await seedPolicyLifecycle(api);
+    });
+
+    after(() => api.close());
+
+    const update = (as, body) => api.request('PUT', '/admin/underwriting/rules', { as, body });
+
+    it('is for admins only', async () => {
+      const body = { rules: DEFAULT_RULE_SET.rules, thresholds: DEFAULT_RULE_SET.thresholds };
+
+      assert.equal((await update(undefined, body)).status, 401);
+      assert.equal((await update('ag', body)).status, 403);
+      assert.equal((await update('cara', body)).status, 403);
+    });
+
+    it('answers 400 with the offending fields', async () => {
+      const unordered = await update('ada', {
+        rules: DEFAULT_RULE_SET.rules,
+        thresholds: { preferred: 50, standard: 35, substandard: 70 }
+      });
+      assert.equal(unordered.status, 400);
+      assert.deepEqual(unordered.body.errors.map(error => error.field), ['thresholds']);
+
+      const unknownOperator = await update('ada', {
+        rules: [{ id: 'age', description: 'Old', factor: 'age', operator: 'between', value: 50, points: 10 }],
+        thresholds: DEFAULT_RULE_SET.thresholds
+      });
+      assert.equal(unknownOperator.status, 400);
+      assert.equal(unknownOperator.body.code, 'VALIDATION_FAILED');
+
+      const { ruleSet } = await expectStatus(api, 200, 'GET', '/admin/underwriting/rules', { as: 'ada' });
+      assert.equal(ruleSet.version, 1);
+    });
+
+    it('replaces the rule set and bumps its version', async () => {
+      const { ruleSet } = await expectStatus(api, 200, 'PUT', '/admin/underwriting/rules', {
+        as: 'ada',
+        body: {
+          rules: [{ id: 'any-age', description: 'Everyone', factor: 'age', operator: 'gte', value: 0, points: 50 }],
+          thresholds: { preferred: 10, standard: 40, substandard: 60 }
+        }
+      });
+
+      assert.equal(ruleSet.version, 2);
+      assert.equal(ruleSet.updatedBy, 'ada');
+      assert.deepEqual(ruleSet.occupationClasses, DEFAULT_RULE_SET.occupationClasses);
+
+      const application = await api.store.collection('applications').findOne({ userId: 'cara' });
+      const { underwriting } = await expectStatus(api, 200, 'POST', `/admin/applications/${application._id}/underwriting`, { as: 'ada' });
+      assert.equal(underwriting.score, 50);
+      assert.equal(underwriting.riskClass, 'substandard');
+      assert.equal(underwriting.ruleSetVersion, 2);
+    });
+  });
+});
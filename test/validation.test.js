@@ -0,0 +1,179 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { validate } = require('../services/validation');
+const { startTestApp } = require('./support/testApp');
+
+const PROFILE = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['name', 'age'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 20 },
+    age: { type: 'integer', minimum: 0, maximum: 120 },
+    income: { type: 'number', minimum: 0 },
+    smoker: { type: 'boolean' },
+    email: { type: 'string', format: 'email' },
+    policyId: { type: 'string', format: 'objectId' },
+    bornAt: { type: 'string', format: 'date-time' },
+    website: { type: 'string', format: 'uri' },
+    plan: { type: 'string', enum: ['basic', 'plus'] },
+    nominee: { type: 'object', nullable: true, required: ['name'], properties: { name: { type: 'string' } } },
+    tags: { type: 'array', maxItems: 2, items: { type: 'string', maxLength: 5 } },
+    value: { type: ['number', 'string'] }
+  }
+};
+
+const fieldsOf = (errors) => errors.map(error => error.field);
+
+describe('validation', () => {
+  describe('validate', () => {
+    it('coerces unambiguous strings and trims text', () => {
+      const { value, errors } = validate(PROFILE, { name: '  Cara ', age: '30', income: '52000.5', smoker: 'false' });
+
+      assert.deepEqual(errors, []);
+      assert.deepEqual(value, { name: 'Cara', age: 30, income: 52000.5, smoker: false });
+    });
+
+    it('leaves values alone that do not coerce cleanly', () => {
+      const { errors } = validate(PROFILE, { name: 'Cara', age: '30.5', income: '', smoker: 'yes' });
+
+      assert.deepEqual(errors, [
+        { field: 'age', message: 'must be an integer' },
+        { field: 'income', message: 'must be a number' },
+        { field: 'smoker', message: 'must be true or false' }
+      ]);
+    });
+
+    it('checks values exactly as given with coerce: false', () => {
+      const { errors } = validate(PROFILE, { name: 'Cara', age: '30' }, { coerce: false });
+
+      assert.deepEqual(errors, [{ field: 'age', message: 'must be an integer' }]);
+    });
+
+    it('rejects unknown fields, and keeps them when the schema allows it', () => {
+      const { errors } = validate(PROFILE, { name: 'Cara', age: 30, role: 'admin' });
+      assert.deepEqual(errors, [{ field: 'role', message: 'is not allowed' }]);
+
+      const open = { ...PROFILE, additionalProperties: undefined };
+      assert.equal(validate(open, { name: 'Cara', age: 30, role: 'admin' }).value.role, 'admin');
+    });
+
+    it('reports missing, empty and null required fields', () => {
+      assert.deepEqual(validate(PROFILE, { name: '' }).errors, [
+        { field: 'name', message: 'is required' },
+        { field: 'age', message: 'is required' },
+        { field: 'name', message: 'must not be empty' }
+      ]);
+      assert.deepEqual(fieldsOf(validate(PROFILE, undefined).errors), ['name', 'age']);
+      assert.deepEqual(validate(PROFILE, []).errors, [{ field: '(body)', message: 'must be an object' }]);
+    });
+
+    it('checks bounds, enums and formats', () => {
+      const { errors } = validate(PROFILE, {
+        name: 'Cara Customer With A Long Name',
+        age: 130,
+        income: -1,
+        email: 'cara@',
+        policyId: 'not-an-id',
+        bornAt: 'yesterday',
+        website: 'lifesure',
+        plan: 'gold'
+      });
+
+      assert.deepEqual(errors.map(({ field, message }) => `${field} ${message}`), [
+        'name must be at most 20 characters',
+        'age must be at most 120',
+        'income must be at least 0',
+        'email must be a valid email',
+        'policyId must be a valid objectId',
+        'bornAt must be a valid date-time',
+        'website must be a valid uri',
+        'plan must be one of: basic, plus'
+      ]);
+    });
+
+    it('names nested and array fields by their path', () => {
+      const { errors } = validate(PROFILE, { name: 'Cara', age: 30, nominee: {}, tags: ['ok', 'too long'] });
+      assert.deepEqual(fieldsOf(errors), ['nominee.name', 'tags[1]']);
+
+      assert.deepEqual(validate(PROFILE, { name: 'Cara', age: 30, tags: ['a', 'b', 'c'] }).errors, [
+        { field: 'tags', message: 'must contain at most 2 item(s)' }
+      ]);
+      assert.deepEqual(validate(PROFILE, { name: 'Cara', age: 30, nominee: null }).errors, []);
+    });
+
+    it('takes the first of several types the value satisfies', () => {
+      assert.equal(validate(PROFILE, { name: 'Cara', age: 30, value: '42' }).value.value, 42);
+      assert.equal(validate(PROFILE, { name: 'Cara', age: 30, value: 'high' }).value.value, 'high');
+      assert.deepEqual(fieldsOf(validate(PROFILE, { name: 'Cara', age: 30, value: true }).errors), ['value']);
+    });
+  });
+
+  describe('400 responses', () => {
+    let api;
+
+    before(async () => {
+      api = await startTestApp();
+      await api.addUser('ada', 'admin');
+    });
+
+    after(() => api.close());
+
+    const POLICY = {
+      title: 'Term Life Basic',
+      category: 'Term Life',
+      description: 'Simple term cover',
+      minAge: 18,
+      maxAge: 65,
+      coverageMin: 10000,
+      coverageMax: 500000,
+      basePremium: 20
+    };
+
+    const createPolicy = async (body) => {
+      const { status, headers, body: response } = await api.request('POST', '/policies', { as: 'ada', body });
+      assert.equal(status, 400);
+      assert.equal(response.success, false);
+      assert.equal(response.code, 'VALIDATION_FAILED');
+      assert.equal(response.requestId, headers.get('x-request-id'));
+      return response.errors;
+    };
+
+    it('lists missing required fields', async () => {
+      const { title, basePremium, ...rest } = POLICY;
+      assert.deepEqual(await createPolicy(rest), [
+        { field: 'title', message: 'is required' },
+        { field: 'basePremium', message: 'is required' }
+      ]);
+    });
+
+    it('lists unknown fields', async () => {
+      assert.deepEqual(await createPolicy({ ...POLICY, archivedAt: null }), [{ field: 'archivedAt', message: 'is not allowed' }]);
+    });
+
+    it('lists values of the wrong type or out of range', async () => {
+      assert.deepEqual(await createPolicy({ ...POLICY, minAge: 'adult', basePremium: -5 }), [
+        { field: 'minAge', message: 'must be an integer' },
+        { field: 'basePremium', message: 'must be at least 0' }
+      ]);
+    });
+
+    it('names array items by their index', async () => {
+      assert.deepEqual(await createPolicy({ ...POLICY, benefits: ['Death benefit', 42] }), [
+        { field: 'benefits[1]', message: 'must be a string' }
+      ]);
+    });
+
+    it('stores the coerced body', async () => {
+      const { status, body } = await api.request('POST', '/policies', {
+        as: 'ada',
+        body: { ...POLICY, title: ' Term Life Basic ', minAge: '18', basePremium: '20' }
+      });
+
+      assert.equal(status, 201);
+      assert.equal(body.policy.title, 'Term Life Basic');
+      assert.equal(body.policy.minAge, 18);
+      assert.equal(body.policy.basePremium, 20);
+    });
+  });
+});